@@ -1,67 +1,28 @@
 // api/index.js
-// This is the core engine of our performance testing tool, structured as a Vercel Serverless Function.
+// This is the HTTP entry point of our performance testing tool, structured as a Vercel Serverless Function.
 
 /**
  * @fileoverview This file contains the Express server logic for a web performance testing tool.
-
-
-/**
- * @fileoverview This file contains the Express server logic for a web performance testing tool.
- * It exposes a '/test' endpoint that uses Puppeteer to run performance analysis on a given URL.
- *
- * --- ENVIRONMENT-SPECIFIC BEHAVIOR ---
- * The server's behavior changes based on the NODE_ENV environment variable.
- *
- * 1. Development (local, NODE_ENV is not 'production'):
- *    - Puppeteer launches a full, visible browser (`headless: false`).
- *    - It uses the locally installed Google Chrome browser.
- *    - REQUIREMENTS: Google Chrome must be installed on the local machine.
- *    - To run: `npm run dev`
- *
- * 2. Production (Vercel, NODE_ENV = 'production'):
- *    - Puppeteer uses the `@sparticuz/chromium` package, which is optimized for serverless environments.
- *    - The browser runs in headless mode (`headless: true`).
- *    - It uses specific launch arguments for stability in a containerized environment.
- *    - REQUIREMENTS: The `NODE_ENV` variable must be set to 'production'.
- *      (Note: Vercel sets this automatically for production deployments.)
- *
- * This dual-mode setup provides a rich debugging experience locally while ensuring
- * compatibility and performance in the deployed Vercel environment.
+ * It exposes a '/test' endpoint (and the job, profile, budget and result APIs) on top of the
+ * test engine in lib/runner.js, which the command-line runner (bin/perf-tester.js) shares.
  */
 
 const express = require('express');
 const path = require('path');
-const fetch = require('node-fetch'); // Use a standard require for node-fetch
+const jobs = require('../lib/jobs');
+const { parseTestRequest, executeTest } = require('../lib/runner');
+const { parseBatchRequest, runBatch } = require('../lib/batch');
+const throttlingProfiles = require('../lib/throttling');
+const results = require('../lib/results');
+const artifacts = require('../lib/artifacts');
+const budgets = require('../lib/budgets');
+
+const SERVERLESS_JOB_WARNING = 'This server runs as a serverless function, which is frozen once it has responded: ' +
+    'the job may stall, and its status may not be found from another instance. Use POST /test instead.';
 
 const app = express(); // Initialize Express app
 const PORT = process.env.PORT || 3001;
 
-// PageSpeed Lighthouse throttling profiles
-const LIGHTHOUSE_THROTTLING = {
-    mobile: {
-        network: {
-            offline: false,
-            downloadThroughput: 1.6 * 1024 * 1024 / 8, // 1.6 Mbps
-            uploadThroughput: 750 * 1024 / 8,          // 750 Kbps
-            latency: 150                                // 150ms RTT (4G)
-        },
-        cpu: 4, // 4x slowdown
-        viewport: { width: 412, height: 823 }, // Mobile viewport
-        userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Mobile Safari/537.36'
-    },
-    desktop: {
-        network: {
-            offline: false,
-            downloadThroughput: 10 * 1024 * 1024 / 8,  // 10 Mbps
-            uploadThroughput: 5 * 1024 * 1024 / 8,     // 5 Mbps
-            latency: 40                                 // 40ms RTT
-        },
-        cpu: 1, // No CPU throttling for desktop
-        viewport: { width: 1350, height: 940 },
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36'
-    }
-};
-
 // --- Middleware Configuration ---
 
 // 1. Middleware to parse JSON request bodies.
@@ -69,147 +30,28 @@ const LIGHTHOUSE_THROTTLING = {
 app.use(express.json({ limit: '10mb' }));
 
 /**
- * Executes a single performance test run for a given URL.
- * @param {object} browser - The Puppeteer browser instance.
- * @param {object} options - The test options.
- * @param {string} options.url - The URL to test.
- * @param {object} options.rules - The modification rules.
- * @param {string} options.mode - The test mode ('custom', 'pagespeed-mobile', etc.).
- * @param {boolean} options.disableCache - Whether to disable the browser cache.
- * @returns {Promise<{metrics: object, screenshot: string}>} - The collected metrics and a base64 screenshot.
+ * Logs a failed test with as much detail as the error object allows.
+ * @param {*} error - Whatever the test rejected with.
  */
-async function runSingleTest(browser, { url, rules, mode, disableCache }) {
-    const page = await browser.newPage();
-    const traceFile = require('path').join(require('os').tmpdir(), `trace-${Date.now()}-${Math.random().toString(36).substring(7)}.json`);
-    try {
-        await page.tracing.start({ path: traceFile, screenshots: true });
-        page.on('console', msg => console.log(`[BROWSER]: ${msg.text()}`));
-
-        // Apply PageSpeed settings if requested
-        let throttlingConfig;
-        if (mode === 'pagespeed-mobile') {
-            throttlingConfig = LIGHTHOUSE_THROTTLING.mobile;
-            await page.setViewport(throttlingConfig.viewport);
-            await page.setUserAgent(throttlingConfig.userAgent);
-        } else if (mode === 'pagespeed-desktop') {
-            throttlingConfig = LIGHTHOUSE_THROTTLING.desktop;
-            await page.setViewport(throttlingConfig.viewport);
-            await page.setUserAgent(throttlingConfig.userAgent);
-        } else {
-            // Your custom settings
-            await page.setViewport({ width: 1280, height: 800 });
-            throttlingConfig = {
-                network: {
-                    offline: false,
-                    downloadThroughput: 1.5 * 1024 * 1024 / 8,
-                    uploadThroughput: 750 * 1024 / 8,
-                    latency: 40
-                },
-                cpu: 4
-            };
-        }
-
-        // Handle cache settings
-        await page.setCacheEnabled(!disableCache);
-        if (disableCache) {
-            await page.setExtraHTTPHeaders({
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'Pragma': 'no-cache',
-                'Expires': '0',
-            });
-        }
-
-        // Apply network and CPU throttling
-        const client = await page.target().createCDPSession();
-        await client.send('Network.emulateNetworkConditions', throttlingConfig.network);
-        await client.send('Emulation.setCPUThrottlingRate', { rate: throttlingConfig.cpu });
-
-        console.log(`[DEBUG] Throttling applied - CPU: ${throttlingConfig.cpu}x, Network latency: ${throttlingConfig.network.latency}ms`);
-
-        // FCP promise setup - this promise will be resolved by the observer script
-        const fcpPromise = new Promise(resolve => {
-            page.once('fcp-reported', resolve);
-        });
-
-        // Inject performance observers
-        await injectPerformanceObservers(page); // This will now also expose the function
-
-        // Enable request interception for rules
-        await page.setRequestInterception(true);
-        setupRequestInterceptor(page, { rules });
-
-        // --- Metrics Collection ---
-        let fcpTimeoutId;
-        const fcpMetricPromise = Promise.race([
-            fcpPromise.then(fcp => {
-                clearTimeout(fcpTimeoutId); // Clear the timeout since FCP was found
-                return fcp;
-            }),
-            new Promise(resolve => {
-                fcpTimeoutId = setTimeout(() => resolve(null), 30000);
-            })
-        ]);
-
-        try {
-            await page.goto(url, { waitUntil: 'load', timeout: 90000 });
-            console.log('[DEBUG] Page "load" event fired.');
-        } catch (e) {
-            console.log('[DEBUG] Page goto warning:', e.message);
-        }
-
-        console.log('[DEBUG] Waiting 2 seconds for page to settle and LCP to finalize...');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        console.log('[DEBUG] Settling delay complete.');
-
-        const fcp = await fcpMetricPromise;
-        const lcp = await page.evaluate(() => window.__getFinalLcp());
-
-        const additionalMetrics = await page.evaluate((fcpVal) => {
-            if (window.__getAdditionalMetrics) {
-                return window.__getAdditionalMetrics(fcpVal || 0);
-            }
-            return { TBT: null, CLS: null, pageWeight: null };
-        }, fcp);
-
-        await page.tracing.stop();
-        
-        let speedIndex = null;
-        try {
-            const speedline = require('speedline');
-            const result = await speedline(traceFile, { include: 'speedIndex' });
-            speedIndex = result.speedIndex;
-        } catch (e) {
-            console.error('Speedline error:', e);
-        }
-
-        return { 
-            FCP: fcp, 
-            LCP: lcp,
-            TBT: additionalMetrics.TBT,
-            CLS: additionalMetrics.CLS,
-            pageWeight: additionalMetrics.pageWeight,
-            speedIndex: speedIndex
-        };
-    } finally {
-        const fs = require('fs');
-        if (fs.existsSync(traceFile)) fs.unlinkSync(traceFile);
-        await page.close();
+function logTestError(error) {
+    // Make error handling robust: check for error.message before accessing it.
+    // Puppeteer can reject with non-Error objects (e.g., simple strings).
+    if (error && error.name === 'TimeoutError') {
+         console.error(`An error occurred during the test: Puppeteer Timeout - ${error.message}`);
+    } else if (error && error.message && error.message.includes('Global test timeout')) {
+         console.error(`An error occurred during the test: ${error.message}`);
+    } else if (error && error.name === 'AbortError') {
+         console.log(`[DEBUG] ${error.message}`);
+    } else {
+         // Handle cases where 'error' is not a standard Error object.
+         console.error('An unexpected error occurred during the test:', error);
+         console.error('Stack trace (if available):', error ? error.stack : 'N/A');
     }
 }
 
 // The main API endpoint for running a test
 app.post('/test', async (req, res) => {
-    // LAZY REQUIRE: Load heavy modules only when the endpoint is called.
-    // Use puppeteer-core and a serverless-compatible chromium package
-    // Set the AWS Lambda JS Runtime env var BEFORE requiring chromium
-    // This tells @sparticuz/chromium to use the Amazon Linux 2023 compatible binaries
-    process.env.AWS_LAMBDA_JS_RUNTIME = 'nodejs22.x';
-    const puppeteer = require('puppeteer-core');
-    const chromium = require('@sparticuz/chromium-min');
-
-    const { url, rules = {}, mode = 'custom', runs = 3, disableCache = false, dryRun = false } = req.body; // Add 'dryRun' parameter
-
-    // mode can be: 'custom', 'pagespeed-mobile', 'pagespeed-desktop'
+    const { dryRun = false } = req.body; // Add 'dryRun' parameter
 
     // A true dry run to test the server without launching Puppeteer at all.
     if (dryRun) {
@@ -224,367 +66,344 @@ app.post('/test', async (req, res) => {
         });
     }
 
-    if (!url) {
-        return res.status(400).json({ error: 'URL is required' });
+    const { params, error: validationError } = parseTestRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
     }
 
-    console.log(`Starting test for URL: ${url} in ${mode} mode`);
-    console.log('With rules:', rules);
-
-    let browser;
+    // The test waits in the job queue, so it never runs alongside a job. A client that gives up
+    // before it finished cancels it.
+    const job = createTestJob(params);
+    res.on('close', () => {
+        if (!res.writableEnded) jobs.cancelJob(job.id);
+    });
     try {
-        const result = await Promise.race([
-            (async () => {
-                // Use @sparticuz/chromium, which works seamlessly locally and in serverless environments.
-                console.log('[DEBUG] Preparing to launch browser using @sparticuz/chromium...');
-
-                // Explicitly set environment variables for the bundled libraries.
-                // This is the most robust way to ensure Chromium can find its dependencies.
-                // Use a stable Google Font URL to prevent 404 errors from unreliable sources.
-                const isLocal = !process.env.VERCEL && process.env.NODE_ENV !== 'production';
-                let executablePath;
-
-                if (isLocal) {
-                    console.log('[DEBUG] Running locally. Using system Chrome.');
-                    const fs = require('fs');
-                    const localPaths = [
-                        '/usr/bin/google-chrome',
-                        '/usr/bin/google-chrome-stable',
-                        '/usr/bin/chromium-browser',
-                        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-                        'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-                        'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
-                    ];
-                    for (const p of localPaths) {
-                        if (fs.existsSync(p)) {
-                            executablePath = p;
-                            break;
-                        }
-                    }
-                    if (!executablePath) {
-                        throw new Error('Local Chrome/Chromium installation not found.');
-                    }
-                } else {
-                    await chromium.font('https://fonts.gstatic.com/s/roboto/v27/KFOmCnqEu92Fr1Mu4mxK.woff2');
-                    console.log('[DEBUG] After calling chromium.font()');
-                    
-                    // On Vercel, download the Chromium pack at runtime to bypass the 50MB deployment limit
-                    const packUrl = 'https://github.com/Sparticuz/chromium/releases/download/v131.0.1/chromium-v131.0.1-pack.tar';
-                    executablePath = await chromium.executablePath(packUrl);
-                }
-
-                const launchOptions = {
-                    // Combine the recommended args from the library with the essential --no-sandbox flag.
-                    args: isLocal ? ['--no-sandbox', '--disable-setuid-sandbox'] : [...chromium.args, '--no-sandbox'],
-                    defaultViewport: chromium.defaultViewport,
-                    executablePath: executablePath,
-                    headless: isLocal ? false : chromium.headless, // Use visible browser locally as per docs
-                    timeout: 60000, // Increased timeout for browser launch
-                    // Explicitly pass the environment variables set by @sparticuz/chromium to the browser process.
-                    env: process.env
-                };
-
-                console.log('[DEBUG] Launching Puppeteer browser...');
-                browser = await puppeteer.launch(launchOptions);
-                console.log('[DEBUG] Browser launched successfully.');
-
-                const allMetrics = [];
-                for (let i = 0; i < runs; i++) {
-                    console.log(`\n--- Starting run ${i + 1} of ${runs} for ${url} ---`);
-                    const metrics = await runSingleTest(browser, { url, rules, mode, disableCache });
-                    allMetrics.push(metrics);
-                    console.log(`--- Finished run ${i + 1}: FCP=${metrics.FCP?.toFixed(2)}ms, LCP=${metrics.LCP?.toFixed(2)}ms ---`);
-                }
-
-                // Calculate median values, which are more robust against outliers than averages.
-                const fcpValues = allMetrics.map(m => m.FCP).filter(v => v != null).sort((a, b) => a - b);
-                const lcpValues = allMetrics.map(m => m.LCP).filter(v => v != null).sort((a, b) => a - b);
-                const tbtValues = allMetrics.map(m => m.TBT).filter(v => v != null).sort((a, b) => a - b);
-                const clsValues = allMetrics.map(m => m.CLS).filter(v => v != null).sort((a, b) => a - b);
-                const pageWeightValues = allMetrics.map(m => m.pageWeight).filter(v => v != null).sort((a, b) => a - b);
-                const speedIndexValues = allMetrics.map(m => m.speedIndex).filter(v => v != null).sort((a, b) => a - b);
-
-                const getMedian = (arr) => {
-                    if (arr.length === 0) return null;
-                    const mid = Math.floor(arr.length / 2);
-                    return arr.length % 2 !== 0 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
-                };
-
-                const medianMetrics = {
-                    FCP: getMedian(fcpValues),
-                    LCP: getMedian(lcpValues),
-                    TBT: getMedian(tbtValues),
-                    CLS: getMedian(clsValues),
-                    pageWeight: getMedian(pageWeightValues),
-                    speedIndex: getMedian(speedIndexValues)
-                };
-
-                console.log('[SERVER]: Final median metrics:', medianMetrics);
-
-                // Take a screenshot on a final, clean run to ensure it's representative.
-                console.log('[DEBUG] Taking final screenshot...');
-                const page = await browser.newPage();
-                await page.setViewport({ width: 1280, height: 800 });
-                await page.goto(url, { waitUntil: 'load' });
-                const screenshot = await page.screenshot({ encoding: 'base64' });
-                await page.close();
-
-                console.log('✅ All test runs finished successfully.');
-                // The frontend expects a specific structure. Let's build it.
-                return {
-                    parameters: { url, rules, mode, disableCache },
-                    averageMetrics: medianMetrics,
-                    individualRuns: allMetrics,
-                    screenshot
-                };
-            })(),
-            new Promise((_, reject) =>
-                setTimeout(() => reject(new Error(`Global test timeout: The test took too long to complete (${runs * 120}s).`)), runs * 120000)
-            )
-        ]);
-        res.json(result);
+        res.json(await jobs.waitForJob(job));
     } catch (error) {
-        // Make error handling robust: check for error.message before accessing it.
-        // Puppeteer can reject with non-Error objects (e.g., simple strings).
-        if (error && error.name === 'TimeoutError') {
-             console.error(`An error occurred during the test: Puppeteer Timeout - ${error.message}`);
-        } else if (error && error.message && error.message.includes('Global test timeout')) {
-             console.error(`An error occurred during the test: ${error.message}`);
-        } else {
-             // Handle cases where 'error' is not a standard Error object.
-             console.error('An unexpected error occurred during the test:', error);
-             console.error('Stack trace (if available):', error ? error.stack : 'N/A');
-        }
+        if (error.name === 'AbortError') return;
         res.status(500).json({ error: 'Test failed. Check server logs for details.' });
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
     }
 });
 
 /**
- * Injects performance observer scripts into the page to measure FCP and LCP.
- * @param {object} page - The Puppeteer page object.
+ * Queues a test as a job.
+ * @param {object} params - Normalized parameters from parseTestRequest.
+ * @returns {object} - The job.
  */
-async function injectPerformanceObservers(page) {
-    // Expose a function to the page that the observer can call.
-    // We re-expose it for every new page to ensure the binding is fresh.
-    await page.exposeFunction('__reportFcp', fcp => {
-        console.log(`[SERVER]: __reportFcp called from browser with value: ${fcp}`);
-        page.emit('fcp-reported', fcp); // Emit an event on the page object
-    });
-
-    await page.evaluateOnNewDocument(() => {
-        if (window.self !== window.top) {
-            return; // Skip iframes
-        }
-        console.log('[PERF OBSERVER]: Script injected in main frame.');
-        
-        // FCP Observer
-        new PerformanceObserver((entryList) => {
-            const entries = entryList.getEntries();
-            const fcpEntry = entries.find(entry => entry.name === 'first-contentful-paint');
-            if (fcpEntry && !window.__fcpReported) {
-                window.__fcpReported = true;
-                console.log(`[PERF OBSERVER]: FCP detected: ${fcpEntry.startTime}ms. Reporting to server.`);
-                window.__reportFcp(fcpEntry.startTime);
-            }
-        }).observe({ type: 'paint', buffered: true });
-
-        // LCP Observer - store ALL updates in an array
-        window.__lcpUpdates = [];
-        new PerformanceObserver((entryList) => {
-            const entries = entryList.getEntries();
-            entries.forEach(entry => {
-                const lcpData = {
-                    startTime: entry.startTime,
-                    size: entry.size,
-                    element: entry.element?.tagName || 'unknown',
-                    url: entry.url || entry.element?.currentSrc || 'N/A'
-                };
-                window.__lcpUpdates.push(lcpData);
-                console.log(`[PERF OBSERVER]: LCP update #${window.__lcpUpdates.length}: ${lcpData.startTime}ms, element: ${lcpData.element}, size: ${lcpData.size}`);
-            });
-        }).observe({ type: 'largest-contentful-paint', buffered: true });
-
-        window.__getFinalLcp = () => {
-            const finalLcp = window.__lcpUpdates.length > 0
-                ? window.__lcpUpdates[window.__lcpUpdates.length - 1].startTime
-                : null;
-            console.log(`[PERF OBSERVER]: Reporting final LCP: ${finalLcp}ms (total updates: ${window.__lcpUpdates.length})`);
-            console.log(`[PERF OBSERVER]: All LCP updates:`, JSON.stringify(window.__lcpUpdates, null, 2));
-            return finalLcp;
-        };
-
-        window.__longTasks = [];
+function createTestJob(params) {
+    return jobs.createJob(params, async (job, hooks) => {
         try {
-            new PerformanceObserver((list) => {
-                for (const entry of list.getEntries()) {
-                    window.__longTasks.push({startTime: entry.startTime, duration: entry.duration});
-                }
-            }).observe({type: 'longtask', buffered: true});
-        } catch (e) {
-            console.error('[PERF OBSERVER]: longtask not supported');
+            return await executeTest(params, hooks);
+        } catch (error) {
+            logTestError(error);
+            throw error;
         }
+    });
+}
 
-        window.__layoutShifts = [];
-        try {
-            new PerformanceObserver((list) => {
-                for (const entry of list.getEntries()) {
-                    if (!entry.hadRecentInput) {
-                        window.__layoutShifts.push(entry.value);
-                    }
-                }
-            }).observe({type: 'layout-shift', buffered: true});
-        } catch (e) {
-            console.error('[PERF OBSERVER]: layout-shift not supported');
-        }
+// --- Job API ---
+// Long tests run as background jobs so that no HTTP connection has to stay open for the whole test.
+
+// Submit a test. Accepts the same body as POST /test and returns immediately.
+app.post('/jobs', (req, res) => {
+    const { params, error: validationError } = parseTestRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    sendJobAccepted(res, createTestJob(params));
+});
 
-        window.__resources = [];
+// Submit a batch: the same test for a list of URLs and/or the pages of a sitemap (see lib/batch.js).
+// It runs as one job; progress has a `page` event per finished page.
+app.post('/batches', async (req, res) => {
+    const { params, error: validationError } = await parseBatchRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const job = jobs.createJob(params, async (job, hooks) => {
         try {
-            new PerformanceObserver((list) => {
-                for (const entry of list.getEntries()) {
-                    window.__resources.push(entry.transferSize || 0);
-                }
-            }).observe({type: 'resource', buffered: true});
-        } catch (e) {
-            console.error('[PERF OBSERVER]: resource not supported');
+            return await runBatch(params, hooks);
+        } catch (error) {
+            logTestError(error);
+            throw error;
         }
+    });
+    sendJobAccepted(res, job);
+});
 
-        window.__getAdditionalMetrics = (fcpTime) => {
-            let tbt = 0;
-            for (const task of window.__longTasks) {
-                if (task.startTime >= fcpTime) {
-                    tbt += Math.max(0, task.duration - 50);
-                }
-            }
-            
-            let cls = 0;
-            for (const val of window.__layoutShifts) {
-                cls += val;
-            }
-            
-            let totalBytes = 0;
-            const navEntries = performance.getEntriesByType('navigation');
-            if (navEntries.length > 0) {
-                totalBytes += navEntries[0].transferSize || 0;
-            }
-            for (const size of window.__resources) {
-                totalBytes += size;
-            }
-            
-            return {
-                TBT: tbt,
-                CLS: cls,
-                pageWeight: totalBytes
-            };
-        };
+/**
+ * Responds to a job submission with the job id and its links.
+ * @param {object} res - The Express response.
+ * @param {object} job
+ */
+function sendJobAccepted(res, job) {
+    res.status(202).json({
+        id: job.id,
+        status: job.status,
+        links: {
+            self: `/jobs/${job.id}`,
+            events: `/jobs/${job.id}/events`,
+            cancel: `/jobs/${job.id}/cancel`
+        },
+        // Jobs live in the memory of one process (see lib/jobs.js).
+        ...(process.env.VERCEL ? { warning: SERVERLESS_JOB_WARNING } : {})
     });
 }
 
+// Current status, progress so far and (once completed) the full result.
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(jobs.serializeJob(job));
+});
+
+// Server-Sent Events stream of status changes, per-run progress and the final result.
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive as they happen.
+    });
+    res.flushHeaders();
+
+    // Comment lines keep idle connections from being closed by proxies.
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+        res.end();
+    };
+
+    unsubscribe = jobs.subscribe(job.id, (name, data) => {
+        res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (name === 'status' && jobs.isFinished(job)) {
+            // Defer so that subscribe() has returned before we unsubscribe.
+            setImmediate(close);
+        }
+    });
+    req.on('close', close);
+});
+
+// Cancel a queued or running job.
+app.post('/jobs/:id/cancel', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!jobs.cancelJob(job.id)) {
+        return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+    res.json({ id: job.id, status: job.status });
+});
+
+// --- Throttling Profile API ---
+// A server-side registry of named network/CPU/device profiles, usable as `throttling.profile`.
+
+app.get('/throttling-profiles', (req, res) => {
+    res.json({ modes: throttlingProfiles.MODE_DEFAULTS, profiles: throttlingProfiles.listProfiles() });
+});
+
+app.get('/throttling-profiles/:id', (req, res) => {
+    const profile = throttlingProfiles.getProfile(req.params.id);
+    if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+});
+
+// Create a profile. Fails if the id is taken; use PUT to replace an existing profile.
+app.post('/throttling-profiles', async (req, res) => {
+    const validationError = throttlingProfiles.validateProfile(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    if (throttlingProfiles.getProfile(req.body.id)) {
+        return res.status(409).json({ error: `Profile "${req.body.id}" already exists` });
+    }
+    await saveProfileAndRespond(res, req.body, 201);
+});
+
+// Create or replace the profile with this id.
+app.put('/throttling-profiles/:id', async (req, res) => {
+    const profile = { ...req.body, id: req.params.id };
+    const validationError = throttlingProfiles.validateProfile(profile);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    await saveProfileAndRespond(res, profile, throttlingProfiles.getProfile(profile.id) ? 200 : 201);
+});
+
+app.delete('/throttling-profiles/:id', async (req, res) => {
+    try {
+        if (!await throttlingProfiles.deleteProfile(req.params.id)) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('[PROFILES]: Failed to delete profile:', error);
+        res.status(500).json({ error: 'Could not write the profile registry.' });
+    }
+});
+
 /**
- * Sets up the request interceptor on the page to apply modification rules.
- * @param {object} page - The Puppeteer page object.
- * @param {object} options - The test options.
+ * Stores a validated profile and sends it back, or a 500 if the registry file is not writable.
+ * @param {object} res - The Express response.
+ * @param {object} profile
+ * @param {number} status - The success status code.
  */
-function setupRequestInterceptor(page, { rules }) {
-    page.on('request', async (request) => {
-        // Wrap the entire handler in a try-catch to prevent unhandled promise rejections
-        // which can crash the Vercel function and prevent logs from appearing.
-        try {
-            const requestUrl = request.url();
-            const resourceType = request.resourceType();
-
-            // Rule: Block requests based on URL fragments
-            // Ensure fragment is a string before calling .includes() to prevent TypeError.
-            if (rules.block && rules.block.some(fragment => fragment && requestUrl.includes(fragment))) {
-                console.log('🚫 Blocking:', requestUrl);
-                return request.abort();
-            }
-
-            // Rule: Modify the main HTML document
-            if (resourceType === 'document' && request.isNavigationRequest()) {
-                // To modify the HTML, we must intercept the request, fetch the content ourselves,
-                // modify it, and then respond with the modified content.
-                try {
-                    const fetchResponse = await fetch(requestUrl, {
-                        method: request.method(),
-                        headers: request.headers(),
-                    });
-                    
-                    if (fetchResponse.ok && fetchResponse.headers.get('content-type')?.includes('text/html')) {
-                        let body = await fetchResponse.text();
-                        let modified = false;
-
-                        // Apply defer rules
-                        (rules.defer || []).forEach(fragment => {
-                            // Skip any null, undefined, or empty string fragments to prevent invalid regex.
-                            if (!fragment) return;
-
-                            const regex = new RegExp(`(<script[^>]*src="[^"]*${fragment}[^"]*"[^>]*)>`, 'gi');
-                            if (regex.test(body)) {
-                                body = body.replace(regex, '$1 defer>');
-                                modified = true;
-                                console.log(`[HTML MOD]: Deferred script matching "${fragment}"`);
-                            }
-                        });
-
-                        // Apply block rules to HTML body (remove script tags)
-                        (rules.block || []).forEach(fragment => {
-                            // Skip any null, undefined, or empty string fragments to prevent invalid regex.
-                            if (!fragment) return;
-
-                            const regex = new RegExp(`<script[^>]*src="[^"]*${fragment}[^"]*"[^>]*><\\/script>`, 'gi');
-                            if (regex.test(body)) {
-                                body = body.replace(regex, '');
-                                modified = true;
-                                console.log(`[HTML MOD]: Removed script matching "${fragment}"`);
-                            }
-                        });
-
-                        // Apply HTML replace rules
-                        // Ensure both 'find' and 'replace' properties exist and are strings to prevent errors.
-                        if (rules.html_replace && 
-                            typeof rules.html_replace.find === 'string' && 
-                            typeof rules.html_replace.replace === 'string') {
-                                body = body.replace(new RegExp(rules.html_replace.find, 'g'), rules.html_replace.replace);
-                                modified = true;
-                                console.log('[HTML MOD]: Applied HTML content replacement.');
-                        }
-
-                        // Respond with the (potentially modified) body
-                        return request.respond({
-                            status: fetchResponse.status,
-                            headers: Object.fromEntries(fetchResponse.headers.entries()),
-                            body: body
-                        });
-                    }
-
-                    // If the response is not HTML or not OK, we must still handle the request.
-                    // We'll respond with the original content we fetched.
-                    return request.respond({
-                        status: fetchResponse.status, // Pass through the original status (e.g., 404)
-                        headers: Object.fromEntries(fetchResponse.headers.entries()),
-                        body: await fetchResponse.buffer() // Use buffer for any content type
-                    });
-                } catch (error) {
-                    console.error(`[INTERCEPTOR ERROR]: Failed to fetch and modify document for ${requestUrl}:`, error);
-                    return request.abort('failed');
-                }
-            }
-
-            // Continue all other requests without modification
-            return request.continue();
-        } catch (error) {
-            console.error(`[FATAL INTERCEPTOR ERROR] Request handler for "${request.url()}" failed:`, error);
-            // Abort the request if it's still pending, to avoid leaving it hanging.
-            if (!request.isInterceptResolutionHandled()) {
-                request.abort();
-            }
+async function saveProfileAndRespond(res, profile, status) {
+    try {
+        res.status(status).json(await throttlingProfiles.saveProfile(profile));
+    } catch (error) {
+        console.error('[PROFILES]: Failed to save profile:', error);
+        res.status(500).json({ error: 'Could not write the profile registry.' });
+    }
+}
+
+// --- Budget API ---
+// Per-URL performance budgets (see lib/budgets.js). The registry is replaced as a whole.
+
+app.get('/budgets', (req, res) => {
+    res.json({ metrics: budgets.BUDGET_METRICS, budgets: budgets.listBudgets() });
+});
+
+app.put('/budgets', async (req, res) => {
+    const validationError = budgets.validateBudgetList(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        res.json(await budgets.saveBudgets(req.body));
+    } catch (error) {
+        console.error('[BUDGETS]: Failed to save budgets:', error);
+        res.status(500).json({ error: 'Could not write the budgets file.' });
+    }
+});
+
+// --- Result API ---
+// The shared experiment log: every stored test result, with names and tags (see lib/results.js).
+
+app.get('/results', async (req, res) => {
+    try {
+        res.json({ results: await results.listResults({ tag: req.query.tag }) });
+    } catch (error) {
+        console.error('[RESULTS]: Failed to list results:', error);
+        res.status(500).json({ error: 'Could not read the result store.' });
+    }
+});
+
+app.get('/results/:id', async (req, res) => {
+    try {
+        const result = await results.getResult(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('[RESULTS]: Failed to read result:', error);
+        res.status(500).json({ error: 'Could not read the result store.' });
+    }
+});
+
+app.post('/results', async (req, res) => {
+    const validationError = results.validateResult(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        res.status(201).json(await results.createResult(req.body));
+    } catch (error) {
+        console.error('[RESULTS]: Failed to save result:', error);
+        res.status(500).json({ error: 'Could not write the result store.' });
+    }
+});
+
+// Import a history exported from a browser, e.g. the old localStorage history: `{ results: [...] }`.
+app.post('/results/import', async (req, res) => {
+    const submitted = req.body && req.body.results;
+    if (!Array.isArray(submitted)) {
+        return res.status(400).json({ error: '`results` must be an array.' });
+    }
+    for (const [i, result] of submitted.entries()) {
+        const validationError = results.validateResult(result, `\`results[${i}]\``);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+    }
+    try {
+        res.json(await results.importResults(submitted));
+    } catch (error) {
+        console.error('[RESULTS]: Failed to import results:', error);
+        res.status(500).json({ error: 'Could not write the result store.' });
+    }
+});
+
+// Rename and/or retag a result: `{ name?, tags? }`.
+app.patch('/results/:id', async (req, res) => {
+    const validationError = results.validateResultUpdate(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const result = await results.updateResult(req.params.id, req.body);
+        if (!result) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('[RESULTS]: Failed to update result:', error);
+        res.status(500).json({ error: 'Could not write the result store.' });
+    }
+});
+
+app.delete('/results/:id', async (req, res) => {
+    try {
+        if (!await results.deleteResult(req.params.id)) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('[RESULTS]: Failed to delete result:', error);
+        res.status(500).json({ error: 'Could not write the result store.' });
+    }
+});
+
+// --- Artifact API ---
+// Traces, CPU profiles and coverage reports kept by tests with `artifacts` (see lib/artifacts.js).
+
+app.get('/artifacts/:id/:name', (req, res) => {
+    const file = artifacts.artifactPath(req.params.id, req.params.name);
+    if (!file) {
+        return res.status(404).json({ error: 'Artifact not found' });
+    }
+    // Named after the load, so several downloaded traces don't overwrite each other.
+    res.download(file, `${req.params.id.slice(0, 8)}-${req.params.name}`, error => {
+        if (!error) return;
+        if (error.code === 'ENOENT') {
+            if (!res.headersSent) res.status(404).json({ error: 'Artifact not found. It may have expired.' });
+        } else {
+            console.error('[ARTIFACTS]: Failed to send artifact:', error);
+            if (!res.headersSent) res.status(500).json({ error: 'Could not read the artifact store.' });
         }
     });
-}
+});
+
+// Read-only permalink pages for a result (/r/:id) and a comparison (/compare?ids=a,b,c).
+// The page itself loads the results from the API above.
+app.get(['/r/:id', '/compare'], (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/report.html'));
+});
 
 // --- Server Initialization & Export ---
 
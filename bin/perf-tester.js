@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+// bin/perf-tester.js
+// Command-line runner for CI: runs the same tests as POST /test, without the HTTP server.
+
+/**
+ * @fileoverview The `perf-tester` command.
+ *
+ *     perf-tester https://www.example.com --mode pagespeed-mobile --runs 5 --budget LCP=2500
+ *     perf-tester https://www.example.com --runs adaptive --max-runs 15 --precision 0.05
+ *     perf-tester --config perf.json --json results.json --junit junit.xml
+ *
+ * A config file holds `tests`, each a POST /test request body (`url`, `rules`, `variants`,
+ * `budget`, `steps`...) with an optional `name`, and `defaults` shared by all of them:
+ *
+ *     { "defaults": { "mode": "pagespeed-mobile", "runs": 5 },
+ *       "tests": [{ "name": "Home", "url": "https://www.example.com/" }, ...] }
+ *
+ * Command-line options override the defaults, and a test's own fields override both. The
+ * budgets registry (data/budgets.json or the shipped config/budgets.json, see lib/budgets.js)
+ * applies as on the server.
+ *
+ * Exit codes: 0 when every budget passed, 1 when a budget failed (or warned, with
+ * `--fail-on warn`), 2 when a test could not run or the command line or config is invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseTestRequest, executeTest } = require('../lib/runner');
+const pool = require('../lib/pool');
+const logger = require('../lib/logger');
+const artifacts = require('../lib/artifacts');
+const { stabilityWarnings } = require('../lib/stability');
+
+const USAGE = `Usage: perf-tester <url> [options]
+       perf-tester --config <file> [options]
+
+Options:
+  -c, --config <file>            JSON config with several tests (see README)
+  -m, --mode <mode>              custom, pagespeed-mobile or pagespeed-desktop
+  -r, --runs <n|adaptive>        Runs per test (and per variant), or adaptive: add runs
+                                 until the LCP median is precise enough
+      --max-runs <n>             Adaptive runs: stop after this many (6-20, default 10)
+      --precision <p>            Adaptive runs: the LCP precision to reach (default 0.1 = ±10%)
+  -p, --parallel <n>             Runs loading at the same time (1-4, default 1)
+      --view <view>              first, repeat or both (first and repeat view side by side)
+      --profile <id>             Throttling profile from the registry
+      --throttling-method <m>    devtools or simulate
+      --no-cache                 Disable the browser cache
+      --artifacts <types>        Keep trace, cpuProfile and/or coverage per run (comma-separated)
+  -b, --budget <metric=limit>    Budget limit, e.g. LCP=2500 (repeatable)
+      --json <file>              Write the results as JSON
+      --junit <file>             Write a JUnit XML report
+      --fail-on <status>         Exit non-zero on a budget "fail" (default) or "warn"
+      --chrome <path>            Chrome/Chromium binary (default: CHROME_PATH or a system Chrome)
+      --headed                   Show the browser window
+  -v, --verbose                  Print the engine's logs (to stderr)
+  -h, --help                     Show this help`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    mode: { type: 'string', short: 'm' },
+    runs: { type: 'string', short: 'r' },
+    'max-runs': { type: 'string' },
+    precision: { type: 'string' },
+    parallel: { type: 'string', short: 'p' },
+    view: { type: 'string' },
+    profile: { type: 'string' },
+    'throttling-method': { type: 'string' },
+    artifacts: { type: 'string' },
+    'no-cache': { type: 'boolean' },
+    budget: { type: 'string', short: 'b', multiple: true },
+    json: { type: 'string' },
+    junit: { type: 'string' },
+    'fail-on': { type: 'string', default: 'fail' },
+    chrome: { type: 'string' },
+    headed: { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Table columns: metric key, header, formatter.
+const COLUMNS = [
+    ['FCP', 'FCP', formatMs],
+    ['LCP', 'LCP', formatMs],
+    ['TBT', 'TBT', formatMs],
+    ['CLS', 'CLS', value => value.toFixed(3)],
+    ['speedIndex', 'SI', formatMs],
+    ['INP', 'INP', formatMs],
+    ['pageWeight', 'Weight', formatKb],
+    ['thirdPartyBytes', '3rd Party', formatKb]
+];
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+class UsageError extends Error {}
+
+function formatMs(value) {
+    return `${Math.round(value)} ms`;
+}
+
+function formatKb(value) {
+    return `${Math.round(value / 1024)} KB`;
+}
+
+function formatValue(key, value) {
+    if (value == null) return '-';
+    return COLUMNS.find(([columnKey]) => columnKey === key)[2](value);
+}
+
+/**
+ * Turns the command line (and config file) into the list of tests to run.
+ * @param {object} values - Parsed options.
+ * @param {string[]} positionals - URLs given on the command line.
+ * @returns {{name: string, request: object}[]}
+ */
+function collectTests(values, positionals) {
+    const overrides = {};
+    if (values.mode) overrides.mode = values.mode;
+    if (values.runs) {
+        const runs = values.runs === 'adaptive' ? values.runs : Number(values.runs);
+        if (runs !== 'adaptive' && (!Number.isInteger(runs) || runs < 1)) throw new UsageError('--runs must be a positive integer or "adaptive".');
+        overrides.runs = runs;
+    }
+    // Range-checked by parseTestRequest with the other request fields.
+    if (values['max-runs']) overrides.maxRuns = Number(values['max-runs']);
+    if (values.precision) overrides.precision = Number(values.precision);
+    if (values.parallel) overrides.parallelRuns = Number(values.parallel);
+    if (values.view) overrides.view = values.view;
+    if (values.profile) overrides.throttling = { profile: values.profile };
+    if (values['throttling-method']) overrides.throttlingMethod = values['throttling-method'];
+    if (values['no-cache']) overrides.disableCache = true;
+    if (values.artifacts) overrides.artifacts = values.artifacts.split(',').map(type => type.trim()).filter(Boolean);
+    if (values.budget) {
+        overrides.budget = {};
+        for (const entry of values.budget) {
+            const [, metric, limit] = /^([A-Za-z]+)=(.+)$/.exec(entry) || [];
+            if (!metric || !Number.isFinite(Number(limit))) throw new UsageError(`--budget must look like LCP=2500 (got "${entry}").`);
+            overrides.budget[metric] = Number(limit);
+        }
+    }
+
+    let defaults = {};
+    let tests = positionals.map(url => ({ url }));
+    if (values.config) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(values.config, 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Could not read config ${values.config}: ${error.message}`);
+        }
+        const configTests = Array.isArray(config) ? config : config.tests;
+        if (!Array.isArray(configTests)) throw new UsageError('The config must be an array of tests or an object with `tests`.');
+        defaults = config.defaults || {};
+        tests = tests.concat(configTests);
+    }
+    if (tests.length === 0) throw new UsageError('Give a URL or --config.');
+
+    return tests.map((test, i) => {
+        const request = { ...defaults, ...overrides, ...test };
+        // A test's own budget adds to the command-line budget instead of replacing it.
+        if (overrides.budget && test.budget) request.budget = { ...overrides.budget, ...test.budget };
+        delete request.name;
+        return { name: test.name || test.url || `Test ${i + 1}`, request };
+    });
+}
+
+/**
+ * @param {object} result - An executeTest result.
+ * @returns {object[]} - One `{ name, averageMetrics, budget }` row per variant (or one row).
+ */
+function resultRows(result) {
+    return result.variants || [{ name: null, averageMetrics: result.averageMetrics, budget: result.budget }];
+}
+
+/**
+ * The worst budget status of a test: `pass`, `warn`, `fail`, `none` (no budget) or `error`.
+ * @param {object} outcome
+ * @returns {string}
+ */
+function outcomeStatus(outcome) {
+    if (outcome.error) return 'error';
+    const statuses = resultRows(outcome.result).filter(row => row.budget).map(row => row.budget.status);
+    if (statuses.length === 0) return 'none';
+    return statuses.reduce((worst, status) => STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst, 'pass');
+}
+
+function renderTable(outcomes, { color }) {
+    const paint = (text, status) => {
+        if (!color) return text;
+        const code = { pass: 32, warn: 33, fail: 31, error: 31 }[status];
+        return code ? `\x1b[${code}m${text}\x1b[0m` : text;
+    };
+    const marks = { warn: ' !', fail: ' ✗' };
+
+    const header = ['Test', ...COLUMNS.map(([, label]) => label), 'Budget'];
+    const rows = [];
+    outcomes.forEach(outcome => {
+        if (outcome.error) {
+            rows.push([{ text: outcome.name }, ...COLUMNS.map(() => ({ text: '' })), { text: 'ERROR', status: 'error' }]);
+            return;
+        }
+        resultRows(outcome.result).forEach(row => {
+            const cells = COLUMNS.map(([key]) => {
+                const status = row.budget?.metrics[key]?.status;
+                return { text: formatValue(key, row.averageMetrics[key]) + (marks[status] || ''), status };
+            });
+            const budgetStatus = row.budget ? row.budget.status : null;
+            const label = row.name ? `${outcome.name} [${row.name}]` : outcome.name;
+            rows.push([
+                { text: label },
+                ...cells,
+                { text: budgetStatus ? budgetStatus.toUpperCase() : '-', status: budgetStatus }
+            ]);
+            // Budgets judge the first view, so the repeat view line has no verdict.
+            const { repeatView } = row.averageMetrics;
+            if (repeatView) {
+                rows.push([
+                    { text: `${label} (repeat view)` },
+                    ...COLUMNS.map(([key]) => ({ text: formatValue(key, repeatView[key]) })),
+                    { text: '-' }
+                ]);
+            }
+        });
+    });
+
+    const widths = header.map((label, i) => Math.max(label.length, ...rows.map(row => row[i].text.length)));
+    const line = cells => cells.map((cell, i) => {
+        const padded = i === 0 ? cell.text.padEnd(widths[i]) : cell.text.padStart(widths[i]);
+        return paint(padded, cell.status);
+    }).join('  ');
+    return [
+        line(header.map(text => ({ text }))),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.map(line)
+    ].join('\n');
+}
+
+// One line per metric over or near its budget, and per test that could not run.
+function renderProblems(outcomes) {
+    const lines = [];
+    outcomes.forEach(outcome => {
+        if (outcome.error) {
+            lines.push(`${outcome.name}: ${outcome.error}`);
+            return;
+        }
+        resultRows(outcome.result).forEach(row => {
+            Object.entries(row.budget?.metrics || {}).forEach(([key, entry]) => {
+                if (entry.status !== 'fail' && entry.status !== 'warn') return;
+                const label = row.name ? `${outcome.name} [${row.name}]` : outcome.name;
+                const limit = entry.status === 'fail' ? `over the budget of ${formatValue(key, entry.max)}` : `near the budget of ${formatValue(key, entry.max)}`;
+                lines.push(`${label}: ${key} ${formatValue(key, entry.value)} is ${limit} (${entry.status.toUpperCase()})`);
+            });
+        });
+    });
+    return lines.join('\n');
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+}
+
+/**
+ * Builds a JUnit report: one suite per test, one case per budgeted metric (per variant).
+ * @param {object[]} outcomes
+ * @param {string} failOn - 'fail' or 'warn'.
+ * @returns {string}
+ */
+function renderJUnit(outcomes, failOn) {
+    const failing = status => status === 'fail' || (failOn === 'warn' && status === 'warn');
+    let totals = { tests: 0, failures: 0, errors: 0 };
+    const suites = outcomes.map(outcome => {
+        const time = (outcome.duration / 1000).toFixed(3);
+        const cases = [];
+        if (outcome.error) {
+            cases.push(`<testcase classname="${escapeXml(outcome.name)}" name="run" time="${time}"><error message="${escapeXml(outcome.error)}"/></testcase>`);
+        } else {
+            resultRows(outcome.result).forEach(row => {
+                const prefix = row.name ? `${row.name}: ` : '';
+                const entries = Object.entries(row.budget?.metrics || {});
+                if (entries.length === 0) {
+                    cases.push(`<testcase classname="${escapeXml(outcome.name)}" name="${escapeXml(`${prefix}run`)}" time="${time}"/>`);
+                }
+                entries.forEach(([key, entry]) => {
+                    const message = `${key} ${formatValue(key, entry.value)} (budget ${formatValue(key, entry.max)}, warn at ${formatValue(key, entry.warn)}): ${entry.status}`;
+                    const body = failing(entry.status)
+                        ? `<failure type="budget" message="${escapeXml(message)}"/>`
+                        : `<system-out>${escapeXml(message)}</system-out>`;
+                    cases.push(`<testcase classname="${escapeXml(outcome.name)}" name="${escapeXml(prefix + key)}" time="${time}">${body}</testcase>`);
+                });
+            });
+        }
+        const failures = cases.filter(testCase => testCase.includes('<failure')).length;
+        const errors = outcome.error ? 1 : 0;
+        totals = { tests: totals.tests + cases.length, failures: totals.failures + failures, errors: totals.errors + errors };
+        return `  <testsuite name="${escapeXml(outcome.name)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${time}">\n${cases.map(testCase => `    ${testCase}`).join('\n')}\n  </testsuite>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="perf-tester" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+function writeOutput(file, content) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+    console.error(`Wrote ${file}`);
+}
+
+async function main(argv) {
+    let values;
+    let tests;
+    try {
+        ({ values, positionals: tests } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+        if (values.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (!['fail', 'warn'].includes(values['fail-on'])) throw new UsageError('--fail-on must be "fail" or "warn".');
+        tests = collectTests(values, tests);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    // The engine logs every step; keep stdout for the table and send its lines to stderr, all of
+    // them with --verbose and only the errors otherwise.
+    logger.setLogger({ log: values.verbose ? console.error : () => {}, error: console.error });
+
+    // Validate everything up front, so a typo in the last test doesn't surface after an hour of runs.
+    const parsed = tests.map(test => ({ ...test, ...parseTestRequest(test.request) }));
+    const invalid = parsed.filter(test => test.error);
+    if (invalid.length > 0) {
+        invalid.forEach(test => console.error(`${test.name}: ${test.error}`));
+        return 2;
+    }
+
+    const launch = { headless: !values.headed, executablePath: values.chrome || process.env.CHROME_PATH };
+    const outcomes = [];
+    try {
+        for (const [i, test] of parsed.entries()) {
+            const prefix = `[${i + 1}/${parsed.length}] ${test.name}`;
+            console.error(test.name === test.params.url ? prefix : `${prefix}: ${test.params.url}`);
+            const startedAt = Date.now();
+            try {
+                const result = await executeTest(test.params, {
+                    launch,
+                    screenshot: false,
+                    filmstrip: false,
+                    onProgress: event => {
+                        if (event.type === 'run') {
+                            console.error(`${prefix}: run ${event.completedRuns}/${event.totalRuns}${event.variant ? ` (variant ${event.variant})` : ''}`);
+                        }
+                    }
+                });
+                result.warnings.forEach(warning => console.error(`${prefix}: warning: ${warning}`));
+                (result.variants || [result]).forEach(row => stabilityWarnings(row.stability).forEach(warning => {
+                    console.error(`${prefix}: warning: ${result.variants ? `variant ${row.name}: ` : ''}${warning}`);
+                }));
+                const loads = artifacts.runArtifactIds((result.variants || [result]).flatMap(variant => variant.individualRuns)).length;
+                if (loads > 0) console.error(`${prefix}: kept the artifacts of ${loads} page load(s) in ${artifacts.ARTIFACTS_DIR}`);
+                outcomes.push({ name: test.name, result, duration: Date.now() - startedAt });
+            } catch (error) {
+                console.error(`${prefix}: failed: ${error && error.message ? error.message : error}`);
+                outcomes.push({ name: test.name, error: String(error && error.message ? error.message : error), duration: Date.now() - startedAt });
+            }
+        }
+    } finally {
+        // The tests share one warm browser; close it so the process can exit.
+        await pool.closeAll();
+    }
+
+    console.log(`\n${renderTable(outcomes, { color: process.stdout.isTTY })}`);
+    const problems = renderProblems(outcomes);
+    if (problems) console.log(`\n${problems}`);
+
+    const statuses = outcomes.map(outcomeStatus);
+    if (values.json) {
+        writeOutput(values.json, JSON.stringify({
+            createdAt: new Date().toISOString(),
+            tests: outcomes.map((outcome, i) => ({ name: outcome.name, status: statuses[i], duration: outcome.duration, result: outcome.result, error: outcome.error }))
+        }, null, 2) + '\n');
+    }
+    if (values.junit) writeOutput(values.junit, renderJUnit(outcomes, values['fail-on']));
+
+    return exitCode(statuses, values['fail-on']);
+}
+
+/**
+ * @param {string[]} statuses - The outcomeStatus of every test.
+ * @param {string} failOn - 'fail' or 'warn'.
+ * @returns {number} - The exit code (see the top of this file).
+ */
+function exitCode(statuses, failOn) {
+    if (statuses.includes('error')) return 2;
+    if (statuses.includes('fail') || (failOn === 'warn' && statuses.includes('warn'))) return 1;
+    return 0;
+}
+
+// Only run when invoked as a command, so the tests can require the helpers.
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        // E.g. a report that cannot be written: an error of the tool, not a budget failure.
+        console.error(error && error.message ? error.message : error);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = {
+    collectTests,
+    outcomeStatus,
+    exitCode,
+    renderTable,
+    renderJUnit
+};
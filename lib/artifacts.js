@@ -0,0 +1,217 @@
+// lib/artifacts.js
+// Traces, CPU profiles and coverage reports kept from test runs, so a slowdown can be dug into later.
+
+/**
+ * @fileoverview The artifact store behind `GET /artifacts/:id/:name`.
+ *
+ * A test with `artifacts` keeps, for every page load it measures:
+ *
+ * - `trace`      `trace.json`: The Chrome trace of the load (with screenshots). Open it in the
+ *                DevTools Performance panel ("Load profile...") or https://ui.perfetto.dev.
+ * - `cpuProfile` `profile.cpuprofile`: A sampling profile of the page's JavaScript. The
+ *                Performance panel opens it as well.
+ * - `coverage`   `coverage.json`: The JavaScript and CSS of every file and the byte ranges
+ *                that were used during the load.
+ *
+ * The files of one load share a directory named by a random id, and the load's metrics list
+ * them in `artifacts` as `{ type, id, name, size }`. They are written to `data/artifacts` (or
+ * the directory in the `PERF_TESTER_ARTIFACTS_DIR` environment variable); on Vercel that must
+ * be under `/tmp`.
+ *
+ * Traces are several MB each, so the store is pruned after every save: artifacts older than
+ * `PERF_TESTER_ARTIFACTS_MAX_AGE_DAYS` (default 7) are deleted, then the oldest ones until the
+ * store is below `PERF_TESTER_ARTIFACTS_MAX_MB` (default 1024). Deleting a stored result also
+ * deletes the artifacts of its runs that no other stored result references.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const ARTIFACTS_DIR = path.resolve(process.env.PERF_TESTER_ARTIFACTS_DIR || path.join(__dirname, '../data/artifacts'));
+const MAX_AGE = (Number(process.env.PERF_TESTER_ARTIFACTS_MAX_AGE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const MAX_BYTES = (Number(process.env.PERF_TESTER_ARTIFACTS_MAX_MB) || 1024) * 1024 * 1024;
+// The file each artifact type is stored as.
+const ARTIFACT_FILES = { trace: 'trace.json', cpuProfile: 'profile.cpuprofile', coverage: 'coverage.json' };
+const ARTIFACT_TYPES = Object.keys(ARTIFACT_FILES);
+const ARTIFACT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+let pruning = null;
+
+/**
+ * Validates the `artifacts` field of a test request.
+ * @param {*} artifacts
+ * @returns {string|null} - An error message, or null if the field is valid (or absent).
+ */
+function validateArtifacts(artifacts) {
+    if (artifacts === undefined) return null;
+    if (!Array.isArray(artifacts) || !artifacts.every(type => ARTIFACT_TYPES.includes(type))) {
+        return `\`artifacts\` must be an array of: ${ARTIFACT_TYPES.join(', ')}.`;
+    }
+    return null;
+}
+
+/**
+ * Moves a file, copying it when the target is on another file system (e.g. from /tmp).
+ * @param {string} from
+ * @param {string} to
+ */
+async function moveFile(from, to) {
+    try {
+        await fs.promises.rename(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(from, to);
+        await fs.promises.unlink(from);
+    }
+}
+
+/**
+ * Turns Puppeteer's coverage into the stored report: per file, its size and the used ranges.
+ * @param {object[]} jsCoverage - From page.coverage.stopJSCoverage().
+ * @param {object[]} cssCoverage - From page.coverage.stopCSSCoverage().
+ * @returns {object[]} - `{ url, type, totalBytes, usedBytes, ranges, text }` per file, the
+ *   least used first.
+ */
+function summarizeCoverage(jsCoverage, cssCoverage) {
+    const entries = [
+        ...jsCoverage.map(entry => ({ ...entry, type: 'js' })),
+        ...cssCoverage.map(entry => ({ ...entry, type: 'css' }))
+    ];
+    return entries
+        .map(({ url, type, ranges, text }) => ({
+            url,
+            type,
+            totalBytes: text.length,
+            usedBytes: ranges.reduce((sum, range) => sum + range.end - range.start, 0),
+            ranges,
+            text
+        }))
+        .sort((a, b) => (b.totalBytes - b.usedBytes) - (a.totalBytes - a.usedBytes));
+}
+
+/**
+ * Stores the artifacts of one page load.
+ * @param {Array<{type: string, file?: string, data?: *}>} entries - Each artifact as a file to
+ *   move into the store (`file`) or a value to write as JSON (`data`).
+ * @returns {Promise<object[]>} - `{ type, id, name, size }` per stored artifact.
+ */
+async function saveArtifacts(entries) {
+    const id = crypto.randomUUID();
+    const dir = path.join(ARTIFACTS_DIR, id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const saved = [];
+    for (const { type, file, data } of entries) {
+        const name = ARTIFACT_FILES[type];
+        const target = path.join(dir, name);
+        if (file) {
+            await moveFile(file, target);
+        } else {
+            await fs.promises.writeFile(target, JSON.stringify(data));
+        }
+        saved.push({ type, id, name, size: (await fs.promises.stat(target)).size });
+    }
+    pruneArtifacts().catch(error => logger.error(`[ARTIFACTS]: Could not prune ${ARTIFACTS_DIR}: ${error.message}`));
+    return saved;
+}
+
+/**
+ * @param {string} id
+ * @param {string} name
+ * @returns {string|null} - The path of a stored artifact file, or null for an invalid id or name.
+ */
+function artifactPath(id, name) {
+    if (!ARTIFACT_ID_PATTERN.test(id) || !Object.values(ARTIFACT_FILES).includes(name)) return null;
+    return path.join(ARTIFACTS_DIR, id, name);
+}
+
+async function readArtifactDirs() {
+    let ids;
+    try {
+        ids = (await fs.promises.readdir(ARTIFACTS_DIR)).filter(id => ARTIFACT_ID_PATTERN.test(id));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const dirs = [];
+    for (const id of ids) {
+        const dir = path.join(ARTIFACTS_DIR, id);
+        try {
+            const files = await fs.promises.readdir(dir);
+            const stats = await Promise.all(files.map(file => fs.promises.stat(path.join(dir, file))));
+            dirs.push({
+                id,
+                // The directory's own time covers a load whose files are still being written.
+                createdAt: Math.max((await fs.promises.stat(dir)).mtimeMs, ...stats.map(stat => stat.mtimeMs)),
+                size: stats.reduce((sum, stat) => sum + stat.size, 0)
+            });
+        } catch (error) {
+            // Deleted in the meantime, e.g. with its result.
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    return dirs;
+}
+
+/**
+ * Applies the retention policy: deletes expired artifacts, then the oldest until the store
+ * fits its size limit. The newest load's artifacts are always kept. Concurrent calls share
+ * one pass.
+ * @returns {Promise<number>} - How many loads' artifacts were deleted.
+ */
+function pruneArtifacts() {
+    if (!pruning) {
+        pruning = (async () => {
+            const dirs = (await readArtifactDirs()).sort((a, b) => b.createdAt - a.createdAt);
+            const now = Date.now();
+            let total = 0;
+            const expired = dirs.filter((dir, i) => {
+                total += dir.size;
+                return i > 0 && (now - dir.createdAt > MAX_AGE || total > MAX_BYTES);
+            });
+            await deleteArtifacts(expired.map(dir => dir.id));
+            if (expired.length > 0) logger.log(`[ARTIFACTS]: Pruned the artifacts of ${expired.length} page load(s).`);
+            return expired.length;
+        })().finally(() => { pruning = null; });
+    }
+    return pruning;
+}
+
+/**
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+async function deleteArtifacts(ids) {
+    for (const id of ids) {
+        if (!ARTIFACT_ID_PATTERN.test(id)) continue;
+        await fs.promises.rm(path.join(ARTIFACTS_DIR, id), { recursive: true, force: true });
+    }
+}
+
+/**
+ * @param {object[]} runs - Individual runs of a result (with their repeat views).
+ * @returns {string[]} - The ids of the artifacts they reference.
+ */
+function runArtifactIds(runs) {
+    const ids = new Set();
+    const collect = run => {
+        if (!run) return;
+        (run.artifacts || []).forEach(artifact => ids.add(artifact.id));
+        collect(run.repeatView);
+    };
+    (runs || []).forEach(collect);
+    return [...ids];
+}
+
+module.exports = {
+    ARTIFACTS_DIR,
+    ARTIFACT_TYPES,
+    validateArtifacts,
+    summarizeCoverage,
+    saveArtifacts,
+    artifactPath,
+    pruneArtifacts,
+    deleteArtifacts,
+    runArtifactIds
+};
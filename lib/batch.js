@@ -0,0 +1,242 @@
+// lib/batch.js
+// Batch tests: the same mode and rules across many URLs, with a site-wide summary.
+
+/**
+ * @fileoverview Batch testing.
+ *
+ * A batch request is a POST /test body without `url`, plus the pages to test:
+ *
+ * - `urls`        {string[]} Absolute URLs.
+ * - `sitemap`     {string}   The URL of a sitemap.xml, or its XML content. Sitemap indexes are
+ *                            followed one level deep.
+ * - `maxUrls`     {number}   The number of pages to test at most (default 50).
+ * - `concurrency` {number}   How many pages run at the same time, each in its own browser
+ *                            from the pool (default 1). Parallel browsers compete for CPU, so
+ *                            keep it low when absolute numbers matter; the result warns when
+ *                            `concurrency` times `parallelRuns` is too much for the machine.
+ *
+ * Every page is an ordinary test (runs, variants, budgets...). The result lists the median
+ * metrics of each page and summarizes them: the distribution of every metric across the
+ * site, the worst pages per metric and, for A/B batches, how many pages each variant
+ * improved or regressed.
+ */
+
+const cheerio = require('cheerio');
+const fetch = require('node-fetch');
+const { getMedian, getPercentile } = require('./stats');
+const { METRIC_KEYS, parseTestRequest, executeTest, contentionWarning, throwIfAborted } = require('./runner');
+const logger = require('./logger');
+
+const DEFAULT_MAX_URLS = 50;
+const MAX_URLS_LIMIT = 500;
+const MAX_CONCURRENCY = 4;
+// How many of the slowest pages the summary lists per metric.
+const WORST_PAGE_COUNT = 5;
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Extracts the page URLs from a sitemap, following sitemap indexes one level deep.
+ * @param {string} sitemap - A sitemap URL or its XML content.
+ * @param {number} maxUrls
+ * @returns {Promise<string[]>}
+ */
+async function readSitemap(sitemap, maxUrls) {
+    const xml = sitemap.trim().startsWith('<') ? sitemap : await fetchSitemap(sitemap);
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const locs = selector => $(selector).map((i, el) => $(el).text().trim()).get().filter(Boolean);
+
+    const urls = locs('urlset > url > loc');
+    for (const child of locs('sitemapindex > sitemap > loc')) {
+        if (urls.length >= maxUrls) break;
+        const $child = cheerio.load(await fetchSitemap(child), { xmlMode: true });
+        urls.push(...$child('urlset > url > loc').map((i, el) => $child(el).text().trim()).get().filter(Boolean));
+    }
+    return urls;
+}
+
+async function fetchSitemap(url) {
+    if (!/^https?:\/\//.test(url)) throw new Error(`The sitemap must be an http(s) URL or XML content (got "${url}").`);
+    const response = await fetch(url, { timeout: 30000 });
+    if (!response.ok) throw new Error(`Could not fetch the sitemap ${url} (HTTP ${response.status}).`);
+    logger.log(`[BATCH]: Read sitemap ${url}.`);
+    return response.text();
+}
+
+/**
+ * Validates a batch request and resolves its page list (fetching the sitemap if needed).
+ * @param {object} body - The raw JSON request body.
+ * @returns {Promise<{params: object}|{error: string}>} - `params.pages` holds the normalized
+ *   test parameters of every page, or the first validation error.
+ */
+async function parseBatchRequest(body) {
+    const { urls, sitemap, maxUrls = DEFAULT_MAX_URLS, concurrency = 1, ...test } = body || {};
+    if (urls === undefined && sitemap === undefined) return { error: 'A batch needs `urls` or a `sitemap`.' };
+    if (urls !== undefined && (!Array.isArray(urls) || !urls.every(url => typeof url === 'string'))) {
+        return { error: '`urls` must be an array of URLs.' };
+    }
+    if (sitemap !== undefined && (typeof sitemap !== 'string' || sitemap.trim() === '')) {
+        return { error: '`sitemap` must be a sitemap URL or its XML content.' };
+    }
+    if (!isPositiveInteger(maxUrls) || maxUrls > MAX_URLS_LIMIT) return { error: `\`maxUrls\` must be an integer from 1 to ${MAX_URLS_LIMIT}.` };
+    if (!isPositiveInteger(concurrency) || concurrency > MAX_CONCURRENCY) return { error: `\`concurrency\` must be an integer from 1 to ${MAX_CONCURRENCY}.` };
+    if (test.url !== undefined) return { error: 'A batch takes `urls` or a `sitemap` instead of `url`.' };
+    if (test.artifacts !== undefined) return { error: 'Batches do not keep `artifacts`; test the page on its own to get them.' };
+
+    let pageUrls = (urls || []).map(url => url.trim()).filter(Boolean);
+    if (sitemap !== undefined) {
+        try {
+            pageUrls = pageUrls.concat(await readSitemap(sitemap, maxUrls));
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+    pageUrls = [...new Set(pageUrls)];
+    if (pageUrls.length === 0) return { error: 'The batch has no URLs to test.' };
+    const skipped = Math.max(0, pageUrls.length - maxUrls);
+    pageUrls = pageUrls.slice(0, maxUrls);
+
+    const pages = [];
+    for (const url of pageUrls) {
+        if (!/^https?:\/\//.test(url)) return { error: `Not an http(s) URL: "${url}".` };
+        const { params, error } = parseTestRequest({ ...test, url });
+        if (error) return { error };
+        pages.push(params);
+    }
+    return { params: { pages, concurrency, skipped } };
+}
+
+/**
+ * Distribution and worst pages of every metric across the tested pages.
+ * @param {object[]} pages - `{ url, averageMetrics, budget }` of the pages that completed.
+ * @returns {object} - With `view: 'both'`, the repeat view is summarized the same way in `repeatView`.
+ */
+function summarizePages(pages) {
+    const metrics = {};
+    for (const key of METRIC_KEYS) {
+        const values = pages.map(page => page.averageMetrics[key]).filter(value => value != null);
+        metrics[key] = {
+            count: values.length,
+            min: values.length > 0 ? Math.min(...values) : null,
+            p25: getPercentile(values, 25),
+            median: getMedian(values),
+            p75: getPercentile(values, 75),
+            p90: getPercentile(values, 90),
+            max: values.length > 0 ? Math.max(...values) : null,
+            worst: pages
+                .filter(page => page.averageMetrics[key] != null)
+                .sort((a, b) => b.averageMetrics[key] - a.averageMetrics[key])
+                .slice(0, WORST_PAGE_COUNT)
+                .map(page => ({ url: page.url, value: page.averageMetrics[key] }))
+        };
+    }
+    const budgets = { pass: 0, warn: 0, fail: 0 };
+    pages.forEach(page => { if (page.budget) budgets[page.budget.status]++; });
+    if (pages[0].averageMetrics.repeatView) {
+        const repeatView = summarizePages(pages.map(page => ({ url: page.url, averageMetrics: page.averageMetrics.repeatView })));
+        return { metrics, budgets, repeatView };
+    }
+    return { metrics, budgets };
+}
+
+/**
+ * How each variant changed every metric across the site, from the per-page comparisons.
+ * @param {object[]} pages - Completed A/B pages with `comparisons`.
+ * @returns {object[]} - Per non-baseline variant and metric: the median change (absolute and
+ *   in percent) and how many pages significantly improved or regressed.
+ */
+function summarizeComparisons(pages) {
+    return pages[0].comparisons.map(({ baseline, variant }, c) => {
+        const metrics = {};
+        for (const key of METRIC_KEYS) {
+            const perPage = pages.map(page => page.comparisons[c].metrics[key]);
+            metrics[key] = {
+                medianDelta: getMedian(perPage.map(comparison => comparison.delta)),
+                medianDeltaPercent: getMedian(perPage.map(comparison => comparison.deltaPercent)),
+                improved: perPage.filter(comparison => comparison.verdict === 'improvement').length,
+                regressed: perPage.filter(comparison => comparison.verdict === 'regression').length
+            };
+        }
+        return { baseline, variant, metrics };
+    });
+}
+
+/**
+ * Builds the batch summary, per variant for A/B batches.
+ * @param {object[]} pages - The page results of runBatch.
+ * @returns {object}
+ */
+function summarizeBatch(pages) {
+    const completed = pages.filter(page => !page.error);
+    const summary = { pageCount: pages.length, failedPages: pages.length - completed.length };
+    if (completed.length === 0) return summary;
+    if (!completed[0].variants) return { ...summary, ...summarizePages(completed) };
+
+    summary.variants = completed[0].variants.map((variant, v) => ({
+        name: variant.name,
+        ...summarizePages(completed.map(page => ({ url: page.url, ...page.variants[v] })))
+    }));
+    summary.comparisons = summarizeComparisons(completed);
+    return summary;
+}
+
+/**
+ * Tests every page of a batch, `concurrency` at a time. A failing page is reported in the
+ * result instead of failing the batch.
+ * @param {object} params - From parseBatchRequest.
+ * @param {object} [hooks] - `onProgress`, `signal` and `launch`, as for executeTest.
+ * @returns {Promise<object>} - `{ parameters, pages, summary, warnings }`. Pages carry their median
+ *   metrics and budget (per variant in A/B batches), not the individual runs or screenshots.
+ */
+async function runBatch({ pages: pageParams, concurrency, skipped }, { onProgress = () => {}, signal, launch } = {}) {
+    const pages = new Array(pageParams.length);
+    let next = 0;
+    let completedPages = 0;
+    const warnings = [contentionWarning(Math.min(concurrency, pageParams.length) * pageParams[0].parallelRuns)].filter(Boolean);
+    warnings.forEach(warning => logger.log(`[BATCH]: Warning: ${warning}`));
+    logger.log(`[BATCH]: Testing ${pageParams.length} page(s), ${concurrency} at a time${skipped ? ` (${skipped} over maxUrls skipped)` : ''}.`);
+    onProgress({ type: 'stage', stage: 'batch', message: `Testing ${pageParams.length} pages...` });
+
+    const worker = async () => {
+        while (next < pageParams.length && !(signal && signal.aborted)) {
+            const index = next++;
+            const params = pageParams[index];
+            let page;
+            try {
+                const result = await executeTest(params, { signal, launch, screenshot: false, filmstrip: false });
+                page = result.variants
+                    ? {
+                        url: params.url,
+                        variants: result.variants.map(({ name, averageMetrics, budget }) => ({ name, averageMetrics, budget })),
+                        comparisons: result.comparisons
+                    }
+                    : { url: params.url, averageMetrics: result.averageMetrics, budget: result.budget };
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                logger.error(`[BATCH]: ${params.url} failed: ${error && error.message ? error.message : error}`);
+                page = { url: params.url, error: error && error.message ? error.message : String(error) };
+            }
+            pages[index] = page;
+            completedPages++;
+            onProgress({ type: 'page', index, completedPages, totalPages: pageParams.length, page });
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, pageParams.length) }, worker));
+    throwIfAborted(signal);
+
+    // Budgets are resolved per URL, so each page reports its own.
+    const { url, budget, ...parameters } = pageParams[0];
+    logger.log(`[BATCH]: Finished ${pages.length} page(s).`);
+    return {
+        parameters: { ...parameters, urls: pageParams.map(page => page.url), concurrency, skipped },
+        pages,
+        summary: summarizeBatch(pages),
+        warnings
+    };
+}
+
+module.exports = {
+    parseBatchRequest,
+    runBatch,
+    summarizeBatch
+};
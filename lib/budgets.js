@@ -0,0 +1,175 @@
+// lib/budgets.js
+// Performance budgets per URL or URL pattern, and the pass/warn/fail verdicts of a test against them.
+
+/**
+ * @fileoverview Budget registry and evaluation.
+ *
+ * A budget limits the median metrics of a test. Each metric limit is either a number (the
+ * maximum; the test warns from WARN_RATIO of it) or `{ max, warn }` with an explicit warning
+ * threshold. All metrics are "lower is better"; times are in ms, `pageWeight` and
+ * `thirdPartyBytes` in bytes and `CLS` unitless:
+ *
+ *     { "LCP": 2500, "TBT": { "max": 200, "warn": 150 }, "CLS": 0.1, "pageWeight": 1572864 }
+ *
+ * The registry is an array of `{ match, metrics }` entries. The shipped `config/budgets.json` is
+ * empty, so budgets only apply once a team registers them, and it is never written: PUT /budgets
+ * writes `data/budgets.json` (or the `PERF_TESTER_BUDGETS_FILE` environment variable), which is
+ * read instead once it exists. `match` is a URL fragment, or a glob
+ * against the full URL when it contains `*` (e.g. `https://shop.example.com/product/*`). Every
+ * matching entry applies, in file order, so a later (more specific) entry overrides the limits
+ * of an earlier (more general) one. A test request can add its own `budget` on top.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_BUDGETS_FILE = path.join(__dirname, '../config/budgets.json');
+const BUDGETS_FILE = path.resolve(process.env.PERF_TESTER_BUDGETS_FILE || path.join(__dirname, '../data/budgets.json'));
+const BUDGET_METRICS = ['FCP', 'LCP', 'TBT', 'CLS', 'speedIndex', 'INP', 'pageWeight', 'thirdPartyBytes'];
+// A metric warns once it reaches this share of its maximum, unless the budget sets `warn`.
+const WARN_RATIO = 0.9;
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isLimit = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+let budgets = null;
+
+/**
+ * Validates the metric limits of a budget.
+ * @param {*} metrics
+ * @param {string} label - How the budget is named in error messages.
+ * @returns {string|null} - An error message, or null if the limits are valid.
+ */
+function validateBudgetMetrics(metrics, label) {
+    if (!isPlainObject(metrics)) return `${label} must be an object of metric limits.`;
+    for (const [key, limit] of Object.entries(metrics)) {
+        if (!BUDGET_METRICS.includes(key)) return `${label}: unknown metric \`${key}\`. Use one of: ${BUDGET_METRICS.join(', ')}.`;
+        if (isLimit(limit)) continue;
+        if (!isPlainObject(limit) || !isLimit(limit.max) || (limit.warn !== undefined && !isLimit(limit.warn))) {
+            return `${label}: \`${key}\` must be a non-negative number or \`{ max, warn }\`.`;
+        }
+        if (limit.warn !== undefined && limit.warn > limit.max) return `${label}: \`${key}.warn\` cannot be above \`max\`.`;
+    }
+    return null;
+}
+
+/**
+ * Validates the `budget` of a test request.
+ * @param {*} budget - The raw value (may be undefined).
+ * @returns {string|null}
+ */
+function validateBudget(budget) {
+    if (budget === undefined) return null;
+    return validateBudgetMetrics(budget, '`budget`');
+}
+
+/**
+ * Validates a complete budget registry (as submitted to PUT /budgets).
+ * @param {*} entries
+ * @returns {string|null}
+ */
+function validateBudgetList(entries) {
+    if (!Array.isArray(entries)) return 'The budgets must be an array.';
+    for (const [i, entry] of entries.entries()) {
+        const label = `Budget ${i + 1}`;
+        if (!isPlainObject(entry)) return `${label} must be an object.`;
+        if (typeof entry.match !== 'string' || entry.match === '') return `${label} needs a \`match\` URL fragment or pattern.`;
+        const error = validateBudgetMetrics(entry.metrics, `${label} \`metrics\``);
+        if (error) return error;
+    }
+    return null;
+}
+
+function matchesUrl(pattern, url) {
+    if (!pattern.includes('*')) return url.includes(pattern);
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return regex.test(url);
+}
+
+function normalizeLimit(limit) {
+    return typeof limit === 'number' ? { max: limit, warn: limit * WARN_RATIO } : { max: limit.max, warn: limit.warn ?? limit.max * WARN_RATIO };
+}
+
+/**
+ * Collects the budget that applies to a URL: matching registry entries, then the request's own.
+ * @param {string} url
+ * @param {object} [requestBudget] - A validated `budget` from the test request.
+ * @returns {{sources: string[], metrics: object}|null} - Limits as `{ max, warn }` per metric and
+ *   where they came from (the `match` of each entry, or "request"); null if no budget applies.
+ */
+function resolveBudget(url, requestBudget) {
+    const sources = [];
+    const metrics = {};
+    const apply = (limits, source) => {
+        sources.push(source);
+        Object.entries(limits).forEach(([key, limit]) => { metrics[key] = normalizeLimit(limit); });
+    };
+    loadBudgets().filter(entry => matchesUrl(entry.match, url)).forEach(entry => apply(entry.metrics, entry.match));
+    if (requestBudget && Object.keys(requestBudget).length > 0) apply(requestBudget, 'request');
+    return sources.length > 0 ? { sources, metrics } : null;
+}
+
+/**
+ * Judges median metrics against a resolved budget.
+ * @param {object|null} budget - The result of resolveBudget.
+ * @param {object} medianMetrics
+ * @returns {{status: string, sources: string[], metrics: object}|null} - Per metric
+ *   `{ value, max, warn, status }` with status `pass`, `warn`, `fail` or `unknown` (not measured),
+ *   and the worst status overall.
+ */
+function evaluateBudget(budget, medianMetrics) {
+    if (!budget) return null;
+    const metrics = {};
+    let worst = 'pass';
+    Object.entries(budget.metrics).forEach(([key, { max, warn }]) => {
+        const value = medianMetrics[key] ?? null;
+        let status = 'unknown';
+        if (value !== null) {
+            status = value > max ? 'fail' : value >= warn ? 'warn' : 'pass';
+            if (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst)) worst = status;
+        }
+        metrics[key] = { value, max, warn, status };
+    });
+    return { status: worst, sources: budget.sources, metrics };
+}
+
+function loadBudgets() {
+    if (budgets) return budgets;
+    const file = [BUDGETS_FILE, DEFAULT_BUDGETS_FILE].find(candidate => fs.existsSync(candidate));
+    budgets = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    logger.log(`[BUDGETS]: Loaded ${budgets.length} budget(s) from ${file || BUDGETS_FILE}.`);
+    return budgets;
+}
+
+/**
+ * @returns {object[]} - The registered budgets, in file order.
+ */
+function listBudgets() {
+    return loadBudgets();
+}
+
+/**
+ * Replaces the registry and writes it to BUDGETS_FILE.
+ * @param {object[]} entries - Budgets that passed validateBudgetList.
+ * @returns {Promise<object[]>}
+ */
+async function saveBudgets(entries) {
+    const stored = entries.map(({ match, metrics }) => ({ match, metrics }));
+    await fs.promises.mkdir(path.dirname(BUDGETS_FILE), { recursive: true });
+    await fs.promises.writeFile(BUDGETS_FILE, JSON.stringify(stored, null, 4) + '\n');
+    budgets = stored;
+    logger.log(`[BUDGETS]: Saved ${stored.length} budget(s).`);
+    return stored;
+}
+
+module.exports = {
+    BUDGET_METRICS,
+    validateBudget,
+    validateBudgetList,
+    resolveBudget,
+    evaluateBudget,
+    listBudgets,
+    saveBudgets
+};
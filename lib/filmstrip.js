@@ -0,0 +1,114 @@
+// lib/filmstrip.js
+// Visual progress, visual timings and a filmstrip from the screenshots in a run's trace.
+
+/**
+ * @fileoverview Visual analysis of a page load.
+ *
+ * The trace of every run records a screenshot whenever the page's rendering changes. speedline
+ * turns these frames into a visual progress curve (how close each frame is to the final one,
+ * by color histogram) and the Speed Index. This module keeps, per run:
+ *
+ * - `visualProgress`: The curve, as `{ time, progress }` points where the progress changed.
+ * - `visuallyComplete`: When the page first reached its final look (100% progress).
+ * - `lastVisualChange`: When the last frame that differs from its predecessor was drawn, e.g.
+ *   a late banner or carousel slide.
+ * - `filmstrip`: What the page looked like at fixed intervals, from the start of the load until
+ *   its last visual change. The interval is the shortest of FILMSTRIP_INTERVALS that keeps the
+ *   filmstrip within MAX_FILMSTRIP_FRAMES frames; as each interval is a multiple of the shorter
+ *   ones, filmstrips of different runs can be aligned on the longer interval. Frames carry a
+ *   JPEG thumbnail only when the page changed since the previous frame.
+ *
+ * All times are in milliseconds from the start of the trace, like the Speed Index.
+ */
+
+const FILMSTRIP_INTERVALS = [100, 200, 400, 800, 1600, 3200];
+const MAX_FILMSTRIP_FRAMES = 60;
+const THUMBNAIL_WIDTH = 200;
+const THUMBNAIL_QUALITY = 70;
+
+/**
+ * Scales a decoded frame down to THUMBNAIL_WIDTH (nearest neighbour) and encodes it as JPEG.
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels.
+ * @returns {string} - The base64-encoded JPEG.
+ */
+function thumbnail(image) {
+    const jpeg = require('jpeg-js');
+    const scale = Math.min(1, THUMBNAIL_WIDTH / image.width);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const sourceRow = Math.min(image.height - 1, Math.floor(y / scale)) * image.width;
+        for (let x = 0; x < width; x++) {
+            const source = (sourceRow + Math.min(image.width - 1, Math.floor(x / scale))) * 4;
+            const target = (y * width + x) * 4;
+            for (let channel = 0; channel < 4; channel++) data[target + channel] = image.data[source + channel];
+        }
+    }
+    return jpeg.encode({ data, width, height }, THUMBNAIL_QUALITY).data.toString('base64');
+}
+
+/**
+ * Picks the filmstrip interval for a load whose last visual change is at `end`.
+ * @param {number} end
+ * @returns {number}
+ */
+function filmstripInterval(end) {
+    return FILMSTRIP_INTERVALS.find(interval => Math.ceil(end / interval) + 1 <= MAX_FILMSTRIP_FRAMES)
+        || FILMSTRIP_INTERVALS[FILMSTRIP_INTERVALS.length - 1];
+}
+
+/**
+ * Analyzes the screenshots of a trace.
+ * @param {string} traceFile - Path to the trace JSON, recorded with `screenshots: true`.
+ * @param {object} [options]
+ * @param {boolean} [options.filmstrip=true] - Also build the filmstrip (encoding its
+ *   thumbnails is the expensive part).
+ * @returns {Promise<{speedIndex: number, visuallyComplete: ?number, lastVisualChange: number,
+ *   visualProgress: object[], filmstrip: ?object}>}
+ */
+async function analyzeVisualProgress(traceFile, { filmstrip: withFilmstrip = true } = {}) {
+    const speedline = require('speedline');
+    const result = await speedline(traceFile, { include: 'speedIndex' });
+    const frames = result.frames.map(frame => ({
+        frame,
+        time: Math.max(0, Math.round(frame.getTimeStamp() - result.beginning)),
+        progress: Math.round(frame.getProgress())
+    }));
+
+    const visualProgress = frames.filter((entry, i) => i === 0 || entry.progress !== frames[i - 1].progress)
+        .map(({ time, progress }) => ({ time, progress }));
+    // speedline drops frames identical to their predecessor, so the last one is the last change.
+    const lastVisualChange = frames[frames.length - 1].time;
+
+    let filmstrip = null;
+    if (withFilmstrip) {
+        const interval = filmstripInterval(lastVisualChange);
+        const slots = [];
+        let previous = null;
+        for (let time = 0; time <= lastVisualChange + interval - 1; time += interval) {
+            // The frame on screen at `time`: the last one drawn at or before it.
+            let index = 0;
+            while (index + 1 < frames.length && frames[index + 1].time <= time) index++;
+            const entry = frames[index];
+            const slot = { time, progress: entry.progress };
+            if (index !== previous) slot.image = thumbnail(entry.frame.getParsedImage());
+            previous = index;
+            slots.push(slot);
+        }
+        filmstrip = { interval, frames: slots };
+    }
+
+    return {
+        speedIndex: result.speedIndex,
+        visuallyComplete: Number.isFinite(result.complete) ? result.complete : null,
+        lastVisualChange,
+        visualProgress,
+        filmstrip
+    };
+}
+
+module.exports = {
+    FILMSTRIP_INTERVALS,
+    analyzeVisualProgress
+};
@@ -0,0 +1,312 @@
+// lib/flows.js
+// Multi-step user flows: consent banners, logins and client-side navigation before (and after) the measured page load.
+
+/**
+ * @fileoverview Validation and playback of the `steps` of a test request.
+ *
+ * A flow replaces the single `page.goto(url)` of a run with a script. Its steps are the
+ * interaction steps of lib/interactions.js (`click`, `type`, `fill`, `press`, `scroll`, `wait`
+ * and `waitForSelector`, validated and played by the same code), plus:
+ *
+ * - `goto`            {url?, measure?}           Navigates and waits for `load`. `url` defaults to the
+ *                                                test URL and may be relative to it.
+ * - `setCookie`       {name, value, url?, domain?, path?}  Sets a cookie (for the test URL by default).
+ * - `setLocalStorage` {key, value, origin?}      Sets a localStorage item for an origin (the test URL's
+ *                                                by default), also for documents loaded later.
+ *
+ * A `click` in a flow also waits for the page to settle. A click that changes the URL without
+ * loading a new document is timed as a soft navigation.
+ *
+ * Every step may set `optional: true`: if it fails (e.g. a consent banner that did not show up)
+ * the flow continues. Any other failing step fails the run.
+ *
+ * The full load metrics (FCP, LCP, TBT, CLS, Speed Index, trace) are collected for one `goto`:
+ * the one marked `measure: true`, or the last one. Every step reports its own timing.
+ */
+
+const { getMedian } = require('./stats');
+const interactions = require('./interactions');
+const logger = require('./logger');
+
+const FLOW_ACTIONS = ['goto', ...interactions.INTERACTION_ACTIONS, 'setCookie', 'setLocalStorage'];
+// Flow steps often wait for a page that is still loading, e.g. a consent banner.
+const SELECTOR_TIMEOUT_MS = 10000;
+const NAVIGATION_TIMEOUT_MS = 90000;
+// A page has settled once neither the DOM nor the network changed for this long.
+const QUIET_WINDOW_MS = 500;
+const SETTLE_TIMEOUT_MS = 15000;
+
+// Step result fields that are aggregated across runs.
+const STEP_METRIC_KEYS = ['duration', 'urlChange', 'interactionLatency', 'requestCount', 'FCP', 'LCP', 'CLS'];
+
+const { isNonEmptyString } = interactions;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Validates the `steps` array of a test request.
+ * @param {*} steps - The raw value (may be undefined).
+ * @returns {string|null} - An error message, or null if the flow is valid.
+ */
+function validateSteps(steps) {
+    if (steps === undefined) return null;
+    if (!Array.isArray(steps) || steps.length === 0) return '`steps` must be a non-empty array.';
+    for (const [i, step] of steps.entries()) {
+        const label = `\`steps[${i}]\``;
+        if (!step || typeof step !== 'object' || Array.isArray(step)) return `${label} must be an object.`;
+        if (!FLOW_ACTIONS.includes(step.action)) return `${label}: \`action\` must be one of: ${FLOW_ACTIONS.join(', ')}.`;
+        const error = interactions.validateStep(step, label);
+        if (error) return error;
+        if (step.action === 'setCookie' && (!isNonEmptyString(step.name) || typeof step.value !== 'string')) {
+            return `${label}: \`setCookie\` needs a \`name\` and a string \`value\`.`;
+        }
+        if (step.action === 'setLocalStorage' && (!isNonEmptyString(step.key) || typeof step.value !== 'string')) {
+            return `${label}: \`setLocalStorage\` needs a \`key\` and a string \`value\`.`;
+        }
+        if (step.url !== undefined && !isNonEmptyString(step.url)) return `${label}: \`url\` must be a non-empty string.`;
+        if (step.measure !== undefined && typeof step.measure !== 'boolean') return `${label}: \`measure\` must be a boolean.`;
+        if (step.measure && step.action !== 'goto') return `${label}: only \`goto\` steps can be measured.`;
+        if (step.optional !== undefined && typeof step.optional !== 'boolean') return `${label}: \`optional\` must be a boolean.`;
+    }
+    if (!steps.some(step => step.action === 'goto')) return '`steps` must contain at least one `goto`.';
+    if (steps.filter(step => step.measure).length > 1) return 'Only one step can have `measure: true`.';
+    return null;
+}
+
+/**
+ * Turns the request into a flow: the given steps with absolute URLs, or a single `goto`.
+ * @param {object[]|undefined} steps - Validated steps.
+ * @param {string} url - The test URL.
+ * @returns {{steps: object[], measuredIndex: number}}
+ */
+function resolveFlow(steps, url) {
+    const flow = (steps || [{ action: 'goto' }]).map(step => {
+        const resolved = { ...step };
+        if (step.action === 'goto') resolved.url = new URL(step.url || url, url).href;
+        if (step.action === 'setCookie' && !step.domain) resolved.url = new URL(step.url || url, url).href;
+        if (step.action === 'setLocalStorage') resolved.origin = new URL(step.origin || url, url).origin;
+        return resolved;
+    });
+    const marked = flow.findIndex(step => step.measure);
+    const lastGoto = flow.map(step => step.action).lastIndexOf('goto');
+    return { steps: flow, measuredIndex: marked !== -1 ? marked : lastGoto };
+}
+
+/**
+ * Tracks in-flight requests so steps can wait for the network to go quiet.
+ * @param {object} page - The Puppeteer page.
+ * @returns {{pending: function(): number, lastActivity: function(): number, requestCount: function(): number, dispose: function(): void}}
+ */
+function trackActivity(page) {
+    const inFlight = new Set();
+    let lastActivity = Date.now();
+    let requestCount = 0;
+    const onRequest = request => {
+        inFlight.add(request);
+        requestCount++;
+        lastActivity = Date.now();
+    };
+    const onDone = request => {
+        inFlight.delete(request);
+        lastActivity = Date.now();
+    };
+    page.on('request', onRequest);
+    page.on('requestfinished', onDone);
+    page.on('requestfailed', onDone);
+    return {
+        pending: () => inFlight.size,
+        lastActivity: () => lastActivity,
+        requestCount: () => requestCount,
+        dispose() {
+            page.off('request', onRequest);
+            page.off('requestfinished', onDone);
+            page.off('requestfailed', onDone);
+        }
+    };
+}
+
+/**
+ * Waits until the DOM and the network have been quiet for QUIET_WINDOW_MS.
+ * @param {object} page
+ * @param {object} activity - From trackActivity.
+ * @returns {Promise<number>} - When the page settled (Date.now() of its last change).
+ */
+async function waitForSettle(page, activity) {
+    const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        // The document may be replaced mid-check by a navigation; treat that as activity.
+        const sinceMutation = await page.evaluate(() => performance.now() - (window.__lastMutation || 0)).catch(() => 0);
+        const sinceRequest = Date.now() - activity.lastActivity();
+        if (activity.pending() === 0 && sinceRequest >= QUIET_WINDOW_MS && sinceMutation >= QUIET_WINDOW_MS) {
+            return Date.now() - Math.min(sinceRequest, sinceMutation);
+        }
+        await sleep(100);
+    }
+    logger.log(`[FLOW]: Page did not settle within ${SETTLE_TIMEOUT_MS / 1000}s; continuing.`);
+    return Date.now();
+}
+
+/**
+ * Reads the load metrics of the current document from the injected observers.
+ * @param {object} page
+ * @returns {Promise<{FCP: ?number, LCP: ?number, CLS: ?number}>}
+ */
+async function snapshotLoadMetrics(page) {
+    return page.evaluate(() => {
+        const paint = performance.getEntriesByName('first-contentful-paint')[0];
+        return {
+            FCP: paint ? paint.startTime : null,
+            LCP: window.__getFinalLcp ? window.__getFinalLcp() : null,
+            CLS: window.__getAdditionalMetrics ? window.__getAdditionalMetrics(0).CLS : null
+        };
+    }).catch(() => ({ FCP: null, LCP: null, CLS: null }));
+}
+
+/**
+ * Plays one (unmeasured) step of a flow.
+ * @param {object} page - The Puppeteer page.
+ * @param {object} step - A step from resolveFlow.
+ * @param {number} index - The position of the step in the flow.
+ * @returns {Promise<object>} - The step result: `{ index, action, url, navigation, duration, requestCount }`.
+ *   Steps that load a document add its `FCP`, `LCP` and `CLS`; clicks add `urlChange` (when the
+ *   URL changed without a new document, `navigation: 'soft'`) and `interactionLatency`. Times are
+ *   in ms from the start of the step (FCP and LCP from the start of the navigation); the
+ *   `duration` of a click lasts until the page settled. A failed optional step has an `error` instead.
+ * @throws {Error} If a step that is not optional fails.
+ */
+async function playStep(page, step, index) {
+    const result = { index, action: step.action, url: null, navigation: null, duration: null, requestCount: 0 };
+    const activity = trackActivity(page);
+    try {
+        Object.assign(result, await runStep(page, step, activity));
+        logger.log(`[FLOW]: #${index + 1} ${describeStep(step)} (${result.duration != null ? `${result.duration.toFixed(0)}ms` : 'done'})`);
+    } catch (error) {
+        if (!step.optional) throw new Error(`Step #${index + 1} (${describeStep(step)}) failed: ${error.message}`);
+        logger.log(`[FLOW]: Optional step #${index + 1} ${describeStep(step)} skipped: ${error.message}`);
+        result.error = error.message;
+    } finally {
+        activity.dispose();
+    }
+    result.requestCount = activity.requestCount();
+    result.url = page.url();
+    return result;
+}
+
+async function runStep(page, step, activity) {
+    const startedAt = Date.now();
+    const elapsed = () => Date.now() - startedAt;
+    switch (step.action) {
+        case 'goto': {
+            await page.goto(step.url, { waitUntil: 'load', timeout: NAVIGATION_TIMEOUT_MS });
+            const duration = elapsed();
+            await waitForSettle(page, activity);
+            return { navigation: 'hard', duration, ...await snapshotLoadMetrics(page) };
+        }
+        case 'click':
+            return playClick(page, step, activity);
+        case 'setCookie': {
+            const cookie = { name: step.name, value: step.value };
+            ['url', 'domain', 'path'].forEach(key => { if (step[key]) cookie[key] = step[key]; });
+            await page.setCookie(cookie);
+            return { duration: elapsed() };
+        }
+        case 'setLocalStorage':
+            await setLocalStorage(page, step);
+            return { duration: elapsed() };
+        default:
+            await interactions.runStep(page, step, { selectorTimeout: SELECTOR_TIMEOUT_MS });
+            return { duration: elapsed() };
+    }
+}
+
+/**
+ * Clicks an element and times what follows: a full navigation, a soft (client-side)
+ * navigation or an in-page update.
+ */
+async function playClick(page, step, activity) {
+    await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout || SELECTOR_TIMEOUT_MS });
+
+    let hardNavigation = false;
+    const onRequest = request => {
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) hardNavigation = true;
+    };
+    page.on('request', onRequest);
+    try {
+        const pageStart = await page.evaluate(() => performance.now());
+        const startedAt = Date.now();
+        await interactions.runStep(page, step, { selectorTimeout: SELECTOR_TIMEOUT_MS });
+        await sleep(100); // Let the click's effects begin.
+        if (hardNavigation) {
+            await page.waitForFunction(() => document.readyState === 'complete', { timeout: NAVIGATION_TIMEOUT_MS });
+        }
+        const settledAt = await waitForSettle(page, activity);
+
+        if (hardNavigation) {
+            return {
+                navigation: 'hard',
+                duration: Math.max(0, settledAt - startedAt),
+                ...await snapshotLoadMetrics(page)
+            };
+        }
+        // Event timing entries are delivered after the next paint.
+        await sleep(200);
+        const soft = await page.evaluate(start => {
+            const change = (window.__urlChanges || []).find(entry => entry.time >= start);
+            return {
+                urlChange: change ? change.time - start : null,
+                interactionLatency: window.__getInteractionLatencySince ? window.__getInteractionLatencySince(start) : null
+            };
+        }, pageStart);
+        return {
+            navigation: soft.urlChange != null ? 'soft' : null,
+            duration: Math.max(0, settledAt - startedAt),
+            ...soft
+        };
+    } finally {
+        page.off('request', onRequest);
+    }
+}
+
+/**
+ * Sets a localStorage item for documents of the step's origin, including ones loaded later.
+ */
+async function setLocalStorage(page, { origin, key, value }) {
+    await page.evaluateOnNewDocument((origin, key, value) => {
+        if (location.origin === origin) localStorage.setItem(key, value);
+    }, origin, key, value);
+    if (new URL(page.url()).origin === origin) {
+        await page.evaluate((key, value) => localStorage.setItem(key, value), key, value);
+    }
+}
+
+/**
+ * Computes the median of every step metric across runs.
+ * @param {object[][]} runSteps - The `steps` results of each run.
+ * @returns {object[]} - One entry per step with the median of each metric in STEP_METRIC_KEYS.
+ */
+function aggregateSteps(runSteps) {
+    if (runSteps.length === 0) return [];
+    return runSteps[0].map((step, i) => {
+        const summary = { index: step.index, action: step.action, url: step.url, navigation: step.navigation, measured: Boolean(step.measured) };
+        STEP_METRIC_KEYS.forEach(key => {
+            summary[key] = getMedian(runSteps.map(steps => steps[i]?.[key] ?? null));
+        });
+        summary.failedRuns = runSteps.filter(steps => steps[i]?.error).length;
+        return summary;
+    });
+}
+
+function describeStep(step) {
+    switch (step.action) {
+        case 'goto': return `goto ${step.url}`;
+        case 'setCookie': return `set cookie ${step.name}`;
+        case 'setLocalStorage': return `set localStorage ${step.key}`;
+        default: return interactions.describeStep(step);
+    }
+}
+
+module.exports = {
+    validateSteps,
+    resolveFlow,
+    playStep,
+    aggregateSteps
+};
@@ -0,0 +1,176 @@
+// lib/interactions.js
+// Scripted user interactions that run after the page has loaded, so INP can be measured.
+
+/**
+ * @fileoverview Validation and playback of the `interactions` of a test request.
+ *
+ * Each step is an object with an `action`:
+ *
+ * - `click`           {selector}        Waits for the element and clicks it.
+ * - `type`            {selector, text}  Focuses the element and types the text, one key at a time.
+ * - `fill`            {selector, text}  Replaces the value of an input at once.
+ * - `press`           {key}             Presses a single key, e.g. "Enter" or "Escape".
+ * - `scroll`          {y?, selector?}   Scrolls by `y` pixels (default: one viewport) with the
+ *                                       mouse wheel, or scrolls the element into view.
+ * - `wait`            {ms}              Waits for a fixed time.
+ * - `waitForSelector` {selector}        Waits until an element is visible.
+ *
+ * Steps with a `selector` wait up to SELECTOR_TIMEOUT_MS for it, or `timeout` ms. The same
+ * steps make up most of a flow (see lib/flows.js), which reuses validateStep, runStep and
+ * describeStep. The typed text may be a password, so it is never logged.
+ *
+ * A step that fails (e.g. the selector never appears) is logged and skipped; the remaining
+ * steps still run so that one broken selector does not discard the whole run.
+ */
+
+const logger = require('./logger');
+
+const INTERACTION_ACTIONS = ['click', 'type', 'fill', 'press', 'scroll', 'wait', 'waitForSelector'];
+const SELECTOR_ACTIONS = ['click', 'type', 'fill', 'waitForSelector'];
+// How long a step waits for its selector to appear, unless it sets `timeout`.
+const SELECTOR_TIMEOUT_MS = 5000;
+// Upper bound for a `wait` step, so a typo cannot hang a run.
+const MAX_WAIT_MS = 30000;
+
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+
+/**
+ * Validates the `interactions` array of a test request.
+ * @param {*} interactions - The raw value (may be undefined).
+ * @returns {string|null} - An error message, or null if the steps are valid.
+ */
+function validateInteractions(interactions) {
+    if (interactions === undefined) return null;
+    if (!Array.isArray(interactions)) return '`interactions` must be an array.';
+    for (const [i, step] of interactions.entries()) {
+        const label = `\`interactions[${i}]\``;
+        if (!step || typeof step !== 'object' || Array.isArray(step)) return `${label} must be an object.`;
+        if (!INTERACTION_ACTIONS.includes(step.action)) {
+            return `${label}: \`action\` must be one of: ${INTERACTION_ACTIONS.join(', ')}.`;
+        }
+        const error = validateStep(step, label);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Validates the fields of one step: those its action needs, if it is one of the
+ * INTERACTION_ACTIONS, and `timeout`.
+ * @param {object} step - A step object with a known `action`.
+ * @param {string} label - How the step is named in error messages.
+ * @returns {string|null} - An error message, or null if the fields are valid.
+ */
+function validateStep(step, label) {
+    if (SELECTOR_ACTIONS.includes(step.action) && !isNonEmptyString(step.selector)) {
+        return `${label}: \`${step.action}\` needs a \`selector\`.`;
+    }
+    if (['type', 'fill'].includes(step.action) && typeof step.text !== 'string') {
+        return `${label}: \`${step.action}\` needs a string \`text\`.`;
+    }
+    if (step.action === 'press' && !isNonEmptyString(step.key)) return `${label}: \`press\` needs a \`key\`.`;
+    if (step.action === 'scroll') {
+        if (step.y !== undefined && !Number.isFinite(step.y)) return `${label}: \`y\` must be a number.`;
+        if (step.selector !== undefined && !isNonEmptyString(step.selector)) return `${label}: \`selector\` must be a non-empty string.`;
+    }
+    if (step.action === 'wait' && !(Number.isFinite(step.ms) && step.ms >= 0 && step.ms <= MAX_WAIT_MS)) {
+        return `${label}: \`wait\` needs \`ms\` between 0 and ${MAX_WAIT_MS}.`;
+    }
+    if (step.timeout !== undefined && !(Number.isFinite(step.timeout) && step.timeout > 0)) {
+        return `${label}: \`timeout\` must be a positive number of milliseconds.`;
+    }
+    return null;
+}
+
+/**
+ * Plays the interaction steps on a loaded page.
+ * @param {object} page - The Puppeteer page.
+ * @param {object[]} interactions - Validated steps.
+ * @returns {Promise<object[]>} - One `{ index, action, error }` entry per step that failed.
+ */
+async function runInteractions(page, interactions) {
+    const errors = [];
+    for (const [index, step] of interactions.entries()) {
+        try {
+            await runStep(page, step);
+            logger.log(`[INTERACTION]: #${index + 1} ${describeStep(step)}`);
+        } catch (error) {
+            logger.error(`[INTERACTION]: #${index + 1} ${describeStep(step)} failed: ${error.message}`);
+            errors.push({ index, action: step.action, error: error.message });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Plays one step whose action is one of the INTERACTION_ACTIONS.
+ * @param {object} page - The Puppeteer page.
+ * @param {object} step - A validated step.
+ * @param {object} [options]
+ * @param {number} [options.selectorTimeout] - How long to wait for the selector when the step
+ *   sets no `timeout` (flows wait longer, as their pages are still loading).
+ * @returns {Promise<void>}
+ */
+async function runStep(page, step, { selectorTimeout = SELECTOR_TIMEOUT_MS } = {}) {
+    const timeout = step.timeout || selectorTimeout;
+    switch (step.action) {
+        case 'click':
+            await page.waitForSelector(step.selector, { visible: true, timeout });
+            await page.click(step.selector);
+            break;
+        case 'type':
+            await page.waitForSelector(step.selector, { visible: true, timeout });
+            // A short delay between keys, like a (fast) human, so every key is its own interaction.
+            await page.type(step.selector, step.text, { delay: 50 });
+            break;
+        case 'fill':
+            await page.locator(step.selector).setTimeout(timeout).fill(step.text);
+            break;
+        case 'press':
+            await page.keyboard.press(step.key);
+            break;
+        case 'scroll':
+            if (step.selector) {
+                await page.waitForSelector(step.selector, { timeout });
+                await page.$eval(step.selector, element => element.scrollIntoView());
+            } else {
+                const viewport = page.viewport();
+                await page.mouse.move(viewport.width / 2, viewport.height / 2);
+                await page.mouse.wheel({ deltaY: step.y ?? viewport.height });
+            }
+            break;
+        case 'wait':
+            await new Promise(resolve => setTimeout(resolve, step.ms));
+            break;
+        case 'waitForSelector':
+            await page.waitForSelector(step.selector, { visible: true, timeout });
+            break;
+    }
+}
+
+/**
+ * @param {object} step
+ * @returns {string} - The step for log lines, without the text it types.
+ */
+function describeStep(step) {
+    switch (step.action) {
+        case 'click': return `click ${step.selector}`;
+        case 'type': return `type "***" into ${step.selector}`;
+        case 'fill': return `fill ${step.selector}`;
+        case 'press': return `press ${step.key}`;
+        case 'scroll': return step.selector ? `scroll to ${step.selector}` : `scroll by ${step.y ?? 'one viewport'}`;
+        case 'wait': return `wait ${step.ms}ms`;
+        case 'waitForSelector': return `wait for ${step.selector}`;
+        default: return step.action;
+    }
+}
+
+module.exports = {
+    INTERACTION_ACTIONS,
+    isNonEmptyString,
+    validateInteractions,
+    validateStep,
+    runInteractions,
+    runStep,
+    describeStep
+};
@@ -0,0 +1,223 @@
+// lib/jobs.js
+// In-memory job queue that runs long performance tests outside of the HTTP request lifecycle.
+
+/**
+ * @fileoverview A minimal asynchronous job queue.
+ *
+ * A job wraps one call to an async `task(job, { onProgress, signal })` function. Jobs run
+ * one at a time, in submission order, because concurrent browser runs on the same machine
+ * would skew each other's measurements. Synchronous `POST /test` requests go through the same
+ * queue and wait for their job with waitForJob().
+ *
+ * Every job keeps an ordered list of events (`status`, `progress`, `result`, `error`) so that
+ * a Server-Sent Events client connecting late can replay what it missed before receiving
+ * live updates.
+ *
+ * NOTE: Jobs live in the memory of the current process. They survive as long as the server
+ * does (`npm start` / `npm run dev`), but not across separate serverless invocations: on
+ * Vercel a function is frozen once it has responded, so a job submitted with a 202 stalls, and
+ * a later request may reach another instance that does not know it. There, use the
+ * synchronous `POST /test`, which runs within its own request.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+// Finished jobs are kept around for this long so clients can still fetch their results.
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const jobs = new Map();
+const queue = [];
+let runningJob = null;
+
+/**
+ * Creates a job and puts it in the queue.
+ * @param {object} params - The parameters the job was submitted with (returned by getJob).
+ * @param {function(object, object): Promise<object>} task - The work to perform. Receives the
+ *   job and `{ onProgress, signal }`, and resolves with the job result.
+ * @returns {object} - The new job.
+ */
+function createJob(params, task) {
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        params,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        progress: [],
+        result: null,
+        error: null,
+        events: [],
+        emitter: new EventEmitter(),
+        controller: new AbortController(),
+        task
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    pushEvent(job, 'status', { status: job.status, position: queue.length });
+    logger.log(`[JOBS]: Job ${job.id} queued (position ${queue.length}).`);
+    processQueue();
+    return job;
+}
+
+/**
+ * Looks up a job by id.
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function getJob(id) {
+    return jobs.get(id);
+}
+
+/**
+ * Cancels a queued or running job. Finished jobs are left untouched.
+ * @param {string} id
+ * @returns {boolean} - True if the job was cancelled.
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) return false;
+
+    logger.log(`[JOBS]: Cancelling job ${id} (${job.status}).`);
+    const queueIndex = queue.indexOf(job);
+    if (queueIndex !== -1) {
+        queue.splice(queueIndex, 1);
+    }
+    job.controller.abort();
+    // A running job finishes once its task notices the abort signal; a queued one never starts.
+    if (job.status === 'queued') {
+        finishJob(job, 'cancelled');
+    }
+    return true;
+}
+
+/**
+ * Waits for a job to finish.
+ * @param {object} job
+ * @returns {Promise<object>} - Resolves with the job's result; rejects with an Error carrying
+ *   its error message if it failed, or an AbortError if it was cancelled.
+ */
+function waitForJob(job) {
+    return new Promise((resolve, reject) => {
+        const settle = () => {
+            job.emitter.off('event', onEvent);
+            if (job.status === 'completed') return resolve(job.result);
+            const error = new Error(job.status === 'cancelled' ? 'Test was cancelled.' : job.error);
+            if (job.status === 'cancelled') error.name = 'AbortError';
+            reject(error);
+        };
+        const onEvent = () => { if (isFinished(job)) settle(); };
+        if (isFinished(job)) return settle();
+        job.emitter.on('event', onEvent);
+    });
+}
+
+/**
+ * Subscribes to a job's events. Past events are replayed synchronously first.
+ * @param {string} id
+ * @param {function(string, object): void} listener - Called with (eventName, data).
+ * @returns {function(): void} - Unsubscribe function.
+ */
+function subscribe(id, listener) {
+    const job = jobs.get(id);
+    if (!job) return () => {};
+    job.events.forEach(event => listener(event.name, event.data));
+    const handler = event => listener(event.name, event.data);
+    job.emitter.on('event', handler);
+    return () => job.emitter.off('event', handler);
+}
+
+/**
+ * Returns the public, JSON-serializable view of a job.
+ * @param {object} job
+ * @returns {object}
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        position: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        params: job.params,
+        progress: job.progress,
+        result: job.result,
+        error: job.error
+    };
+}
+
+/**
+ * @param {object} job
+ * @returns {boolean} - True if the job has completed, failed or been cancelled.
+ */
+function isFinished(job) {
+    return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+function pushEvent(job, name, data) {
+    const event = { name, data };
+    job.events.push(event);
+    job.emitter.emit('event', event);
+}
+
+function finishJob(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.result = result;
+    job.error = error;
+    if (status === 'completed') {
+        pushEvent(job, 'result', result);
+    } else if (status === 'failed') {
+        pushEvent(job, 'error', { error });
+    }
+    pushEvent(job, 'status', { status });
+    logger.log(`[JOBS]: Job ${job.id} ${status}.`);
+
+    // Drop the task closure and schedule the job for removal.
+    job.task = null;
+    setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+}
+
+async function processQueue() {
+    if (runningJob || queue.length === 0) return;
+
+    const job = queue.shift();
+    runningJob = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    pushEvent(job, 'status', { status: job.status });
+    queue.forEach((queued, i) => pushEvent(queued, 'status', { status: queued.status, position: i + 1 }));
+
+    try {
+        const result = await job.task(job, {
+            signal: job.controller.signal,
+            onProgress: progress => {
+                job.progress.push(progress);
+                pushEvent(job, 'progress', progress);
+            }
+        });
+        finishJob(job, 'completed', { result });
+    } catch (error) {
+        if (job.controller.signal.aborted) {
+            finishJob(job, 'cancelled');
+        } else {
+            finishJob(job, 'failed', { error: error && error.message ? error.message : String(error) });
+        }
+    } finally {
+        runningJob = null;
+        processQueue();
+    }
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    cancelJob,
+    waitForJob,
+    subscribe,
+    serializeJob,
+    isFinished
+};
@@ -0,0 +1,36 @@
+// lib/logger.js
+// Where the engine's `[PREFIX]:` log lines go.
+
+/**
+ * @fileoverview The engine's logger.
+ *
+ * The modules in lib/ log every step through `log` and `error` instead of calling `console`
+ * directly, so a host can send those lines elsewhere without touching the global console. The
+ * server keeps the default (the console). The CLI keeps stdout for its result table: it sends
+ * the engine's lines to stderr with `--verbose` and drops all but the errors otherwise.
+ */
+
+let sink = console;
+
+/**
+ * Sends the engine's log lines to another logger.
+ * @param {{log: Function, error: Function}|null} logger An object with `log` and `error` methods,
+ *   or null for the console.
+ */
+function setLogger(logger) {
+    sink = logger || console;
+}
+
+function log(...args) {
+    sink.log(...args);
+}
+
+function error(...args) {
+    sink.error(...args);
+}
+
+module.exports = {
+    setLogger,
+    log,
+    error
+};
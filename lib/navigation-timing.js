@@ -0,0 +1,175 @@
+// lib/navigation-timing.js
+// The navigation timing breakdown of the measured document: network phases, milestones and Server-Timing.
+
+/**
+ * @fileoverview Navigation timing breakdown.
+ *
+ * The interceptor fetches every document on the browser's behalf (see fetchAndRespond in
+ * lib/runner.js), so the browser's own Navigation Timing shows no DNS, connect or TLS phases
+ * and its `responseStart` only comes once the whole document was fetched. The network phases
+ * are therefore timed on that server-side fetch, over a fresh connection like the one of a
+ * fresh browser context:
+ *
+ * - `redirect`  Until the last redirect hop was requested (0 without redirects).
+ * - `dns`       DNS lookup.
+ * - `connect`   TCP connection.
+ * - `tls`       TLS handshake (0 for http).
+ * - `wait`      From the connection until the response headers arrived: the server's think time.
+ * - `download`  The response body.
+ *
+ * They are measured from the test server without the network throttling of the run. The
+ * browser adds the milestones, in ms since navigation start: `TTFB` (when the request started
+ * plus the phases up to the first byte), `domInteractive`, `domContentLoaded` and `load` (the
+ * start of the DOMContentLoaded and load events). `serverTiming` holds the parsed
+ * `Server-Timing` header of the document: `{ name, duration, description }` per metric.
+ */
+
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+const { getMedian } = require('./stats');
+
+const PHASE_KEYS = ['redirect', 'dns', 'connect', 'tls', 'wait', 'download'];
+const MILESTONE_KEYS = ['TTFB', 'domInteractive', 'domContentLoaded', 'load'];
+
+/**
+ * Parses a `Server-Timing` header, e.g. `db;dur=53.2, cache;desc="Cache Read";dur=23.2, miss`.
+ * @param {?string} header
+ * @returns {Array<{name: string, duration: ?number, description: ?string}>}
+ */
+function parseServerTiming(header) {
+    if (!header) return [];
+    // Split on commas outside of quoted descriptions.
+    const metrics = header.match(/(?:[^,"]|"(?:\\.|[^"\\])*")+/g) || [];
+    return metrics.map(metric => {
+        const [name, ...params] = metric.match(/(?:[^;"]|"(?:\\.|[^"\\])*")+/g).map(part => part.trim());
+        const entry = { name, duration: null, description: null };
+        params.forEach(param => {
+            const separator = param.indexOf('=');
+            if (separator === -1) return;
+            const key = param.slice(0, separator).trim().toLowerCase();
+            let value = param.slice(separator + 1).trim();
+            if (value.startsWith('"')) value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+            // Only the first occurrence of a parameter counts.
+            if (key === 'dur' && entry.duration === null && Number.isFinite(Number(value))) entry.duration = Number(value);
+            if (key === 'desc' && entry.description === null) entry.description = value;
+        });
+        return entry;
+    }).filter(entry => entry.name);
+}
+
+/**
+ * Times a fetch: pass `agent` to node-fetch, then call `responseStarted()` when the headers
+ * arrived and `finish()` when the body was read.
+ * @param {object} [previousHop] - The timer of the previous hop when the fetch follows a
+ *   redirect. The browser follows redirects itself, so every hop is a fetch of its own.
+ * @returns {{chainStart: number, agent: function(URL): object, responseStarted: function(): void, finish: function(object): object}}
+ */
+function createFetchTimer(previousHop) {
+    const marks = { start: performance.now() };
+    const chainStart = previousHop ? previousHop.chainStart : marks.start;
+    // Every hop of a redirect chain opens a new connection; the phases describe the last one.
+    const watch = socket => {
+        Object.assign(marks, { socket: performance.now(), lookup: null, connect: null, secureConnect: null });
+        socket.once('lookup', () => { marks.lookup = performance.now(); });
+        socket.once('connect', () => { marks.connect = performance.now(); });
+        socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+        return socket;
+    };
+    // No keep-alive, so every fetch pays for its connection like a fresh browser context does.
+    const agents = { 'http:': new http.Agent({ keepAlive: false }), 'https:': new https.Agent({ keepAlive: false }) };
+    Object.values(agents).forEach(agent => {
+        const createConnection = agent.createConnection.bind(agent);
+        agent.createConnection = (...args) => watch(createConnection(...args));
+    });
+
+    return {
+        chainStart,
+        agent: parsedUrl => agents[parsedUrl.protocol],
+        responseStarted() {
+            marks.response = performance.now();
+        },
+        /**
+         * @param {object} response - The node-fetch Response.
+         * @returns {object} - The network phases in ms and the parsed `serverTiming`.
+         */
+        finish(response) {
+            const end = performance.now();
+            Object.values(agents).forEach(agent => agent.destroy());
+            const socket = marks.socket != null ? marks.socket : marks.start;
+            const lookup = marks.lookup != null ? marks.lookup : socket;
+            const connect = marks.connect != null ? marks.connect : lookup;
+            const secureConnect = marks.secureConnect != null ? marks.secureConnect : connect;
+            return {
+                redirect: marks.start - chainStart,
+                dns: lookup - socket,
+                connect: connect - lookup,
+                tls: secureConnect - connect,
+                wait: marks.response - secureConnect,
+                download: end - marks.response,
+                serverTiming: parseServerTiming(response.headers.get('server-timing'))
+            };
+        }
+    };
+}
+
+/**
+ * Combines the timed document fetch with the browser's Navigation Timing.
+ * @param {?object} documentTiming - From createFetchTimer().finish(), or null if the document
+ *   was not fetched by the interceptor (e.g. a `mock` rule served it).
+ * @param {?object} browserTiming - `{ fetchStart, responseStart, domInteractive,
+ *   domContentLoaded, load }` in ms since navigation start, from the page.
+ * @returns {?object} - The breakdown described above; the phases are null without `documentTiming`.
+ */
+function buildNavigationTiming(documentTiming, browserTiming) {
+    if (!documentTiming && !browserTiming) return null;
+    const timing = {};
+    PHASE_KEYS.forEach(key => { timing[key] = documentTiming ? documentTiming[key] : null; });
+    const firstByte = documentTiming ? PHASE_KEYS.slice(0, -1).reduce((sum, key) => sum + documentTiming[key], 0) : null;
+    timing.TTFB = browserTiming
+        ? (firstByte != null ? browserTiming.fetchStart + firstByte : browserTiming.responseStart)
+        : firstByte;
+    ['domInteractive', 'domContentLoaded', 'load'].forEach(key => {
+        timing[key] = browserTiming && browserTiming[key] > 0 ? browserTiming[key] : null;
+    });
+    timing.serverTiming = documentTiming ? documentTiming.serverTiming : [];
+    return timing;
+}
+
+/**
+ * The median breakdown over all runs. Server-Timing metrics are matched by name.
+ * @param {Array<?object>} timings - The `navigationTiming` of every run.
+ * @returns {?object} - Like buildNavigationTiming, with `serverTiming` entries of
+ *   `{ name, description, duration, runs }` (`runs`: how many runs reported the metric);
+ *   null if no run has a breakdown.
+ */
+function summarizeNavigationTiming(timings) {
+    const measured = timings.filter(Boolean);
+    if (measured.length === 0) return null;
+    const summary = {};
+    [...PHASE_KEYS, ...MILESTONE_KEYS].forEach(key => {
+        summary[key] = getMedian(measured.map(timing => timing[key]));
+    });
+    const byName = new Map();
+    measured.forEach(timing => timing.serverTiming.forEach(entry => {
+        const metric = byName.get(entry.name) || { name: entry.name, description: entry.description, durations: [], runs: 0 };
+        // A metric repeated in one header counts once per run, with its total duration.
+        const own = timing.serverTiming.filter(other => other.name === entry.name);
+        if (own[0] !== entry) return;
+        metric.runs++;
+        if (own.some(other => other.duration != null)) metric.durations.push(own.reduce((sum, other) => sum + (other.duration || 0), 0));
+        byName.set(entry.name, metric);
+    }));
+    summary.serverTiming = [...byName.values()].map(({ durations, ...metric }) => ({ ...metric, duration: getMedian(durations) }));
+    summary.runs = measured.length;
+    return summary;
+}
+
+module.exports = {
+    PHASE_KEYS,
+    MILESTONE_KEYS,
+    parseServerTiming,
+    createFetchTimer,
+    buildNavigationTiming,
+    summarizeNavigationTiming
+};
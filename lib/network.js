@@ -0,0 +1,234 @@
+// lib/network.js
+// Records every network request of a test run through Chrome DevTools Protocol events.
+
+/**
+ * @fileoverview Network request recorder used to build the per-run waterfall.
+ *
+ * The recorder listens to the CDP `Network.*` events of a page session and turns them into
+ * one flat entry per request (redirects produce one entry per hop). All times are in
+ * milliseconds relative to the start of the first request of the recording, which is the main
+ * document navigation. A multi-step flow resets the recorder right before its measured page load.
+ *
+ * Timing phases follow the HAR 1.2 definitions (blocked, dns, connect, ssl, send, wait,
+ * receive) so the frontend can export them without further conversion. A phase that does
+ * not apply is reported as -1, e.g. `dns` on a reused connection.
+ */
+
+/**
+ * Starts recording network requests on a CDP session.
+ * @param {object} client - A Puppeteer CDPSession for the page.
+ * @param {object} [options]
+ * @param {Set<string>} [options.blockedUrls] - URLs aborted by a `block` rule. Filled in by
+ *   the request interceptor while the run is in progress.
+ * @returns {Promise<{getRequests: function(): object[], getTimeOrigin: function(): ?number, reset: function(): void}>} - The recorder.
+ */
+async function recordNetwork(client, { blockedUrls = new Set() } = {}) {
+    const pending = new Map();
+    let finished = [];
+    let origin = null;
+
+    // CDP timestamps are monotonic seconds; convert them to ms since the first request.
+    const relative = timestamp => (timestamp - origin) * 1000;
+
+    const finalize = (entry, endTimestamp) => {
+        entry.endTime = relative(endTimestamp);
+        entry.duration = entry.endTime - entry.startTime;
+        entry.timing = computePhases(entry);
+        entry.blockedByRule = blockedUrls.has(entry.url);
+        delete entry._timing;
+        delete entry._requestTimestamp;
+        finished.push(entry);
+    };
+
+    client.on('Network.requestWillBeSent', event => {
+        if (origin === null) origin = event.timestamp;
+
+        // A redirect reuses the requestId: close the previous hop with the redirect response.
+        const previous = pending.get(event.requestId);
+        if (previous && event.redirectResponse) {
+            applyResponse(previous, event.redirectResponse);
+            finalize(previous, event.timestamp);
+        }
+
+        const stackFrame = event.initiator.stack?.callFrames?.[0];
+        pending.set(event.requestId, {
+            url: event.request.url,
+            method: event.request.method,
+            resourceType: (event.type || 'Other').toLowerCase(),
+            priority: event.request.initialPriority,
+            initiator: {
+                type: event.initiator.type,
+                url: event.initiator.url || stackFrame?.url || null,
+                lineNumber: event.initiator.lineNumber ?? stackFrame?.lineNumber ?? null
+            },
+            startedDateTime: new Date(event.wallTime * 1000).toISOString(),
+            startTime: relative(event.timestamp),
+            endTime: null,
+            duration: null,
+            status: null,
+            mimeType: null,
+            protocol: null,
+            remoteAddress: null,
+            fromCache: false,
+            transferSize: 0,
+            resourceSize: 0,
+            failed: false,
+            errorText: null,
+            blockedByRule: false,
+            timing: null,
+            _timing: null,
+            _requestTimestamp: event.timestamp
+        });
+    });
+
+    client.on('Network.resourceChangedPriority', event => {
+        const entry = pending.get(event.requestId);
+        if (entry) entry.priority = event.newPriority;
+    });
+
+    client.on('Network.responseReceived', event => {
+        const entry = pending.get(event.requestId);
+        if (entry) applyResponse(entry, event.response);
+    });
+
+    client.on('Network.dataReceived', event => {
+        const entry = pending.get(event.requestId);
+        if (entry) entry.resourceSize += event.dataLength;
+    });
+
+    client.on('Network.loadingFinished', event => {
+        const entry = pending.get(event.requestId);
+        if (!entry) return;
+        pending.delete(event.requestId);
+        entry.transferSize = event.encodedDataLength;
+        finalize(entry, event.timestamp);
+    });
+
+    client.on('Network.loadingFailed', event => {
+        const entry = pending.get(event.requestId);
+        if (!entry) return;
+        pending.delete(event.requestId);
+        entry.failed = true;
+        entry.errorText = event.errorText;
+        finalize(entry, event.timestamp);
+    });
+
+    await client.send('Network.enable');
+
+    return {
+        /**
+         * Returns the CDP timestamp (in seconds) that request times are relative to, so other
+         * recordings of the run (e.g. the trace) can be aligned with them. Null before the first request.
+         * @returns {?number}
+         */
+        getTimeOrigin() {
+            return origin;
+        },
+
+        /**
+         * Returns all finished requests, plus still-pending ones (without an end time),
+         * sorted by start time.
+         * @returns {object[]}
+         */
+        getRequests() {
+            const unfinished = Array.from(pending.values()).map(entry => {
+                const { _timing, _requestTimestamp, ...rest } = entry;
+                return { ...rest, blockedByRule: blockedUrls.has(entry.url) };
+            });
+            return [...finished, ...unfinished].sort((a, b) => a.startTime - b.startTime);
+        },
+
+        /**
+         * Forgets every request so far; the next request becomes the new time origin.
+         * Requests still in flight are dropped as well.
+         */
+        reset() {
+            pending.clear();
+            finished = [];
+            origin = null;
+        }
+    };
+}
+
+/**
+ * Copies the fields of a CDP Network.Response onto a request entry.
+ * @param {object} entry
+ * @param {object} response
+ */
+function applyResponse(entry, response) {
+    entry.status = response.status;
+    entry.mimeType = response.mimeType;
+    entry.protocol = response.protocol || null;
+    entry.remoteAddress = response.remoteIPAddress
+        ? `${response.remoteIPAddress}:${response.remotePort}`
+        : null;
+    entry.fromCache = Boolean(response.fromDiskCache || response.fromPrefetchCache || response.fromServiceWorker);
+    entry.transferSize = response.encodedDataLength || entry.transferSize;
+    entry._timing = response.timing || null;
+}
+
+/**
+ * Converts CDP ResourceTiming into HAR-style phase durations in milliseconds.
+ * @param {object} entry - A finalized request entry (with endTime set).
+ * @returns {{blocked: number, dns: number, connect: number, ssl: number, send: number, wait: number, receive: number}}
+ */
+function computePhases(entry) {
+    const t = entry._timing;
+    if (!t) {
+        // Cached, intercepted or failed requests have no timing breakdown: attribute
+        // everything to waiting.
+        return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(0, entry.duration), receive: 0 };
+    }
+
+    const phase = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+    const queued = (t.requestTime - entry._requestTimestamp) * 1000;
+    const firstPhaseStart = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0) ?? 0;
+    const headersEnd = t.requestTime * 1000 + t.receiveHeadersEnd;
+    const endTimestampMs = entry._requestTimestamp * 1000 + entry.duration;
+
+    return {
+        blocked: Math.max(0, queued + firstPhaseStart),
+        dns: phase(t.dnsStart, t.dnsEnd),
+        // HAR counts TLS negotiation as part of connect.
+        connect: phase(t.connectStart, t.connectEnd),
+        ssl: phase(t.sslStart, t.sslEnd),
+        send: Math.max(0, phase(t.sendStart, t.sendEnd)),
+        wait: Math.max(0, t.receiveHeadersEnd - t.sendEnd),
+        receive: Math.max(0, endTimestampMs - headersEnd)
+    };
+}
+
+// Second-level labels under which country-code TLDs register domains, e.g. example.co.uk.
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go']);
+
+/**
+ * Approximates the registrable domain ("site") of a host name, so that e.g. cdn.example.com
+ * counts as first-party on www.example.com. Uses a heuristic instead of the Public Suffix List.
+ * @param {string} hostname
+ * @returns {string}
+ */
+function siteOf(hostname) {
+    const labels = hostname.toLowerCase().split('.');
+    if (labels.length <= 2 || /^[\d.]+$/.test(hostname)) return hostname.toLowerCase();
+    const keep = labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.has(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+/**
+ * Sums the bytes transferred from other sites than the page's own.
+ * @param {object[]} requests - Requests from the recorder.
+ * @param {string} pageUrl - The URL of the tested page.
+ * @returns {number}
+ */
+function thirdPartyBytes(requests, pageUrl) {
+    const pageSite = siteOf(new URL(pageUrl).hostname);
+    return requests
+        .filter(request => /^https?:/.test(request.url) && siteOf(new URL(request.url).hostname) !== pageSite)
+        .reduce((total, request) => total + (request.transferSize || 0), 0);
+}
+
+module.exports = {
+    recordNetwork,
+    siteOf,
+    thirdPartyBytes
+};
@@ -0,0 +1,249 @@
+// lib/pool.js
+// A pool of warm browsers shared by every test of the process.
+
+/**
+ * @fileoverview Browser launch and pooling.
+ *
+ * Launching Chrome is the slowest part of a short test (and on Vercel it includes downloading
+ * the Chromium pack), so browsers are kept open between tests. A test leases one browser for
+ * its whole duration and isolates each run in a fresh incognito context, so nothing (cache,
+ * cookies, storage, service workers) leaks from one run or test into the next.
+ *
+ * - At most `PERF_TESTER_POOL_SIZE` browsers are open at once (default 4); further tests
+ *   wait for a browser to be released. Tests in different browsers load pages at the same
+ *   time and compete for CPU; busyCount() lets a test warn about that.
+ * - Browsers are keyed by their launch options (headless, executable), so a lease only
+ *   reuses a browser launched the same way.
+ * - A browser idle for `PERF_TESTER_POOL_IDLE_MS` (default 5 minutes) is closed, and one that
+ *   served MAX_USES tests is replaced, so a long-lived server does not accumulate Chrome memory.
+ *
+ * --- ENVIRONMENT-SPECIFIC BEHAVIOR ---
+ * How the browser is launched depends on the NODE_ENV environment variable.
+ *
+ * 1. Development (local, NODE_ENV is not 'production'):
+ *    - Puppeteer launches a full, visible browser (`headless: false`), unless the caller asks
+ *      for a headless one (the CLI does).
+ *    - It uses the locally installed Google Chrome browser, or the one in `executablePath`.
+ *    - REQUIREMENTS: Google Chrome must be installed on the local machine.
+ *
+ * 2. Production (Vercel, NODE_ENV = 'production'):
+ *    - Puppeteer uses the `@sparticuz/chromium` package, which is optimized for serverless environments.
+ *    - The browser runs in headless mode (`headless: true`).
+ *    - It uses specific launch arguments for stability in a containerized environment.
+ *    - REQUIREMENTS: The `NODE_ENV` variable must be set to 'production'.
+ *      (Note: Vercel sets this automatically for production deployments.)
+ *    - A warm function instance keeps its browser between invocations, so only cold starts
+ *      pay for the launch.
+ */
+
+const logger = require('./logger');
+
+const POOL_SIZE = Math.max(1, parseInt(process.env.PERF_TESTER_POOL_SIZE, 10) || 4);
+const IDLE_TIMEOUT = Math.max(0, parseInt(process.env.PERF_TESTER_POOL_IDLE_MS, 10) || 5 * 60 * 1000);
+// Tests served by one browser before it is replaced by a fresh one.
+const MAX_USES = 50;
+
+// { browser, key, busy, uses, idleTimer }
+const entries = [];
+// Resolvers of the acquire() calls waiting for a free slot.
+const waiting = [];
+let launching = 0;
+
+/**
+ * Launches the browser the tests run in.
+ * @param {object} [options]
+ * @param {boolean} [options.headless] - Run a local browser headless (it is visible by default).
+ *   Serverless browsers are always headless.
+ * @param {string} [options.executablePath] - A local Chrome/Chromium binary to use instead of
+ *   the first one found in the usual install locations.
+ * @returns {Promise<object>} - The Puppeteer browser instance.
+ */
+async function launchBrowser({ headless = false, executablePath } = {}) {
+    // LAZY REQUIRE: Load heavy modules only when a test is actually run.
+    // Use puppeteer-core and a serverless-compatible chromium package
+    // Set the AWS Lambda JS Runtime env var BEFORE requiring chromium
+    // This tells @sparticuz/chromium to use the Amazon Linux 2023 compatible binaries
+    process.env.AWS_LAMBDA_JS_RUNTIME = 'nodejs22.x';
+    const puppeteer = require('puppeteer-core');
+    const chromium = require('@sparticuz/chromium-min');
+
+    // Use @sparticuz/chromium, which works seamlessly locally and in serverless environments.
+    logger.log('[DEBUG] Preparing to launch browser using @sparticuz/chromium...');
+
+    // Explicitly set environment variables for the bundled libraries.
+    // This is the most robust way to ensure Chromium can find its dependencies.
+    // Use a stable Google Font URL to prevent 404 errors from unreliable sources.
+    const isLocal = !process.env.VERCEL && process.env.NODE_ENV !== 'production';
+
+    if (isLocal && !executablePath) {
+        logger.log('[DEBUG] Running locally. Using system Chrome.');
+        const fs = require('fs');
+        const localPaths = [
+            '/usr/bin/google-chrome',
+            '/usr/bin/google-chrome-stable',
+            '/usr/bin/chromium-browser',
+            '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+            'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+            'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+        ];
+        for (const p of localPaths) {
+            if (fs.existsSync(p)) {
+                executablePath = p;
+                break;
+            }
+        }
+        if (!executablePath) {
+            throw new Error('Local Chrome/Chromium installation not found.');
+        }
+    } else if (!isLocal) {
+        await chromium.font('https://fonts.gstatic.com/s/roboto/v27/KFOmCnqEu92Fr1Mu4mxK.woff2');
+        logger.log('[DEBUG] After calling chromium.font()');
+
+        // On Vercel, download the Chromium pack at runtime to bypass the 50MB deployment limit
+        const packUrl = 'https://github.com/Sparticuz/chromium/releases/download/v131.0.1/chromium-v131.0.1-pack.tar';
+        executablePath = await chromium.executablePath(packUrl);
+    }
+
+    const launchOptions = {
+        // Combine the recommended args from the library with the essential --no-sandbox flag.
+        args: isLocal ? ['--no-sandbox', '--disable-setuid-sandbox'] : [...chromium.args, '--no-sandbox'],
+        defaultViewport: chromium.defaultViewport,
+        executablePath: executablePath,
+        headless: isLocal ? headless : chromium.headless, // Use visible browser locally as per docs
+        timeout: 60000, // Increased timeout for browser launch
+        // Explicitly pass the environment variables set by @sparticuz/chromium to the browser process.
+        env: process.env
+    };
+
+    logger.log('[DEBUG] Launching Puppeteer browser...');
+    const browser = await puppeteer.launch(launchOptions);
+    logger.log('[DEBUG] Browser launched successfully.');
+    return browser;
+}
+
+function removeEntry(entry) {
+    clearTimeout(entry.idleTimer);
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+    entry.browser.close().catch(() => {});
+}
+
+// Lets the next waiting acquire() retry now that a browser or a slot is free.
+function wakeNext() {
+    const next = waiting.shift();
+    if (next) next();
+}
+
+/**
+ * Leases a browser, reusing an idle one launched with the same options when possible.
+ * @param {object} [launchOptions] - Options for launchBrowser.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting for a free browser.
+ * @returns {Promise<{browser: object, reused: boolean}>} - Pass the browser to release() when done.
+ */
+async function acquire(launchOptions = {}, { signal } = {}) {
+    const key = JSON.stringify(launchOptions);
+    for (;;) {
+        if (signal && signal.aborted) throw new Error('Cancelled while waiting for a browser.');
+        entries.filter(entry => !entry.busy && !entry.browser.connected).forEach(removeEntry);
+
+        const idle = entries.find(entry => !entry.busy && entry.key === key);
+        if (idle) {
+            clearTimeout(idle.idleTimer);
+            idle.busy = true;
+            idle.uses++;
+            logger.log(`[POOL]: Reusing a warm browser (${entries.length} open).`);
+            return { browser: idle.browser, reused: true };
+        }
+
+        // Make room by closing an idle browser launched with other options.
+        const other = entries.length + launching >= POOL_SIZE && entries.find(entry => !entry.busy);
+        if (other) removeEntry(other);
+
+        if (entries.length + launching < POOL_SIZE) {
+            launching++;
+            let browser;
+            try {
+                browser = await launchBrowser(launchOptions);
+            } catch (error) {
+                // A failed launch frees its slot for the next waiting test.
+                launching--;
+                wakeNext();
+                throw error;
+            }
+            launching--;
+            entries.push({ browser, key, busy: true, uses: 1, idleTimer: null });
+            return { browser, reused: false };
+        }
+
+        logger.log(`[POOL]: All ${POOL_SIZE} browsers are busy. Waiting for one...`);
+        await new Promise(resolve => {
+            const onAbort = () => {
+                waiting.splice(waiting.indexOf(wake), 1);
+                resolve();
+            };
+            const wake = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            waiting.push(wake);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+/**
+ * Returns a leased browser to the pool.
+ * @param {object} browser - A browser from acquire().
+ * @param {object} [options]
+ * @param {boolean} [options.discard=false] - Close the browser instead of keeping it warm,
+ *   e.g. when a test timed out and the browser may still be busy.
+ */
+function release(browser, { discard = false } = {}) {
+    const entry = entries.find(e => e.browser === browser);
+    if (!entry) {
+        browser.close().catch(() => {});
+        return;
+    }
+    entry.busy = false;
+    if (discard || !browser.connected || entry.uses >= MAX_USES) {
+        removeEntry(entry);
+    } else {
+        entry.idleTimer = setTimeout(() => {
+            logger.log('[POOL]: Closing an idle browser.');
+            removeEntry(entry);
+        }, IDLE_TIMEOUT);
+        // An idle browser must not keep the process (e.g. the CLI) alive.
+        entry.idleTimer.unref();
+    }
+    wakeNext();
+}
+
+/**
+ * @returns {number} - How many browsers are leased (or being launched for a lease) right now.
+ */
+function busyCount() {
+    return entries.filter(entry => entry.busy).length + launching;
+}
+
+/**
+ * Closes every browser of the pool, e.g. before the process exits. Leased browsers are
+ * closed as well, which makes their tests fail.
+ * @returns {Promise<void>}
+ */
+async function closeAll() {
+    const closing = entries.splice(0).map(entry => {
+        clearTimeout(entry.idleTimer);
+        return entry.browser.close().catch(() => {});
+    });
+    await Promise.all(closing);
+}
+
+module.exports = {
+    POOL_SIZE,
+    launchBrowser,
+    acquire,
+    release,
+    busyCount,
+    closeAll
+};
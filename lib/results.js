@@ -0,0 +1,351 @@
+// lib/results.js
+// Server-side storage of test results, so the experiment log is shared and survives a cleared browser.
+
+/**
+ * @fileoverview The result store behind the `/results` API.
+ *
+ * A result is the record the frontend keeps for every test (or every variant of an A/B test):
+ *
+ * - `id`             {string}   Generated on creation; imported results keep theirs.
+ * - `name`           {string}   Display name (may be empty).
+ * - `tags`           {string[]} Free-form labels used to filter the log.
+ * - `createdAt`      {string}   ISO timestamp.
+ * - `parameters`     {object}   The test parameters (`url`, `mode`, `rules`...).
+ * - `averageMetrics` {object}   Median metrics (of the first view, with the repeat view in
+ *                               `repeatView` for tests with `view: 'both'`).
+ * - plus optional `budget`, `ruleReport`, `stepMetrics`, `individualRuns`, `screenshot` (base64 PNG)
+ *   `filmstrip` (the median run's frames, with base64 JPEG thumbnails), `thirdParties` (the
+ *   impact of each party, see lib/third-parties.js), `lcp` (the LCP element and sub-parts),
+ *   `layoutShifts` (the largest shifts of a typical run), `navigationTiming` (the median
+ *   document timing, see lib/navigation-timing.js) and `stability` (the spread of the runs, see
+ *   lib/stability.js), stored as given.
+ *   Lists leave out the screenshot, the filmstrip and the runs; fetch a single result to get
+ *   them. In their place a listed result has `runCount` and `artifactIds`, the ids of the
+ *   artifacts its runs reference (see lib/artifacts.js). Deleting a result also deletes those
+ *   artifacts, unless another stored result references them too: `individualRuns` is submitted
+ *   by the client, so a result can name artifacts that another one owns.
+ *
+ * A store is any object with these async methods, so it can be swapped for a database with
+ * setStore():
+ *
+ * - `list({ tag })`     Resolves with all results, newest first, optionally with a given tag.
+ *                       It may return summaries (see toSummary) instead of whole results.
+ * - `get(id)`           Resolves with a result, or null.
+ * - `save(result)`      Creates or replaces a result (with its `id`).
+ * - `remove(id)`        Resolves with false if there was no such result.
+ *
+ * The default store writes one JSON file per result into `data/results` (or the directory in
+ * the `PERF_TESTER_RESULTS_DIR` environment variable). It needs no database and works offline,
+ * but the directory must be writable, which on Vercel means pointing it at `/tmp` or another store.
+ * Next to every result it writes its summary (see toSummary) into `summaries/`, so listing the
+ * log does not read and parse every screenshot, filmstrip and run. Results stored before
+ * summaries existed, or whose summary still has one of the LIST_OMITTED_FIELDS, get a new one
+ * the first time they are listed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { deleteArtifacts, runArtifactIds } = require('./artifacts');
+const logger = require('./logger');
+
+const RESULTS_DIR = path.resolve(process.env.PERF_TESTER_RESULTS_DIR || path.join(__dirname, '../data/results'));
+const RESULT_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+// Fields a client may set; everything else (e.g. `id`, `createdAt`) is owned by the server.
+const RESULT_FIELDS = ['name', 'tags', 'parameters', 'averageMetrics', 'budget', 'ruleReport', 'stepMetrics', 'individualRuns', 'screenshot', 'filmstrip', 'thirdParties', 'lcp', 'layoutShifts', 'navigationTiming', 'stability'];
+// The large fields lists leave out; fetch a single result to get them.
+const LIST_OMITTED_FIELDS = ['screenshot', 'filmstrip', 'individualRuns'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+let store = null;
+
+/**
+ * @param {object} result - A result, or a summary (which is returned as it is).
+ * @returns {object} - The result without the LIST_OMITTED_FIELDS, with the `runCount` and
+ *   `artifactIds` of its runs.
+ */
+function toSummary(result) {
+    if (!LIST_OMITTED_FIELDS.some(key => key in result)) return result;
+    const summary = { ...result };
+    LIST_OMITTED_FIELDS.forEach(key => delete summary[key]);
+    if (Array.isArray(result.individualRuns)) {
+        summary.runCount = result.individualRuns.length;
+        summary.artifactIds = runArtifactIds(result.individualRuns);
+    }
+    return summary;
+}
+
+/**
+ * Creates the default store: one `<id>.json` file per result in a directory, and its summary
+ * in `summaries/<id>.json`.
+ * @param {string} dir
+ * @returns {object} - A result store.
+ */
+function createFileStore(dir) {
+    const summaryDir = path.join(dir, 'summaries');
+    const fileFor = id => path.join(dir, `${id}.json`);
+    const summaryFileFor = id => path.join(summaryDir, `${id}.json`);
+    const readResult = async file => JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    // Write to a temporary file first so a crash never leaves half a file behind.
+    const writeJson = async (file, value) => {
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(value));
+        await fs.promises.rename(tmpFile, file);
+    };
+    const readSummary = async id => {
+        try {
+            const summary = await readResult(summaryFileFor(id));
+            if (!LIST_OMITTED_FIELDS.some(key => key in summary)) return summary;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const summary = toSummary(await readResult(fileFor(id)));
+        await fs.promises.mkdir(summaryDir, { recursive: true });
+        await writeJson(summaryFileFor(id), summary);
+        return summary;
+    };
+
+    return {
+        async list({ tag } = {}) {
+            let files;
+            try {
+                files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const results = [];
+            for (const file of files) {
+                try {
+                    results.push(await readSummary(path.basename(file, '.json')));
+                } catch (error) {
+                    logger.error(`[RESULTS]: Skipping unreadable result file ${file}: ${error.message}`);
+                }
+            }
+            return results
+                .filter(result => !tag || (result.tags || []).includes(tag))
+                .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        },
+
+        async get(id) {
+            try {
+                return await readResult(fileFor(id));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async save(result) {
+            await fs.promises.mkdir(summaryDir, { recursive: true });
+            await writeJson(fileFor(result.id), result);
+            await writeJson(summaryFileFor(result.id), toSummary(result));
+            return result;
+        },
+
+        async remove(id) {
+            try {
+                await fs.promises.unlink(fileFor(id));
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+            await fs.promises.rm(summaryFileFor(id), { force: true });
+            return true;
+        }
+    };
+}
+
+/**
+ * @returns {object} - The active store (the file store unless setStore() was called).
+ */
+function getStore() {
+    if (!store) {
+        store = createFileStore(RESULTS_DIR);
+        logger.log(`[RESULTS]: Storing results in ${RESULTS_DIR}.`);
+    }
+    return store;
+}
+
+/**
+ * Replaces the active store, e.g. with a database-backed one.
+ * @param {object} nextStore - An object implementing list, get, save and remove.
+ */
+function setStore(nextStore) {
+    store = nextStore;
+}
+
+function validateTags(tags, label) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag.trim() !== '')) {
+        return `${label}: \`tags\` must be an array of non-empty strings.`;
+    }
+    return null;
+}
+
+/**
+ * Validates a result submitted for storage.
+ * @param {*} result
+ * @param {string} [label] - How the result is named in error messages.
+ * @returns {string|null} - An error message, or null if the result is valid.
+ */
+function validateResult(result, label = 'The result') {
+    if (!isPlainObject(result)) return `${label} must be an object.`;
+    if (result.id !== undefined && (typeof result.id !== 'string' || !RESULT_ID_PATTERN.test(result.id))) {
+        return `${label}: \`id\` must contain only letters, digits, dashes and underscores.`;
+    }
+    if (!isPlainObject(result.parameters) || typeof result.parameters.url !== 'string') {
+        return `${label} needs \`parameters\` with a \`url\`.`;
+    }
+    if (!isPlainObject(result.averageMetrics)) return `${label} needs \`averageMetrics\`.`;
+    if (result.name !== undefined && typeof result.name !== 'string') return `${label}: \`name\` must be a string.`;
+    if (result.individualRuns !== undefined && !Array.isArray(result.individualRuns)) {
+        return `${label}: \`individualRuns\` must be an array.`;
+    }
+    if (result.screenshot !== undefined && typeof result.screenshot !== 'string') {
+        return `${label}: \`screenshot\` must be a base64 string.`;
+    }
+    // Tests without screenshots in their trace have no filmstrip, unattributed ones no
+    // `thirdParties`, pages without an LCP element no `lcp` and stable ones no `layoutShifts`.
+    if (result.filmstrip != null && (!isPlainObject(result.filmstrip) || !Array.isArray(result.filmstrip.frames))) {
+        return `${label}: \`filmstrip\` must be an object with \`frames\`.`;
+    }
+    if (result.thirdParties != null && !Array.isArray(result.thirdParties)) {
+        return `${label}: \`thirdParties\` must be an array.`;
+    }
+    if (result.lcp != null && !isPlainObject(result.lcp)) return `${label}: \`lcp\` must be an object.`;
+    if (result.layoutShifts != null && !isPlainObject(result.layoutShifts)) return `${label}: \`layoutShifts\` must be an object.`;
+    if (result.navigationTiming != null && !isPlainObject(result.navigationTiming)) return `${label}: \`navigationTiming\` must be an object.`;
+    if (result.stability != null && !isPlainObject(result.stability)) return `${label}: \`stability\` must be an object.`;
+    return result.tags !== undefined ? validateTags(result.tags, label) : null;
+}
+
+/**
+ * Validates a rename/retag request.
+ * @param {*} changes
+ * @returns {string|null} - An error message, or null if the changes are valid.
+ */
+function validateResultUpdate(changes) {
+    if (!isPlainObject(changes)) return 'The update must be an object.';
+    const unknown = Object.keys(changes).filter(key => !['name', 'tags'].includes(key));
+    if (unknown.length > 0) return `Only \`name\` and \`tags\` can be changed (got \`${unknown[0]}\`).`;
+    if (changes.name !== undefined && typeof changes.name !== 'string') return '`name` must be a string.';
+    if (changes.tags !== undefined) return validateTags(changes.tags, 'The update');
+    return null;
+}
+
+/**
+ * Builds a stored result from a validated submission.
+ * @param {object} submitted
+ * @param {object} [options]
+ * @param {boolean} [options.keepId] - Keep the submitted `id` and `createdAt` (imports).
+ * @returns {object}
+ */
+function toStoredResult(submitted, { keepId = false } = {}) {
+    const result = {
+        id: keepId && submitted.id ? submitted.id : crypto.randomUUID(),
+        name: '',
+        tags: [],
+        createdAt: keepId && typeof submitted.createdAt === 'string' ? submitted.createdAt : new Date().toISOString()
+    };
+    RESULT_FIELDS.forEach(key => { if (submitted[key] !== undefined) result[key] = submitted[key]; });
+    result.tags = [...new Set(result.tags.map(tag => tag.trim()))];
+    return result;
+}
+
+/**
+ * Stores a new result.
+ * @param {object} submitted - A result that passed validateResult.
+ * @returns {Promise<object>} - The stored result.
+ */
+async function createResult(submitted) {
+    const result = await getStore().save(toStoredResult(submitted));
+    logger.log(`[RESULTS]: Saved result ${result.id}${result.name ? ` ("${result.name}")` : ''}.`);
+    return result;
+}
+
+/**
+ * Renames and/or retags a result.
+ * @param {string} id
+ * @param {object} changes - Changes that passed validateResultUpdate.
+ * @returns {Promise<object|null>} - The updated result, or null if there is no such result.
+ */
+async function updateResult(id, changes) {
+    const result = await getResult(id);
+    if (!result) return null;
+    if (changes.name !== undefined) result.name = changes.name;
+    if (changes.tags !== undefined) result.tags = [...new Set(changes.tags.map(tag => tag.trim()))];
+    return getStore().save(result);
+}
+
+/**
+ * Imports results from another history (e.g. a browser's localStorage). Results whose id
+ * already exists are skipped, so importing the same history twice is harmless. Legacy
+ * `test-<timestamp>` ids also give the result its `createdAt`.
+ * @param {object[]} submitted - Results that passed validateResult.
+ * @returns {Promise<{imported: number, skipped: number}>}
+ */
+async function importResults(submitted) {
+    let imported = 0;
+    let skipped = 0;
+    for (const entry of submitted) {
+        if (entry.id && await getResult(entry.id)) {
+            skipped++;
+            continue;
+        }
+        const timestamp = Number((/^test-(\d+)/.exec(entry.id || '') || [])[1]);
+        const createdAt = entry.createdAt || (timestamp ? new Date(timestamp).toISOString() : undefined);
+        await getStore().save(toStoredResult({ ...entry, createdAt }, { keepId: true }));
+        imported++;
+    }
+    logger.log(`[RESULTS]: Imported ${imported} result(s), skipped ${skipped} existing.`);
+    return { imported, skipped };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getResult(id) {
+    if (!RESULT_ID_PATTERN.test(id)) return null;
+    return getStore().get(id);
+}
+
+/**
+ * @param {object} [filter]
+ * @param {string} [filter.tag]
+ * @returns {Promise<object[]>} - Newest first, as summaries (see toSummary).
+ */
+async function listResults(filter) {
+    return (await getStore().list(filter)).map(toSummary);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} - False if there was no such result.
+ */
+async function deleteResult(id) {
+    const result = await getResult(id);
+    if (!result) return false;
+    const removed = await getStore().remove(id);
+    if (removed) {
+        const referenced = new Set((await listResults()).flatMap(other => other.artifactIds || []));
+        await deleteArtifacts(runArtifactIds(result.individualRuns).filter(artifactId => !referenced.has(artifactId)));
+        logger.log(`[RESULTS]: Deleted result ${id}.`);
+    }
+    return removed;
+}
+
+module.exports = {
+    createFileStore,
+    getStore,
+    setStore,
+    validateResult,
+    validateResultUpdate,
+    listResults,
+    getResult,
+    createResult,
+    updateResult,
+    importResults,
+    deleteResult
+};
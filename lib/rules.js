@@ -0,0 +1,591 @@
+// lib/rules.js
+// The rule engine: validation of the `rules` object and the modifications each rule type applies.
+
+/**
+ * @fileoverview Rule validation and application.
+ *
+ * Supported rule types (all optional):
+ *
+ * - `block`        {string[]}  URL fragments. Matching requests are aborted and matching
+ *                              `<script src>` elements are removed from the document.
+ * - `defer`        {string[]}  Adds `defer` to `<script src>` tags whose src contains a fragment.
+ * - `async`        {string[]}  Adds `async` to `<script src>` tags whose src contains a fragment.
+ * - `remove_async` {string[]}  Removes `async` from `<script src>` tags whose src contains a fragment.
+ * - `lazy_load`    {string[]}  Adds `loading="lazy"` to `<img src>` tags whose src contains a fragment.
+ * - `fetchpriority` {Array<{match, value}>}  Sets `fetchpriority="high|low|auto"` on matching `<img>` tags.
+ * - `hints`        {Array<{rel, href, as?, crossorigin?, type?}>}  Injects `<link rel=preload|preconnect|dns-prefetch>`
+ *                              at the top of `<head>`.
+ * - `dom`          {Array<{selector, action, value?, name?}>}  Applies an action to every element matching a
+ *                              CSS selector: defer, async, remove-async, remove, lazy, fetchpriority (value),
+ *                              set-attribute (name, value) or remove-attribute (name).
+ * - `html_replace` {Array<{find, replace, flags?, literal?, expect?}>}  Ordered search-and-replace steps on
+ *                              the raw document. `flags` defaults to "g"; `literal` treats `find` and `replace`
+ *                              as plain text; `expect` is the number of matches the step should make. A single
+ *                              `{find, replace}` object is accepted as a one-step list.
+ * - `headers`      {Array<{match, set?, remove?}>}  Rewrites the response headers of matching requests.
+ * - `mock`         {Array<{match, file?, body?, status?, contentType?, headers?}>}  Serves a local file
+ *                              (relative to the mocks directory) or an inline body instead of the network response.
+ * - `resources`    {Array<{match, resourceType?, find?, replace?, strip_imports?, font_display?, file?}>}
+ *                              Rewrites the body of matching subresources (or iframe documents): regex
+ *                              find/replace, removal of CSS `@import`s, forcing `font-display` in `@font-face`
+ *                              blocks, or replacing the whole response with a file from the mocks directory.
+ *
+ * The URL-fragment types (`defer`, `async`, `remove_async`, `block`, `lazy_load`, `fetchpriority`)
+ * are shorthands for `dom` rules with a `[src*="fragment"]` selector. HTML rules run on the main
+ * document only. `headers` and `mock` rules apply to any request whose URL contains `match`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const logger = require('./logger');
+
+// Local files served by `mock` rules must live in this directory.
+const MOCKS_DIR = path.resolve(process.env.PERF_TESTER_MOCKS_DIR || path.join(__dirname, '../mocks'));
+
+const HINT_RELS = ['preload', 'preconnect', 'dns-prefetch'];
+const FETCH_PRIORITIES = ['high', 'low', 'auto'];
+const FONT_DISPLAY_VALUES = ['auto', 'block', 'swap', 'fallback', 'optional'];
+// Puppeteer resource types that `resources` rules can be scoped to.
+const RESOURCE_TYPES = ['document', 'stylesheet', 'script', 'font', 'image', 'media', 'xhr', 'fetch', 'manifest', 'other'];
+const DOM_ACTIONS = ['defer', 'async', 'remove-async', 'remove', 'lazy', 'fetchpriority', 'set-attribute', 'remove-attribute'];
+// Content types whose bodies `resources` rules may rewrite: CSS, JavaScript, JSON, SVG, HTML and XML.
+const TEXT_CONTENT_TYPE = /^\s*(?:text\/|application\/(?:(?:x-)?javascript|ecmascript|(?:[\w.-]+\+)?json|(?:[\w.-]+\+)?xml)\b|image\/svg\+xml\b)/i;
+
+// Content types for mocked files, by extension.
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+const isString = value => typeof value === 'string';
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a `rules` object.
+ * @param {*} rules - The rules from the request body.
+ * @returns {string|null} - An error message describing the first invalid rule, or null if valid.
+ */
+function validateRules(rules) {
+    if (!isPlainObject(rules)) {
+        return '`rules` must be an object.';
+    }
+
+    for (const type of ['block', 'defer', 'async', 'remove_async', 'lazy_load']) {
+        if (rules[type] === undefined) continue;
+        if (!Array.isArray(rules[type]) || !rules[type].every(isString)) {
+            return `\`rules.${type}\` must be an array of URL fragments (strings).`;
+        }
+    }
+
+    if (rules.html_replace !== undefined) {
+        if (!isPlainObject(rules.html_replace) && !Array.isArray(rules.html_replace)) {
+            return '`rules.html_replace` must be an array of `{ find, replace }` objects.';
+        }
+        for (const [i, step] of getHtmlReplacements(rules).entries()) {
+            const label = `\`rules.html_replace[${i}]\``;
+            if (!isPlainObject(step) || !isString(step.find) || !isString(step.replace)) {
+                return `${label} must be an object with string \`find\` and \`replace\` properties.`;
+            }
+            if (step.find === '') return `${label}: \`find\` must not be empty.`;
+            if (step.flags !== undefined && (!isString(step.flags) || !/^[dgimsuy]*$/.test(step.flags))) {
+                return `${label}: \`flags\` may only contain the regex flags d, g, i, m, s, u and y.`;
+            }
+            if (step.flags !== undefined && new Set(step.flags).size !== step.flags.length) {
+                return `${label}: \`flags\` must not repeat a flag.`;
+            }
+            if (step.literal !== undefined && typeof step.literal !== 'boolean') return `${label}: \`literal\` must be a boolean.`;
+            if (step.expect !== undefined && !(Number.isInteger(step.expect) && step.expect >= 0)) {
+                return `${label}: \`expect\` must be a non-negative integer.`;
+            }
+            try {
+                buildReplacementRegex(step);
+            } catch (e) {
+                return `${label}: \`find\` is not a valid regular expression: ${e.message}`;
+            }
+        }
+    }
+
+    const arrayError = (type, validate) => {
+        if (rules[type] === undefined) return null;
+        if (!Array.isArray(rules[type])) return `\`rules.${type}\` must be an array.`;
+        for (const [i, rule] of rules[type].entries()) {
+            if (!isPlainObject(rule)) return `\`rules.${type}[${i}]\` must be an object.`;
+            const error = validate(rule);
+            if (error) return `\`rules.${type}[${i}]\`: ${error}`;
+        }
+        return null;
+    };
+
+    return arrayError('dom', rule => {
+        if (!isNonEmptyString(rule.selector)) return '`selector` must be a non-empty CSS selector.';
+        try {
+            cheerio.load('')(rule.selector);
+        } catch (e) {
+            return `\`selector\` is not a valid CSS selector: ${e.message}`;
+        }
+        if (!DOM_ACTIONS.includes(rule.action)) return `\`action\` must be one of ${DOM_ACTIONS.join(', ')}.`;
+        if (rule.action === 'fetchpriority' && !FETCH_PRIORITIES.includes(rule.value)) {
+            return `\`value\` must be one of ${FETCH_PRIORITIES.join(', ')}.`;
+        }
+        if (['set-attribute', 'remove-attribute'].includes(rule.action) && !/^[^\s"'>\/=]+$/.test(rule.name || '')) {
+            return '`name` must be a valid attribute name.';
+        }
+        if (rule.action === 'set-attribute' && !isString(rule.value)) return '`value` must be a string.';
+        return null;
+    }) || arrayError('fetchpriority', rule => {
+        if (!isNonEmptyString(rule.match)) return '`match` must be a non-empty string.';
+        if (!FETCH_PRIORITIES.includes(rule.value)) return `\`value\` must be one of ${FETCH_PRIORITIES.join(', ')}.`;
+        return null;
+    }) || arrayError('hints', rule => {
+        if (!HINT_RELS.includes(rule.rel)) return `\`rel\` must be one of ${HINT_RELS.join(', ')}.`;
+        if (!isNonEmptyString(rule.href)) return '`href` must be a non-empty string.';
+        if (rule.rel === 'preload' && !isNonEmptyString(rule.as)) return 'preload hints require an `as` value (e.g. "font", "image", "script").';
+        for (const attr of ['as', 'type']) {
+            if (rule[attr] !== undefined && !isString(rule[attr])) return `\`${attr}\` must be a string.`;
+        }
+        if (rule.crossorigin !== undefined && !isString(rule.crossorigin) && typeof rule.crossorigin !== 'boolean') {
+            return '`crossorigin` must be a string or boolean.';
+        }
+        return null;
+    }) || arrayError('headers', rule => {
+        if (!isNonEmptyString(rule.match)) return '`match` must be a non-empty string.';
+        if (rule.set === undefined && rule.remove === undefined) return 'at least one of `set` or `remove` is required.';
+        if (rule.set !== undefined && (!isPlainObject(rule.set) || !Object.values(rule.set).every(isString))) {
+            return '`set` must be an object of header names to string values.';
+        }
+        if (rule.remove !== undefined && (!Array.isArray(rule.remove) || !rule.remove.every(isString))) {
+            return '`remove` must be an array of header names.';
+        }
+        return null;
+    }) || arrayError('resources', rule => {
+        if (!isNonEmptyString(rule.match)) return '`match` must be a non-empty string.';
+        if (rule.resourceType !== undefined && !RESOURCE_TYPES.includes(rule.resourceType)) {
+            return `\`resourceType\` must be one of ${RESOURCE_TYPES.join(', ')}.`;
+        }
+        const operations = ['find', 'strip_imports', 'font_display', 'file'].filter(op => rule[op] !== undefined);
+        if (operations.length === 0) return 'at least one of `find`/`replace`, `strip_imports`, `font_display` or `file` is required.';
+        if (rule.file !== undefined) {
+            if (operations.length > 1) return '`file` replaces the whole response and cannot be combined with other operations.';
+            if (!isNonEmptyString(rule.file)) return '`file` must be a non-empty string.';
+            const filePath = resolveMockFile(rule.file);
+            if (!filePath) return `\`file\` must be a path inside the mocks directory (${MOCKS_DIR}).`;
+            if (!fs.existsSync(filePath)) return `file not found: ${rule.file}`;
+            if (rule.contentType !== undefined && !isString(rule.contentType)) return '`contentType` must be a string.';
+        }
+        if (rule.find !== undefined) {
+            if (!isString(rule.find) || !isString(rule.replace)) return '`find` and `replace` must both be strings.';
+            try {
+                new RegExp(rule.find, 'g');
+            } catch (e) {
+                return `\`find\` is not a valid regular expression: ${e.message}`;
+            }
+        }
+        if (rule.strip_imports !== undefined && typeof rule.strip_imports !== 'boolean') return '`strip_imports` must be a boolean.';
+        if (rule.font_display !== undefined && !FONT_DISPLAY_VALUES.includes(rule.font_display)) {
+            return `\`font_display\` must be one of ${FONT_DISPLAY_VALUES.join(', ')}.`;
+        }
+        return null;
+    }) || arrayError('mock', rule => {
+        if (!isNonEmptyString(rule.match)) return '`match` must be a non-empty string.';
+        if ((rule.file === undefined) === (rule.body === undefined)) return 'exactly one of `file` or `body` is required.';
+        if (rule.body !== undefined && !isString(rule.body)) return '`body` must be a string.';
+        if (rule.file !== undefined) {
+            if (!isNonEmptyString(rule.file)) return '`file` must be a non-empty string.';
+            const filePath = resolveMockFile(rule.file);
+            if (!filePath) return `\`file\` must be a path inside the mocks directory (${MOCKS_DIR}).`;
+            if (!fs.existsSync(filePath)) return `mock file not found: ${rule.file}`;
+        }
+        if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 100 && rule.status <= 599)) {
+            return '`status` must be an HTTP status code.';
+        }
+        if (rule.contentType !== undefined && !isString(rule.contentType)) return '`contentType` must be a string.';
+        if (rule.headers !== undefined && (!isPlainObject(rule.headers) || !Object.values(rule.headers).every(isString))) {
+            return '`headers` must be an object of header names to string values.';
+        }
+        return null;
+    });
+}
+
+/**
+ * Resolves a mock file path, refusing anything outside the mocks directory.
+ * @param {string} file - The path from the rule, relative to the mocks directory.
+ * @returns {string|null} - The absolute path, or null if it escapes the mocks directory.
+ */
+function resolveMockFile(file) {
+    const resolved = path.resolve(MOCKS_DIR, file);
+    return resolved.startsWith(MOCKS_DIR + path.sep) ? resolved : null;
+}
+
+/**
+ * Builds a CSS attribute selector that matches elements whose `src` contains a literal fragment.
+ * @param {string} tagName - e.g. 'script' or 'img'.
+ * @param {string} fragment - The URL fragment, used verbatim (quotes and backslashes are escaped).
+ * @returns {string}
+ */
+function srcSelector(tagName, fragment) {
+    return `${tagName}[src*="${fragment.replace(/["\\]/g, '\\$&')}"]`;
+}
+
+/**
+ * Translates every DOM-level rule into a `{ type, index, selector, action, ... }` entry.
+ * The URL-fragment rule types are shorthands for selector rules on `<script src>` / `<img src>`.
+ * @param {object} rules - Validated rules.
+ * @returns {object[]}
+ */
+function toDomRules(rules) {
+    const fragmentRules = (type, tagName, action) => (rules[type] || [])
+        .map((fragment, index) => ({ type, index, target: fragment, selector: srcSelector(tagName, fragment), action }))
+        // Skip empty fragments: `[src*=""]` would match every element.
+        .filter(rule => rule.target);
+
+    return [
+        ...fragmentRules('defer', 'script', 'defer'),
+        ...fragmentRules('async', 'script', 'async'),
+        ...fragmentRules('remove_async', 'script', 'remove-async'),
+        ...fragmentRules('block', 'script', 'remove'),
+        ...fragmentRules('lazy_load', 'img', 'lazy'),
+        ...(rules.fetchpriority || []).map((rule, index) => ({
+            type: 'fetchpriority', index, target: rule.match, selector: srcSelector('img', rule.match), action: 'fetchpriority', value: rule.value
+        })),
+        ...(rules.dom || []).map((rule, index) => ({ type: 'dom', index, target: rule.selector, ...rule }))
+    ];
+}
+
+/**
+ * Applies one DOM action to a cheerio selection.
+ * @param {object} elements - The cheerio selection.
+ * @param {object} rule - A rule from toDomRules.
+ * @returns {string} - A log description of what was done.
+ */
+function applyDomAction(elements, rule) {
+    switch (rule.action) {
+        case 'defer':
+            elements.attr('defer', '');
+            return 'Deferred';
+        case 'async':
+            elements.attr('async', '');
+            return 'Made async';
+        case 'remove-async':
+            elements.removeAttr('async');
+            return 'Removed async from';
+        case 'remove':
+            elements.remove();
+            return 'Removed';
+        case 'lazy':
+            elements.attr('loading', 'lazy');
+            return 'Lazy-loaded';
+        case 'fetchpriority':
+            elements.attr('fetchpriority', rule.value);
+            return `Set fetchpriority="${rule.value}" on`;
+        case 'set-attribute':
+            elements.attr(rule.name, rule.value);
+            return `Set ${rule.name}="${rule.value}" on`;
+        case 'remove-attribute':
+            elements.removeAttr(rule.name);
+            return `Removed ${rule.name} from`;
+        default:
+            throw new Error(`Unknown DOM action "${rule.action}"`);
+    }
+}
+
+/**
+ * Creates an empty report of how many times each rule matched during one run.
+ * Rules that never match are no-ops and are surfaced as such in the test response.
+ * @param {object} rules - Validated rules.
+ * @returns {{entries: object[], record: function(string, number, number=): void}}
+ */
+function createRuleReport(rules) {
+    const entries = [];
+    const byKey = new Map();
+    const add = (type, index, target, action) => {
+        const entry = { type, index, target, action, matches: 0 };
+        entries.push(entry);
+        byKey.set(`${type}:${index}`, entry);
+    };
+
+    toDomRules(rules).forEach(rule => add(rule.type, rule.index, rule.target, rule.action));
+    (rules.hints || []).forEach((hint, index) => add('hints', index, hint.href, `inject-${hint.rel}`));
+    getHtmlReplacements(rules).forEach((step, index) => {
+        add('html_replace', index, step.find, step.literal ? 'replace-literal' : 'replace');
+        if (step.expect !== undefined) entries[entries.length - 1].expected = step.expect;
+    });
+    (rules.headers || []).forEach((rule, index) => add('headers', index, rule.match, 'rewrite-headers'));
+    (rules.resources || []).forEach((rule, index) => add('resources', index, rule.match, rule.file ? 'replace-file' : 'rewrite'));
+    (rules.mock || []).forEach((rule, index) => add('mock', index, rule.match, 'mock'));
+
+    return {
+        entries,
+        record(type, index, count = 1) {
+            const entry = byKey.get(`${type}:${index}`);
+            if (entry) entry.matches += count;
+        }
+    };
+}
+
+/**
+ * Merges the per-run rule reports into one summary. A rule counts as a no-op
+ * only if it matched nothing in every run.
+ * @param {object[][]} reports - One `entries` array per run.
+ * @returns {object[]} - One entry per rule with `matches` (the highest count of any run) and `noop`.
+ */
+function summarizeRuleReports(reports) {
+    if (reports.length === 0) return [];
+    return reports[0].map((entry, i) => {
+        const matches = Math.max(...reports.map(report => report[i]?.matches || 0));
+        const summary = { type: entry.type, index: entry.index, target: entry.target, action: entry.action, matches, noop: matches === 0 };
+        if (entry.expected !== undefined) {
+            summary.expected = entry.expected;
+            summary.expectationMet = reports.every(report => report[i]?.matches === entry.expected);
+        }
+        return summary;
+    });
+}
+
+// Report used when the caller doesn't collect rule matches.
+const NULL_REPORT = { entries: [], record() {} };
+
+/**
+ * Returns the `html_replace` steps as an array, accepting the legacy single-object form.
+ * @param {object} rules
+ * @returns {object[]}
+ */
+function getHtmlReplacements(rules) {
+    if (rules.html_replace === undefined) return [];
+    return Array.isArray(rules.html_replace) ? rules.html_replace : [rules.html_replace];
+}
+
+/**
+ * Compiles one `html_replace` step into a RegExp.
+ * @param {{find: string, flags?: string, literal?: boolean}} step
+ * @returns {RegExp}
+ */
+function buildReplacementRegex(step) {
+    const source = step.literal ? step.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : step.find;
+    return new RegExp(source, step.flags ?? 'g');
+}
+
+/**
+ * Applies every HTML rule to the main document.
+ *
+ * DOM rules are applied on a parsed document and serialized back, so attribute quoting,
+ * unquoted values and special characters in fragments are all handled by the parser.
+ * The document is only re-serialized when at least one DOM rule or hint is present,
+ * so that an unmodified baseline is byte-for-byte the original response.
+ * @param {string} body - The original HTML.
+ * @param {object} rules - Validated rules.
+ * @param {object} [report] - A report from createRuleReport that receives match counts.
+ * @returns {{body: string, modified: boolean}} - The new HTML and whether anything changed.
+ */
+function applyHtmlRules(body, rules, report = NULL_REPORT) {
+    let modified = false;
+    const domRules = toDomRules(rules);
+    const hints = rules.hints || [];
+
+    if (domRules.length > 0 || hints.length > 0) {
+        const $ = cheerio.load(body);
+
+        domRules.forEach(rule => {
+            const elements = $(rule.selector);
+            report.record(rule.type, rule.index, elements.length);
+            if (elements.length === 0) {
+                logger.log(`[HTML MOD]: ${rule.type} rule "${rule.target}" matched no elements (${rule.selector})`);
+                return;
+            }
+            const description = applyDomAction(elements, rule);
+            modified = true;
+            logger.log(`[HTML MOD]: ${description} ${elements.length} element(s) matching "${rule.selector}"`);
+        });
+
+        // Inject resource hints at the top of <head> so they are discovered first.
+        // The parser always creates a <head>, even if the original document had none.
+        [...hints].reverse().forEach((hint, reversedIndex) => {
+            const link = $('<link>').attr({ rel: hint.rel, href: hint.href });
+            if (hint.as) link.attr('as', hint.as);
+            if (hint.type) link.attr('type', hint.type);
+            if (hint.crossorigin === true) link.attr('crossorigin', '');
+            else if (isString(hint.crossorigin)) link.attr('crossorigin', hint.crossorigin);
+            $('head').prepend(link);
+            report.record('hints', hints.length - 1 - reversedIndex);
+            modified = true;
+            logger.log(`[HTML MOD]: Injected <link rel="${hint.rel}"> for ${hint.href}`);
+        });
+
+        if (modified) {
+            body = $.html();
+        }
+    }
+
+    // Apply HTML replace rules on the serialized document, in order: each step sees the output of the previous one.
+    getHtmlReplacements(rules).forEach((step, index) => {
+        const regex = buildReplacementRegex(step);
+        const matches = regex.global ? (body.match(regex) || []).length : (regex.test(body) ? 1 : 0);
+        // test() with the `y` flag (and no `g`) moves lastIndex past the match, where replace() would start.
+        regex.lastIndex = 0;
+        report.record('html_replace', index, matches);
+        // A replacer function disables `$1`-style substitutions for literal steps.
+        body = body.replace(regex, step.literal ? () => step.replace : step.replace);
+        modified = modified || matches > 0;
+        const expectation = step.expect !== undefined && step.expect !== matches ? ` (expected ${step.expect})` : '';
+        logger.log(`[HTML MOD]: Applied HTML replacement #${index + 1} (${matches} match(es))${expectation}.`);
+    });
+
+    return { body, modified };
+}
+
+/**
+ * Returns the first `mock` rule that matches a URL.
+ * @param {string} url
+ * @param {object} rules
+ * @returns {object|undefined}
+ */
+function findMockRule(url, rules) {
+    return (rules.mock || []).find(rule => url.includes(rule.match));
+}
+
+/**
+ * Returns all `headers` rules that match a URL.
+ * @param {string} url
+ * @param {object} rules
+ * @returns {object[]}
+ */
+function findHeaderRules(url, rules) {
+    return (rules.headers || []).filter(rule => url.includes(rule.match));
+}
+
+/**
+ * Applies header rewrite rules to a set of response headers.
+ * @param {object} headers - Header name to value map (not modified).
+ * @param {object[]} headerRules - Rules returned by findHeaderRules.
+ * @param {string} url - The request URL, used for logging.
+ * @returns {object} - The new header map.
+ */
+function applyHeaderRules(headers, headerRules, url) {
+    const result = {};
+    // Header names are case-insensitive; normalize to lower case so set/remove always match.
+    Object.entries(headers).forEach(([name, value]) => { result[name.toLowerCase()] = value; });
+    headerRules.forEach(rule => {
+        (rule.remove || []).forEach(name => { delete result[name.toLowerCase()]; });
+        Object.entries(rule.set || {}).forEach(([name, value]) => { result[name.toLowerCase()] = value; });
+        logger.log(`[HEADER MOD]: Rewrote response headers for ${url} (rule "${rule.match}")`);
+    });
+    return result;
+}
+
+/**
+ * Returns all `resources` rules that match a URL and resource type.
+ * @param {string} url
+ * @param {string} resourceType - The Puppeteer resource type of the request.
+ * @param {object} rules
+ * @returns {object[]}
+ */
+function findResourceRules(url, resourceType, rules) {
+    return (rules.resources || []).filter(rule =>
+        url.includes(rule.match) && (!rule.resourceType || rule.resourceType === resourceType)
+    );
+}
+
+/**
+ * Whether a response body is text that `resources` rules can rewrite. Fonts, images, wasm and
+ * other binary bodies would be corrupted by decoding them as UTF-8, so they are passed through.
+ * @param {?string} contentType - The `Content-Type` header of the response.
+ * @returns {boolean}
+ */
+function isTextContentType(contentType) {
+    return TEXT_CONTENT_TYPE.test(contentType || '');
+}
+
+/**
+ * Applies the text operations of `resources` rules to a fetched response body, in rule order.
+ * @param {string} body - The response text.
+ * @param {object[]} resourceRules - Rules returned by findResourceRules (without `file` rules).
+ * @param {object} rules - All rules, used to locate each rule's index for the report.
+ * @param {string} url - The request URL, used for logging.
+ * @param {object} [report] - A report from createRuleReport that receives change counts.
+ * @returns {string} - The new body.
+ */
+function applyResourceRules(body, resourceRules, rules, url, report = NULL_REPORT) {
+    resourceRules.forEach(rule => {
+        const index = rules.resources.indexOf(rule);
+        let changes = 0;
+
+        if (rule.strip_imports) {
+            body = body.replace(/@import\s+(?:url\()?\s*["']?[^;]*;/gi, () => {
+                changes++;
+                return '';
+            });
+        }
+
+        if (rule.font_display) {
+            body = body.replace(/@font-face\s*\{[^}]*\}/gi, block => {
+                changes++;
+                return /font-display\s*:/i.test(block)
+                    ? block.replace(/font-display\s*:\s*[^;}]+/i, `font-display: ${rule.font_display}`)
+                    : block.replace('{', `{font-display: ${rule.font_display};`);
+            });
+        }
+
+        if (rule.find !== undefined) {
+            const regex = new RegExp(rule.find, 'g');
+            const matches = (body.match(regex) || []).length;
+            body = body.replace(regex, rule.replace);
+            changes += matches;
+        }
+
+        report.record('resources', index, changes);
+        logger.log(`[RESOURCE MOD]: Applied rule "${rule.match}" to ${url} (${changes} change(s)).`);
+    });
+    return body;
+}
+
+/**
+ * Builds the response for a `mock` rule.
+ * @param {object} rule - A validated mock rule.
+ * @returns {{status: number, headers: object, body: Buffer|string}} - Arguments for request.respond().
+ */
+function buildMockResponse(rule) {
+    let body;
+    let contentType = rule.contentType;
+    if (rule.file !== undefined) {
+        const filePath = resolveMockFile(rule.file);
+        body = fs.readFileSync(filePath);
+        contentType = contentType || MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    } else {
+        body = rule.body;
+        contentType = contentType || 'text/plain; charset=utf-8';
+    }
+    return {
+        status: rule.status || 200,
+        headers: { 'content-type': contentType, ...(rule.headers || {}) },
+        body
+    };
+}
+
+module.exports = {
+    MOCKS_DIR,
+    validateRules,
+    createRuleReport,
+    summarizeRuleReports,
+    applyHtmlRules,
+    findMockRule,
+    findHeaderRules,
+    applyHeaderRules,
+    findResourceRules,
+    isTextContentType,
+    applyResourceRules,
+    buildMockResponse
+};
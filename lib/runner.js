@@ -0,0 +1,1378 @@
+// lib/runner.js
+// The test engine: single runs and the aggregation of their metrics.
+
+/**
+ * @fileoverview Runs performance tests with Puppeteer. Used by the Express server (api/index.js)
+ * and the command-line runner (bin/perf-tester.js), so both measure exactly the same way.
+ *
+ * A test leases a warm browser from lib/pool.js and gives every run (and the screenshot) its
+ * own incognito context. Runs therefore never share cache, cookies or storage: each one is a
+ * first visit, whether or not `disableCache` is set. A repeat view (`view: 'repeat'` or
+ * `'both'`) loads the page twice in the run's context and measures the second load, like a
+ * returning visitor with a warm cache, cookies and storage. With `parallelRuns` several runs load at
+ * the same time in the same browser; they then compete for CPU, which inflates TBT, LCP and
+ * the other main-thread metrics, so the result carries a warning when the machine has fewer
+ * than CPUS_PER_PARALLEL_RUN cores per parallel run. With `runs: 'adaptive'` runs are added until
+ * the LCP median is precise enough (see lib/stability.js).
+ */
+
+const os = require('os');
+
+const fetch = require('node-fetch'); // Use a standard require for node-fetch
+const { getMedian, compareSamples } = require('./stats');
+const { recordNetwork, thirdPartyBytes } = require('./network');
+const {
+    validateRules,
+    createRuleReport,
+    summarizeRuleReports,
+    applyHtmlRules,
+    findMockRule,
+    findHeaderRules,
+    applyHeaderRules,
+    findResourceRules,
+    isTextContentType,
+    applyResourceRules,
+    buildMockResponse
+} = require('./rules');
+const throttlingProfiles = require('./throttling');
+const { simulateMetrics } = require('./simulation');
+const { attributeThirdParties, summarizeThirdParties } = require('./third-parties');
+const { createFetchTimer, buildNavigationTiming, summarizeNavigationTiming } = require('./navigation-timing');
+const { analyzeVisualProgress } = require('./filmstrip');
+const { validateRuns, resolveAdaptiveRuns, isPreciseEnough, summarizeStability, ADAPTIVE_METRIC } = require('./stability');
+const { validateArtifacts, summarizeCoverage, saveArtifacts } = require('./artifacts');
+const { validateInteractions, runInteractions } = require('./interactions');
+const { validateSteps, resolveFlow, playStep, aggregateSteps } = require('./flows');
+const budgets = require('./budgets');
+const pool = require('./pool');
+const logger = require('./logger');
+
+// Metrics collected by runSingleTest, all of them "lower is better".
+const METRIC_KEYS = ['FCP', 'LCP', 'TBT', 'CLS', 'pageWeight', 'thirdPartyBytes', 'speedIndex', 'visuallyComplete', 'lastVisualChange', 'INP'];
+
+// 'devtools' throttles the page while it loads; 'simulate' loads it unthrottled and estimates
+// the throttled metrics from the trace, like PageSpeed Insights does.
+const THROTTLING_METHODS = ['devtools', 'simulate'];
+
+// 'first' measures a visit with an empty cache, 'repeat' a return visit right after it, and
+// 'both' reports the two loads of each run side by side.
+const VIEWS = ['first', 'repeat', 'both'];
+
+const MAX_PARALLEL_RUNS = 4;
+// Cores a loading page keeps busy (renderer main thread plus the browser and compositor
+// threads); with fewer per parallel run the runs slow each other down.
+const CPUS_PER_PARALLEL_RUN = 2;
+
+/**
+ * Executes a single performance test run for a given URL.
+ * @param {object} browser - The Puppeteer browser, or the browser context to run in.
+ * @param {object} options - The test options.
+ * @param {string} options.url - The URL to test.
+ * @param {object} options.rules - The modification rules.
+ * @param {object} options.throttling - The resolved throttling settings (see lib/throttling.js).
+ * @param {string} options.throttlingMethod - 'devtools' or 'simulate'.
+ * @param {object[]} [options.interactions] - Steps to play after load; INP is measured over them.
+ * @param {object[]} [options.steps] - A multi-step flow (see lib/flows.js). The metrics describe
+ *   its measured `goto`; the other steps only report their own timing.
+ * @param {boolean} options.disableCache - Whether to disable the browser cache.
+ * @param {boolean} [options.filmstrip=true] - Build the filmstrip of the load (see lib/filmstrip.js).
+ * @param {string[]} [options.artifacts] - Artifacts of the load to keep (see lib/artifacts.js).
+ * @returns {Promise<object>} - The collected metrics, plus the recorded network `requests`,
+ *   the per-rule match counts (`ruleReport`), the result of each flow step (`steps`), the
+ *   `visualProgress` curve, the `filmstrip`, the impact of each party (`thirdParties`, see
+ *   lib/third-parties.js), the LCP element (`lcpElement`) with its sub-parts (`lcpBreakdown`) and
+ *   the CLS session window with its largest shifts (`layoutShifts`) and the document's
+ *   `navigationTiming` (see lib/navigation-timing.js). Simulated runs also return the unthrottled `observed` metrics, and
+ *   runs that keep artifacts list them in `artifacts`.
+ */
+async function runSingleTest(browser, { url, rules, throttling, throttlingMethod, interactions = [], steps, disableCache, filmstrip = true, artifacts = [] }) {
+    const page = await browser.newPage();
+    const traceFile = require('path').join(require('os').tmpdir(), `trace-${Date.now()}-${Math.random().toString(36).substring(7)}.json`);
+    const flow = resolveFlow(steps, url);
+    const measuredStep = flow.steps[flow.measuredIndex];
+    const stepResults = [];
+    try {
+        page.on('console', msg => logger.log(`[BROWSER]: ${msg.text()}`));
+
+        // Apply the device emulation of the mode or throttling profile
+        const throttlingConfig = throttlingProfiles.toEmulation(throttling);
+        await page.setViewport(throttlingConfig.viewport);
+        if (throttlingConfig.userAgent) {
+            await page.setUserAgent(throttlingConfig.userAgent);
+        }
+
+        // Handle cache settings
+        await page.setCacheEnabled(!disableCache);
+        if (disableCache) {
+            await page.setExtraHTTPHeaders({
+                'Cache-Control': 'no-cache, no-store, must-revalidate',
+                'Pragma': 'no-cache',
+                'Expires': '0',
+            });
+        }
+
+        // Apply network and CPU throttling. Simulated runs load unthrottled and apply it afterwards.
+        const client = await page.target().createCDPSession();
+        const throttlingSummary = `${throttling.profile ? ` (profile ${throttling.profile})` : ''} - CPU: ${throttlingConfig.cpu}x, Network: ${throttling.download || 'unlimited'}/${throttling.upload || 'unlimited'} Kbps, latency ${throttlingConfig.network.latency}ms`;
+        if (throttlingMethod === 'simulate') {
+            logger.log(`[DEBUG] Loading unthrottled; simulating throttling${throttlingSummary}`);
+        } else {
+            await client.send('Network.emulateNetworkConditions', throttlingConfig.network);
+            await client.send('Emulation.setCPUThrottlingRate', { rate: throttlingConfig.cpu });
+            logger.log(`[DEBUG] Throttling applied${throttlingSummary}`);
+        }
+
+        // Record every request of the run for the waterfall. The interceptor reports
+        // which URLs it blocked so they can be flagged in the recording.
+        const blockedUrls = new Set();
+        const networkRecorder = await recordNetwork(client, { blockedUrls });
+
+        // Inject performance observers
+        await injectPerformanceObservers(page); // This will now also expose the function
+
+        // Enable request interception for rules
+        // The rule report counts how often each rule matched, so no-op rules can be reported.
+        const ruleReport = createRuleReport(rules);
+        await page.setRequestInterception(true);
+        // The main-frame document is fetched by the interceptor, which times its network phases.
+        let documentTiming = null;
+        setupRequestInterceptor(page, { rules, blockedUrls, ruleReport, onDocumentTiming: timing => { documentTiming = timing; } });
+
+        // --- Flow steps before the measured page load (consent, login...) ---
+        for (let i = 0; i < flow.measuredIndex; i++) {
+            stepResults.push(await playStep(page, flow.steps[i], i));
+        }
+
+        // The waterfall, the trace and the simulation only cover the measured load.
+        networkRecorder.reset();
+        documentTiming = null;
+        await page.tracing.start({ path: traceFile, screenshots: true });
+        if (artifacts.includes('cpuProfile')) {
+            await client.send('Profiler.enable');
+            await client.send('Profiler.start');
+        }
+        if (artifacts.includes('coverage')) {
+            await Promise.all([
+                page.coverage.startJSCoverage({ resetOnNavigation: false }),
+                page.coverage.startCSSCoverage({ resetOnNavigation: false })
+            ]);
+        }
+
+        // FCP promise setup - this promise will be resolved by the observer script
+        const fcpPromise = new Promise(resolve => {
+            page.once('fcp-reported', resolve);
+        });
+
+        // --- Metrics Collection ---
+        let fcpTimeoutId;
+        const fcpMetricPromise = Promise.race([
+            fcpPromise.then(fcp => {
+                clearTimeout(fcpTimeoutId); // Clear the timeout since FCP was found
+                return fcp;
+            }),
+            new Promise(resolve => {
+                fcpTimeoutId = setTimeout(() => resolve(null), 30000);
+            })
+        ]);
+
+        const navigationStartedAt = Date.now();
+        let loadTime = null;
+        try {
+            await page.goto(measuredStep.url, { waitUntil: 'load', timeout: 90000 });
+            loadTime = Date.now() - navigationStartedAt;
+            logger.log('[DEBUG] Page "load" event fired.');
+        } catch (e) {
+            logger.log('[DEBUG] Page goto warning:', e.message);
+        }
+
+        logger.log('[DEBUG] Waiting 2 seconds for page to settle and LCP to finalize...');
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        logger.log('[DEBUG] Settling delay complete.');
+
+        const fcp = await fcpMetricPromise;
+        const lcp = await page.evaluate(() => window.__getFinalLcp());
+        const lcpDetails = await page.evaluate(() => window.__getLcpDetails());
+
+        const additionalMetrics = await page.evaluate((fcpVal) => {
+            if (window.__getAdditionalMetrics) {
+                return window.__getAdditionalMetrics(fcpVal || 0);
+            }
+            return { TBT: null, CLS: null, pageWeight: null };
+        }, fcp);
+        const layoutShifts = await page.evaluate(() => window.__getLayoutShifts());
+        const navigationTiming = buildNavigationTiming(documentTiming, await page.evaluate(() => window.__getNavigationTiming()));
+
+        const cpuProfile = artifacts.includes('cpuProfile') ? (await client.send('Profiler.stop')).profile : null;
+        const coverage = artifacts.includes('coverage')
+            ? summarizeCoverage(...await Promise.all([page.coverage.stopJSCoverage(), page.coverage.stopCSSCoverage()]))
+            : null;
+        await page.tracing.stop();
+        
+        let visual = { speedIndex: null, visuallyComplete: null, lastVisualChange: null, visualProgress: [], filmstrip: null };
+        try {
+            visual = await analyzeVisualProgress(traceFile, { filmstrip });
+        } catch (e) {
+            logger.error('Speedline error:', e);
+        }
+        const { speedIndex, visuallyComplete, lastVisualChange } = visual;
+
+        const metrics = { 
+            FCP: fcp, 
+            LCP: lcp,
+            TBT: additionalMetrics.TBT,
+            CLS: additionalMetrics.CLS,
+            pageWeight: additionalMetrics.pageWeight,
+            speedIndex: speedIndex,
+            visuallyComplete,
+            lastVisualChange,
+            visualProgress: visual.visualProgress,
+            filmstrip: visual.filmstrip,
+            lcpElement: lcpDetails && lcpDetails.element,
+            lcpBreakdown: lcpDetails && lcpDetails.breakdown,
+            layoutShifts,
+            navigationTiming,
+            requests: networkRecorder.getRequests(),
+            ruleReport: ruleReport.entries
+        };
+        // Bytes from other sites than the measured page's, e.g. tag managers, ads and widgets.
+        metrics.thirdPartyBytes = thirdPartyBytes(metrics.requests, measuredStep.url);
+
+        const lcpUrl = lcpDetails && lcpDetails.element.url;
+        let traceEvents = null;
+        const readTraceEvents = () => {
+            if (!traceEvents) traceEvents = JSON.parse(require('fs').readFileSync(traceFile, 'utf8')).traceEvents;
+            return traceEvents;
+        };
+
+        // Attributed on the observed timeline, which the trace records.
+        try {
+            metrics.thirdParties = attributeThirdParties({
+                traceEvents: readTraceEvents(),
+                requests: metrics.requests,
+                timeOrigin: networkRecorder.getTimeOrigin(),
+                pageUrl: measuredStep.url,
+                FCP: fcp,
+                LCP: lcp,
+                lcpUrl
+            });
+        } catch (e) {
+            logger.error('[SERVER]: Could not attribute third-party impact:', e.message);
+            metrics.thirdParties = null;
+        }
+
+        if (throttlingMethod === 'simulate') {
+            const observed = { FCP: fcp, LCP: lcp, TBT: additionalMetrics.TBT, speedIndex, visuallyComplete, lastVisualChange };
+            const simulated = simulateMetrics({
+                traceEvents: readTraceEvents(),
+                requests: metrics.requests,
+                timeOrigin: networkRecorder.getTimeOrigin(),
+                observed,
+                lcpUrl,
+                settings: throttling
+            });
+            if (simulated) {
+                logger.log(`[SERVER]: Simulated FCP=${simulated.FCP?.toFixed(0)}ms, LCP=${simulated.LCP?.toFixed(0)}ms (observed ${fcp?.toFixed(0)}ms / ${lcp?.toFixed(0)}ms).`);
+                Object.assign(metrics, simulated);
+            } else {
+                logger.error('[SERVER]: Could not build a dependency graph from the trace; reporting unthrottled metrics.');
+            }
+            metrics.simulated = Boolean(simulated);
+            metrics.observed = observed;
+        }
+
+        if (artifacts.length > 0) {
+            // The trace is moved into the store, so it is not deleted below.
+            metrics.artifacts = await saveArtifacts([
+                artifacts.includes('trace') && require('fs').existsSync(traceFile) && { type: 'trace', file: traceFile },
+                cpuProfile && { type: 'cpuProfile', data: cpuProfile },
+                coverage && { type: 'coverage', data: coverage }
+            ].filter(Boolean));
+        }
+
+        // --- Interactions & INP ---
+        // Played after the load metrics are final (input would stop LCP and mark later layout
+        // shifts as expected), and after tracing so they don't show up in the filmstrip.
+        metrics.INP = null;
+        if (interactions.length > 0) {
+            if (throttlingMethod === 'simulate') {
+                // Interactions can't be simulated: run them on the throttled CPU instead.
+                await client.send('Emulation.setCPUThrottlingRate', { rate: throttlingConfig.cpu });
+            }
+            const interactionErrors = await runInteractions(page, interactions);
+            // Event timing entries are delivered after the next paint; give them time to arrive.
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            const inp = await page.evaluate(() => window.__getInp());
+            metrics.INP = inp.value;
+            metrics.interactionCount = inp.count;
+            if (interactionErrors.length > 0) metrics.interactionErrors = interactionErrors;
+            logger.log(`[SERVER]: INP=${inp.value != null ? `${inp.value}ms` : 'N/A'} over ${inp.count} interaction(s).`);
+        }
+
+        // --- Flow steps after the measured page load (SPA navigation...) ---
+        if (steps) {
+            stepResults.push({
+                index: flow.measuredIndex,
+                action: 'goto',
+                url: measuredStep.url,
+                navigation: 'hard',
+                duration: loadTime,
+                requestCount: metrics.requests.length,
+                FCP: metrics.FCP,
+                LCP: metrics.LCP,
+                CLS: metrics.CLS,
+                measured: true
+            });
+            for (let i = flow.measuredIndex + 1; i < flow.steps.length; i++) {
+                stepResults.push(await playStep(page, flow.steps[i], i));
+            }
+            metrics.steps = stepResults;
+        }
+
+        return metrics;
+    } finally {
+        const fs = require('fs');
+        if (fs.existsSync(traceFile)) fs.unlinkSync(traceFile);
+        await page.close();
+    }
+}
+
+/**
+ * Validates and normalizes the body of a test request (shared by `/test` and `/jobs`).
+ * @param {object} body - The raw JSON request body.
+ * @returns {{params: object}|{error: string}} - The normalized test parameters, or a validation error.
+ */
+function parseTestRequest(body) {
+    const { url, rules = {}, mode = 'custom', runs = 3, parallelRuns = 1, view = 'first', disableCache = false } = body || {};
+
+    if (!url) {
+        return { error: 'URL is required' };
+    }
+
+    const modes = Object.keys(throttlingProfiles.MODE_DEFAULTS);
+    if (!modes.includes(mode)) {
+        return { error: `\`mode\` must be one of: ${modes.join(', ')}.` };
+    }
+
+    const runsError = validateRuns(body);
+    if (runsError) {
+        return { error: runsError };
+    }
+    const adaptive = resolveAdaptiveRuns(body);
+
+    const rulesError = validateRules(rules);
+    if (rulesError) {
+        return { error: rulesError };
+    }
+
+    const interactionsError = validateInteractions(body.interactions);
+    if (interactionsError) {
+        return { error: interactionsError };
+    }
+    const interactions = body.interactions || [];
+
+    const stepsError = validateSteps(body.steps);
+    if (stepsError) {
+        return { error: stepsError };
+    }
+    const steps = body.steps || null;
+
+    const artifactsError = validateArtifacts(body.artifacts);
+    if (artifactsError) {
+        return { error: artifactsError };
+    }
+    const artifacts = [...new Set(body.artifacts || [])];
+
+    const budgetError = budgets.validateBudget(body.budget);
+    if (budgetError) {
+        return { error: budgetError };
+    }
+    const budget = budgets.resolveBudget(url, body.budget);
+
+    const throttlingError = throttlingProfiles.validateThrottling(body.throttling);
+    if (throttlingError) {
+        return { error: throttlingError };
+    }
+    const throttling = throttlingProfiles.resolveThrottling(mode, body.throttling);
+
+    // PageSpeed modes simulate throttling by default, like PageSpeed Insights itself.
+    const throttlingMethod = body.throttlingMethod || (String(mode).startsWith('pagespeed-') ? 'simulate' : 'devtools');
+    if (!THROTTLING_METHODS.includes(throttlingMethod)) {
+        return { error: `\`throttlingMethod\` must be one of: ${THROTTLING_METHODS.join(', ')}.` };
+    }
+
+    if (!Number.isInteger(parallelRuns) || parallelRuns < 1 || parallelRuns > MAX_PARALLEL_RUNS) {
+        return { error: `\`parallelRuns\` must be an integer from 1 to ${MAX_PARALLEL_RUNS}.` };
+    }
+
+    if (!VIEWS.includes(view)) {
+        return { error: `\`view\` must be one of: ${VIEWS.join(', ')}.` };
+    }
+    if (view !== 'first' && disableCache) {
+        return { error: `A ${view === 'both' ? 'first and repeat' : 'repeat'} view needs the browser cache; remove \`disableCache\`.` };
+    }
+
+    // Optional A/B mode: each variant carries its own rules and the first one is the baseline.
+    let variants = null;
+    if (body.variants !== undefined) {
+        const variantError = validateVariants(body.variants);
+        if (variantError) {
+            return { error: variantError };
+        }
+        variants = body.variants.map((variant, i) => ({
+            name: variant.name || String.fromCharCode(65 + i), // A, B, C...
+            rules: variant.rules || {}
+        }));
+    }
+
+    return { params: { url, rules, mode, throttling, throttlingMethod, interactions, steps, budget, runs, adaptive, parallelRuns, view, disableCache, artifacts, variants } };
+}
+
+/**
+ * Throws an AbortError if the given signal has been aborted (e.g. a job was cancelled).
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error('Test was cancelled.');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
+
+/**
+ * Takes a screenshot on a final, clean load to ensure it's representative.
+ * @param {object} browser - The Puppeteer browser, or the browser context to load the page in.
+ * @param {object} options
+ * @param {string} options.url
+ * @param {object[]} [options.steps] - The flow; the steps before the measured load are replayed.
+ * @param {object} options.throttling - The resolved throttling settings. The screenshot shows the
+ *   runs' viewport, so the LCP element's bounding box can be drawn on it.
+ * @returns {Promise<string>} - The base64-encoded PNG.
+ */
+async function takeScreenshot(browser, { url, steps, throttling }) {
+    logger.log('[DEBUG] Taking final screenshot...');
+    const page = await browser.newPage();
+    try {
+        const emulation = throttlingProfiles.toEmulation(throttling);
+        // One image pixel per CSS pixel keeps high-density mobile screenshots small.
+        await page.setViewport({ ...emulation.viewport, deviceScaleFactor: 1 });
+        if (emulation.userAgent) await page.setUserAgent(emulation.userAgent);
+        // Replay the steps before the measured load, so the screenshot shows e.g. the logged-in page.
+        const flow = resolveFlow(steps, url);
+        for (let i = 0; i < flow.measuredIndex; i++) {
+            await playStep(page, flow.steps[i], i).catch(e => logger.log(`[FLOW]: Screenshot flow: ${e.message}`));
+        }
+        await page.goto(flow.steps[flow.measuredIndex].url, { waitUntil: 'load' });
+        return await page.screenshot({ encoding: 'base64' });
+    } finally {
+        await page.close();
+    }
+}
+
+/**
+ * Warns when the requested artifacts slow down the page's JavaScript.
+ * @param {string[]} artifacts
+ * @returns {string|null}
+ */
+function profilingWarning(artifacts) {
+    const slowing = [artifacts.includes('cpuProfile') && 'CPU profiling', artifacts.includes('coverage') && 'code coverage'].filter(Boolean);
+    if (slowing.length === 0) return null;
+    return `${slowing.join(' and ')} slow${slowing.length > 1 ? '' : 's'} down JavaScript, which inflates TBT, LCP and the ` +
+        `other main-thread metrics. Compare such results only with results that kept the same artifacts.`;
+}
+
+/**
+ * Warns when page loads running at the same time are likely to slow each other down on this machine.
+ * @param {number} concurrentRuns - How many runs load at once (across tests, for batches).
+ * @param {number} [otherTests=0] - How many of those belong to other tests sharing the browser
+ *   pool (counted as one run each).
+ * @returns {string|null}
+ */
+function contentionWarning(concurrentRuns, otherTests = 0) {
+    const cpus = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+    if (concurrentRuns < 2 || concurrentRuns * CPUS_PER_PARALLEL_RUN <= cpus) return null;
+    const others = otherTests > 0 ? ` (including ${otherTests} other test(s) in the browser pool)` : '';
+    return `${concurrentRuns} runs at the same time${others} on ${cpus} CPU core(s): the runs compete for CPU, which inflates ` +
+        `TBT, LCP and the other main-thread metrics. Run fewer at once for absolute numbers.`;
+}
+
+/**
+ * Runs a complete test: leases a browser, executes every run and takes the final screenshot.
+ * @param {object} params - Normalized parameters from parseTestRequest.
+ * @param {object} [hooks]
+ * @param {function(object): void} [hooks.onProgress] - Called with a progress event
+ *   (`{type: 'stage', ...}` or `{type: 'run', ...}`) as the test advances.
+ * @param {AbortSignal} [hooks.signal] - Cancels the test. The open browser contexts are closed
+ *   immediately, which makes the in-flight runs fail and the test reject with an AbortError.
+ * @param {object} [hooks.launch] - Options for launchBrowser.
+ * @param {boolean} [hooks.screenshot=true] - Take the final screenshot (`screenshot` is null otherwise).
+ * @param {boolean} [hooks.filmstrip=true] - Return the filmstrip of the median run (`filmstrip`
+ *   is null otherwise).
+ * @returns {Promise<object>} - The response payload (parameters, median metrics, runs, filmstrip,
+ *   third-party impact, `lcp` element and sub-parts, `layoutShifts`, `navigationTiming`,
+ *   `stability`, screenshot, `timing` and `warnings`). Every run carries its `wallTime` in ms, and the `artifacts` it kept if
+ *   `params.artifacts` asked for any. With `view: 'both'` the runs and `averageMetrics` describe
+ *   the first view and hold the repeat view in `repeatView`.
+ */
+async function executeTest(params, { onProgress = () => {}, signal, launch, screenshot: withScreenshot = true, filmstrip: withFilmstrip = true } = {}) {
+    const { url, rules, mode, throttling, throttlingMethod, interactions, steps, budget, runs, adaptive = null, parallelRuns = 1, view = 'first', disableCache, artifacts = [], variants } = params;
+    const variantCount = variants ? variants.length : 1;
+    // An adaptive test may grow up to `maxRuns`; the timeout allows for all of them.
+    const maxTotalRuns = (adaptive ? adaptive.maxRuns : runs) * variantCount;
+    // Repeat views load the page twice per run.
+    const loadsPerRun = view === 'first' ? 1 : 2;
+    const startedAt = Date.now();
+
+    logger.log(`Starting test for URL: ${url} in ${mode} mode`);
+    if (variants) {
+        logger.log('With variants:', variants.map(v => v.name).join(' vs '));
+    } else {
+        logger.log('With rules:', rules);
+    }
+
+    let browser;
+    let timedOut = false;
+    // Set once the test settled, so that parallel runs still in flight do not start new ones.
+    let settled = false;
+    let timeoutId;
+    const contexts = new Set();
+    const onAbort = () => {
+        logger.log('[DEBUG] Test cancelled. Closing browser contexts...');
+        contexts.forEach(context => context.close().catch(() => {}));
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    // Runs `fn` in a fresh incognito context, closed afterwards.
+    const inNewContext = async fn => {
+        if (settled) throw new Error('The test has already ended.');
+        const context = await browser.createBrowserContext();
+        if (settled) {
+            await context.close().catch(() => {});
+            throw new Error('The test has already ended.');
+        }
+        contexts.add(context);
+        try {
+            return await fn(context);
+        } finally {
+            contexts.delete(context);
+            await context.close().catch(() => {});
+        }
+    };
+
+    try {
+        return await Promise.race([
+            (async () => {
+                onProgress({ type: 'stage', stage: 'launch', message: 'Starting browser...' });
+                const lease = await pool.acquire(launch, { signal });
+                // The test timed out while waiting for a browser: nobody else will release it.
+                if (settled) return pool.release(lease.browser);
+                browser = lease.browser;
+                const launchTime = Date.now() - startedAt;
+                logger.log(`[POOL]: ${lease.reused ? 'Reused a warm browser' : 'Launched a browser'} in ${launchTime}ms.`);
+
+                throwIfAborted(signal);
+
+                const warnings = [profilingWarning(artifacts)].filter(Boolean);
+                warnings.forEach(warning => logger.log(`[SERVER]: Warning: ${warning}`));
+                // Other tests (e.g. the pages of a batch) may load in other browsers of the pool
+                // at the same time; the most seen at the start of a run count towards contention.
+                let otherTests = 0;
+
+                // Runs are interleaved across variants (A, B, A, B...) so that network and machine
+                // noise is spread evenly instead of biasing one variant. With parallel runs, the
+                // next run of the list starts as soon as a slot frees up.
+                const testVariants = variants || [{ name: 'default', rules }];
+                const schedule = [];
+                let plannedRuns = 0;
+                let totalRuns = 0;
+                const scheduleRuns = count => {
+                    for (let r = 0; r < count; r++, plannedRuns++) {
+                        testVariants.forEach((variant, v) => schedule.push({ i: plannedRuns, v }));
+                    }
+                    totalRuns = plannedRuns * testVariants.length;
+                };
+                scheduleRuns(adaptive ? adaptive.minRuns : runs);
+                const runsByVariant = testVariants.map(() => []);
+                // Kept apart from the runs, which are sent with every progress event.
+                const filmstripsByVariant = testVariants.map(() => []);
+                let next = 0;
+                let completedRuns = 0;
+                const worker = async () => {
+                    while (next < schedule.length && !settled) {
+                        throwIfAborted(signal);
+                        const { i, v } = schedule[next++];
+                        const variant = testVariants[v];
+                        const label = variants ? ` [variant ${variant.name}]` : '';
+                        logger.log(`\n--- Starting run ${i + 1} of ${adaptive ? `up to ${adaptive.maxRuns}` : runs}${label} for ${url} ---`);
+                        otherTests = Math.max(otherTests, pool.busyCount() - 1);
+                        const runStartedAt = Date.now();
+                        const test = { url, rules: variant.rules, throttling, throttlingMethod, interactions, steps, disableCache, artifacts };
+                        const metrics = await inNewContext(async context => {
+                            // A repeat view only reports its second load, so only that one keeps artifacts.
+                            const firstView = await runSingleTest(context, { ...test, filmstrip: withFilmstrip && view !== 'repeat', artifacts: view === 'repeat' ? [] : artifacts });
+                            if (view === 'first') return firstView;
+                            // The first load left its cache, cookies and storage in the context.
+                            const { filmstrip, ...repeatView } = await runSingleTest(context, { ...test, filmstrip: withFilmstrip && view === 'repeat' });
+                            return view === 'repeat' ? { ...repeatView, filmstrip } : { ...firstView, repeatView };
+                        });
+                        metrics.wallTime = Date.now() - runStartedAt;
+                        filmstripsByVariant[v][i] = metrics.filmstrip;
+                        delete metrics.filmstrip;
+                        runsByVariant[v][i] = metrics;
+                        completedRuns++;
+                        logger.log(`--- Finished run ${i + 1}${label} in ${metrics.wallTime}ms: FCP=${metrics.FCP?.toFixed(2)}ms, LCP=${metrics.LCP?.toFixed(2)}ms${metrics.repeatView ? ` (repeat view: FCP=${metrics.repeatView.FCP?.toFixed(2)}ms, LCP=${metrics.repeatView.LCP?.toFixed(2)}ms)` : ''} ---`);
+                        onProgress({
+                            type: 'run',
+                            run: i + 1,
+                            variant: variants ? variant.name : null,
+                            completedRuns,
+                            totalRuns,
+                            metrics
+                        });
+                    }
+                };
+                const runScheduled = () => Promise.all(Array.from({ length: Math.min(parallelRuns, schedule.length - next) }, worker));
+                await runScheduled();
+
+                // Adaptive runs: add a round (one run per variant, or enough to fill the parallel
+                // slots) until the LCP median of every variant is precise enough.
+                const precise = () => runsByVariant.every(variantRuns => isPreciseEnough(variantRuns, adaptive.precision));
+                while (adaptive && !settled && plannedRuns < adaptive.maxRuns && !precise()) {
+                    throwIfAborted(signal);
+                    const rounds = Math.min(Math.ceil(parallelRuns / testVariants.length), adaptive.maxRuns - plannedRuns);
+                    logger.log(`[STABILITY]: ${ADAPTIVE_METRIC} is not within ±${Math.round(adaptive.precision * 100)}% after ${plannedRuns} runs; adding ${rounds} more.`);
+                    scheduleRuns(rounds);
+                    await runScheduled();
+                }
+
+                const variantResults = testVariants.map((variant, v) => ({
+                    name: variant.name,
+                    rules: variant.rules,
+                    averageMetrics: aggregateMetrics(runsByVariant[v]),
+                    budget: null,
+                    ruleReport: summarizeRuleReports(runsByVariant[v].map(m => m.ruleReport)),
+                    stepMetrics: steps ? aggregateSteps(runsByVariant[v].map(m => m.steps)) : null,
+                    filmstrip: medianFilmstrip(runsByVariant[v], filmstripsByVariant[v]),
+                    thirdParties: summarizeThirdParties(runsByVariant[v].map(m => m.thirdParties)),
+                    lcp: summarizeLcp(runsByVariant[v]),
+                    layoutShifts: medianLayoutShifts(runsByVariant[v]),
+                    navigationTiming: summarizeNavigationTiming(runsByVariant[v].map(m => m.navigationTiming)),
+                    stability: summarizeStability(runsByVariant[v], METRIC_KEYS),
+                    individualRuns: runsByVariant[v]
+                }));
+                if (view === 'both') {
+                    variantResults.forEach(result => {
+                        result.averageMetrics.repeatView = aggregateMetrics(result.individualRuns.map(m => m.repeatView));
+                        result.stability.repeatView = summarizeStability(result.individualRuns.map(m => m.repeatView), METRIC_KEYS);
+                    });
+                }
+                if (adaptive) {
+                    const reached = precise();
+                    variantResults.forEach(result => {
+                        result.stability.adaptive = { precision: adaptive.precision, maxRuns: adaptive.maxRuns, reached };
+                    });
+                }
+                variantResults.forEach(result => {
+                    if (result.stability.noisy.length > 0) {
+                        logger.log(`[STABILITY]: ${variants ? `Variant ${result.name}: ` : ''}Noisy runs for ${result.stability.noisy.join(', ')}.`);
+                    }
+                });
+                variantResults.forEach(result => {
+                    result.ruleReport.filter(entry => entry.noop).forEach(entry => {
+                        logger.log(`[SERVER]: ${variants ? `Variant ${result.name}: ` : ''}${entry.type} rule "${entry.target}" had no effect in any run.`);
+                    });
+                });
+                variantResults.forEach(result => logger.log(`[SERVER]: Final median metrics${variants ? ` for variant ${result.name}` : ''}:`, result.averageMetrics));
+                variantResults.forEach(result => {
+                    result.budget = budgets.evaluateBudget(budget, result.averageMetrics);
+                    if (result.budget) logger.log(`[BUDGETS]: ${variants ? `Variant ${result.name}: ` : ''}${result.budget.status.toUpperCase()}`);
+                });
+                const runsWallTime = Date.now() - startedAt - launchTime;
+                const contention = contentionWarning(Math.min(parallelRuns, totalRuns) + otherTests, otherTests);
+                if (contention) {
+                    logger.log(`[SERVER]: Warning: ${contention}`);
+                    warnings.unshift(contention);
+                }
+
+                let screenshot = null;
+                if (withScreenshot) {
+                    throwIfAborted(signal);
+                    onProgress({ type: 'stage', stage: 'screenshot', message: 'Taking final screenshot...' });
+                    screenshot = await inNewContext(context => takeScreenshot(context, { url, steps, throttling }));
+                }
+
+                // `sequentialTime` is what the runs would have taken one after the other, so
+                // `sequentialTime / runsWallTime` is the speedup of parallel runs.
+                const timing = {
+                    browser: lease.reused ? 'reused' : 'launched',
+                    launchTime,
+                    parallelRuns,
+                    runsWallTime,
+                    sequentialTime: runsByVariant.flat().reduce((sum, m) => sum + m.wallTime, 0),
+                    totalTime: Date.now() - startedAt
+                };
+
+                logger.log(`✅ All test runs finished successfully in ${timing.totalTime}ms.`);
+                if (variants) {
+                    return {
+                        parameters: { url, mode, throttling, throttlingMethod, interactions, steps, budget, runs, adaptive, parallelRuns, view, disableCache, artifacts, variants },
+                        variants: variantResults,
+                        comparisons: compareVariants(variantResults),
+                        timing,
+                        warnings,
+                        screenshot
+                    };
+                }
+                // The frontend expects a specific structure. Let's build it.
+                return {
+                    parameters: { url, rules, mode, throttling, throttlingMethod, interactions, steps, budget, runs, adaptive, parallelRuns, view, disableCache, artifacts },
+                    averageMetrics: variantResults[0].averageMetrics,
+                    budget: variantResults[0].budget,
+                    ruleReport: variantResults[0].ruleReport,
+                    stepMetrics: variantResults[0].stepMetrics,
+                    filmstrip: variantResults[0].filmstrip,
+                    thirdParties: variantResults[0].thirdParties,
+                    lcp: variantResults[0].lcp,
+                    layoutShifts: variantResults[0].layoutShifts,
+                    navigationTiming: variantResults[0].navigationTiming,
+                    stability: variantResults[0].stability,
+                    individualRuns: variantResults[0].individualRuns,
+                    timing,
+                    warnings,
+                    screenshot
+                };
+            })(),
+            new Promise((_, reject) => {
+                // Parallel runs do not shorten the limit: contention can make each run slower.
+                timeoutId = setTimeout(() => {
+                    timedOut = true;
+                    reject(new Error(`Global test timeout: The test took too long to complete (${maxTotalRuns * loadsPerRun * 120}s).`));
+                }, maxTotalRuns * loadsPerRun * 120000);
+            })
+        ]);
+    } catch (error) {
+        // A cancelled test usually surfaces as a Puppeteer "Target closed" error; report it as a cancellation.
+        if (signal && signal.aborted) throwIfAborted(signal);
+        throw error;
+    } finally {
+        settled = true;
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        await Promise.all([...contexts].map(context => context.close().catch(() => {})));
+        // After a timeout the runs may still be going on in this browser, so it is not reused.
+        if (browser) pool.release(browser, { discard: timedOut });
+    }
+}
+
+/**
+ * Validates the `variants` array of an A/B request.
+ * @param {*} variants - The raw `variants` value from the request body.
+ * @returns {string|null} - An error message, or null if the variants are valid.
+ */
+function validateVariants(variants) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+        return '`variants` must be an array with at least two entries.';
+    }
+    for (const [i, variant] of variants.entries()) {
+        if (!variant || typeof variant !== 'object') {
+            return `Variant ${i + 1} must be an object.`;
+        }
+        const rulesError = variant.rules !== undefined ? validateRules(variant.rules) : null;
+        if (rulesError) {
+            return `Variant ${i + 1}: ${rulesError}`;
+        }
+    }
+    const names = variants.map((variant, i) => variant.name || String.fromCharCode(65 + i));
+    if (new Set(names).size !== names.length) {
+        return 'Variant names must be unique.';
+    }
+    return null;
+}
+
+/**
+ * Calculates the median of every metric across a set of runs.
+ * Medians are more robust against outliers than averages.
+ * @param {object[]} allMetrics - The metrics returned by each runSingleTest call.
+ * @returns {object} - The median value of each metric in METRIC_KEYS.
+ */
+function aggregateMetrics(allMetrics) {
+    const medianMetrics = {};
+    for (const key of METRIC_KEYS) {
+        medianMetrics[key] = getMedian(allMetrics.map(m => m[key]));
+    }
+    return medianMetrics;
+}
+
+/**
+ * The filmstrip of the median run: the one whose Speed Index (or LCP) is closest to the median.
+ * It carries that run's visual timings and progress curve, which (unlike simulated metrics)
+ * are on the same time axis as its frames.
+ * @param {object[]} runs - The metrics of every run.
+ * @param {Array<?object>} filmstrips - The filmstrip of every run, in the same order.
+ * @returns {?object} - The filmstrip with its 1-based `run` number, `speedIndex`,
+ *   `visuallyComplete`, `lastVisualChange` and `visualProgress`, or null if there is none.
+ */
+function medianFilmstrip(runs, filmstrips) {
+    const key = runs.some(m => m.speedIndex != null) ? 'speedIndex' : 'LCP';
+    const median = getMedian(runs.map(m => m[key]));
+    let best = -1;
+    runs.forEach((m, i) => {
+        if (!filmstrips[i] || m[key] == null) return;
+        if (best === -1 || Math.abs(m[key] - median) < Math.abs(runs[best][key] - median)) best = i;
+    });
+    if (best === -1) return null;
+    const timings = runs[best].observed || runs[best];
+    return {
+        run: best + 1,
+        speedIndex: timings.speedIndex,
+        visuallyComplete: timings.visuallyComplete,
+        lastVisualChange: timings.lastVisualChange,
+        visualProgress: runs[best].visualProgress,
+        ...filmstrips[best]
+    };
+}
+
+const LCP_SUB_PARTS = ['TTFB', 'resourceLoadDelay', 'resourceLoadDuration', 'elementRenderDelay'];
+
+/**
+ * The LCP element and sub-parts over all runs. The sub-parts describe the observed load, so with
+ * simulated throttling they add up to the unthrottled LCP.
+ * @param {object[]} runs - The metrics of every run.
+ * @returns {?object} - `{ element, elementRuns, runs, breakdown }`: the element that was the LCP
+ *   in the most runs, in how many of the `runs` it was, and the median of each sub-part; null if
+ *   no run had an LCP element.
+ */
+function summarizeLcp(runs) {
+    const withElement = runs.filter(m => m.lcpElement);
+    if (withElement.length === 0) return null;
+    const counts = new Map();
+    withElement.forEach(m => counts.set(m.lcpElement.selector, (counts.get(m.lcpElement.selector) || 0) + 1));
+    const [selector, elementRuns] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const breakdown = {};
+    LCP_SUB_PARTS.forEach(key => {
+        breakdown[key] = getMedian(withElement.map(m => m.lcpBreakdown && m.lcpBreakdown[key]));
+    });
+    return {
+        element: withElement.find(m => m.lcpElement.selector === selector).lcpElement,
+        elementRuns,
+        runs: runs.length,
+        breakdown
+    };
+}
+
+/**
+ * The layout shifts of the run whose CLS is closest to the median, so the shifts shown add up
+ * to a typical CLS.
+ * @param {object[]} runs - The metrics of every run.
+ * @returns {?object} - That run's `layoutShifts` (`window`, `shifts`, `viewport`) with its
+ *   1-based `run` number and `CLS`, or null if no run shifted.
+ */
+function medianLayoutShifts(runs) {
+    const median = getMedian(runs.map(m => m.CLS));
+    let best = -1;
+    runs.forEach((m, i) => {
+        if (!m.layoutShifts || !m.layoutShifts.window) return;
+        if (best === -1 || Math.abs(m.CLS - median) < Math.abs(runs[best].CLS - median)) best = i;
+    });
+    if (best === -1) return null;
+    return { run: best + 1, CLS: runs[best].CLS, ...runs[best].layoutShifts };
+}
+
+/**
+ * Compares every variant against the first (baseline) variant, metric by metric.
+ * @param {object[]} variantResults - Per-variant results with `name` and `individualRuns`.
+ * @returns {object[]} - One entry per non-baseline variant with per-metric statistics
+ *   (delta, confidence interval, Mann-Whitney p-value and verdict).
+ */
+function compareVariants(variantResults) {
+    const [baseline, ...others] = variantResults;
+    return others.map(variant => {
+        const metrics = {};
+        for (const key of METRIC_KEYS) {
+            metrics[key] = compareSamples(
+                baseline.individualRuns.map(m => m[key]),
+                variant.individualRuns.map(m => m[key])
+            );
+        }
+        return { baseline: baseline.name, variant: variant.name, metrics };
+    });
+}
+
+/**
+ * Finds the CLS session window: the burst of layout shifts less than 1 s apart, spanning at
+ * most 5 s, with the largest total. It also runs in the page, so it uses nothing from this module.
+ * @param {Array<{startTime: number, value: number}>} shifts - Layout shifts without recent input,
+ *   in the order they happened.
+ * @returns {?{startTime: number, endTime: number, value: number, shiftCount: number}} - Null if
+ *   nothing shifted. `endTime` is the start of the window's last shift.
+ */
+function findClsWindow(shifts) {
+    let worst = null;
+    let current = null;
+    for (const shift of shifts) {
+        if (current && shift.startTime - current.endTime < 1000 && shift.startTime - current.startTime < 5000) {
+            current.value += shift.value;
+            current.endTime = shift.startTime;
+            current.shiftCount++;
+        } else {
+            current = { startTime: shift.startTime, endTime: shift.startTime, value: shift.value, shiftCount: 1 };
+        }
+        if (!worst || current.value > worst.value) worst = { ...current };
+    }
+    return worst;
+}
+
+/**
+ * Injects performance observer scripts into the page to measure FCP, LCP, TBT, CLS, page weight and INP.
+ * @param {object} page - The Puppeteer page object.
+ */
+async function injectPerformanceObservers(page) {
+    // Expose a function to the page that the observer can call.
+    // We re-expose it for every new page to ensure the binding is fresh.
+    await page.exposeFunction('__reportFcp', fcp => {
+        logger.log(`[SERVER]: __reportFcp called from browser with value: ${fcp}`);
+        page.emit('fcp-reported', fcp); // Emit an event on the page object
+    });
+
+    // The page computes the session windows with the source of findClsWindow.
+    await page.evaluateOnNewDocument(`window.__findClsWindow = ${findClsWindow.toString()};`);
+
+    await page.evaluateOnNewDocument(() => {
+        if (window.self !== window.top) {
+            return; // Skip iframes
+        }
+        console.log('[PERF OBSERVER]: Script injected in main frame.');
+        
+        // FCP Observer
+        new PerformanceObserver((entryList) => {
+            const entries = entryList.getEntries();
+            const fcpEntry = entries.find(entry => entry.name === 'first-contentful-paint');
+            if (fcpEntry && !window.__fcpReported) {
+                window.__fcpReported = true;
+                console.log(`[PERF OBSERVER]: FCP detected: ${fcpEntry.startTime}ms. Reporting to server.`);
+                window.__reportFcp(fcpEntry.startTime);
+            }
+        }).observe({ type: 'paint', buffered: true });
+
+        // Navigation Timing milestones of the document, in ms since navigation start.
+        window.__getNavigationTiming = () => {
+            const navigation = performance.getEntriesByType('navigation')[0];
+            if (!navigation) return null;
+            return {
+                fetchStart: navigation.fetchStart,
+                responseStart: navigation.responseStart,
+                domInteractive: navigation.domInteractive,
+                domContentLoaded: navigation.domContentLoadedEventStart,
+                load: navigation.loadEventStart
+            };
+        };
+
+        // A CSS selector for an element: its tag, first classes and position among its siblings,
+        // up to the nearest ancestor with an id (or five levels).
+        const cssPath = element => {
+            const parts = [];
+            for (let node = element; node && node.nodeType === Node.ELEMENT_NODE && parts.length < 5; node = node.parentElement) {
+                if (node.id) {
+                    parts.unshift(`#${CSS.escape(node.id)}`);
+                    break;
+                }
+                let part = node.tagName.toLowerCase() + Array.from(node.classList).slice(0, 2).map(name => `.${CSS.escape(name)}`).join('');
+                const sameTag = node.parentElement ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName) : [];
+                if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+                parts.unshift(part);
+                if (node === document.body) break;
+            }
+            return parts.join(' > ');
+        };
+
+        // LCP Observer - store ALL updates in an array
+        window.__lcpUpdates = [];
+        window.__lcpEntry = null;
+        new PerformanceObserver((entryList) => {
+            const entries = entryList.getEntries();
+            entries.forEach(entry => {
+                const lcpData = {
+                    startTime: entry.startTime,
+                    size: entry.size,
+                    element: entry.element?.tagName || 'unknown',
+                    selector: entry.element ? cssPath(entry.element) : null,
+                    url: entry.url || entry.element?.currentSrc || 'N/A'
+                };
+                window.__lcpUpdates.push(lcpData);
+                window.__lcpEntry = entry;
+                console.log(`[PERF OBSERVER]: LCP update #${window.__lcpUpdates.length}: ${lcpData.startTime}ms, element: ${lcpData.element}, size: ${lcpData.size}`);
+            });
+        }).observe({ type: 'largest-contentful-paint', buffered: true });
+
+        window.__getFinalLcp = () => {
+            const finalLcp = window.__lcpUpdates.length > 0
+                ? window.__lcpUpdates[window.__lcpUpdates.length - 1].startTime
+                : null;
+            console.log(`[PERF OBSERVER]: Reporting final LCP: ${finalLcp}ms (total updates: ${window.__lcpUpdates.length})`);
+            console.log(`[PERF OBSERVER]: All LCP updates:`, JSON.stringify(window.__lcpUpdates, null, 2));
+            return finalLcp;
+        };
+
+        // The final LCP element and the LCP sub-parts, as defined by web.dev/optimize-lcp:
+        // TTFB, then the wait until the LCP resource is requested, its download, and the wait
+        // until the element is rendered. Text and inline images have no resource phases.
+        window.__getLcpDetails = () => {
+            const entry = window.__lcpEntry;
+            if (!entry) return null;
+            const lcpData = window.__lcpUpdates[window.__lcpUpdates.length - 1];
+            const navigation = performance.getEntriesByType('navigation')[0];
+            const activationStart = navigation?.activationStart || 0;
+            const ttfb = navigation ? Math.max(0, navigation.responseStart - activationStart) : 0;
+            const resource = entry.url ? performance.getEntriesByType('resource').find(r => r.name === entry.url) : null;
+            // Cross-origin resources without Timing-Allow-Origin report no requestStart.
+            const requestStart = Math.max(ttfb, resource ? (resource.requestStart || resource.startTime) - activationStart : 0);
+            const responseEnd = Math.max(requestStart, resource ? resource.responseEnd - activationStart : 0);
+            const renderTime = Math.max(responseEnd, entry.startTime - activationStart);
+            const element = entry.element;
+            let boundingBox = null;
+            if (element && element.isConnected) {
+                const rect = element.getBoundingClientRect();
+                boundingBox = { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+            }
+            return {
+                element: {
+                    tagName: lcpData.element,
+                    selector: lcpData.selector,
+                    url: lcpData.url !== 'N/A' ? lcpData.url : null,
+                    size: entry.size,
+                    boundingBox,
+                    viewport: { width: window.innerWidth, height: window.innerHeight }
+                },
+                breakdown: {
+                    TTFB: ttfb,
+                    resourceLoadDelay: requestStart - ttfb,
+                    resourceLoadDuration: responseEnd - requestStart,
+                    elementRenderDelay: renderTime - responseEnd
+                }
+            };
+        };
+
+        window.__longTasks = [];
+        try {
+            new PerformanceObserver((list) => {
+                for (const entry of list.getEntries()) {
+                    window.__longTasks.push({startTime: entry.startTime, duration: entry.duration});
+                }
+            }).observe({type: 'longtask', buffered: true});
+        } catch (e) {
+            console.error('[PERF OBSERVER]: longtask not supported');
+        }
+
+        // Layout shifts with the elements that moved. Rects are in CSS pixels of the viewport.
+        window.__layoutShifts = [];
+        const toRect = rect => ({ x: rect.x, y: rect.y, width: rect.width, height: rect.height });
+        try {
+            new PerformanceObserver((list) => {
+                for (const entry of list.getEntries()) {
+                    if (!entry.hadRecentInput) {
+                        window.__layoutShifts.push({
+                            startTime: entry.startTime,
+                            value: entry.value,
+                            sources: (entry.sources || []).map(source => {
+                                // Shifted text is reported as its text node.
+                                const element = source.node && (source.node.nodeType === Node.ELEMENT_NODE ? source.node : source.node.parentElement);
+                                return {
+                                    selector: element ? cssPath(element) : null,
+                                    previousRect: toRect(source.previousRect),
+                                    currentRect: toRect(source.currentRect)
+                                };
+                            })
+                        });
+                    }
+                }
+            }).observe({type: 'layout-shift', buffered: true});
+        } catch (e) {
+            console.error('[PERF OBSERVER]: layout-shift not supported');
+        }
+
+        // Event timing: one latency per interaction (the longest event of its interactionId).
+        window.__interactions = new Map();
+        try {
+            const recordInteraction = entry => {
+                if (!entry.interactionId) return;
+                const previous = window.__interactions.get(entry.interactionId);
+                if (!previous || entry.duration > previous.duration) {
+                    window.__interactions.set(entry.interactionId, { startTime: entry.startTime, duration: entry.duration });
+                }
+            };
+            new PerformanceObserver((list) => list.getEntries().forEach(recordInteraction))
+                .observe({ type: 'event', durationThreshold: 16, buffered: true });
+            new PerformanceObserver((list) => list.getEntries().forEach(recordInteraction))
+                .observe({ type: 'first-input', buffered: true });
+        } catch (e) {
+            console.error('[PERF OBSERVER]: event timing not supported');
+        }
+
+        // INP is the worst interaction latency, ignoring one outlier per 50 interactions.
+        window.__getInp = () => {
+            const latencies = Array.from(window.__interactions.values(), i => i.duration).sort((a, b) => b - a);
+            const count = Math.max(performance.interactionCount || 0, latencies.length);
+            if (count === 0) return { value: null, count: 0 };
+            // Interactions below the 16ms threshold are not reported, so an empty list means "fast".
+            const value = latencies.length > 0 ? latencies[Math.min(Math.floor(count / 50), latencies.length - 1)] : 0;
+            return { value, count };
+        };
+
+        // The slowest interaction that started at or after `start` (a page timestamp), for flow steps.
+        window.__getInteractionLatencySince = start => {
+            const latencies = Array.from(window.__interactions.values())
+                .filter(i => i.startTime >= start)
+                .map(i => i.duration);
+            return latencies.length > 0 ? Math.max(...latencies) : null;
+        };
+
+        // Soft navigations: URL changes without a new document, as made by SPA routers.
+        window.__urlChanges = [];
+        const recordUrlChange = () => window.__urlChanges.push({ time: performance.now(), url: location.href });
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = history[method];
+            history[method] = function (...args) {
+                const previousUrl = location.href;
+                const result = original.apply(this, args);
+                if (location.href !== previousUrl) recordUrlChange();
+                return result;
+            };
+        });
+        window.addEventListener('popstate', recordUrlChange);
+        window.addEventListener('hashchange', recordUrlChange);
+
+        // Last DOM change, so flow steps can wait for the page to settle.
+        window.__lastMutation = 0;
+        new MutationObserver(() => {
+            window.__lastMutation = performance.now();
+        }).observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+
+        window.__resources = [];
+        try {
+            new PerformanceObserver((list) => {
+                for (const entry of list.getEntries()) {
+                    window.__resources.push(entry.transferSize || 0);
+                }
+            }).observe({type: 'resource', buffered: true});
+        } catch (e) {
+            console.error('[PERF OBSERVER]: resource not supported');
+        }
+
+        // CLS is the largest session window (findClsWindow, injected before this script).
+        window.__getClsWindow = () => window.__findClsWindow(window.__layoutShifts);
+
+        // The CLS session window and its largest shifts with their sources.
+        window.__getLayoutShifts = (limit = 5) => {
+            const clsWindow = window.__getClsWindow();
+            const shifts = window.__layoutShifts
+                .filter(shift => clsWindow && shift.startTime >= clsWindow.startTime && shift.startTime <= clsWindow.endTime)
+                .sort((a, b) => b.value - a.value)
+                .slice(0, limit);
+            return { window: clsWindow, shifts, viewport: { width: window.innerWidth, height: window.innerHeight } };
+        };
+
+        window.__getAdditionalMetrics = (fcpTime) => {
+            let tbt = 0;
+            for (const task of window.__longTasks) {
+                if (task.startTime >= fcpTime) {
+                    tbt += Math.max(0, task.duration - 50);
+                }
+            }
+            
+            const clsWindow = window.__getClsWindow();
+            const cls = clsWindow ? clsWindow.value : 0;
+            
+            let totalBytes = 0;
+            const navEntries = performance.getEntriesByType('navigation');
+            if (navEntries.length > 0) {
+                totalBytes += navEntries[0].transferSize || 0;
+            }
+            for (const size of window.__resources) {
+                totalBytes += size;
+            }
+            
+            return {
+                TBT: tbt,
+                CLS: cls,
+                pageWeight: totalBytes
+            };
+        };
+    });
+}
+
+/**
+ * Sets up the request interceptor on the page to apply modification rules.
+ * @param {object} page - The Puppeteer page object.
+ * @param {object} options - The test options.
+ * @param {object} options.rules - The modification rules.
+ * @param {Set<string>} [options.blockedUrls] - Receives the URL of every request blocked by a rule.
+ * @param {object} [options.ruleReport] - A report from createRuleReport that receives match counts.
+ * @param {function(object): void} [options.onDocumentTiming] - Receives the timing of every
+ *   main-frame document fetch.
+ */
+function setupRequestInterceptor(page, { rules, blockedUrls = new Set(), ruleReport = createRuleReport({}), onDocumentTiming = () => {} }) {
+    let documentTimer = null;
+    page.on('request', async (request) => {
+        // Wrap the entire handler in a try-catch to prevent unhandled promise rejections
+        // which can crash the Vercel function and prevent logs from appearing.
+        try {
+            const requestUrl = request.url();
+            const resourceType = request.resourceType();
+
+            // Rule: Block requests based on URL fragments
+            // Ensure fragment is a string before calling .includes() to prevent TypeError.
+            const blockIndex = (rules.block || []).findIndex(fragment => fragment && requestUrl.includes(fragment));
+            if (blockIndex !== -1) {
+                logger.log('🚫 Blocking:', requestUrl);
+                blockedUrls.add(requestUrl);
+                ruleReport.record('block', blockIndex);
+                return request.abort();
+            }
+
+            // Rule: Serve a local file or inline body instead of the network response
+            const mockRule = findMockRule(requestUrl, rules);
+            if (mockRule) {
+                logger.log(`[MOCK]: Serving ${mockRule.file ? `file "${mockRule.file}"` : 'inline body'} for ${requestUrl}`);
+                ruleReport.record('mock', rules.mock.indexOf(mockRule));
+                return request.respond(buildMockResponse(mockRule));
+            }
+
+            const headerRules = findHeaderRules(requestUrl, rules);
+            headerRules.forEach(rule => ruleReport.record('headers', rules.headers.indexOf(rule)));
+
+            // Rule: Rewrite subresources (stylesheets, scripts, iframes...) scoped by type and URL
+            const resourceRules = findResourceRules(requestUrl, resourceType, rules);
+            const fileRule = resourceRules.find(rule => rule.file);
+            if (fileRule) {
+                logger.log(`[RESOURCE MOD]: Serving file "${fileRule.file}" for ${resourceType} ${requestUrl}`);
+                ruleReport.record('resources', rules.resources.indexOf(fileRule));
+                const response = buildMockResponse({ file: fileRule.file, contentType: fileRule.contentType });
+                response.headers = applyHeaderRules(response.headers, headerRules, requestUrl);
+                return request.respond(response);
+            }
+            const applyResources = body => applyResourceRules(body, resourceRules, rules, requestUrl, ruleReport);
+
+            // Rule: Modify the main HTML document. The documents of other frames (ads, embeds) are
+            // not the tested page: they only get the header and resource rules below.
+            if (resourceType === 'document' && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                // To modify the HTML, we must intercept the request, fetch the content ourselves,
+                // modify it, and then respond with the modified content.
+                // If the response is not HTML or not OK, we respond with the original content we fetched.
+                // A redirect hop is a request of its own; the chain is timed from its first hop.
+                documentTimer = createFetchTimer(request.redirectChain().length > 0 ? documentTimer : null);
+                return await fetchAndRespond(request, {
+                    page,
+                    headerRules,
+                    canTransform: fetchResponse => fetchResponse.ok && fetchResponse.headers.get('content-type')?.includes('text/html'),
+                    transformBody: body => applyResources(applyHtmlRules(body, rules, ruleReport).body),
+                    description: 'modify document',
+                    timer: documentTimer,
+                    onTiming: onDocumentTiming
+                });
+            }
+
+            // Any other request with header or resource rules goes through the same fetch-modify-respond path.
+            if (headerRules.length > 0 || resourceRules.length > 0) {
+                return await fetchAndRespond(request, {
+                    page,
+                    headerRules,
+                    canTransform: fetchResponse => fetchResponse.ok && resourceRules.length > 0 && isTextContentType(fetchResponse.headers.get('content-type')),
+                    transformBody: applyResources,
+                    description: resourceRules.length > 0 ? `modify ${resourceType}` : 'rewrite headers'
+                });
+            }
+
+            // Continue all other requests without modification
+            return request.continue();
+        } catch (error) {
+            logger.error(`[FATAL INTERCEPTOR ERROR] Request handler for "${request.url()}" failed:`, error);
+            // Abort the request if it's still pending, to avoid leaving it hanging.
+            if (!request.isInterceptResolutionHandled()) {
+                request.abort();
+            }
+        }
+    });
+}
+
+/**
+ * Fetches a request ourselves, optionally transforms the body, and responds with the result.
+ *
+ * The fetch has to stand in for the browser's own request: it sends the page's cookies for the
+ * URL (the browser only adds them after interception), so the cookies of a flow's `setCookie`
+ * or login steps reach the server. Redirects are not followed but passed to the browser, which
+ * requests the next hop itself, so the page ends up under the URL it was redirected to. Every
+ * `Set-Cookie` header is passed on as it came, so the browser stores all of them.
+ * @param {object} request - The intercepted Puppeteer request.
+ * @param {object} options
+ * @param {object} options.page - The page that made the request.
+ * @param {object[]} [options.headerRules] - Header rewrite rules for this URL.
+ * @param {function(object): boolean} [options.canTransform] - Decides, from the fetched response,
+ *   whether the body is text that transformBody should be applied to.
+ * @param {function(string): string} [options.transformBody] - Rewrites the text body.
+ * @param {string} options.description - What we were doing, for the error log.
+ * @param {object} [options.timer] - A timer from createFetchTimer (see lib/navigation-timing.js).
+ * @param {function(object): void} [options.onTiming] - Receives the network phases of the timed
+ *   fetch and its Server-Timing.
+ */
+async function fetchAndRespond(request, { page, headerRules = [], canTransform = () => false, transformBody = body => body, description, timer, onTiming = () => {} }) {
+    const requestUrl = request.url();
+    try {
+        const requestHeaders = { ...request.headers() };
+        if (!Object.keys(requestHeaders).some(name => name.toLowerCase() === 'cookie')) {
+            const cookies = await page.cookies(requestUrl);
+            if (cookies.length > 0) requestHeaders.cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+        }
+        const fetchResponse = await fetch(requestUrl, {
+            method: request.method(),
+            headers: requestHeaders,
+            body: request.postData(),
+            redirect: 'manual',
+            agent: timer ? timer.agent : undefined
+        });
+        if (timer) timer.responseStarted();
+        const headers = applyHeaderRules(responseHeaders(fetchResponse), headerRules, requestUrl);
+        const transform = canTransform(fetchResponse);
+        const body = transform ? await fetchResponse.text() : await fetchResponse.buffer(); // Use buffer for any content type
+        if (timer) onTiming(timer.finish(fetchResponse));
+
+        // Respond with the (potentially modified) body, passing through the original status (e.g., 404,
+        // or a redirect for the browser to follow).
+        return await request.respond({
+            status: fetchResponse.status,
+            headers,
+            body: transform ? transformBody(body) : body
+        });
+    } catch (error) {
+        logger.error(`[INTERCEPTOR ERROR]: Failed to fetch and ${description} for ${requestUrl}:`, error);
+        return request.abort('failed');
+    }
+}
+
+/**
+ * Returns the headers of a fetched response in a form that can be passed to request.respond().
+ * node-fetch transparently decompresses bodies, so the encoding and length headers of the
+ * original response no longer describe the body we send to the browser.
+ * @param {object} fetchResponse - A node-fetch Response.
+ * @returns {object} - Header name to value map. `set-cookie` keeps one entry per header in an
+ *   array, as joining cookies with commas would break the ones with an `Expires` date.
+ */
+function responseHeaders(fetchResponse) {
+    const headers = Object.fromEntries(Object.entries(fetchResponse.headers.raw())
+        .map(([name, values]) => [name, name === 'set-cookie' ? values : values.join(', ')]));
+    delete headers['content-encoding'];
+    delete headers['content-length'];
+    return headers;
+}
+
+module.exports = {
+    METRIC_KEYS,
+    parseTestRequest,
+    runSingleTest,
+    executeTest,
+    contentionWarning,
+    throwIfAborted,
+    aggregateMetrics,
+    compareVariants,
+    findClsWindow,
+    medianLayoutShifts
+};
@@ -0,0 +1,440 @@
+// lib/simulation.js
+// Simulated (Lantern-style) throttling: estimates throttled metrics from an unthrottled page load.
+
+/**
+ * @fileoverview A simplified version of Lighthouse's Lantern simulator.
+ *
+ * PageSpeed Insights does not throttle the page while it loads. It loads it at full speed,
+ * builds a dependency graph of network requests and main-thread tasks from the trace, and then
+ * replays that graph under the target network and CPU conditions. This module does the same:
+ *
+ * 1. Graph: one node per recorded request and per significant main-thread task (10ms or longer,
+ *    or one that parses, evaluates or requests a URL). A request depends on the task or document
+ *    that initiated it; a task depends on the requests whose responses it parses or runs.
+ * 2. Simulation: nodes start once their dependencies finish. Requests share the download
+ *    bandwidth, pay DNS/TCP/TLS round trips on new connections (6 per origin for HTTP/1.1, one
+ *    multiplexed connection for HTTP/2), grow their congestion window with TCP slow start, and
+ *    keep the server response time observed in the real load. Tasks run one at a time, with
+ *    their observed duration multiplied by the CPU slowdown.
+ * 3. Metrics: like Lantern, FCP and LCP are the average of an optimistic estimate (only
+ *    render-blocking requests, plus the LCP image, started before the observed metric) and a
+ *    pessimistic one (every request started before it). Speed Index and the visually complete
+ *    and last visual change times are the observed ones rescaled to the simulated FCP-LCP span,
+ *    and TBT sums the simulated long tasks after FCP in a simulation of the whole graph.
+ *
+ * The estimates are meant to land close to PSI, not to reproduce it exactly: Lantern's
+ * per-metric calibration coefficients and its layout-based Speed Index are not replicated.
+ */
+
+const SIGNIFICANT_TASK_MS = 10;
+const TCP_SEGMENT_BYTES = 1460;
+const INITIAL_CONGESTION_WINDOW = 10; // segments
+const MAX_HTTP1_CONNECTIONS_PER_ORIGIN = 6;
+// Lantern counts a DNS lookup as two round trips.
+const DNS_ROUND_TRIPS = 2;
+
+const TOP_LEVEL_TASK_NAMES = new Set(['RunTask', 'ThreadControllerImpl::RunTask', 'ThreadControllerImpl::DoWork', 'TaskQueueManager::ProcessTaskFromWorkQueue']);
+
+/**
+ * Returns the URLs a trace event parses, evaluates or receives data for.
+ * @param {object} event - A trace event.
+ * @returns {string|null}
+ */
+function eventResourceUrl(event) {
+    const data = event.args?.data || {};
+    switch (event.name) {
+        case 'EvaluateScript':
+        case 'v8.compile':
+        case 'FunctionCall':
+        case 'XHRReadyStateChange':
+        case 'XHRLoad':
+            return data.url || null;
+        case 'ParseAuthorStyleSheet':
+            return data.styleSheetUrl || null;
+        case 'ParseHTML':
+            return event.args?.beginData?.url || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Finds the renderer main thread of the tested page and the navigation start of the main frame.
+ * @param {object[]} traceEvents
+ * @returns {{pid: number, tid: number, navigationStart: number}|null} - `navigationStart` is a trace timestamp in µs.
+ */
+function findMainThread(traceEvents) {
+    const navigations = traceEvents.filter(event =>
+        event.name === 'navigationStart' &&
+        event.args?.data?.isLoadingMainFrame &&
+        /^https?:/.test(event.args.data.documentLoaderURL || '')
+    );
+    if (navigations.length === 0) return null;
+    const navigation = navigations[navigations.length - 1];
+    return { pid: navigation.pid, tid: navigation.tid, navigationStart: navigation.ts };
+}
+
+/**
+ * Builds the dependency graph of a page load.
+ * @param {object} options
+ * @param {object[]} options.traceEvents - The `traceEvents` of the run's trace.
+ * @param {object[]} options.requests - Requests from the network recorder.
+ * @param {number} options.timeOrigin - The CDP timestamp (seconds) that request times are relative to.
+ * @returns {{nodes: object[], root: object, navigationStart: number}|null} - Nodes sorted by observed start
+ *   time (ms, relative to the time origin), or null if the trace has no main-frame navigation.
+ */
+function buildGraph({ traceEvents, requests, timeOrigin }) {
+    const mainThread = findMainThread(traceEvents);
+    const networkRequests = requests.filter(request => request.endTime !== null && !request.blockedByRule);
+    if (!mainThread || networkRequests.length === 0) return null;
+
+    const toMs = ts => ts / 1000 - timeOrigin * 1000;
+    const nodes = [];
+
+    networkRequests.forEach(request => {
+        nodes.push({ type: 'network', request, startTime: request.startTime, endTime: request.endTime, deps: new Set() });
+    });
+    const root = nodes[0];
+
+    // Main-thread tasks with their child events.
+    const threadEvents = traceEvents
+        .filter(event => event.pid === mainThread.pid && event.tid === mainThread.tid && event.ph === 'X' && event.ts >= timeOrigin * 1e6)
+        .sort((a, b) => a.ts - b.ts);
+    let currentTask = null;
+    threadEvents.forEach(event => {
+        if (TOP_LEVEL_TASK_NAMES.has(event.name)) {
+            if (currentTask && event.ts < currentTask.end) return; // Nested task wrapper.
+            currentTask = { start: event.ts, end: event.ts + (event.dur || 0), urls: new Set(), sentRequests: new Set() };
+            nodes.push({ type: 'cpu', task: currentTask, startTime: toMs(currentTask.start), endTime: toMs(currentTask.end), deps: new Set() });
+            return;
+        }
+        if (!currentTask || event.ts > currentTask.end) return;
+        const url = eventResourceUrl(event);
+        if (url) currentTask.urls.add(url);
+    });
+    // Requests sent from a task (instant events) tell us which task initiated which request.
+    traceEvents
+        .filter(event => event.name === 'ResourceSendRequest' && event.pid === mainThread.pid && event.tid === mainThread.tid)
+        .forEach(event => {
+            const node = nodes.find(n => n.type === 'cpu' && event.ts >= n.task.start && event.ts <= n.task.end);
+            if (node) node.task.sentRequests.add(event.args.data.url);
+        });
+
+    const cpuNodes = nodes.filter(node => node.type === 'cpu' &&
+        (node.endTime - node.startTime >= SIGNIFICANT_TASK_MS || node.task.urls.size > 0 || node.task.sentRequests.size > 0));
+    const networkNodes = nodes.filter(node => node.type === 'network');
+
+    // The latest node matching a predicate that is a valid (earlier) dependency.
+    const latest = (candidates, predicate) => candidates.filter(predicate).sort((a, b) => b.endTime - a.endTime)[0];
+
+    networkNodes.forEach(node => {
+        if (node === root) return;
+        const { initiator, url } = node.request;
+        const initiatingTask = latest(cpuNodes, cpu => cpu.task.sentRequests.has(url) && cpu.startTime <= node.startTime);
+        const initiatingRequest = initiator.url
+            ? latest(networkNodes, other => other !== node && other.request.url === initiator.url && other.startTime < node.startTime)
+            : null;
+        node.deps.add(initiatingTask || initiatingRequest || root);
+    });
+
+    cpuNodes.forEach(node => {
+        node.task.urls.forEach(url => {
+            const source = latest(networkNodes, other => other.request.url === url && other.endTime < node.startTime);
+            if (source) node.deps.add(source);
+        });
+        if (node.deps.size === 0) node.deps.add(root);
+    });
+
+    const graphNodes = [...networkNodes, ...cpuNodes].sort((a, b) => a.startTime - b.startTime);
+    return { nodes: graphNodes, root, navigationStart: toMs(mainThread.navigationStart) };
+}
+
+/**
+ * Keeps the nodes that pass a filter. Dependencies on dropped nodes are replaced by a dependency
+ * on the root so the remaining nodes still start after the document.
+ * @param {{nodes: object[], root: object}} graph
+ * @param {function(object): boolean} filter
+ * @returns {object[]}
+ */
+function filterGraph(graph, filter) {
+    const kept = graph.nodes.filter(node => node === graph.root || filter(node));
+    const copies = new Map(kept.map(node => [node, { ...node, deps: new Set() }]));
+    copies.forEach((copy, node) => {
+        node.deps.forEach(dep => {
+            if (copies.has(dep)) copy.deps.add(copies.get(dep));
+        });
+        if (copy.deps.size === 0 && node !== graph.root) copy.deps.add(copies.get(graph.root));
+    });
+    return Array.from(copies.values());
+}
+
+/**
+ * Estimates the round-trip time and server response time of each origin from the observed load.
+ * @param {object[]} nodes
+ * @returns {Map<string, {rtt: number}>}
+ */
+function observeOrigins(nodes) {
+    const origins = new Map();
+    nodes.filter(node => node.type === 'network').forEach(node => {
+        const timing = node.request.timing;
+        const origin = originOf(node.request.url);
+        const stats = origins.get(origin) || { rtt: Infinity };
+        const tcp = timing && timing.connect > 0 ? timing.connect - Math.max(0, timing.ssl) : -1;
+        if (tcp > 0) stats.rtt = Math.min(stats.rtt, tcp);
+        else if (timing && timing.wait > 0) stats.rtt = Math.min(stats.rtt, timing.wait);
+        origins.set(origin, stats);
+    });
+    origins.forEach(stats => { if (!Number.isFinite(stats.rtt)) stats.rtt = 0; });
+    return origins;
+}
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Replays a graph under the given network and CPU conditions.
+ * @param {object[]} nodes - Graph nodes (e.g. from filterGraph).
+ * @param {object} settings - Resolved throttling settings (lib/throttling.js).
+ * @returns {Map<object, {startTime: number, endTime: number}>} - Simulated timings per node, in ms.
+ */
+function simulate(nodes, settings) {
+    const rtt = settings.latency;
+    // Bytes per ms. 0 Kbps means unlimited.
+    const throughput = settings.download > 0 ? settings.download * 1024 / 8 / 1000 : Infinity;
+    const maxCongestionWindow = Number.isFinite(throughput) && rtt > 0
+        ? Math.max(INITIAL_CONGESTION_WINDOW, Math.ceil(throughput * rtt / TCP_SEGMENT_BYTES))
+        : Infinity;
+    const origins = observeOrigins(nodes);
+    const resolvedOrigins = new Set();
+    const connections = new Map(); // origin -> connection[]
+    const timings = new Map();
+
+    const state = new Map(nodes.map(node => [node, { phase: 'waiting' }]));
+    let time = 0;
+    let mainThreadBusy = false;
+    let remaining = nodes.length;
+
+    const isReady = node => Array.from(node.deps).every(dep => state.get(dep).phase === 'done');
+
+    const acquireConnection = request => {
+        const origin = originOf(request.url);
+        const pool = connections.get(origin) || [];
+        connections.set(origin, pool);
+        const multiplexed = /^(h2|h3|http\/2)/i.test(request.protocol || '');
+        if (multiplexed && pool.length > 0) return pool[0];
+        const idle = pool.find(connection => connection.active === 0);
+        if (idle) return idle;
+        if (pool.length >= (multiplexed ? 1 : MAX_HTTP1_CONNECTIONS_PER_ORIGIN)) return null;
+        const connection = { warm: false, congestionWindow: INITIAL_CONGESTION_WINDOW, active: 0 };
+        pool.push(connection);
+        return connection;
+    };
+
+    const startNode = node => {
+        const nodeState = state.get(node);
+        if (node.type === 'cpu') {
+            if (mainThreadBusy) return;
+            mainThreadBusy = true;
+            Object.assign(nodeState, { phase: 'cpu', until: time + (node.endTime - node.startTime) * settings.cpu });
+        } else {
+            const request = node.request;
+            const bytes = request.transferSize || request.resourceSize || 0;
+            if (request.fromCache || request.failed || !/^https?:/.test(request.url)) {
+                // No network involved: keep the observed duration.
+                Object.assign(nodeState, { phase: 'fixed', until: time + Math.max(0, request.duration) });
+            } else {
+                const connection = acquireConnection(request);
+                if (!connection) return; // Wait for a free connection.
+                connection.active++;
+                const origin = originOf(request.url);
+                const serverTime = Math.max(0, (request.timing?.wait ?? request.duration) - origins.get(origin).rtt);
+                let setup = 0;
+                if (!connection.warm) {
+                    if (!resolvedOrigins.has(origin)) setup += DNS_ROUND_TRIPS * rtt;
+                    setup += rtt * (request.url.startsWith('https:') ? 2 : 1); // TCP (+ TLS) handshake
+                    connection.warm = true;
+                }
+                resolvedOrigins.add(origin);
+                Object.assign(nodeState, { phase: 'waiting-for-response', until: time + setup + rtt + serverTime, connection, bytes });
+            }
+        }
+        timings.set(node, { startTime: time, endTime: null });
+    };
+
+    const finishNode = node => {
+        const nodeState = state.get(node);
+        if (node.type === 'cpu') mainThreadBusy = false;
+        if (nodeState.connection) nodeState.connection.active--;
+        nodeState.phase = 'done';
+        timings.get(node).endTime = time;
+        remaining--;
+    };
+
+    while (remaining > 0) {
+        // Start everything that can start. Tasks run in their observed order.
+        nodes.forEach(node => {
+            if (state.get(node).phase === 'waiting' && isReady(node)) startNode(node);
+        });
+
+        const active = nodes.filter(node => !['waiting', 'done'].includes(state.get(node).phase));
+        if (active.length === 0) break; // Unreachable nodes (should not happen in a valid graph).
+
+        // Download rates: the bandwidth is shared equally, capped by each connection's window.
+        const downloads = active.filter(node => state.get(node).phase === 'downloading');
+        const rateOf = node => {
+            const { connection } = state.get(node);
+            const perConnection = downloads.filter(other => state.get(other).connection === connection).length;
+            const windowRate = rtt > 0 ? connection.congestionWindow * TCP_SEGMENT_BYTES / rtt / perConnection : Infinity;
+            return Math.min(throughput / downloads.length, windowRate);
+        };
+
+        let step = Infinity;
+        active.forEach(node => {
+            const nodeState = state.get(node);
+            if (nodeState.phase === 'downloading') {
+                step = Math.min(step, nodeState.bytes / rateOf(node));
+            } else {
+                step = Math.min(step, nodeState.until - time);
+            }
+        });
+        step = Math.max(0, Number.isFinite(step) ? step : 0);
+
+        // Advance the clock.
+        const rates = new Map(downloads.map(node => [node, rateOf(node)]));
+        time += step;
+        const grownConnections = new Set();
+        downloads.forEach(node => {
+            const nodeState = state.get(node);
+            const rate = rates.get(node);
+            nodeState.bytes = rate === Infinity ? 0 : Math.max(0, nodeState.bytes - rate * step);
+            grownConnections.add(nodeState.connection);
+        });
+        if (rtt > 0) {
+            grownConnections.forEach(connection => {
+                connection.congestionWindow = Math.min(maxCongestionWindow, connection.congestionWindow * Math.pow(2, step / rtt));
+            });
+        }
+
+        active.forEach(node => {
+            const nodeState = state.get(node);
+            if (nodeState.phase === 'downloading') {
+                if (nodeState.bytes < 1e-6) finishNode(node);
+            } else if (nodeState.until - time < 1e-6) {
+                if (nodeState.phase === 'waiting-for-response' && nodeState.bytes > 0) {
+                    nodeState.phase = 'downloading';
+                } else {
+                    finishNode(node);
+                }
+            }
+        });
+    }
+
+    return timings;
+}
+
+/**
+ * Returns the simulated end of the last node of a graph.
+ * @param {object[]} nodes
+ * @param {object} settings
+ * @returns {number}
+ */
+function simulateEnd(nodes, settings) {
+    const timings = simulate(nodes, settings);
+    return Math.max(0, ...Array.from(timings.values()).map(timing => timing.endTime ?? 0));
+}
+
+// Requests that block rendering: the document, stylesheets and synchronous scripts in <head>.
+function isRenderBlocking(node) {
+    if (node.type !== 'network') return false;
+    const { priority, resourceType } = node.request;
+    return priority === 'VeryHigh' || (priority === 'High' && resourceType === 'script');
+}
+
+/**
+ * Estimates a paint metric as the average of its optimistic and pessimistic simulations.
+ * @param {object} graph
+ * @param {number} observedTime - The observed metric, relative to the time origin.
+ * @param {object} settings
+ * @param {function(object): boolean} [isExtraOptimisticNode] - Further nodes the optimistic graph keeps.
+ * @returns {{estimate: number, optimistic: number, pessimistic: number}}
+ */
+function estimatePaint(graph, observedTime, settings, isExtraOptimisticNode = () => false) {
+    const beforeMetric = node => node.type === 'network' ? node.startTime <= observedTime : node.endTime <= observedTime;
+    const optimistic = simulateEnd(filterGraph(graph, node => beforeMetric(node) && (node.type === 'cpu' || isRenderBlocking(node) || isExtraOptimisticNode(node))), settings);
+    const pessimistic = simulateEnd(filterGraph(graph, beforeMetric), settings);
+    return { estimate: (optimistic + pessimistic) / 2, optimistic, pessimistic };
+}
+
+/**
+ * Estimates throttled metrics for an unthrottled run.
+ * @param {object} options
+ * @param {object[]} options.traceEvents - The `traceEvents` of the run's trace.
+ * @param {object[]} options.requests - Requests from the network recorder.
+ * @param {number} options.timeOrigin - The CDP timestamp (seconds) that request times are relative to.
+ * @param {{FCP: ?number, LCP: ?number, speedIndex: ?number, visuallyComplete: ?number, lastVisualChange: ?number}} options.observed
+ *   - The observed metrics (relative to navigation start).
+ * @param {?string} [options.lcpUrl] - URL of the LCP image, if the LCP element is an image.
+ * @param {object} options.settings - Resolved throttling settings to simulate.
+ * @returns {{FCP: ?number, LCP: ?number, speedIndex: ?number, visuallyComplete: ?number, lastVisualChange: ?number, TBT: ?number}|null}
+ *   - Null if the trace could not be turned into a graph.
+ */
+function simulateMetrics({ traceEvents, requests, timeOrigin, observed, lcpUrl = null, settings }) {
+    const graph = buildGraph({ traceEvents, requests, timeOrigin });
+    if (!graph) return null;
+
+    // Observed metrics are relative to navigation start and graph times to the time origin; the
+    // simulation starts at the first request, which the browser sent `requestOffset` ms after
+    // navigation start (e.g. after running the previous page's unload handlers).
+    const toGraphTime = value => value + graph.navigationStart;
+    const requestOffset = Math.max(0, graph.root.startTime - graph.navigationStart);
+
+    const simulatedFcp = observed.FCP != null ? estimatePaint(graph, toGraphTime(observed.FCP), settings).estimate : null;
+    const fcp = simulatedFcp != null ? simulatedFcp + requestOffset : null;
+    let lcp = observed.LCP != null
+        ? estimatePaint(graph, toGraphTime(observed.LCP), settings, node => node.type === 'network' && node.request.url === lcpUrl).estimate + requestOffset
+        : null;
+    if (lcp != null && fcp != null) lcp = Math.max(lcp, fcp);
+
+    // Visual timings after FCP are stretched like the FCP-LCP span.
+    let rescale = () => null;
+    if (fcp != null && observed.FCP) {
+        const observedSpan = observed.LCP != null ? observed.LCP - observed.FCP : 0;
+        const scale = observedSpan > 0 && lcp != null ? (lcp - fcp) / observedSpan : fcp / observed.FCP;
+        rescale = value => value != null ? Math.max(fcp, fcp + Math.max(0, value - observed.FCP) * scale) : null;
+    }
+    const speedIndex = rescale(observed.speedIndex);
+
+    // TBT: long tasks after the simulated FCP in a simulation of the whole page.
+    let tbt = null;
+    if (fcp != null) {
+        const timings = simulate(filterGraph(graph, () => true), settings);
+        tbt = 0;
+        timings.forEach((timing, node) => {
+            if (node.type !== 'cpu' || timing.startTime < simulatedFcp) return;
+            tbt += Math.max(0, timing.endTime - timing.startTime - 50);
+        });
+    }
+
+    return {
+        FCP: fcp,
+        LCP: lcp,
+        speedIndex,
+        visuallyComplete: rescale(observed.visuallyComplete),
+        lastVisualChange: rescale(observed.lastVisualChange),
+        TBT: tbt
+    };
+}
+
+module.exports = {
+    TOP_LEVEL_TASK_NAMES,
+    eventResourceUrl,
+    findMainThread,
+    buildGraph,
+    isRenderBlocking,
+    simulateMetrics
+};
@@ -0,0 +1,155 @@
+// lib/stability.js
+// How much the runs of a test scattered, and when an adaptive test has run often enough.
+
+/**
+ * @fileoverview Run stability and adaptive run counts.
+ *
+ * A median hides how far apart the runs behind it were. Every test therefore describes, per
+ * metric, the spread of its runs (see describeSpread in lib/stats.js): mean, standard
+ * deviation, coefficient of variation (CV), quartiles and IQR, the runs beyond the Tukey
+ * fences, and a 95% confidence interval for the median. `precision` is half the width of that
+ * interval relative to the median, so 0.1 means the median is known to ±10%. A test whose FCP,
+ * LCP or Speed Index has a CV above NOISY_CV is noisy: repeating it could move its medians by
+ * more than a typical optimization saves.
+ *
+ * With `runs: "adaptive"` a test starts with MIN_ADAPTIVE_RUNS runs, the fewest that bound the
+ * interval, and adds runs until the LCP `precision` reaches the requested one (default
+ * DEFAULT_PRECISION) or the test has `maxRuns` runs (default DEFAULT_MAX_RUNS). In A/B tests
+ * every variant has to reach it, and runs keep being added to all of them.
+ */
+
+const { getMedian, describeSpread, medianConfidenceInterval } = require('./stats');
+
+const CONFIDENCE = 0.95;
+// The fewest runs whose 95% confidence interval of the median is bounded.
+const MIN_ADAPTIVE_RUNS = 6;
+const MAX_ADAPTIVE_RUNS = 20;
+const DEFAULT_MAX_RUNS = 10;
+const DEFAULT_PRECISION = 0.1;
+// The metric whose precision decides when an adaptive test stops.
+const ADAPTIVE_METRIC = 'LCP';
+// The load timings a noisy test cannot be trusted on. TBT, CLS and INP are often 0 in most
+// runs, which makes their CV large without making the median meaningless.
+const NOISE_METRICS = ['FCP', 'LCP', 'speedIndex'];
+const NOISY_CV = 0.15;
+
+/**
+ * Validates the run count fields of a test request.
+ * @param {object} body - The raw request body.
+ * @returns {string|null} - An error message, or null if the fields are valid.
+ */
+function validateRuns({ runs = 3, maxRuns, precision } = {}) {
+    if (runs !== 'adaptive' && (!Number.isInteger(runs) || runs < 1)) {
+        return '`runs` must be a positive integer or "adaptive".';
+    }
+    if (runs !== 'adaptive' && (maxRuns !== undefined || precision !== undefined)) {
+        return '`maxRuns` and `precision` only apply to `runs: "adaptive"`.';
+    }
+    if (maxRuns !== undefined && (!Number.isInteger(maxRuns) || maxRuns < MIN_ADAPTIVE_RUNS || maxRuns > MAX_ADAPTIVE_RUNS)) {
+        return `\`maxRuns\` must be an integer from ${MIN_ADAPTIVE_RUNS} to ${MAX_ADAPTIVE_RUNS}.`;
+    }
+    if (precision !== undefined && (typeof precision !== 'number' || !(precision > 0 && precision < 1))) {
+        return '`precision` must be a number between 0 and 1, e.g. 0.1 for ±10%.';
+    }
+    return null;
+}
+
+/**
+ * @param {object} body - A request body that passed validateRuns.
+ * @returns {?{minRuns: number, maxRuns: number, precision: number}} - The adaptive run settings,
+ *   or null for a fixed number of runs.
+ */
+function resolveAdaptiveRuns({ runs, maxRuns = DEFAULT_MAX_RUNS, precision = DEFAULT_PRECISION } = {}) {
+    return runs === 'adaptive' ? { minRuns: MIN_ADAPTIVE_RUNS, maxRuns, precision } : null;
+}
+
+/**
+ * @param {Array<number|null>} values
+ * @returns {?number} - Half the width of the median's confidence interval relative to the
+ *   median; null if the interval is unbounded (too few values) or the median is 0.
+ */
+function medianPrecision(values) {
+    const ci = medianConfidenceInterval(values, CONFIDENCE);
+    const median = getMedian(values);
+    return ci && median > 0 ? (ci[1] - ci[0]) / 2 / median : null;
+}
+
+/**
+ * Whether an adaptive test has run often enough.
+ * @param {object[]} runs - The metrics of every run so far.
+ * @param {number} precision - The requested precision.
+ * @returns {boolean} - Also true when no run measured the metric, as more runs would not help.
+ */
+function isPreciseEnough(runs, precision) {
+    const values = runs.map(m => m[ADAPTIVE_METRIC]).filter(v => v != null);
+    if (values.length === 0) return true;
+    const achieved = medianPrecision(values);
+    return achieved != null && achieved <= precision;
+}
+
+/**
+ * Describes how much every metric scattered across the runs.
+ * @param {object[]} runs - The metrics of every run.
+ * @param {string[]} keys - The metrics to describe.
+ * @returns {?object} - `{ confidence, runs, metrics, noisy }`: per metric the describeSpread
+ *   fields with the 1-based run numbers of the `outliers`, plus `median`, `ci` (the median's
+ *   confidence interval, null with fewer than 6 runs), `precision` and `noisy`; `noisy` lists
+ *   the NOISE_METRICS with a CV above NOISY_CV. Metrics no run measured are left out; null
+ *   without runs.
+ */
+function summarizeStability(runs, keys) {
+    if (runs.length === 0) return null;
+    const metrics = {};
+    keys.forEach(key => {
+        const values = runs.map(m => m[key]);
+        const spread = describeSpread(values);
+        if (!spread) return;
+        metrics[key] = {
+            ...spread,
+            median: getMedian(values),
+            ci: medianConfidenceInterval(values, CONFIDENCE),
+            precision: medianPrecision(values),
+            outliers: spread.outliers.map(i => i + 1),
+            noisy: NOISE_METRICS.includes(key) && spread.cv != null && spread.cv > NOISY_CV
+        };
+    });
+    return {
+        confidence: CONFIDENCE,
+        runs: runs.length,
+        metrics,
+        noisy: Object.keys(metrics).filter(key => metrics[key].noisy)
+    };
+}
+
+/**
+ * The warnings a test's stability calls for, e.g. for the command-line runner.
+ * @param {?object} stability - From summarizeStability, with `adaptive` for adaptive tests.
+ * @returns {string[]}
+ */
+function stabilityWarnings(stability) {
+    if (!stability) return [];
+    const warnings = [];
+    if (stability.noisy.length > 0) {
+        const spreads = stability.noisy.map(key => `${key} by ${Math.round(stability.metrics[key].cv * 100)}%`).join(', ');
+        warnings.push(`The runs are too noisy to trust the medians: ${spreads} (coefficient of variation). ` +
+            'Use more runs (or adaptive runs), fewer parallel runs or a quieter machine.');
+    }
+    const adaptive = stability.adaptive;
+    if (adaptive && !adaptive.reached) {
+        const achieved = stability.metrics[ADAPTIVE_METRIC]?.precision;
+        warnings.push(`${ADAPTIVE_METRIC} did not settle within ±${Math.round(adaptive.precision * 100)}% in ${stability.runs} runs` +
+            `${achieved != null ? ` (±${Math.round(achieved * 100)}% at ${CONFIDENCE * 100}% confidence)` : ''}.`);
+    }
+    return warnings;
+}
+
+module.exports = {
+    MIN_ADAPTIVE_RUNS,
+    MAX_ADAPTIVE_RUNS,
+    ADAPTIVE_METRIC,
+    validateRuns,
+    resolveAdaptiveRuns,
+    isPreciseEnough,
+    summarizeStability,
+    stabilityWarnings
+};
@@ -0,0 +1,319 @@
+// lib/stats.js
+// Small statistics toolkit used to turn raw per-run metrics into comparable numbers.
+
+/**
+ * @fileoverview Statistical helpers for comparing two sets of performance runs.
+ *
+ * All metrics collected by the tester are "lower is better" timings or sizes, and the
+ * samples are small (typically 3-10 runs) and rarely normally distributed. For that
+ * reason comparisons use rank-based, distribution-free methods:
+ *
+ * - Mann-Whitney U test for significance (exact distribution for small samples without
+ *   ties, normal approximation with tie correction otherwise).
+ * - Hodges-Lehmann shift estimate with the matching Moses confidence interval for the
+ *   size of the difference.
+ *
+ * The spread of a single sample is described the same way: quartiles, Tukey fences for
+ * outliers and an order-statistic confidence interval for the median. Standard deviation
+ * and coefficient of variation are reported as the familiar, if less robust, yardsticks.
+ */
+
+// Two-sided z critical values for the supported confidence levels.
+const Z_CRITICAL = {
+    0.90: 1.6449,
+    0.95: 1.9600,
+    0.99: 2.5758
+};
+
+// Above this combined sample size the exact U distribution is replaced by the normal approximation.
+const EXACT_MAX_SAMPLES = 20;
+
+/**
+ * Returns the median of an array of numbers. Null/undefined values are ignored.
+ * @param {Array<number|null>} values - The values to summarize.
+ * @returns {number|null} - The median, or null if there are no values.
+ */
+function getMedian(values) {
+    const arr = values.filter(v => v != null).sort((a, b) => a - b);
+    if (arr.length === 0) return null;
+    const mid = Math.floor(arr.length / 2);
+    return arr.length % 2 !== 0 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+}
+
+/**
+ * Returns a percentile of an array of numbers, interpolating linearly between the closest
+ * ranks. Null/undefined values are ignored.
+ * @param {Array<number|null>} values
+ * @param {number} p - The percentile, from 0 to 100.
+ * @returns {number|null} - The percentile, or null if there are no values.
+ */
+function getPercentile(values, p) {
+    const arr = values.filter(v => v != null).sort((a, b) => a - b);
+    if (arr.length === 0) return null;
+    const rank = (arr.length - 1) * p / 100;
+    const lower = Math.floor(rank);
+    return arr[lower] + (arr[Math.ceil(rank)] - arr[lower]) * (rank - lower);
+}
+
+/**
+ * Describes how much a sample scatters. Null/undefined values are ignored, but outliers are
+ * reported by their index in `values`, so they can be matched to the runs.
+ * @param {Array<number|null>} values
+ * @returns {{count: number, mean: number, stdDev: ?number, cv: ?number, q1: number, q3: number,
+ *   iqr: number, outliers: number[]}|null} - `stdDev` is the sample standard deviation (null for
+ *   a single value) and `cv` the coefficient of variation, stdDev / mean (null for a mean of 0).
+ *   `outliers` are the indices of values beyond the Tukey fences, 1.5 IQR outside the quartiles.
+ *   Null if there are no values.
+ */
+function describeSpread(values) {
+    const arr = values.filter(v => v != null);
+    if (arr.length === 0) return null;
+    const mean = arr.reduce((sum, v) => sum + v, 0) / arr.length;
+    const stdDev = arr.length > 1 ? Math.sqrt(arr.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (arr.length - 1)) : null;
+    const q1 = getPercentile(arr, 25);
+    const q3 = getPercentile(arr, 75);
+    const iqr = q3 - q1;
+    const outliers = [];
+    values.forEach((v, i) => {
+        if (v != null && (v < q1 - 1.5 * iqr || v > q3 + 1.5 * iqr)) outliers.push(i);
+    });
+    return {
+        count: arr.length,
+        mean,
+        stdDev,
+        cv: stdDev != null && mean > 0 ? stdDev / mean : null,
+        q1,
+        q3,
+        iqr,
+        outliers
+    };
+}
+
+/**
+ * Distribution-free confidence interval for the median: the pair of order statistics
+ * x(k+1), x(n-k) with the largest k whose binomial coverage still reaches the level.
+ * @param {Array<number|null>} values - Null/undefined values are ignored.
+ * @param {number} [confidence=0.95]
+ * @returns {[number, number]|null} - Null when the sample is too small to bound the interval
+ *   at the requested level (fewer than 6 values at 95%).
+ */
+function medianConfidenceInterval(values, confidence = 0.95) {
+    const arr = values.filter(v => v != null).sort((a, b) => a - b);
+    const n = arr.length;
+    // P(B <= j) for B ~ Binomial(n, 1/2); [x(j+1), x(n-j)] misses the median with probability 2 P(B <= j).
+    let k = -1;
+    let coefficient = 1;
+    let cumulative = 0;
+    for (let j = 0; j < n / 2; j++) {
+        cumulative += coefficient / 2 ** n;
+        if (2 * cumulative > 1 - confidence) break;
+        k = j;
+        coefficient = coefficient * (n - j) / (j + 1);
+    }
+    return k >= 0 ? [arr[k], arr[n - 1 - k]] : null;
+}
+
+/**
+ * Standard normal cumulative distribution function (Abramowitz & Stegun 7.1.26).
+ * @param {number} z
+ * @returns {number}
+ */
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Counts how many rank arrangements produce each value of U for sample sizes n and m.
+ * counts[u] / C(n+m, n) is the exact null probability of U = u.
+ * @param {number} n
+ * @param {number} m
+ * @returns {number[]}
+ */
+function exactUDistribution(n, m) {
+    // f(i, j) = distribution of U for samples of size i and j, built bottom-up.
+    let prev = [];
+    for (let i = 0; i <= n; i++) {
+        const row = [];
+        for (let j = 0; j <= m; j++) {
+            if (i === 0 || j === 0) {
+                row.push([1]);
+                continue;
+            }
+            // Either the largest observation belongs to the first sample (adds j to U) or not.
+            const withLargest = prev[j];
+            const withoutLargest = row[j - 1];
+            const size = i * j + 1;
+            const dist = new Array(size).fill(0);
+            withLargest.forEach((c, u) => { dist[u + j] += c; });
+            withoutLargest.forEach((c, u) => { dist[u] += c; });
+            row.push(dist);
+        }
+        prev = row;
+    }
+    return prev[m];
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean} - Whether any value occurs more than once in the pooled sample.
+ */
+function hasTies(a, b) {
+    const pooled = [...a, ...b];
+    return new Set(pooled).size !== pooled.length;
+}
+
+/**
+ * Runs a two-sided Mann-Whitney U test on two independent samples.
+ * @param {number[]} a - First sample (e.g. the baseline runs).
+ * @param {number[]} b - Second sample (e.g. the variant runs).
+ * @returns {{u: number, pValue: number, method: string}|null} - Null if either sample is empty.
+ */
+function mannWhitneyU(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 || m === 0) return null;
+
+    // Rank the pooled sample, assigning average ranks to ties.
+    const pooled = [
+        ...a.map(value => ({ value, group: 0 })),
+        ...b.map(value => ({ value, group: 1 }))
+    ].sort((x, y) => x.value - y.value);
+
+    let rankSumA = 0;
+    let tieCorrection = 0;
+    for (let i = 0; i < pooled.length;) {
+        let j = i;
+        while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) j++;
+        const avgRank = (i + j) / 2 + 1;
+        const tieSize = j - i + 1;
+        if (tieSize > 1) tieCorrection += tieSize ** 3 - tieSize;
+        for (let k = i; k <= j; k++) {
+            if (pooled[k].group === 0) rankSumA += avgRank;
+        }
+        i = j + 1;
+    }
+
+    const uA = rankSumA - n * (n + 1) / 2;
+    const u = Math.min(uA, n * m - uA);
+
+    if (tieCorrection === 0 && n + m <= EXACT_MAX_SAMPLES) {
+        const dist = exactUDistribution(n, m);
+        const total = dist.reduce((sum, c) => sum + c, 0);
+        let tail = 0;
+        for (let k = 0; k <= u; k++) tail += dist[k];
+        return { u, pValue: Math.min(1, 2 * tail / total), method: 'exact' };
+    }
+
+    const N = n + m;
+    const meanU = n * m / 2;
+    const sdU = Math.sqrt((n * m / 12) * ((N + 1) - tieCorrection / (N * (N - 1))));
+    if (sdU === 0) return { u, pValue: 1, method: 'normal' };
+    // Continuity correction of 0.5 towards the mean.
+    const z = (Math.abs(u - meanU) - 0.5) / sdU;
+    return { u, pValue: Math.min(1, 2 * (1 - normalCdf(Math.max(0, z)))), method: 'normal' };
+}
+
+/**
+ * Estimates the shift between two samples (b - a) using the Hodges-Lehmann estimator
+ * and the distribution-free Moses confidence interval.
+ * @param {number[]} a - First sample.
+ * @param {number[]} b - Second sample.
+ * @param {number} [confidence=0.95] - Confidence level (0.90, 0.95 or 0.99).
+ * @returns {{estimate: number, ci: [number|null, number|null]}|null} - CI bounds are null
+ *   when the samples are too small to bound the interval at the requested level.
+ */
+function shiftEstimate(a, b, confidence = 0.95) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 || m === 0) return null;
+
+    const diffs = [];
+    a.forEach(x => b.forEach(y => diffs.push(y - x)));
+    diffs.sort((x, y) => x - y);
+
+    // [diffs[k], diffs[nm - 1 - k]] misses the shift with probability 2 P(U <= k). Small samples
+    // without ties take k from the exact U distribution, like mannWhitneyU, so that the interval
+    // and the p-value agree; the others use the normal approximation.
+    const level = Z_CRITICAL[confidence] ? confidence : 0.95;
+    let k;
+    if (!hasTies(a, b) && n + m <= EXACT_MAX_SAMPLES) {
+        const dist = exactUDistribution(n, m);
+        const total = dist.reduce((sum, c) => sum + c, 0);
+        let tail = 0;
+        k = -1;
+        for (let u = 0; u < dist.length; u++) {
+            tail += dist[u];
+            if (2 * tail / total > 1 - level) break;
+            k = u;
+        }
+    } else {
+        k = Math.floor(n * m / 2 - Z_CRITICAL[level] * Math.sqrt(n * m * (n + m + 1) / 12));
+    }
+    const ci = k >= 0 ? [diffs[k], diffs[diffs.length - 1 - k]] : [null, null];
+
+    return { estimate: getMedian(diffs), ci };
+}
+
+/**
+ * Compares one metric between a baseline and a variant sample.
+ * @param {number[]} baseline - Baseline values for the metric.
+ * @param {number[]} variant - Variant values for the metric.
+ * @param {object} [options]
+ * @param {number} [options.alpha=0.05] - Significance level for the verdict.
+ * @returns {object} - Medians, delta, confidence interval, p-value and a verdict string:
+ *   'improvement', 'regression', 'no-significant-difference' or 'insufficient-data'.
+ */
+function compareSamples(baseline, variant, { alpha = 0.05 } = {}) {
+    const a = baseline.filter(v => v != null);
+    const b = variant.filter(v => v != null);
+    const baselineMedian = getMedian(a);
+    const variantMedian = getMedian(b);
+
+    const result = {
+        baseline: baselineMedian,
+        variant: variantMedian,
+        delta: baselineMedian != null && variantMedian != null ? variantMedian - baselineMedian : null,
+        deltaPercent: baselineMedian && variantMedian != null ? (variantMedian - baselineMedian) / baselineMedian * 100 : null,
+        shift: null,
+        ci: [null, null],
+        confidence: 1 - alpha,
+        pValue: null,
+        u: null,
+        method: null,
+        verdict: 'insufficient-data'
+    };
+
+    if (a.length < 2 || b.length < 2) return result;
+
+    const test = mannWhitneyU(a, b);
+    const shift = shiftEstimate(a, b, 1 - alpha);
+    result.shift = shift.estimate;
+    result.ci = shift.ci;
+    result.pValue = test.pValue;
+    result.u = test.u;
+    result.method = test.method;
+
+    // With many ties (e.g. a CLS of 0 in most runs) the samples can differ significantly while
+    // the typical shift is 0; that names no direction, so it is not a verdict either way.
+    if (test.pValue < alpha && shift.estimate !== 0) {
+        // Every metric we collect is "lower is better".
+        result.verdict = shift.estimate < 0 ? 'improvement' : 'regression';
+    } else {
+        result.verdict = 'no-significant-difference';
+    }
+    return result;
+}
+
+module.exports = {
+    getMedian,
+    getPercentile,
+    describeSpread,
+    medianConfidenceInterval,
+    mannWhitneyU,
+    shiftEstimate,
+    compareSamples
+};
@@ -0,0 +1,227 @@
+// lib/third-parties.js
+// Attributes a run's requests and main-thread work to the first party and to third-party vendors.
+
+/**
+ * @fileoverview Third-party impact attribution.
+ *
+ * Every request and main-thread task of a run is attributed to an entity:
+ *
+ * - The first party: the site (registrable domain) of the tested page.
+ * - A known vendor from the entity list, e.g. "Google Tag Manager" for googletagmanager.com.
+ *   The list (`config/entities.json` by default, or the `PERF_TESTER_ENTITIES_FILE`
+ *   environment variable) is an array of `{ name, category, domains }`; a domain matches
+ *   itself and its subdomains.
+ * - Any other host: an unknown third party, named after its site.
+ *
+ * A task belongs to the script (or stylesheet, or document) it spent the most time on, like
+ * the "Third-party usage" audit of Lighthouse; tasks with no such URL (layout, paint, garbage
+ * collection) stay unattributed. An entity is on the LCP critical path when one of its
+ * requests or tasks is a dependency of the LCP: a render-blocking request started before LCP,
+ * the LCP image, or anything those waited for in the dependency graph of lib/simulation.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { siteOf } = require('./network');
+const { getMedian } = require('./stats');
+const { buildGraph, findMainThread, eventResourceUrl, isRenderBlocking, TOP_LEVEL_TASK_NAMES } = require('./simulation');
+const logger = require('./logger');
+
+const ENTITIES_FILE = path.resolve(process.env.PERF_TESTER_ENTITIES_FILE || path.join(__dirname, '../config/entities.json'));
+// Tasks longer than this block input; the excess counts towards TBT.
+const LONG_TASK_MS = 50;
+// Entity fields summed per run and reported as medians across runs.
+const ENTITY_METRICS = ['requestCount', 'transferSize', 'mainThreadTime', 'blockingTime', 'longTasks'];
+
+let entities = null;
+
+/**
+ * @returns {object[]} - The entity list, loaded on first use.
+ */
+function getEntities() {
+    if (!entities) {
+        entities = fs.existsSync(ENTITIES_FILE) ? JSON.parse(fs.readFileSync(ENTITIES_FILE, 'utf8')) : [];
+        logger.log(`[ENTITIES]: Loaded ${entities.length} entities from ${ENTITIES_FILE}.`);
+    }
+    return entities;
+}
+
+/**
+ * Resolves the entity a URL belongs to.
+ * @param {string} url
+ * @param {string} pageSite - The site of the tested page.
+ * @returns {{name: string, category: string, firstParty: boolean, site: string}|null} - Null for
+ *   URLs without a host (data:, blob:...).
+ */
+function entityOf(url, pageSite) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+    if (!hostname) return null;
+    const site = siteOf(hostname);
+    if (site === pageSite) return { name: site, category: 'first-party', firstParty: true, site };
+    const entity = getEntities().find(candidate => candidate.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`)));
+    return entity
+        ? { name: entity.name, category: entity.category, firstParty: false, site }
+        : { name: site, category: 'unknown', firstParty: false, site };
+}
+
+/**
+ * The top-level main-thread tasks of the page load, each with the URL it spent the most time on.
+ * @param {object[]} traceEvents
+ * @returns {Array<{start: number, duration: number, url: ?string}>} - `start` in ms since navigation start.
+ */
+function mainThreadTasks(traceEvents) {
+    const mainThread = findMainThread(traceEvents);
+    if (!mainThread) return [];
+    const tasks = [];
+    let current = null;
+    traceEvents
+        .filter(event => event.pid === mainThread.pid && event.tid === mainThread.tid && event.ph === 'X' && event.ts >= mainThread.navigationStart)
+        .sort((a, b) => a.ts - b.ts)
+        .forEach(event => {
+            if (TOP_LEVEL_TASK_NAMES.has(event.name)) {
+                if (current && event.ts < current.end) return; // Nested task wrapper.
+                current = { start: event.ts, end: event.ts + (event.dur || 0), time: new Map() };
+                tasks.push(current);
+                return;
+            }
+            if (!current || event.ts > current.end) return;
+            const url = eventResourceUrl(event);
+            if (url) current.time.set(url, (current.time.get(url) || 0) + (event.dur || 0));
+        });
+    return tasks.map(task => ({
+        start: (task.start - mainThread.navigationStart) / 1000,
+        duration: (task.end - task.start) / 1000,
+        url: [...task.time.entries()].sort((a, b) => b[1] - a[1]).map(([url]) => url)[0] || null
+    }));
+}
+
+/**
+ * The URLs of the requests and tasks the LCP depended on.
+ * @param {object} graph - From buildGraph.
+ * @param {number} lcp - Observed LCP in ms since navigation start.
+ * @param {?string} lcpUrl - URL of the LCP image, if the LCP element is an image.
+ * @returns {Set<string>}
+ */
+function lcpCriticalUrls(graph, lcp, lcpUrl) {
+    const lcpTime = lcp + graph.navigationStart;
+    const urls = new Set();
+    const visited = new Set();
+    const visit = node => {
+        if (visited.has(node)) return;
+        visited.add(node);
+        if (node.type === 'network') urls.add(node.request.url);
+        else node.task.urls.forEach(url => urls.add(url));
+        node.deps.forEach(visit);
+    };
+    graph.nodes
+        .filter(node => (isRenderBlocking(node) && node.startTime <= lcpTime) || (node.type === 'network' && node.request.url === lcpUrl))
+        .forEach(visit);
+    return urls;
+}
+
+/**
+ * Attributes the requests and main-thread work of one page load to entities.
+ * @param {object} options
+ * @param {object[]} options.traceEvents - The `traceEvents` of the run's trace.
+ * @param {object[]} options.requests - Requests from the network recorder.
+ * @param {number} options.timeOrigin - The CDP timestamp (seconds) that request times are relative to.
+ * @param {string} options.pageUrl - The URL of the measured page.
+ * @param {?number} options.FCP - Observed FCP; blocking time counts from it, like TBT.
+ * @param {?number} options.LCP - Observed LCP.
+ * @param {?string} [options.lcpUrl] - URL of the LCP image, if the LCP element is an image.
+ * @returns {object[]} - `{ name, category, firstParty, sites, requestCount, transferSize,
+ *   mainThreadTime, blockingTime, longTasks, lcpCriticalPath }` per entity, the most blocking first.
+ */
+function attributeThirdParties({ traceEvents, requests, timeOrigin, pageUrl, FCP, LCP, lcpUrl = null }) {
+    const pageSite = siteOf(new URL(pageUrl).hostname);
+    const byName = new Map();
+    const entryFor = url => {
+        const entity = entityOf(url, pageSite);
+        if (!entity) return null;
+        let entry = byName.get(entity.name);
+        if (!entry) {
+            entry = { name: entity.name, category: entity.category, firstParty: entity.firstParty, sites: [] };
+            ENTITY_METRICS.forEach(key => { entry[key] = 0; });
+            entry.lcpCriticalPath = false;
+            byName.set(entity.name, entry);
+        }
+        if (!entry.sites.includes(entity.site)) entry.sites.push(entity.site);
+        return entry;
+    };
+
+    requests.filter(request => !request.blockedByRule).forEach(request => {
+        const entry = entryFor(request.url);
+        if (!entry) return;
+        entry.requestCount++;
+        entry.transferSize += request.transferSize || 0;
+    });
+
+    mainThreadTasks(traceEvents).forEach(task => {
+        const entry = task.url && entryFor(task.url);
+        if (!entry) return;
+        entry.mainThreadTime += task.duration;
+        if (task.duration > LONG_TASK_MS) {
+            entry.longTasks++;
+            if (FCP != null && task.start >= FCP) entry.blockingTime += task.duration - LONG_TASK_MS;
+        }
+    });
+
+    if (LCP != null) {
+        const graph = buildGraph({ traceEvents, requests, timeOrigin });
+        if (graph) {
+            lcpCriticalUrls(graph, LCP, lcpUrl).forEach(url => {
+                const entry = entryFor(url);
+                if (entry) entry.lcpCriticalPath = true;
+            });
+        }
+    }
+
+    return [...byName.values()].map(entry => ({
+        ...entry,
+        mainThreadTime: Math.round(entry.mainThreadTime),
+        blockingTime: Math.round(entry.blockingTime)
+    })).sort(byImpact);
+}
+
+// The most blocking entities first, then the ones with the most main-thread time and bytes.
+function byImpact(a, b) {
+    return b.blockingTime - a.blockingTime || b.mainThreadTime - a.mainThreadTime || b.transferSize - a.transferSize;
+}
+
+/**
+ * Combines the attribution of every run: the median of each metric (0 for runs in which the
+ * entity did not appear) and in how many runs it was on the LCP critical path.
+ * @param {Array<?object[]>} runs - The `thirdParties` of every run.
+ * @returns {object[]|null} - Per entity, like attributeThirdParties with `lcpCriticalRuns` and
+ *   `runs` instead of `lcpCriticalPath`; null if no run was attributed.
+ */
+function summarizeThirdParties(runs) {
+    const attributed = runs.filter(Boolean);
+    if (attributed.length === 0) return null;
+    const byName = new Map();
+    attributed.forEach(run => run.forEach(entry => {
+        const summary = byName.get(entry.name) || { name: entry.name, category: entry.category, firstParty: entry.firstParty, sites: [], lcpCriticalRuns: 0 };
+        entry.sites.forEach(site => { if (!summary.sites.includes(site)) summary.sites.push(site); });
+        if (entry.lcpCriticalPath) summary.lcpCriticalRuns++;
+        byName.set(entry.name, summary);
+    }));
+    return [...byName.values()].map(summary => {
+        ENTITY_METRICS.forEach(key => {
+            summary[key] = getMedian(attributed.map(run => (run.find(entry => entry.name === summary.name) || {})[key] || 0));
+        });
+        summary.runs = attributed.length;
+        return summary;
+    }).sort(byImpact);
+}
+
+module.exports = {
+    ENTITIES_FILE,
+    entityOf,
+    attributeThirdParties,
+    summarizeThirdParties
+};
@@ -0,0 +1,261 @@
+// lib/throttling.js
+// Network, CPU and device emulation settings: the built-in test modes and the named profile registry.
+
+/**
+ * @fileoverview Throttling settings and the throttling profile registry.
+ *
+ * A throttling object describes the emulated device and connection of a run. All fields are
+ * optional in a request; missing fields come from the profile named by `profile`, and then
+ * from the defaults of the test `mode`:
+ *
+ * - `download`          {number}   Download bandwidth in Kbps. 0 disables download throttling.
+ * - `upload`            {number}   Upload bandwidth in Kbps. 0 disables upload throttling.
+ * - `latency`           {number}   Added round-trip time in ms.
+ * - `cpu`               {number}   CPU slowdown multiplier (1 = no slowdown).
+ * - `viewport`          {{width, height}}  Viewport size in CSS pixels.
+ * - `userAgent`         {string}   User-Agent override. The browser's own when absent.
+ * - `deviceScaleFactor` {number}   Device pixel ratio.
+ * - `touch`             {boolean}  Emulates a mobile touch device (touch events and mobile viewport).
+ * - `profile`           {string}   Id of a registered profile to start from (requests only).
+ *
+ * Profiles are stored in a JSON file as an array of throttling objects with an `id`, a display
+ * `name` and an optional `description`. `config/throttling-profiles.json` holds the shipped
+ * profiles and is never written: changes go to `data/throttling-profiles.json` (or the
+ * `PERF_TESTER_PROFILES_FILE` environment variable), which is read instead once it exists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, '../config/throttling-profiles.json');
+const PROFILES_FILE = path.resolve(process.env.PERF_TESTER_PROFILES_FILE || path.join(__dirname, '../data/throttling-profiles.json'));
+
+// Defaults of each test mode. PageSpeed values follow Lighthouse's simulated devices.
+const MODE_DEFAULTS = {
+    'pagespeed-mobile': {
+        download: 1.6 * 1024, // 1.6 Mbps
+        upload: 750,
+        latency: 150, // 4G RTT
+        cpu: 4,
+        viewport: { width: 412, height: 823 },
+        userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Mobile Safari/537.36',
+        deviceScaleFactor: 1,
+        touch: false
+    },
+    'pagespeed-desktop': {
+        download: 10 * 1024, // 10 Mbps
+        upload: 5 * 1024, // 5 Mbps
+        latency: 40,
+        cpu: 1, // No CPU throttling for desktop
+        viewport: { width: 1350, height: 940 },
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36',
+        deviceScaleFactor: 1,
+        touch: false
+    },
+    custom: {
+        download: 1.5 * 1024, // 1.5 Mbps
+        upload: 750,
+        latency: 40,
+        cpu: 4,
+        viewport: { width: 1280, height: 800 },
+        userAgent: null,
+        deviceScaleFactor: 1,
+        touch: false
+    }
+};
+
+const SETTING_KEYS = ['download', 'upload', 'latency', 'cpu', 'viewport', 'userAgent', 'deviceScaleFactor', 'touch'];
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+let profiles = null;
+
+/**
+ * Validates the emulation settings of a throttling object or profile.
+ * @param {*} settings
+ * @param {string} label - How the object is named in error messages.
+ * @returns {string|null} - An error message, or null if the settings are valid.
+ */
+function validateSettings(settings, label) {
+    const fieldError = message => `${label}: ${message}`;
+    if (!isPlainObject(settings)) return `${label} must be an object.`;
+    for (const key of ['download', 'upload', 'latency']) {
+        if (settings[key] !== undefined && !(isNumber(settings[key]) && settings[key] >= 0)) {
+            return fieldError(`\`${key}\` must be a non-negative number.`);
+        }
+    }
+    if (settings.cpu !== undefined && !(isNumber(settings.cpu) && settings.cpu >= 1)) {
+        return fieldError('`cpu` must be a number of at least 1.');
+    }
+    if (settings.viewport !== undefined) {
+        const { viewport } = settings;
+        if (!isPlainObject(viewport) || ![viewport.width, viewport.height].every(v => Number.isInteger(v) && v > 0)) {
+            return fieldError('`viewport` must be an object with positive integer `width` and `height`.');
+        }
+    }
+    if (settings.userAgent !== undefined && settings.userAgent !== null && typeof settings.userAgent !== 'string') {
+        return fieldError('`userAgent` must be a string.');
+    }
+    if (settings.deviceScaleFactor !== undefined && !(isNumber(settings.deviceScaleFactor) && settings.deviceScaleFactor > 0)) {
+        return fieldError('`deviceScaleFactor` must be a positive number.');
+    }
+    if (settings.touch !== undefined && typeof settings.touch !== 'boolean') {
+        return fieldError('`touch` must be a boolean.');
+    }
+    return null;
+}
+
+/**
+ * Validates the `throttling` object of a test request.
+ * @param {*} throttling - The raw `throttling` value (may be undefined).
+ * @returns {string|null} - An error message, or null if the value is valid.
+ */
+function validateThrottling(throttling) {
+    if (throttling === undefined) return null;
+    const error = validateSettings(throttling, '`throttling`');
+    if (error) return error;
+    if (throttling.profile !== undefined) {
+        if (typeof throttling.profile !== 'string') return '`throttling.profile` must be a string.';
+        if (!getProfile(throttling.profile)) return `Unknown throttling profile: "${throttling.profile}".`;
+    }
+    return null;
+}
+
+/**
+ * Validates a profile submitted to the registry.
+ * @param {*} profile
+ * @returns {string|null} - An error message, or null if the profile is valid.
+ */
+function validateProfile(profile) {
+    if (!isPlainObject(profile)) return 'The profile must be an object.';
+    if (typeof profile.id !== 'string' || !PROFILE_ID_PATTERN.test(profile.id)) {
+        return 'The profile `id` must contain only lowercase letters, digits and dashes.';
+    }
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') return 'The profile needs a `name`.';
+    if (profile.description !== undefined && typeof profile.description !== 'string') {
+        return 'The profile `description` must be a string.';
+    }
+    if (profile.profile !== undefined) return 'A profile cannot extend another profile.';
+    return validateSettings(profile, 'Profile');
+}
+
+/**
+ * Resolves the effective settings of a run: mode defaults, then the named profile, then the
+ * explicit fields of the request.
+ * @param {string} mode - The test mode.
+ * @param {object} [throttling] - A validated `throttling` object.
+ * @returns {object} - Every setting, plus the `profile` id and `name` that were applied (or null).
+ */
+function resolveThrottling(mode, throttling = {}) {
+    const base = MODE_DEFAULTS[mode] || MODE_DEFAULTS.custom;
+    const profile = throttling.profile ? getProfile(throttling.profile) : null;
+    const settings = { profile: profile ? profile.id : null, name: profile ? profile.name : null };
+    for (const key of SETTING_KEYS) {
+        settings[key] = throttling[key] ?? profile?.[key] ?? base[key];
+    }
+    return settings;
+}
+
+/**
+ * Converts resolved settings into the values Puppeteer and the DevTools protocol expect.
+ * @param {object} settings - The result of resolveThrottling.
+ * @returns {{network: object, cpu: number, viewport: object, userAgent: ?string}}
+ */
+function toEmulation(settings) {
+    // CDP throughput is in bytes per second; -1 disables throttling.
+    const throughput = kbps => (kbps > 0 ? kbps * 1024 / 8 : -1);
+    return {
+        network: {
+            offline: false,
+            downloadThroughput: throughput(settings.download),
+            uploadThroughput: throughput(settings.upload),
+            latency: settings.latency
+        },
+        cpu: settings.cpu,
+        viewport: {
+            ...settings.viewport,
+            deviceScaleFactor: settings.deviceScaleFactor,
+            isMobile: settings.touch,
+            hasTouch: settings.touch
+        },
+        userAgent: settings.userAgent
+    };
+}
+
+function loadProfiles() {
+    if (profiles) return profiles;
+    profiles = new Map();
+    const file = [PROFILES_FILE, DEFAULT_PROFILES_FILE].find(candidate => fs.existsSync(candidate));
+    if (file) {
+        JSON.parse(fs.readFileSync(file, 'utf8')).forEach(profile => profiles.set(profile.id, profile));
+    }
+    logger.log(`[PROFILES]: Loaded ${profiles.size} throttling profile(s) from ${file || PROFILES_FILE}.`);
+    return profiles;
+}
+
+async function writeProfiles(nextProfiles) {
+    await fs.promises.mkdir(path.dirname(PROFILES_FILE), { recursive: true });
+    await fs.promises.writeFile(PROFILES_FILE, JSON.stringify(Array.from(nextProfiles.values()), null, 4) + '\n');
+    profiles = nextProfiles;
+}
+
+/**
+ * @returns {object[]} - All registered profiles.
+ */
+function listProfiles() {
+    return Array.from(loadProfiles().values());
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function getProfile(id) {
+    return loadProfiles().get(id);
+}
+
+/**
+ * Creates or replaces a profile and writes the registry to PROFILES_FILE.
+ * @param {object} profile - A profile that passed validateProfile.
+ * @returns {Promise<object>} - The stored profile.
+ */
+async function saveProfile(profile) {
+    const stored = { id: profile.id, name: profile.name };
+    if (profile.description !== undefined) stored.description = profile.description;
+    SETTING_KEYS.forEach(key => { if (profile[key] !== undefined) stored[key] = profile[key]; });
+
+    const nextProfiles = new Map(loadProfiles());
+    nextProfiles.set(stored.id, stored);
+    await writeProfiles(nextProfiles);
+    logger.log(`[PROFILES]: Saved throttling profile "${stored.id}".`);
+    return stored;
+}
+
+/**
+ * Removes a profile and writes the registry to PROFILES_FILE.
+ * @param {string} id
+ * @returns {Promise<boolean>} - False if there was no such profile.
+ */
+async function deleteProfile(id) {
+    if (!loadProfiles().has(id)) return false;
+    const nextProfiles = new Map(profiles);
+    nextProfiles.delete(id);
+    await writeProfiles(nextProfiles);
+    logger.log(`[PROFILES]: Deleted throttling profile "${id}".`);
+    return true;
+}
+
+module.exports = {
+    MODE_DEFAULTS,
+    validateThrottling,
+    validateProfile,
+    resolveThrottling,
+    toEmulation,
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile
+};
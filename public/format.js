@@ -0,0 +1,574 @@
+// Rendering helpers shared by the test page (main.js) and the read-only result pages (report.js).
+
+// Rule types beyond block/defer/html_replace, summarized for the history and comparison views.
+const ADVANCED_RULE_TYPES = ['dom', 'hints', 'fetchpriority', 'headers', 'mock', 'resources'];
+
+// Metrics shown per result and per run, in display order.
+const METRIC_LABELS = { FCP: 'FCP', LCP: 'LCP', TBT: 'TBT', speedIndex: 'Speed Index', visuallyComplete: 'Visually Complete', lastVisualChange: 'Last Visual Change', INP: 'INP', CLS: 'CLS', pageWeight: 'Page Weight', thirdPartyBytes: 'Third-Party Bytes' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatMetric(key, value) {
+    if (value == null) return 'N/A';
+    if (key === 'CLS') return value.toFixed(3);
+    if (key === 'pageWeight' || key === 'thirdPartyBytes') return (value / 1024).toFixed(2) + ' KB';
+    return value.toFixed(2) + ' ms';
+}
+
+// --- Budgets ---
+// CSS class of a metric judged against the result's budget, e.g. ' class="budget-fail"'.
+function budgetClass(budget, key) {
+    const status = budget?.metrics?.[key]?.status;
+    return status && status !== 'unknown' ? ` class="budget-${status}"` : '';
+}
+
+function renderBudget(budget, prefix = '') {
+    if (!budget) return '';
+    const rows = Object.entries(budget.metrics).map(([key, entry]) => `
+        <tr class="budget-${entry.status}">
+            <td>${METRIC_LABELS[key] || key}</td>
+            <td>${formatMetric(key, entry.value)}</td>
+            <td>${formatMetric(key, entry.max)} <small>(warn from ${formatMetric(key, entry.warn)})</small></td>
+            <td>${entry.status}</td>
+        </tr>`).join('');
+    return `
+        <h3 class="budget-${budget.status}">${prefix}Budget: ${budget.status.toUpperCase()}</h3>
+        <div class="table-container">
+            <table class="step-table budget-table">
+                <thead><tr><th>Metric</th><th>Median</th><th>Budget</th><th>Status</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>Budgets from: ${budget.sources.map(escapeHtml).join(', ')}</small></p>`;
+}
+// --- End Budgets ---
+
+// Mode label for the history and comparison views, e.g. "pagespeed-mobile (Slow 3G, simulated)".
+// Escaped: stored results and profile names come from other users.
+function modeLabel(params) {
+    const details = [
+        params.throttling?.name,
+        params.throttlingMethod === 'simulate' ? 'simulated' : ''
+    ].filter(Boolean);
+    return escapeHtml(details.length > 0 ? `${params.mode} (${details.join(', ')})` : params.mode);
+}
+
+// Which load was measured: '' for a first view (and results stored before views existed).
+function viewLabel(params) {
+    return { repeat: 'repeat view', both: 'first + repeat view' }[params.view] || '';
+}
+
+// First and repeat view medians side by side, for results with `view: 'both'`.
+function renderRepeatView(averageMetrics, title = 'First vs. Repeat View') {
+    const repeatView = averageMetrics && averageMetrics.repeatView;
+    if (!repeatView) return '';
+    const rows = Object.entries(METRIC_LABELS).map(([key, label]) => {
+        const first = averageMetrics[key];
+        const repeat = repeatView[key];
+        const change = first && repeat != null ? `${repeat >= first ? '+' : ''}${((repeat - first) / first * 100).toFixed(1)}%` : '';
+        return `<tr><td>${label}</td><td>${formatMetric(key, first)}</td><td>${formatMetric(key, repeat)}</td><td>${change}</td></tr>`;
+    }).join('');
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <div class="table-container">
+            <table class="step-table">
+                <thead><tr><th>Median</th><th>First View</th><th>Repeat View</th><th>Change</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>The repeat view loads the page again in the same browser context, with the cache, cookies and storage of the first view.</small></p>`;
+}
+
+function attributeRuleLabels(rules) {
+    return [
+        ...(rules.async || []).map(rule => `async: ${rule}`),
+        ...(rules.remove_async || []).map(rule => `no async: ${rule}`),
+        ...(rules.lazy_load || []).map(rule => `lazy: ${rule}`),
+        ...ADVANCED_RULE_TYPES
+            .filter(type => rules[type] && rules[type].length > 0)
+            .map(type => `${rules[type].length} ${type} rule(s)`)
+    ];
+}
+
+// Older history entries store a single `{ find, replace }` object instead of an array.
+function htmlReplacements(rules) {
+    if (!rules || !rules.html_replace) return [];
+    return Array.isArray(rules.html_replace) ? rules.html_replace : [rules.html_replace];
+}
+
+function htmlReplaceMatches(result, index) {
+    const entry = (result.ruleReport || []).find(e => e.type === 'html_replace' && e.index === index);
+    return entry ? entry.matches : null;
+}
+
+// One result as a card of the comparison view: median metrics and a summary of its rules.
+function renderComparisonItem(result) {
+    const params = result.parameters;
+    const rules = params.rules || {};
+    const displayName = escapeHtml(result.name || params.url);
+    const rulesSummary = [
+        ...(rules.block || []),
+        ...(rules.defer || []),
+        ...attributeRuleLabels(rules),
+    ].filter(Boolean).join(', ');
+    const replacementItems = htmlReplacements(rules).map((step, i) => {
+        const matches = htmlReplaceMatches(result, i);
+        const flags = `${step.literal ? 'literal, ' : ''}/${step.flags ?? 'g'}`;
+        return `<li><code>${escapeHtml(step.find)}</code> → <code>${escapeHtml(step.replace)}</code> <small>(${flags}, ${matches != null ? `${matches} match(es)` : 'matches unknown'})</small></li>`;
+    }).join('');
+
+    return `
+        <h4>${displayName}</h4>
+        <p><small>URL: ${escapeHtml(params.url)}</small></p>
+        <p><strong>Mode:</strong> ${modeLabel(params)} ${params.disableCache ? '(No Cache)' : ''}${viewLabel(params) ? ` (${viewLabel(params)})` : ''}</p>
+        <p${budgetClass(result.budget, 'FCP')}><strong>Avg FCP:</strong> ${result.averageMetrics.FCP != null ? result.averageMetrics.FCP.toFixed(2) + ' ms' : 'N/A'}</p>
+        <p${budgetClass(result.budget, 'LCP')}><strong>Avg LCP:</strong> ${result.averageMetrics.LCP != null ? result.averageMetrics.LCP.toFixed(2) + ' ms' : 'N/A'}</p>
+        <p${budgetClass(result.budget, 'TBT')}><strong>Avg TBT:</strong> ${result.averageMetrics.TBT != null ? result.averageMetrics.TBT.toFixed(2) + ' ms' : 'N/A'}</p>
+        <p${budgetClass(result.budget, 'speedIndex')}><strong>Avg Speed Index:</strong> ${result.averageMetrics.speedIndex != null ? result.averageMetrics.speedIndex.toFixed(2) + ' ms' : 'N/A'}</p>
+        <p${budgetClass(result.budget, 'INP')}><strong>Avg INP:</strong> ${result.averageMetrics.INP != null ? result.averageMetrics.INP.toFixed(0) + ' ms' : 'N/A'}</p>
+        <p${budgetClass(result.budget, 'CLS')}><strong>Avg CLS:</strong> ${result.averageMetrics.CLS != null ? result.averageMetrics.CLS.toFixed(3) : 'N/A'}</p>
+        <p${budgetClass(result.budget, 'pageWeight')}><strong>Avg Page Weight:</strong> ${result.averageMetrics.pageWeight != null ? (result.averageMetrics.pageWeight / 1024).toFixed(2) + ' KB' : 'N/A'}</p>
+        <p${budgetClass(result.budget, 'thirdPartyBytes')}><strong>Avg Third-Party:</strong> ${formatMetric('thirdPartyBytes', result.averageMetrics.thirdPartyBytes)}</p>
+        ${result.budget ? `<p class="budget-${result.budget.status}"><strong>Budget:</strong> ${result.budget.status.toUpperCase()}</p>` : ''}
+        ${result.averageMetrics.repeatView ? `<p><small><strong>Repeat view:</strong> ${['FCP', 'LCP', 'pageWeight'].map(key => `${METRIC_LABELS[key]} ${formatMetric(key, result.averageMetrics.repeatView[key])}`).join(' · ')}</small></p>` : ''}
+        ${result.stability?.noisy?.length ? `<p class="error"><small><strong>Noisy runs:</strong> ${result.stability.noisy.map(key => `${METRIC_LABELS[key]} CV ${formatPercent(result.stability.metrics[key].cv)}`).join(', ')}</small></p>` : ''}
+        <p><small><strong>Rules:</strong> ${escapeHtml(rulesSummary || 'None')}</small></p>
+        ${replacementItems ? `<p><small><strong>HTML Replacements:</strong></small></p><ol><small>${replacementItems}</small></ol>` : ''}
+    `;
+}
+
+// Every metric of every run, so readers can judge the spread behind the medians.
+// Results stored before runs were timed have no wall time column. With `view: 'both'`, the
+// repeat view of each run follows it. Outliers flagged in `stability` are highlighted.
+function renderRunTable(runs, stability = null) {
+    if (!runs || runs.length === 0) return '';
+    const keys = Object.keys(METRIC_LABELS);
+    const timed = runs.some(run => run.wallTime != null);
+    const wallTime = run => timed ? `<td>${run.wallTime != null ? (run.wallTime / 1000).toFixed(1) + ' s' : 'N/A'}</td>` : '';
+    const isOutlier = (spread, key, number) => (spread?.metrics[key]?.outliers || []).includes(number);
+    const cell = (spread, key, run, number) => isOutlier(spread, key, number)
+        ? `<td class="outlier" title="Outlier: beyond 1.5 IQR of the quartiles">${formatMetric(key, run[key])}</td>`
+        : `<td>${formatMetric(key, run[key])}</td>`;
+    const row = (label, run, time, spread, number) => `<tr><td>${label}</td>${keys.map(key => cell(spread, key, run, number)).join('')}${time}</tr>`;
+    const rows = runs.map((run, i) => row(`Run ${i + 1}`, run, wallTime(run), stability, i + 1)
+        + (run.repeatView ? row(`Run ${i + 1} (repeat)`, run.repeatView, timed ? '<td></td>' : '', stability?.repeatView, i + 1) : '')).join('');
+    return `
+        <div class="table-container">
+            <table class="step-table">
+                <thead><tr><th></th>${keys.map(key => `<th>${METRIC_LABELS[key]}</th>`).join('')}${timed ? '<th>Wall Time</th>' : ''}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+// Steps that failed in any run, e.g. because a selector never appeared.
+function renderInteractionWarning(runs, interactions = []) {
+    const failed = new Map();
+    runs.forEach(run => (run.interactionErrors || []).forEach(entry => failed.set(entry.index, entry)));
+    if (failed.size === 0) return '';
+    const items = Array.from(failed.values())
+        .sort((a, b) => a.index - b.index)
+        .map(entry => `<li>#${entry.index + 1} <code>${entry.action}</code> ${escapeHtml(interactions[entry.index]?.selector || '')}: ${escapeHtml(entry.error)}</li>`)
+        .join('');
+    return `<div class="warning"><strong>Interactions that failed:</strong> INP does not include these steps.<ul>${items}</ul></div>`;
+}
+
+// Median timing of each flow step. Soft navigations are client-side route changes.
+function renderStepMetrics(stepMetrics, title = 'Flow Steps') {
+    if (!stepMetrics || stepMetrics.length === 0) return '';
+    const ms = value => (value != null ? value.toFixed(0) + ' ms' : '–');
+    const rows = stepMetrics.map(step => {
+        const navigation = step.navigation === 'soft' ? `soft (URL after ${ms(step.urlChange)})` : (step.navigation || '–');
+        const failed = step.failedRuns > 0 ? ` <span class="error">(skipped in ${step.failedRuns} run${step.failedRuns > 1 ? 's' : ''})</span>` : '';
+        return `<tr${step.measured ? ' class="measured-step"' : ''}>
+            <td>#${step.index + 1}</td>
+            <td><code>${step.action}</code>${step.measured ? ' <strong>(measured)</strong>' : ''}${failed}</td>
+            <td class="url">${escapeHtml(step.url || '')}</td>
+            <td>${navigation}</td>
+            <td>${ms(step.duration)}</td>
+            <td>${ms(step.interactionLatency)}</td>
+            <td>${ms(step.FCP)} / ${ms(step.LCP)}</td>
+            <td>${step.requestCount != null ? step.requestCount.toFixed(0) : '–'}</td>
+        </tr>`;
+    }).join('');
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <div class="table-container">
+            <table class="step-table">
+                <thead><tr><th>Step</th><th>Action</th><th>URL</th><th>Navigation</th><th>Duration</th><th>Interaction Latency</th><th>FCP / LCP</th><th>Requests</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>Medians over all runs. A click lasts until the page settled (no DOM or network activity for 500 ms).</small></p>`;
+}
+
+// Simulated runs also report what was measured during the unthrottled load.
+function renderObservedMetrics(runs) {
+    const observedRuns = runs.filter(run => run.observed);
+    if (observedRuns.length === 0) return '';
+    const median = key => {
+        const values = observedRuns.map(run => run.observed[key]).filter(v => v != null).sort((a, b) => a - b);
+        if (values.length === 0) return 'N/A';
+        const mid = Math.floor(values.length / 2);
+        const value = values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+        return value.toFixed(0) + ' ms';
+    };
+    const failed = observedRuns.some(run => !run.simulated) ? ' Some runs could not be simulated and report unthrottled metrics.' : '';
+    return `<p><small><strong>Simulated throttling.</strong> Unthrottled load (median): FCP ${median('FCP')}, LCP ${median('LCP')}, Speed Index ${median('speedIndex')}.${failed}</small></p>`;
+}
+
+// --- Filmstrip ---
+const FILMSTRIP_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c'];
+
+// The frame of a filmstrip on screen at `time`, with the thumbnail of the latest frame that has
+// one (frames only carry a thumbnail when the page changed).
+function filmstripFrameAt(filmstrip, time) {
+    let frame = null;
+    let image = null;
+    for (const entry of filmstrip.frames) {
+        if (entry.time > time) break;
+        frame = entry;
+        if (entry.image) image = entry.image;
+    }
+    return frame && { ...frame, image };
+}
+
+// Visual progress over time as a step chart, one line per filmstrip.
+function renderProgressCurve(strips, end) {
+    const width = 600;
+    const height = 160;
+    const x = time => (time / end * width).toFixed(1);
+    const y = progress => (height - progress / 100 * height).toFixed(1);
+    const lines = strips.map(({ filmstrip }, i) => {
+        const points = filmstrip.visualProgress || [];
+        if (points.length === 0) return '';
+        const path = points.map((point, j) => (j === 0 ? `M${x(point.time)} ${y(point.progress)}` : `H${x(point.time)} V${y(point.progress)}`)).join(' ');
+        return `<path d="${path} H${width}" fill="none" stroke="${FILMSTRIP_COLORS[i % FILMSTRIP_COLORS.length]}" stroke-width="2" />`;
+    }).join('');
+    const legend = strips.map(({ label }, i) => `<span><i style="background: ${FILMSTRIP_COLORS[i % FILMSTRIP_COLORS.length]}"></i>${escapeHtml(label)}</span>`).join('');
+    return `
+        <svg class="progress-curve" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Visual progress over time">
+            <line x1="0" y1="${y(100)}" x2="${width}" y2="${y(100)}" class="progress-grid" />
+            <line x1="0" y1="${y(50)}" x2="${width}" y2="${y(50)}" class="progress-grid" />
+            ${lines}
+        </svg>
+        <div class="progress-legend"><small>0–${(end / 1000).toFixed(1)} s, 0–100% visually complete</small>${strips.length > 1 ? legend : ''}</div>`;
+}
+
+// Filmstrips of one or more results side by side. Strips are aligned on the longest of their
+// intervals, so the same column shows every page at the same moment; a highlighted frame is one
+// where the page changed since the previous column.
+function renderFilmstrips(strips, title = 'Filmstrip') {
+    strips = strips.filter(strip => strip.filmstrip && strip.filmstrip.frames.length > 0);
+    if (strips.length === 0) return '';
+    const interval = Math.max(...strips.map(({ filmstrip }) => filmstrip.interval));
+    const end = Math.max(...strips.map(({ filmstrip }) => filmstrip.frames[filmstrip.frames.length - 1].time),
+        ...strips.map(({ filmstrip }) => filmstrip.lastVisualChange || 0));
+    const times = [];
+    for (let time = 0; time <= end + interval - 1; time += interval) times.push(time);
+
+    const ms = value => (value != null ? value.toFixed(0) + ' ms' : 'N/A');
+    const rows = strips.map(({ label, filmstrip }) => {
+        let previous = null;
+        const cells = times.map(time => {
+            const frame = filmstripFrameAt(filmstrip, time);
+            if (!frame || !frame.image) return '<td></td>';
+            const changed = frame.image !== previous;
+            previous = frame.image;
+            return `<td${changed ? ' class="frame-changed"' : ''}><img src="data:image/jpeg;base64,${frame.image}" alt="${escapeHtml(label)} at ${time} ms"><br><small>${frame.progress}%</small></td>`;
+        }).join('');
+        return `<tr><th>${escapeHtml(label)}${filmstrip.run ? `<br><small>run ${filmstrip.run}</small>` : ''}</th>${cells}</tr>`;
+    }).join('');
+    const timings = strips.map(({ label, filmstrip }) => `<li>${strips.length > 1 ? `<strong>${escapeHtml(label)}:</strong> ` : ''}Speed Index ${ms(filmstrip.speedIndex)} · Visually Complete ${ms(filmstrip.visuallyComplete)} · Last Visual Change ${ms(filmstrip.lastVisualChange)}</li>`).join('');
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <ul class="filmstrip-timings">${timings}</ul>
+        ${renderProgressCurve(strips, Math.max(end, interval))}
+        <div class="table-container">
+            <table class="filmstrip-table">
+                <thead><tr><th></th>${times.map(time => `<th>${(time / 1000).toFixed(1)} s</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>The run closest to the median Speed Index, every ${interval} ms until the last visual change. Percentages are visual progress (similarity to the final frame); with simulated throttling, frames and these timings are from the unthrottled load.</small></p>`;
+}
+// --- End Filmstrip ---
+
+// --- Artifacts ---
+const ARTIFACT_LABELS = { trace: 'Trace', cpuProfile: 'CPU profile', coverage: 'Coverage' };
+
+// Download links for the artifacts each load kept, one line per run (and repeat view).
+function renderArtifactLinks(runs) {
+    const loads = (runs || []).flatMap((run, i) => [
+        { label: `Run ${i + 1}`, artifacts: run.artifacts },
+        { label: `Run ${i + 1} (repeat)`, artifacts: run.repeatView && run.repeatView.artifacts }
+    ]).filter(load => load.artifacts && load.artifacts.length > 0);
+    if (loads.length === 0) return '';
+    const link = artifact => `<a href="/artifacts/${encodeURIComponent(artifact.id)}/${encodeURIComponent(artifact.name)}" download>${ARTIFACT_LABELS[artifact.type] || artifact.type}</a> <small>(${(artifact.size / 1024 / 1024).toFixed(1)} MB)</small>`;
+    return `<ul class="artifact-links">${loads.map(load => `<li>${load.label}: ${load.artifacts.map(link).join(' · ')}</li>`).join('')}</ul>`;
+}
+
+function renderArtifacts(runs, title = 'Artifacts') {
+    const links = renderArtifactLinks(runs);
+    if (!links) return '';
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        ${links}
+        <p><small>Open traces and CPU profiles in the Chrome DevTools Performance panel (Load profile…). The server deletes artifacts after a while, so download the ones worth keeping.</small></p>`;
+}
+// --- End Artifacts ---
+
+// --- LCP ---
+const LCP_SUB_PART_LABELS = {
+    TTFB: 'Time to first byte',
+    resourceLoadDelay: 'Resource load delay',
+    resourceLoadDuration: 'Resource load duration',
+    elementRenderDelay: 'Element render delay'
+};
+
+// The LCP element, and how its time splits into the sub-parts, with the largest one marked.
+function renderLcpDiagnostics(lcp, title = 'LCP Element') {
+    if (!lcp || !lcp.element) return '';
+    const { element, breakdown } = lcp;
+    const total = Object.keys(LCP_SUB_PART_LABELS).reduce((sum, key) => sum + (breakdown[key] || 0), 0);
+    const largest = Object.keys(LCP_SUB_PART_LABELS).reduce((a, b) => ((breakdown[b] || 0) > (breakdown[a] || 0) ? b : a));
+    const share = key => (total > 0 ? (breakdown[key] || 0) / total * 100 : 0);
+    const bar = Object.keys(LCP_SUB_PART_LABELS)
+        .filter(key => share(key) > 0)
+        .map(key => `<span class="lcp-part lcp-part-${key}" style="width: ${share(key).toFixed(1)}%" title="${LCP_SUB_PART_LABELS[key]}"></span>`)
+        .join('');
+    const rows = Object.entries(LCP_SUB_PART_LABELS).map(([key, label]) => `
+        <tr${key === largest && total > 0 ? ' class="lcp-bottleneck"' : ''}>
+            <td><i class="lcp-part-${key}"></i> ${label}</td>
+            <td>${breakdown[key] != null ? breakdown[key].toFixed(0) + ' ms' : 'N/A'}</td>
+            <td>${share(key).toFixed(0)}%</td>
+        </tr>`).join('');
+    const stable = lcp.runs > 1 ? ` <small>(the LCP element in ${lcp.elementRuns} of ${lcp.runs} runs)</small>` : '';
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <p><code>${escapeHtml(element.selector || element.tagName)}</code>${stable}</p>
+        ${element.url ? `<p class="url"><small>${escapeHtml(element.url)}</small></p>` : ''}
+        <div class="lcp-bar">${bar}</div>
+        <div class="table-container">
+            <table class="step-table lcp-table">
+                <thead><tr><th>Sub-part</th><th>Median</th><th>Share</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>The largest sub-part is highlighted; that phase is where an optimization can save the most. Text and inline images have no resource phases. Measured on the observed (unthrottled, for simulated tests) load.</small></p>`;
+}
+// --- End LCP ---
+
+// --- Navigation Timing ---
+const NAVIGATION_TIMING_LABELS = {
+    redirect: 'Redirect', dns: 'DNS', connect: 'Connect', tls: 'TLS', wait: 'Wait', download: 'Download',
+    TTFB: 'TTFB', domInteractive: 'DOM Interactive', domContentLoaded: 'DOMContentLoaded', load: 'Load'
+};
+
+// The document's network phases and milestones (median, then per run) and its Server-Timing.
+function renderNavigationTiming(navigationTiming, runs = [], title = 'Navigation Timing') {
+    if (!navigationTiming) return '';
+    const keys = Object.keys(NAVIGATION_TIMING_LABELS);
+    const ms = value => (value != null ? value.toFixed(0) + ' ms' : '–');
+    const row = (label, timing) => `<tr><td>${label}</td>${keys.map(key => `<td>${ms(timing[key])}</td>`).join('')}</tr>`;
+    const rows = row('<strong>Median</strong>', navigationTiming)
+        + runs.map((run, i) => (run.navigationTiming ? row(`Run ${i + 1}`, run.navigationTiming) : '')).join('');
+    const serverTiming = navigationTiming.serverTiming.length === 0 ? '' : `
+        <div class="table-container">
+            <table class="step-table server-timing-table">
+                <thead><tr><th>Server-Timing</th><th>Description</th><th>Median</th><th>Runs</th></tr></thead>
+                <tbody>${navigationTiming.serverTiming.map(entry => `<tr>
+                    <td><code>${escapeHtml(entry.name)}</code></td>
+                    <td>${escapeHtml(entry.description || '')}</td>
+                    <td>${ms(entry.duration)}</td>
+                    <td>${entry.runs}/${navigationTiming.runs}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        </div>`;
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <div class="table-container">
+            <table class="step-table navigation-timing-table">
+                <thead><tr><th></th>${keys.map(key => `<th>${NAVIGATION_TIMING_LABELS[key]}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${serverTiming}
+        <p><small>Redirect to Download are the phases of the document request, timed by the test server without network throttling: a slower Wait with unchanged front-end metrics points at the backend. TTFB, DOM Interactive, DOMContentLoaded and Load are ms since navigation start.</small></p>`;
+}
+// --- End Navigation Timing ---
+
+// --- Stability ---
+const formatPercent = value => (value != null ? `${(value * 100).toFixed(1)}%` : '–');
+
+// How much the runs scattered around each median, and whether that makes the result too noisy
+// to trust. Adaptive tests also say whether LCP reached the requested precision.
+function renderStability(stability, title = 'Run Stability') {
+    if (!stability) return '';
+    const level = `${stability.confidence * 100}%`;
+    const rows = Object.keys(METRIC_LABELS).filter(key => stability.metrics[key]).map(key => {
+        const entry = stability.metrics[key];
+        return `<tr${entry.noisy ? ' class="noisy-metric"' : ''}>
+            <td>${METRIC_LABELS[key]}</td>
+            <td>${formatMetric(key, entry.median)}</td>
+            <td>${entry.ci ? `${formatMetric(key, entry.ci[0])} – ${formatMetric(key, entry.ci[1])}` : '–'}</td>
+            <td>${entry.precision != null ? `±${formatPercent(entry.precision)}` : '–'}</td>
+            <td>${formatMetric(key, entry.stdDev)}</td>
+            <td>${formatPercent(entry.cv)}</td>
+            <td>${formatMetric(key, entry.iqr)}</td>
+            <td>${entry.outliers.length > 0 ? entry.outliers.map(run => `#${run}`).join(', ') : '–'}</td>
+        </tr>`;
+    }).join('');
+    const noisy = stability.noisy.length === 0 ? '' : `<div class="warning"><strong>Too noisy to trust:</strong> ${stability.noisy.map(key => `${METRIC_LABELS[key]} varies by ${formatPercent(stability.metrics[key].cv)}`).join(', ')} between runs. Repeating the test could move these medians by more than a typical optimization saves. Use more runs or adaptive runs, fewer parallel runs, or a quieter machine.</div>`;
+    const adaptive = stability.adaptive;
+    const lcpPrecision = stability.metrics.LCP?.precision;
+    const adaptiveNote = !adaptive ? '' : adaptive.reached
+        ? `<p><small><strong>Adaptive runs:</strong> LCP reached ±${formatPercent(lcpPrecision)} (target ±${formatPercent(adaptive.precision)}) after ${stability.runs} runs.</small></p>`
+        : `<div class="warning"><strong>Adaptive runs:</strong> LCP did not reach ±${formatPercent(adaptive.precision)} within ${adaptive.maxRuns} runs${lcpPrecision != null ? ` (±${formatPercent(lcpPrecision)})` : ''}.</div>`;
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        ${noisy}
+        ${adaptiveNote}
+        <div class="table-container">
+            <table class="step-table stability-table">
+                <thead><tr><th>Metric</th><th>Median</th><th>${level} CI of Median</th><th>Precision</th><th>Std Dev</th><th>CV</th><th>IQR</th><th>Outlier Runs</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>Over ${stability.runs} run(s). The confidence interval of the median needs at least 6 runs; precision is half its width relative to the median. Outliers lie more than 1.5 IQR outside the quartiles. A CV (standard deviation / mean) above 15% for FCP, LCP or Speed Index makes a result noisy.</small></p>`;
+}
+// --- End Stability ---
+
+// --- Layout Shifts ---
+const formatRect = rect => `${rect.width.toFixed(0)}×${rect.height.toFixed(0)} at ${rect.x.toFixed(0)},${rect.y.toFixed(0)}`;
+
+// The CLS session window of a typical run and its largest shifts, numbered like the regions
+// outlined on the screenshot.
+function renderLayoutShifts(layoutShifts, title = 'Layout Shifts') {
+    if (!layoutShifts || !layoutShifts.window) return '';
+    const { window: clsWindow, shifts } = layoutShifts;
+    const rows = shifts.map((shift, i) => {
+        const sources = shift.sources.length > 0
+            ? shift.sources.map(source => `<li><code>${escapeHtml(source.selector || '(removed node)')}</code> <small>${formatRect(source.previousRect)} → ${formatRect(source.currentRect)}</small></li>`).join('')
+            : '<li><small>No source reported</small></li>';
+        return `<tr>
+            <td>#${i + 1}</td>
+            <td>${shift.startTime.toFixed(0)} ms</td>
+            <td>${shift.value.toFixed(4)}</td>
+            <td><ul class="shift-sources">${sources}</ul></td>
+        </tr>`;
+    }).join('');
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <p>CLS ${clsWindow.value.toFixed(3)} from ${clsWindow.shiftCount} shift(s) between ${clsWindow.startTime.toFixed(0)} and ${clsWindow.endTime.toFixed(0)} ms${layoutShifts.run != null ? ` <small>(run ${layoutShifts.run}, the closest to the median CLS)</small>` : ''}</p>
+        <div class="table-container">
+            <table class="step-table shift-table">
+                <thead><tr><th></th><th>Time</th><th>Score</th><th>Shifted Elements (before → after)</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>CLS is the largest session window: shifts less than 1 s apart, over at most 5 s. The screenshot outlines where the elements were (dashed) and ended up.</small></p>`;
+}
+// --- End Layout Shifts ---
+
+// --- Screenshot ---
+// An absolutely positioned box over the screenshot; rects are in CSS pixels of `viewport`.
+function overlayBox(rect, viewport, className, title, label = '') {
+    const percent = (value, size) => `${(value / size * 100).toFixed(2)}%`;
+    return `<div class="${className}" title="${escapeHtml(title)}" style="left: ${percent(rect.x, viewport.width)}; top: ${percent(rect.y, viewport.height)}; width: ${percent(rect.width, viewport.width)}; height: ${percent(rect.height, viewport.height)}">${label}</div>`;
+}
+
+// The final screenshot with the LCP element and the regions of the largest layout shifts drawn
+// on it. It is taken at the runs' viewport, so their rects line up.
+function renderScreenshot(screenshot, { lcp, layoutShifts, alt = 'Screenshot' } = {}) {
+    if (!screenshot) return '';
+    const overlays = [];
+    const element = lcp && lcp.element;
+    if (element && element.boundingBox && element.viewport) {
+        overlays.push(overlayBox(element.boundingBox, element.viewport, 'lcp-highlight', `LCP element: ${element.selector || element.tagName}`));
+    }
+    if (layoutShifts && layoutShifts.viewport) {
+        layoutShifts.shifts.forEach((shift, i) => shift.sources.forEach(source => {
+            const title = `Shift #${i + 1} (${shift.value.toFixed(4)}): ${source.selector || 'removed node'}`;
+            overlays.push(overlayBox(source.previousRect, layoutShifts.viewport, 'shift-region shift-before', title));
+            overlays.push(overlayBox(source.currentRect, layoutShifts.viewport, 'shift-region', title, `<span>#${i + 1}</span>`));
+        }));
+    }
+    return `<div class="screenshot-frame"><img class="screenshot" src="data:image/png;base64,${screenshot}" alt="${escapeHtml(alt)}">${overlays.join('')}</div>`;
+}
+// --- End Screenshot ---
+
+// --- Third Parties ---
+const ENTITY_CATEGORY_LABELS = {
+    'first-party': 'First party',
+    'tag-manager': 'Tag manager',
+    'ab-testing': 'A/B testing',
+    'customer-success': 'Customer success',
+    'unknown': 'Other'
+};
+
+function entityCategoryLabel(category) {
+    return ENTITY_CATEGORY_LABELS[category] || category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+// Requests, bytes and main-thread work per party, the most blocking first. With `actions`, each
+// third party gets buttons that add its sites to the block and defer rules.
+function renderThirdParties(thirdParties, title = 'Third-Party Impact', { actions = false } = {}) {
+    if (!thirdParties || thirdParties.length === 0) return '';
+    const lcpPath = entry => entry.runs != null
+        ? (entry.lcpCriticalRuns > 0 ? `${entry.lcpCriticalRuns}/${entry.runs} runs` : '–')
+        : (entry.lcpCriticalPath ? 'yes' : '–');
+    const rows = thirdParties.map(entry => {
+        const sites = entry.sites.join(',');
+        const buttons = actions && !entry.firstParty
+            ? `<td><button type="button" class="third-party-action" data-action="block" data-sites="${escapeHtml(sites)}">Block</button> <button type="button" class="third-party-action" data-action="defer" data-sites="${escapeHtml(sites)}">Defer</button></td>`
+            : (actions ? '<td></td>' : '');
+        return `<tr class="${entry.firstParty ? 'first-party' : 'third-party'}">
+            <td title="${escapeHtml(entry.sites.join(', '))}">${escapeHtml(entry.name)}</td>
+            <td>${entityCategoryLabel(entry.category)}</td>
+            <td>${entry.requestCount.toFixed(0)}</td>
+            <td>${(entry.transferSize / 1024).toFixed(1)} KB</td>
+            <td>${entry.mainThreadTime.toFixed(0)} ms</td>
+            <td>${entry.blockingTime.toFixed(0)} ms</td>
+            <td>${entry.longTasks.toFixed(0)}</td>
+            <td>${lcpPath(entry)}</td>
+            ${buttons}
+        </tr>`;
+    }).join('');
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <div class="table-container">
+            <table class="step-table third-party-table">
+                <thead><tr><th>Party</th><th>Category</th><th>Requests</th><th>Transfer</th><th>Main Thread</th><th>Blocking</th><th>Long Tasks</th><th>LCP Critical Path</th>${actions ? '<th></th>' : ''}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>Medians over all runs, measured on the observed (unthrottled, for simulated tests) timeline. Blocking time is the part of each long task (over 50 ms) after FCP, like TBT. A task counts for the script it spent the most time in.</small></p>`;
+}
+// --- End Third Parties ---
+
+// --- Rule Report ---
+function renderRuleReportWarning(ruleReport, prefix = '') {
+    const noops = (ruleReport || []).filter(entry => entry.noop);
+    const mismatches = (ruleReport || []).filter(entry => entry.expectationMet === false);
+    let html = '';
+    if (noops.length > 0) {
+        const items = noops.map(entry => `<li><code>${entry.type}</code> ${escapeHtml(entry.target)}</li>`).join('');
+        html += `<div class="warning"><strong>${prefix}Rules with no effect:</strong> these rules matched nothing in any run.<ul>${items}</ul></div>`;
+    }
+    if (mismatches.length > 0) {
+        const items = mismatches.map(entry => `<li>#${entry.index + 1} <code>${escapeHtml(entry.target)}</code>: expected ${entry.expected}, got ${entry.matches}</li>`).join('');
+        html += `<div class="warning"><strong>${prefix}Unexpected match counts:</strong><ul>${items}</ul></div>`;
+    }
+    return html;
+}
+
+function renderHtmlReplaceMatches(ruleReport) {
+    const entries = (ruleReport || []).filter(entry => entry.type === 'html_replace');
+    if (entries.length === 0) return '';
+    const items = entries.map(entry => `#${entry.index + 1}: ${entry.matches}${entry.expected !== undefined ? ` / ${entry.expected} expected` : ''}`).join(' | ');
+    return `<p><small><strong>HTML replacement matches:</strong> ${items}</small></p>`;
+}
+// --- End Rule Report ---
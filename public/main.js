@@ -1,27 +1,53 @@
 const urlSelect = document.getElementById('url-select');
 const customUrlGroup = document.getElementById('custom-url-group');
 const urlInput = document.getElementById('url-input');
+const batchGroup = document.getElementById('batch-group');
+const batchUrlsInput = document.getElementById('batch-urls-input');
+const batchSitemapInput = document.getElementById('batch-sitemap-input');
+const batchSitemapFile = document.getElementById('batch-sitemap-file');
+const batchMaxUrlsInput = document.getElementById('batch-max-urls');
+const batchConcurrencySelect = document.getElementById('batch-concurrency');
 const modeSelect = document.getElementById('mode-select');
+const throttlingSelect = document.getElementById('throttling-select');
+const throttlingMethodSelect = document.getElementById('throttling-method-select');
 const runsSelect = document.getElementById('runs-select');
+const parallelRunsSelect = document.getElementById('parallel-runs-select');
+const viewSelect = document.getElementById('view-select');
 const disableCacheCheckbox = document.getElementById('disable-cache-checkbox');
+const abModeCheckbox = document.getElementById('ab-mode-checkbox');
 const blockRulesInput = document.getElementById('block-rules');
 const deferRulesInput = document.getElementById('defer-rules');
-const htmlFindInput = document.getElementById('html-find-rule');
-const htmlReplaceInput = document.getElementById('html-replace-rule');
+const asyncRulesInput = document.getElementById('async-rules');
+const removeAsyncRulesInput = document.getElementById('remove-async-rules');
+const lazyLoadRulesInput = document.getElementById('lazy-load-rules');
+const advancedRulesInput = document.getElementById('advanced-rules');
+const interactionsInput = document.getElementById('interactions-input');
+const stepsInput = document.getElementById('steps-input');
+const htmlReplaceList = document.getElementById('html-replace-list');
+const addHtmlReplaceBtn = document.getElementById('add-html-replace-btn');
 const testNameInput = document.getElementById('test-name-input');
 const runTestBtn = document.getElementById('run-test');
 const statusEl = document.getElementById('status');
+const cancelTestBtn = document.getElementById('cancel-test');
+const liveRunsEl = document.getElementById('live-runs');
 const metricsContainer = document.getElementById('metrics-container');
-const screenshotEl = document.getElementById('screenshot');
+const screenshotContainer = document.getElementById('screenshot-container');
+const waterfallContainer = document.getElementById('waterfall-container');
+const waterfallRunSelect = document.getElementById('waterfall-run-select');
+const waterfallEl = document.getElementById('waterfall');
+const exportHarBtn = document.getElementById('export-har-btn');
 const blockRuleOptions = document.getElementById('block-rule-options');
 const deferRuleOptions = document.getElementById('defer-rule-options');
 const htmlReplacePresets = document.getElementById('html-replace-presets');
 const historyBody = document.getElementById('history-body');
 const compareBtn = document.getElementById('compare-btn');
-const clearHistoryBtn = document.getElementById('clear-history-btn');
+const deleteSelectedBtn = document.getElementById('delete-selected-btn');
+const importHistoryBtn = document.getElementById('import-history-btn');
+const historyTagFilter = document.getElementById('history-tag-filter');
 const exportCsvBtn = document.getElementById('export-csv-btn');
 const comparisonContainer = document.getElementById('comparison-container');
 const comparisonView = document.getElementById('comparison-view');
+const comparisonPermalinkEl = document.getElementById('comparison-permalink');
 
 
 urlSelect.addEventListener('change', () => {
@@ -30,10 +56,170 @@ urlSelect.addEventListener('change', () => {
     } else {
         customUrlGroup.style.display = 'none';
     }
+    batchGroup.style.display = urlSelect.value === 'batch' ? 'block' : 'none';
 });
 
+// A repeat view measures the cache, so it cannot be combined with disabling it.
+viewSelect.addEventListener('change', () => {
+    disableCacheCheckbox.disabled = viewSelect.value !== 'first';
+    if (disableCacheCheckbox.disabled) disableCacheCheckbox.checked = false;
+});
+
+// --- Throttling Profiles ---
+async function loadThrottlingProfiles() {
+    try {
+        const response = await fetch('/throttling-profiles');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { profiles } = await response.json();
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = profile.description || '';
+            throttlingSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Could not load throttling profiles:', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadThrottlingProfiles);
+// --- End Throttling Profiles ---
+
 // --- History & Comparison Logic ---
-let testHistory = JSON.parse(localStorage.getItem('perfTestHistory')) || [];
+// Results are stored on the server (/results), so everyone using this instance sees the same log.
+let testHistory = [];
+
+// Browsers that used the tool before the server-side store still have their history here.
+const LEGACY_HISTORY_KEY = 'perfTestHistory';
+
+async function loadHistory() {
+    try {
+        const tag = historyTagFilter.value.trim();
+        const response = await fetch(`/results${tag ? `?tag=${encodeURIComponent(tag)}` : ''}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        testHistory = (await response.json()).results;
+    } catch (error) {
+        console.error('Could not load the result history:', error);
+        statusEl.innerHTML = '<span class="error">Could not load the shared test history from the server.</span>';
+    }
+    renderHistory();
+}
+
+async function requestJson(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+// Stores a finished test in the shared history. It is shown even if the server could not store it.
+async function saveResult(record) {
+    let saved;
+    try {
+        saved = await requestJson('/results', { method: 'POST', body: record });
+    } catch (error) {
+        console.error('Could not save the result:', error);
+        saved = { ...record, id: `unsaved-${Date.now()}`, unsaved: true };
+        alert(`The result could not be saved on the server: ${error.message}`);
+    }
+    testHistory.unshift(saved);
+    return saved;
+}
+
+// The history lists results without their runs; fetch a result to get them. Results fresh from
+// a test (saved or not) still have them.
+async function loadRuns(result) {
+    if (result.individualRuns || result.unsaved) return result;
+    const full = await requestJson(`/results/${encodeURIComponent(result.id)}`);
+    testHistory = testHistory.map(other => (other.id === full.id ? full : other));
+    return full;
+}
+
+// Read-only pages for pasting into pull requests: /r/:id for a result, /compare?ids=... for a set.
+function permalinkHtml(path) {
+    const url = new URL(path, location.origin).href;
+    return `<p class="permalink"><strong>Permalink:</strong> <a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a></p>`;
+}
+
+async function updateResult(id, changes) {
+    try {
+        const updated = await requestJson(`/results/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+        testHistory = testHistory.map(result => (result.id === id ? updated : result));
+        renderHistory();
+    } catch (error) {
+        alert(`Could not update the result: ${error.message}`);
+    }
+}
+
+function legacyHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function updateImportButton() {
+    const count = legacyHistory().length;
+    importHistoryBtn.style.display = count > 0 ? 'inline-block' : 'none';
+    importHistoryBtn.textContent = `Import ${count} Result(s) From This Browser`;
+}
+
+importHistoryBtn.addEventListener('click', async () => {
+    // Entries from very old versions lack the fields the server needs.
+    const importable = legacyHistory().filter(result => result && result.parameters?.url && result.averageMetrics);
+    try {
+        const { imported, skipped } = await requestJson('/results/import', { method: 'POST', body: { results: importable } });
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+        alert(`Imported ${imported} result(s)${skipped ? `, ${skipped} were already there` : ''}.`);
+        updateImportButton();
+        await loadHistory();
+    } catch (error) {
+        alert(`The import failed: ${error.message}`);
+    }
+});
+
+historyBody.addEventListener('click', event => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const result = testHistory.find(r => r.id === button.dataset.id);
+    if (!result || result.unsaved) return;
+    if (button.dataset.action === 'rename') {
+        const name = prompt('Name of this result:', result.name || '');
+        if (name !== null) updateResult(result.id, { name: name.trim() });
+    } else if (button.dataset.action === 'tag') {
+        const tags = prompt('Tags (comma-separated):', (result.tags || []).join(', '));
+        if (tags !== null) updateResult(result.id, { tags: tags.split(',').map(t => t.trim()).filter(Boolean) });
+    }
+});
+
+// The download links of a listed result are filled in when its menu is first opened.
+historyBody.addEventListener('toggle', async event => {
+    const menu = event.target;
+    if (!menu.matches('.artifact-menu') || !menu.open || menu.querySelector('.artifact-links')) return;
+    try {
+        const result = await loadRuns(testHistory.find(r => r.id === menu.dataset.id));
+        menu.insertAdjacentHTML('beforeend', renderArtifactLinks(result.individualRuns));
+    } catch (error) {
+        alert(`Could not load the artifacts: ${error.message}`);
+    }
+}, true);
+
+historyTagFilter.addEventListener('change', loadHistory);
+
+// The repeat view median under the first view one, for results tested with `view: 'both'`.
+function repeatViewCell(metrics, key, format) {
+    if (!metrics.repeatView) return '';
+    const value = metrics.repeatView[key];
+    return `<br><small class="repeat-view" title="Repeat view">↻ ${value != null ? format(value) : 'N/A'}</small>`;
+}
 
 function renderHistory() {
     historyBody.innerHTML = '';
@@ -42,7 +228,9 @@ function renderHistory() {
         // This handles old history items that might be in localStorage.
         const params = result.parameters || { url: 'N/A', rules: { block: [], defer: [] }, mode: 'N/A' };
         const metrics = result.averageMetrics || { FCP: null, LCP: null };
-        const displayName = result.name || params.url;
+        const displayName = escapeHtml(result.name || params.url);
+        const tags = (result.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+        const hasArtifacts = result.individualRuns ? renderArtifactLinks(result.individualRuns) !== '' : result.artifactIds?.length > 0;
 
         const row = document.createElement('tr');
         let rulesSummary = 'None';
@@ -50,38 +238,53 @@ function renderHistory() {
             rulesSummary = [
                 ...(params.rules.block || []),
                 ...(params.rules.defer || []),
-                params.rules.html_replace ? 'HTML Replace' : ''
+                ...attributeRuleLabels(params.rules),
+                htmlReplacements(params.rules).length > 0 ? `${htmlReplacements(params.rules).length} HTML replacement(s)` : ''
             ].filter(Boolean).join(', ');
         }
 
         row.innerHTML = `
             <td><input type="checkbox" class="compare-checkbox" data-id="${result.id}"></td>
-            <td><div class="summary-cell" title="${displayName}">${displayName}</div></td>
-            <td>${params.mode}</td>
-            <td>${params.disableCache ? 'Disabled' : 'Enabled'}</td>
-            <td><div class="summary-cell" title="${rulesSummary || 'None'}">${rulesSummary || 'None'}</div></td>
-            <td>${metrics.FCP != null ? metrics.FCP.toFixed(2) : 'N/A'}</td>
-            <td>${metrics.LCP != null ? metrics.LCP.toFixed(2) : 'N/A'}</td>
-            <td>${metrics.TBT != null ? metrics.TBT.toFixed(2) : 'N/A'}</td>
-            <td>${metrics.speedIndex != null ? metrics.speedIndex.toFixed(2) : 'N/A'}</td>
-            <td>${metrics.CLS != null ? metrics.CLS.toFixed(3) : 'N/A'}</td>
-            <td>${metrics.pageWeight != null ? (metrics.pageWeight / 1024).toFixed(2) : 'N/A'}</td>
+            <td><div class="summary-cell" title="${displayName}">${displayName}</div>${tags}${result.unsaved ? ' <small class="error">(not saved)</small>' : ''}</td>
+            <td>${modeLabel(params)}</td>
+            <td>${params.disableCache ? 'Disabled' : 'Enabled'}${viewLabel(params) ? `<br><small>${viewLabel(params)}</small>` : ''}</td>
+            <td><div class="summary-cell" title="${escapeHtml(rulesSummary || 'None')}">${escapeHtml(rulesSummary || 'None')}</div></td>
+            <td${budgetClass(result.budget, 'FCP')}>${metrics.FCP != null ? metrics.FCP.toFixed(2) : 'N/A'}${repeatViewCell(metrics, 'FCP', v => v.toFixed(2))}</td>
+            <td${budgetClass(result.budget, 'LCP')}>${metrics.LCP != null ? metrics.LCP.toFixed(2) : 'N/A'}${repeatViewCell(metrics, 'LCP', v => v.toFixed(2))}</td>
+            <td${budgetClass(result.budget, 'TBT')}>${metrics.TBT != null ? metrics.TBT.toFixed(2) : 'N/A'}${repeatViewCell(metrics, 'TBT', v => v.toFixed(2))}</td>
+            <td${budgetClass(result.budget, 'speedIndex')}>${metrics.speedIndex != null ? metrics.speedIndex.toFixed(2) : 'N/A'}${repeatViewCell(metrics, 'speedIndex', v => v.toFixed(2))}</td>
+            <td${budgetClass(result.budget, 'INP')}>${metrics.INP != null ? metrics.INP.toFixed(0) : 'N/A'}${repeatViewCell(metrics, 'INP', v => v.toFixed(0))}</td>
+            <td${budgetClass(result.budget, 'CLS')}>${metrics.CLS != null ? metrics.CLS.toFixed(3) : 'N/A'}${repeatViewCell(metrics, 'CLS', v => v.toFixed(3))}</td>
+            <td${budgetClass(result.budget, 'pageWeight')}>${metrics.pageWeight != null ? (metrics.pageWeight / 1024).toFixed(2) : 'N/A'}${repeatViewCell(metrics, 'pageWeight', v => (v / 1024).toFixed(2))}</td>
+            <td class="history-actions">
+                <button type="button" data-action="rename" data-id="${result.id}" title="Rename">✎</button>
+                <button type="button" data-action="tag" data-id="${result.id}" title="Edit tags">#</button>
+                ${result.unsaved ? '' : `<a href="/r/${encodeURIComponent(result.id)}" target="_blank" title="Open the permalink">🔗</a>`}
+                ${hasArtifacts ? `<details class="artifact-menu" data-id="${result.id}"><summary title="Download artifacts">⬇</summary>${renderArtifactLinks(result.individualRuns)}</details>` : ''}
+            </td>
         `;
         historyBody.appendChild(row);
     });
 }
 
-function saveHistory() {
-    localStorage.setItem('perfTestHistory', JSON.stringify(testHistory));
-}
-
-clearHistoryBtn.addEventListener('click', () => {
-    if (confirm('Are you sure you want to clear all test history?')) {
-        testHistory = [];
-        saveHistory();
-        renderHistory();
-        comparisonContainer.style.display = 'none';
+deleteSelectedBtn.addEventListener('click', async () => {
+    const selectedIds = Array.from(document.querySelectorAll('.compare-checkbox:checked')).map(cb => cb.dataset.id);
+    if (selectedIds.length === 0) {
+        alert('Please select the results to delete.');
+        return;
+    }
+    if (!confirm(`Delete ${selectedIds.length} result(s) from the shared history? This cannot be undone.`)) return;
+    for (const id of selectedIds) {
+        const result = testHistory.find(r => r.id === id);
+        try {
+            if (result && !result.unsaved) await requestJson(`/results/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            testHistory = testHistory.filter(r => r.id !== id);
+        } catch (error) {
+            alert(`Could not delete "${result.name || result.parameters.url}": ${error.message}`);
+        }
     }
+    renderHistory();
+    comparisonContainer.style.display = 'none';
 });
 
 compareBtn.addEventListener('click', () => {
@@ -93,58 +296,64 @@ compareBtn.addEventListener('click', () => {
 
     const resultsToCompare = testHistory.filter(result => selectedIds.includes(result.id));
     comparisonView.innerHTML = '';
+    const savedIds = resultsToCompare.filter(result => !result.unsaved).map(result => result.id);
+    comparisonPermalinkEl.innerHTML = savedIds.length >= 2 ? permalinkHtml(`/compare?ids=${savedIds.map(encodeURIComponent).join(',')}`) : '';
 
     resultsToCompare.forEach(result => {
         const item = document.createElement('div');
         item.className = 'comparison-item';
-        const displayName = result.name || result.parameters.url;
-        const rulesSummary = [
-            ...(result.parameters.rules.block || []),
-            ...(result.parameters.rules.defer || []),
-            result.parameters.rules.html_replace ? `HTML Find: ${result.parameters.rules.html_replace.find}` : ''
-        ].filter(Boolean).join(', ');
-
-        item.innerHTML = `
-            <h4>${displayName}</h4>
-            <p><small>URL: ${result.parameters.url}</small></p>
-            <p><strong>Mode:</strong> ${result.parameters.mode} ${result.parameters.disableCache ? '(No Cache)' : ''}</p>
-            <p><strong>Avg FCP:</strong> ${result.averageMetrics.FCP != null ? result.averageMetrics.FCP.toFixed(2) + ' ms' : 'N/A'}</p>
-            <p><strong>Avg LCP:</strong> ${result.averageMetrics.LCP != null ? result.averageMetrics.LCP.toFixed(2) + ' ms' : 'N/A'}</p>
-            <p><strong>Avg TBT:</strong> ${result.averageMetrics.TBT != null ? result.averageMetrics.TBT.toFixed(2) + ' ms' : 'N/A'}</p>
-            <p><strong>Avg Speed Index:</strong> ${result.averageMetrics.speedIndex != null ? result.averageMetrics.speedIndex.toFixed(2) + ' ms' : 'N/A'}</p>
-            <p><strong>Avg CLS:</strong> ${result.averageMetrics.CLS != null ? result.averageMetrics.CLS.toFixed(3) : 'N/A'}</p>
-            <p><strong>Avg Page Weight:</strong> ${result.averageMetrics.pageWeight != null ? (result.averageMetrics.pageWeight / 1024).toFixed(2) + ' KB' : 'N/A'}</p>
-            <p><small><strong>Rules:</strong> ${rulesSummary || 'None'}</small></p>
-        `;
+        item.innerHTML = renderComparisonItem(result);
         comparisonView.appendChild(item);
     });
     comparisonContainer.style.display = 'block';
     comparisonContainer.scrollIntoView({ behavior: 'smooth' });
 });
 
-exportCsvBtn.addEventListener('click', () => {
+exportCsvBtn.addEventListener('click', async () => {
     if (testHistory.length === 0) {
         alert('No history to export.');
         return;
     }
+    // The per-run columns need every result's runs.
+    let withRuns;
+    try {
+        withRuns = await Promise.all(testHistory.map(loadRuns));
+    } catch (error) {
+        alert(`Could not load the results to export: ${error.message}`);
+        return;
+    }
 
     // --- 1. Collect all unique rule and run columns ---
     const ruleColumns = new Set();
+    const hasRepeatView = withRuns.some(result => result.averageMetrics?.repeatView);
     let maxRuns = 0;
-    testHistory.forEach(result => {
+    let maxReplacements = 0;
+    withRuns.forEach(result => {
         const rules = result.parameters?.rules || {};
         (rules.block || []).forEach(rule => ruleColumns.add(`block_${rule}`));
         (rules.defer || []).forEach(rule => ruleColumns.add(`defer_${rule}`));
-        if (rules.html_replace) {
-            ruleColumns.add('html_replace_find');
-            ruleColumns.add('html_replace_replace');
+        (rules.async || []).forEach(rule => ruleColumns.add(`async_${rule}`));
+        (rules.remove_async || []).forEach(rule => ruleColumns.add(`remove_async_${rule}`));
+        (rules.lazy_load || []).forEach(rule => ruleColumns.add(`lazy_load_${rule}`));
+        if (ADVANCED_RULE_TYPES.some(type => rules[type] && rules[type].length > 0)) {
+            ruleColumns.add('advanced_rules');
         }
+        maxReplacements = Math.max(maxReplacements, htmlReplacements(rules).length);
         if (result.individualRuns?.length > maxRuns) {
             maxRuns = result.individualRuns.length;
         }
     });
 
     const sortedRuleColumns = Array.from(ruleColumns).sort();
+    const replacementColumns = [];
+    for (let i = 1; i <= maxReplacements; i++) {
+        replacementColumns.push(`html_replace_${i}_find`);
+        replacementColumns.push(`html_replace_${i}_replace`);
+        replacementColumns.push(`html_replace_${i}_matches`);
+    }
+    const repeatViewColumns = hasRepeatView
+        ? ['Repeat FCP', 'Repeat LCP', 'Repeat TBT', 'Repeat Speed Index', 'Repeat INP', 'Repeat CLS', 'Repeat Page Weight', 'Repeat Third-Party KB']
+        : [];
     const runColumns = [];
     for (let i = 1; i <= maxRuns; i++) {
         runColumns.push(`Run ${i} FCP`);
@@ -153,14 +362,16 @@ exportCsvBtn.addEventListener('click', () => {
 
     // --- 2. Build CSV Header ---
     const header = [
-        'Test Name', 'URL', 'Mode', 'Cache Disabled',
-        'Avg FCP', 'Avg LCP', 'Avg TBT', 'Avg Speed Index', 'Avg CLS', 'Avg Page Weight',
+        'Test Name', 'URL', 'Mode', 'Throttling Profile', 'Throttling Method', 'Cache Disabled', 'View',
+        'Avg FCP', 'Avg LCP', 'Avg TBT', 'Avg Speed Index', 'Avg Visually Complete', 'Avg Last Visual Change', 'Avg INP', 'Avg CLS', 'Avg Page Weight', 'Avg Third-Party KB', 'Median TTFB', 'Runs', 'LCP CV', 'Budget',
+        ...repeatViewColumns,
         ...sortedRuleColumns,
+        ...replacementColumns,
         ...runColumns
     ];
 
     // --- 3. Build CSV Rows ---
-    const rows = testHistory.map(result => {
+    const rows = withRuns.map(result => {
         const params = result.parameters || {};
         const metrics = result.averageMetrics || {};
         const rules = params.rules || {};
@@ -169,28 +380,66 @@ exportCsvBtn.addEventListener('click', () => {
             'Test Name': result.name || '',
             'URL': params.url || 'N/A',
             'Mode': params.mode || 'N/A',
+            'Throttling Profile': params.throttling?.profile || '',
+            'Throttling Method': params.throttlingMethod || '',
             'Cache Disabled': params.disableCache ? '1' : '0',
+            'View': params.view || 'first',
             'Avg FCP': metrics.FCP != null ? metrics.FCP.toFixed(2) : '',
             'Avg LCP': metrics.LCP != null ? metrics.LCP.toFixed(2) : '',
             'Avg TBT': metrics.TBT != null ? metrics.TBT.toFixed(2) : '',
             'Avg Speed Index': metrics.speedIndex != null ? metrics.speedIndex.toFixed(2) : '',
+            'Avg Visually Complete': metrics.visuallyComplete != null ? metrics.visuallyComplete.toFixed(2) : '',
+            'Avg Last Visual Change': metrics.lastVisualChange != null ? metrics.lastVisualChange.toFixed(2) : '',
+            'Avg INP': metrics.INP != null ? metrics.INP.toFixed(0) : '',
             'Avg CLS': metrics.CLS != null ? metrics.CLS.toFixed(3) : '',
             'Avg Page Weight': metrics.pageWeight != null ? (metrics.pageWeight / 1024).toFixed(2) : '',
+            'Avg Third-Party KB': metrics.thirdPartyBytes != null ? (metrics.thirdPartyBytes / 1024).toFixed(2) : '',
+            'Median TTFB': result.navigationTiming?.TTFB != null ? result.navigationTiming.TTFB.toFixed(2) : '',
+            'Runs': result.individualRuns ? result.individualRuns.length : '',
+            'LCP CV': result.stability?.metrics.LCP?.cv != null ? result.stability.metrics.LCP.cv.toFixed(3) : '',
+            'Budget': result.budget ? result.budget.status : '',
         };
 
+        // Populate repeat view columns
+        const repeatView = metrics.repeatView || {};
+        if (hasRepeatView) {
+            row['Repeat FCP'] = repeatView.FCP != null ? repeatView.FCP.toFixed(2) : '';
+            row['Repeat LCP'] = repeatView.LCP != null ? repeatView.LCP.toFixed(2) : '';
+            row['Repeat TBT'] = repeatView.TBT != null ? repeatView.TBT.toFixed(2) : '';
+            row['Repeat Speed Index'] = repeatView.speedIndex != null ? repeatView.speedIndex.toFixed(2) : '';
+            row['Repeat INP'] = repeatView.INP != null ? repeatView.INP.toFixed(0) : '';
+            row['Repeat CLS'] = repeatView.CLS != null ? repeatView.CLS.toFixed(3) : '';
+            row['Repeat Page Weight'] = repeatView.pageWeight != null ? (repeatView.pageWeight / 1024).toFixed(2) : '';
+            row['Repeat Third-Party KB'] = repeatView.thirdPartyBytes != null ? (repeatView.thirdPartyBytes / 1024).toFixed(2) : '';
+        }
+
         // Populate rule columns
         sortedRuleColumns.forEach(col => {
             if (col.startsWith('block_')) {
                 row[col] = (rules.block || []).includes(col.replace('block_', '')) ? '1' : '0';
             } else if (col.startsWith('defer_')) {
                 row[col] = (rules.defer || []).includes(col.replace('defer_', '')) ? '1' : '0';
-            } else if (col === 'html_replace_find') {
-                row[col] = rules.html_replace?.find || '';
-            } else if (col === 'html_replace_replace') {
-                row[col] = rules.html_replace?.replace || '';
+            } else if (col.startsWith('async_')) {
+                row[col] = (rules.async || []).includes(col.replace('async_', '')) ? '1' : '0';
+            } else if (col.startsWith('remove_async_')) {
+                row[col] = (rules.remove_async || []).includes(col.replace('remove_async_', '')) ? '1' : '0';
+            } else if (col.startsWith('lazy_load_')) {
+                row[col] = (rules.lazy_load || []).includes(col.replace('lazy_load_', '')) ? '1' : '0';
+            } else if (col === 'advanced_rules') {
+                const advanced = {};
+                ADVANCED_RULE_TYPES.forEach(type => { if (rules[type]) advanced[type] = rules[type]; });
+                row[col] = Object.keys(advanced).length > 0 ? JSON.stringify(advanced) : '';
             }
         });
 
+        // Populate HTML replacement columns
+        htmlReplacements(rules).forEach((step, i) => {
+            const matches = htmlReplaceMatches(result, i);
+            row[`html_replace_${i + 1}_find`] = step.find;
+            row[`html_replace_${i + 1}_replace`] = step.replace;
+            row[`html_replace_${i + 1}_matches`] = matches != null ? matches : '';
+        });
+
         // Populate individual run columns
         for (let i = 0; i < maxRuns; i++) {
             const run = result.individualRuns?.[i];
@@ -198,6 +447,7 @@ exportCsvBtn.addEventListener('click', () => {
             row[`Run ${i + 1} LCP`] = run?.LCP != null ? run.LCP.toFixed(2) : '';
             row[`Run ${i + 1} TBT`] = run?.TBT != null ? run.TBT.toFixed(2) : '';
             row[`Run ${i + 1} Speed Index`] = run?.speedIndex != null ? run.speedIndex.toFixed(2) : '';
+            row[`Run ${i + 1} INP`] = run?.INP != null ? run.INP.toFixed(0) : '';
             row[`Run ${i + 1} CLS`] = run?.CLS != null ? run.CLS.toFixed(3) : '';
             row[`Run ${i + 1} Page Weight`] = run?.pageWeight != null ? (run.pageWeight / 1024).toFixed(2) : '';
         }
@@ -214,7 +464,10 @@ exportCsvBtn.addEventListener('click', () => {
     link.click();
 });
 
-document.addEventListener('DOMContentLoaded', renderHistory);
+document.addEventListener('DOMContentLoaded', () => {
+    loadHistory();
+    updateImportButton();
+});
 
 // --- Rule Preset Logic ---
 function updateRulesFromCheckboxes(optionsContainer, inputElement) {
@@ -247,31 +500,649 @@ function updateRulesFromCheckboxes(optionsContainer, inputElement) {
 blockRuleOptions.addEventListener('change', () => updateRulesFromCheckboxes(blockRuleOptions, blockRulesInput));
 deferRuleOptions.addEventListener('change', () => updateRulesFromCheckboxes(deferRuleOptions, deferRulesInput));
 
+// The measured party a preset value targets, e.g. "connect.facebook.net" for Facebook's
+// facebook.net. Presets for file types (".css", "uc.js") match no party.
+function presetEntity(value, thirdParties) {
+    return thirdParties.find(entry => !entry.firstParty && entry.sites.some(site => value === site || value.endsWith(`.${site}`)));
+}
+
+// Shows the impact each preset had in the last test next to it, and moves the presets that
+// cost the most to the top of their group, so the rules worth trying come first.
+function annotateRulePresets(thirdParties) {
+    [blockRuleOptions, deferRuleOptions].forEach(optionsContainer => {
+        optionsContainer.querySelectorAll('fieldset').forEach(fieldset => {
+            const labels = Array.from(fieldset.querySelectorAll('label'));
+            const impact = new Map(labels.map(label => {
+                label.querySelector('.preset-impact')?.remove();
+                label.classList.remove('preset-blocking');
+                const entities = new Set(label.querySelector('input').value.split(',')
+                    .map(value => presetEntity(value.trim(), thirdParties || []))
+                    .filter(Boolean));
+                if (entities.size === 0) return [label, -1];
+                const blockingTime = [...entities].reduce((sum, entry) => sum + entry.blockingTime, 0);
+                const transferSize = [...entities].reduce((sum, entry) => sum + entry.transferSize, 0);
+                const onLcpPath = [...entities].some(entry => entry.lcpCriticalRuns > 0);
+                label.insertAdjacentHTML('beforeend', ` <small class="preset-impact">${blockingTime.toFixed(0)} ms blocking · ${(transferSize / 1024).toFixed(0)} KB${onLcpPath ? ' · LCP path' : ''}</small>`);
+                if (blockingTime > 0 || onLcpPath) label.classList.add('preset-blocking');
+                return [label, blockingTime];
+            }));
+            labels.sort((a, b) => impact.get(b) - impact.get(a)).forEach(label => fieldset.appendChild(label));
+        });
+    });
+}
+
+// "Block" and "Defer" buttons of the third-party table add the party's sites to the rules.
+metricsContainer.addEventListener('click', event => {
+    const button = event.target.closest('.third-party-action');
+    if (!button) return;
+    const input = button.dataset.action === 'block' ? blockRulesInput : deferRulesInput;
+    const values = input.value.split(',').map(s => s.trim()).filter(Boolean);
+    button.dataset.sites.split(',').forEach(site => { if (!values.includes(site)) values.push(site); });
+    input.value = values.join(', ');
+    button.disabled = true;
+});
+
+function addHtmlReplaceRow(step = {}) {
+    const row = document.createElement('div');
+    row.className = 'html-replace-row';
+    row.innerHTML = `
+        <input type="text" class="find-input" placeholder="Find (e.g., &lt;img([^&gt;]*)&gt;)">
+        <input type="text" class="replace-input" placeholder="Replace with (e.g., &lt;img$1 loading=&quot;lazy&quot;&gt;)">
+        <input type="text" class="flags-input" placeholder="g" title="Regular expression flags (default: g)">
+        <label title="Match the text as-is instead of as a regular expression"><input type="checkbox" class="literal-input"> Literal</label>
+        <input type="number" class="expect-input" min="0" placeholder="Expected" title="Expected number of matches (optional)">
+        <button type="button" class="remove-row-btn" title="Remove">✕</button>
+    `;
+    row.querySelector('.find-input').value = step.find || '';
+    row.querySelector('.replace-input').value = step.replace || '';
+    row.querySelector('.flags-input').value = step.flags || '';
+    row.querySelector('.literal-input').checked = Boolean(step.literal);
+    row.querySelector('.expect-input').value = step.expect ?? '';
+    row.querySelector('.remove-row-btn').addEventListener('click', () => {
+        row.remove();
+        if (htmlReplaceList.children.length === 0) addHtmlReplaceRow();
+    });
+    htmlReplaceList.appendChild(row);
+    return row;
+}
+
+function collectHtmlReplacements() {
+    return Array.from(htmlReplaceList.querySelectorAll('.html-replace-row'))
+        .map(row => {
+            const step = {
+                find: row.querySelector('.find-input').value,
+                replace: row.querySelector('.replace-input').value
+            };
+            const flags = row.querySelector('.flags-input').value.trim();
+            const expect = row.querySelector('.expect-input').value;
+            if (flags) step.flags = flags;
+            if (row.querySelector('.literal-input').checked) step.literal = true;
+            if (expect !== '') step.expect = parseInt(expect, 10);
+            return step;
+        })
+        .filter(step => step.find);
+}
+
+addHtmlReplaceBtn.addEventListener('click', () => addHtmlReplaceRow());
+addHtmlReplaceRow();
+
 htmlReplacePresets.addEventListener('click', (e) => {
     if (e.target.tagName === 'BUTTON') {
         const findValue = e.target.dataset.find;
         const replaceValue = e.target.dataset.replace;
 
-        htmlFindInput.value = findValue;
-        htmlReplaceInput.value = replaceValue;
+        // Fill the first empty row, or append a new one.
+        const emptyRow = Array.from(htmlReplaceList.querySelectorAll('.html-replace-row'))
+            .find(row => !row.querySelector('.find-input').value);
+        const row = emptyRow || addHtmlReplaceRow();
+        row.querySelector('.find-input').value = findValue;
+        row.querySelector('.replace-input').value = replaceValue;
     }
 });
 // --- End Rule Preset Logic ---
 
+// --- Test Jobs & Live Progress ---
+let currentJobId = null;
+
+function formatRunProgress(progress) {
+    const m = progress.metrics;
+    const variant = progress.variant ? ` [${progress.variant}]` : '';
+    const parts = [
+        `FCP ${m.FCP != null ? m.FCP.toFixed(0) : 'N/A'}`,
+        `LCP ${m.LCP != null ? m.LCP.toFixed(0) : 'N/A'}`,
+        `TBT ${m.TBT != null ? m.TBT.toFixed(0) : 'N/A'}`,
+        `CLS ${m.CLS != null ? m.CLS.toFixed(3) : 'N/A'}`
+    ];
+    if (m.INP != null) parts.push(`INP ${m.INP.toFixed(0)}`);
+    if (m.repeatView) parts.push(`repeat LCP ${m.repeatView.LCP != null ? m.repeatView.LCP.toFixed(0) : 'N/A'}`);
+    if (m.wallTime != null) parts.push(`${(m.wallTime / 1000).toFixed(1)} s`);
+    return `Run ${progress.run}${variant} (${progress.completedRuns}/${progress.totalRuns}): ${parts.join(' / ')}`;
+}
+
+function formatPageProgress(progress) {
+    const { page } = progress;
+    if (page.error) return `${escapeHtml(page.url)}: <span class="error">${escapeHtml(page.error)}</span>`;
+    const metrics = page.averageMetrics || page.variants[0].averageMetrics;
+    return `${escapeHtml(page.url)}: FCP ${formatMetric('FCP', metrics.FCP)} / LCP ${formatMetric('LCP', metrics.LCP)}${page.variants ? ` <small>(${escapeHtml(page.variants[0].name)})</small>` : ''}`;
+}
+
+// How long the test took and how; parallel runs report their speedup over running in sequence.
+function renderTestTiming(timing, warnings = []) {
+    const notes = warnings.map(warning => `<div class="warning"><strong>Warning:</strong> ${escapeHtml(warning)}</div>`).join('');
+    if (!timing) return notes;
+    const seconds = ms => `${(ms / 1000).toFixed(1)} s`;
+    const parts = [
+        `${seconds(timing.totalTime)} in total`,
+        `browser ${timing.browser === 'reused' ? 'reused' : 'launched'} in ${seconds(timing.launchTime)}`
+    ];
+    if (timing.parallelRuns > 1 && timing.runsWallTime > 0) {
+        parts.push(`runs ${timing.parallelRuns} at a time in ${seconds(timing.runsWallTime)} instead of ${seconds(timing.sequentialTime)} (${(timing.sequentialTime / timing.runsWallTime).toFixed(1)}× faster)`);
+    }
+    return `<p><small><strong>Timing:</strong> ${parts.join(', ')}</small></p>${notes}`;
+}
+
+/**
+ * Submits a test (or, with endpoint '/batches', a batch) as a background job and follows its
+ * progress over Server-Sent Events. Resolves with the final result, rejects if the job fails
+ * or is cancelled.
+ */
+async function runTestJob(requestBody, endpoint = '/jobs') {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || `Server responded with status ${response.status}`);
+    }
+
+    const job = await response.json();
+    currentJobId = job.id;
+    cancelTestBtn.style.display = 'inline-block';
+
+    return new Promise((resolve, reject) => {
+        const events = new EventSource(job.links.events);
+        // Runs and pages are keyed by their position so that events replayed after a reconnect don't duplicate rows.
+        const completedRuns = new Map();
+        const completedPages = new Map();
+
+        events.addEventListener('status', (e) => {
+            const { status, position } = JSON.parse(e.data);
+            if (status === 'queued') {
+                statusEl.textContent = `Queued (position ${position})...`;
+            } else if (status === 'cancelled') {
+                events.close();
+                reject(new Error('Test was cancelled.'));
+            }
+        });
+
+        events.addEventListener('progress', (e) => {
+            const progress = JSON.parse(e.data);
+            if (progress.type === 'stage') {
+                statusEl.textContent = progress.message;
+                return;
+            }
+            if (progress.type === 'page') {
+                completedPages.set(progress.index, progress);
+                statusEl.textContent = `Completed ${progress.completedPages} of ${progress.totalPages} pages...`;
+                liveRunsEl.innerHTML = Array.from(completedPages.values())
+                    .map(page => `<li>${formatPageProgress(page)}</li>`)
+                    .join('');
+                return;
+            }
+            completedRuns.set(progress.completedRuns, progress);
+            statusEl.textContent = `Completed ${progress.completedRuns} of ${progress.totalRuns} runs...`;
+            liveRunsEl.innerHTML = Array.from(completedRuns.values())
+                .map(run => `<li>${formatRunProgress(run)}</li>`)
+                .join('');
+        });
+
+        events.addEventListener('result', (e) => {
+            events.close();
+            resolve(JSON.parse(e.data));
+        });
+
+        // Named 'error' events come from the server; connection errors have no data.
+        events.addEventListener('error', (e) => {
+            if (e.data) {
+                events.close();
+                reject(new Error(JSON.parse(e.data).error));
+            } else if (events.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost connection to the test job.'));
+            }
+        });
+    });
+}
+
+cancelTestBtn.addEventListener('click', async () => {
+    if (!currentJobId) return;
+    cancelTestBtn.disabled = true;
+    statusEl.textContent = 'Cancelling...';
+    try {
+        await fetch(`/jobs/${currentJobId}/cancel`, { method: 'POST' });
+    } finally {
+        cancelTestBtn.disabled = false;
+    }
+});
+// --- End Test Jobs & Live Progress ---
+
+// --- Network Waterfall & HAR Export ---
+// Runs of the current result that carry a network recording: [{ label, url, run }].
+let waterfallRuns = [];
+
+const WATERFALL_PHASES = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'];
+
+/**
+ * Request recordings are large, so they are only kept for the current result and
+ * are not written to the stored history.
+ */
+function withoutRequests(run) {
+    const { requests, ...rest } = run;
+    if (rest.repeatView) rest.repeatView = withoutRequests(rest.repeatView);
+    return rest;
+}
+
+function renderWaterfallSection(runs) {
+    waterfallRuns = runs.filter(entry => Array.isArray(entry.run.requests));
+    if (waterfallRuns.length === 0) {
+        waterfallContainer.style.display = 'none';
+        return;
+    }
+    waterfallRunSelect.innerHTML = waterfallRuns
+        .map((entry, i) => `<option value="${i}">${entry.label} (${entry.run.requests.length} requests)</option>`)
+        .join('');
+    waterfallContainer.style.display = 'block';
+    renderWaterfall(waterfallRuns[0].run);
+}
+
+function shortenUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const file = parsed.pathname.split('/').filter(Boolean).pop() || parsed.pathname;
+        return `${parsed.hostname}/…/${file}${parsed.search ? '?…' : ''}`;
+    } catch (e) {
+        return url;
+    }
+}
+
+function renderWaterfall(run) {
+    const requests = run.requests;
+    const totalTime = Math.max(...requests.map(r => r.endTime ?? r.startTime), 1);
+    const markers = [
+        { name: 'FCP', value: run.FCP },
+        { name: 'LCP', value: run.LCP }
+    ].filter(m => m.value != null && m.value <= totalTime);
+
+    const rows = requests.map(req => {
+        const left = req.startTime / totalTime * 100;
+        const segments = req.timing
+            ? WATERFALL_PHASES.map(phase => {
+                const duration = Math.max(0, req.timing[phase]);
+                return duration > 0
+                    ? `<span class="wf-phase wf-${phase}" style="width: ${duration / totalTime * 100}%"></span>`
+                    : '';
+            }).join('')
+            : '';
+        const phaseTitle = req.timing
+            ? WATERFALL_PHASES.map(phase => `${phase}: ${req.timing[phase] >= 0 ? req.timing[phase].toFixed(1) + ' ms' : 'n/a'}`).join('\n')
+            : '';
+        const title = [
+            req.url,
+            `${req.method} ${req.status ?? (req.failed ? req.errorText : 'pending')} · ${req.resourceType} · priority ${req.priority}`,
+            `Initiator: ${req.initiator.type}${req.initiator.url ? ' ' + req.initiator.url : ''}`,
+            `Start ${req.startTime.toFixed(1)} ms · Duration ${req.duration != null ? req.duration.toFixed(1) + ' ms' : 'n/a'}`,
+            `Transferred ${(req.transferSize / 1024).toFixed(1)} KB · Resource ${(req.resourceSize / 1024).toFixed(1)} KB${req.fromCache ? ' (cache)' : ''}`,
+            req.blockedByRule ? 'Blocked by rule' : '',
+            phaseTitle
+        ].filter(Boolean).join('\n');
+        const classes = ['wf-row', `wf-type-${req.resourceType}`];
+        if (req.blockedByRule) classes.push('wf-rule-blocked');
+        else if (req.failed) classes.push('wf-failed');
+
+        return `
+            <div class="${classes.join(' ')}" title="${escapeHtml(title)}">
+                <div class="wf-label">${escapeHtml(shortenUrl(req.url))}</div>
+                <div class="wf-track">
+                    <div class="wf-bar" style="left: ${left}%; width: ${Math.max(0.2, (req.duration ?? 0) / totalTime * 100)}%">${segments}</div>
+                </div>
+                <div class="wf-size">${(req.transferSize / 1024).toFixed(1)} KB</div>
+            </div>`;
+    }).join('');
+
+    const markerHtml = markers
+        .map(m => `<div class="wf-marker" style="left: ${m.value / totalTime * 100}%" title="${m.name} ${m.value.toFixed(0)} ms"><span>${m.name}</span></div>`)
+        .join('');
+
+    waterfallEl.innerHTML = `
+        <div class="wf-legend">${WATERFALL_PHASES.map(p => `<span><i class="wf-phase wf-${p}"></i>${p}</span>`).join('')}<span><i class="wf-phase wf-blocked-rule"></i>blocked by rule</span></div>
+        <div class="wf-rows">
+            <div class="wf-markers">${markerHtml}</div>
+            ${rows}
+        </div>
+        <p><small>Total: ${requests.length} requests, ${(requests.reduce((sum, r) => sum + r.transferSize, 0) / 1024).toFixed(1)} KB transferred, ${totalTime.toFixed(0)} ms.</small></p>
+    `;
+}
+
+/**
+ * Builds a HAR 1.2 log from one run's network recording.
+ * Headers and bodies are not recorded, so those fields are left empty.
+ */
+function buildHar({ label, url, run }) {
+    const pageId = 'page_1';
+    const startedDateTime = run.requests[0]?.startedDateTime || new Date().toISOString();
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'perf-tester', version: '1.0.0' },
+            pages: [{
+                startedDateTime,
+                id: pageId,
+                title: `${url} (${label})`,
+                pageTimings: { onContentLoad: -1, onLoad: -1, _FCP: run.FCP ?? -1, _LCP: run.LCP ?? -1 }
+            }],
+            entries: run.requests.map(req => {
+                const timings = req.timing || { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 };
+                return {
+                    pageref: pageId,
+                    startedDateTime: req.startedDateTime,
+                    time: ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, p) => sum + Math.max(0, timings[p]), 0),
+                    request: {
+                        method: req.method,
+                        url: req.url,
+                        httpVersion: req.protocol || '',
+                        cookies: [],
+                        headers: [],
+                        queryString: Array.from(new URL(req.url).searchParams, ([name, value]) => ({ name, value })),
+                        headersSize: -1,
+                        bodySize: -1
+                    },
+                    response: {
+                        status: req.status || 0,
+                        statusText: req.failed ? req.errorText || '' : '',
+                        httpVersion: req.protocol || '',
+                        cookies: [],
+                        headers: [],
+                        content: { size: req.resourceSize, mimeType: req.mimeType || 'x-unknown' },
+                        redirectURL: '',
+                        headersSize: -1,
+                        bodySize: req.transferSize
+                    },
+                    cache: {},
+                    timings,
+                    serverIPAddress: req.remoteAddress ? req.remoteAddress.replace(/:\d+$/, '') : undefined,
+                    _resourceType: req.resourceType,
+                    _priority: req.priority,
+                    _initiator: req.initiator,
+                    _blockedByRule: req.blockedByRule
+                };
+            })
+        }
+    };
+}
+
+waterfallRunSelect.addEventListener('change', () => {
+    renderWaterfall(waterfallRuns[waterfallRunSelect.value].run);
+});
+
+exportHarBtn.addEventListener('click', () => {
+    const entry = waterfallRuns[waterfallRunSelect.value];
+    if (!entry) return;
+    const blob = new Blob([JSON.stringify(buildHar(entry), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `perf-test-${entry.label.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.har`;
+    link.click();
+});
+// --- End Network Waterfall & HAR Export ---
+
+// --- A/B Variant Results ---
+const VERDICT_LABELS = {
+    'improvement': 'Improvement',
+    'regression': 'Regression',
+    'no-significant-difference': 'No significant difference',
+    'insufficient-data': 'Not enough runs'
+};
+
+function renderVariantResult(data, testName) {
+    // Store each variant as its own history entry so it can be used in "Compare Selected".
+    // Once all are stored, the comparison of the variants gets a permalink.
+    const savedVariants = [];
+    data.variants.reduce((saved, variant) => saved.then(async () => savedVariants.push(await saveResult({
+        name: testName ? `${testName} [${variant.name}]` : variant.name,
+        parameters: { ...data.parameters, rules: variant.rules, variants: undefined },
+        averageMetrics: variant.averageMetrics,
+        budget: variant.budget,
+        ruleReport: variant.ruleReport,
+        stepMetrics: variant.stepMetrics,
+        individualRuns: variant.individualRuns.map(withoutRequests),
+        screenshot: data.screenshot,
+        filmstrip: variant.filmstrip,
+        thirdParties: variant.thirdParties,
+        lcp: variant.lcp,
+        layoutShifts: variant.layoutShifts,
+        navigationTiming: variant.navigationTiming,
+        stability: variant.stability
+    }))), Promise.resolve()).then(() => {
+        renderHistory();
+        if (savedVariants.every(result => !result.unsaved)) {
+            metricsContainer.querySelector('.metrics').insertAdjacentHTML('afterbegin',
+                permalinkHtml(`/compare?ids=${savedVariants.map(result => encodeURIComponent(result.id)).join(',')}`));
+        }
+    });
+
+    const tables = data.comparisons.map(comparison => {
+        const rows = Object.entries(METRIC_LABELS).map(([key, label]) => {
+            const stats = comparison.metrics[key];
+            const ci = stats.ci[0] != null ? `${formatMetric(key, stats.ci[0])} … ${formatMetric(key, stats.ci[1])}` : 'N/A';
+            const deltaPercent = stats.deltaPercent != null ? ` (${stats.deltaPercent > 0 ? '+' : ''}${stats.deltaPercent.toFixed(1)}%)` : '';
+            return `
+                <tr class="verdict-${stats.verdict}">
+                    <td>${label}</td>
+                    <td>${formatMetric(key, stats.baseline)}</td>
+                    <td>${formatMetric(key, stats.variant)}</td>
+                    <td>${formatMetric(key, stats.delta)}${deltaPercent}</td>
+                    <td>${ci}</td>
+                    <td>${stats.pValue != null ? stats.pValue.toFixed(3) : 'N/A'}</td>
+                    <td>${VERDICT_LABELS[stats.verdict]}</td>
+                </tr>`;
+        }).join('');
+        return `
+            <h3>${escapeHtml(comparison.variant)} vs. ${escapeHtml(comparison.baseline)}</h3>
+            <div class="table-container">
+                <table class="variant-table">
+                    <thead><tr><th>Metric</th><th>Median ${escapeHtml(comparison.baseline)}</th><th>Median ${escapeHtml(comparison.variant)}</th><th>Delta</th><th>95% CI of shift</th><th>p-value</th><th>Verdict</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }).join('');
+
+    statusEl.textContent = 'A/B test complete!';
+    // The baseline runs without the rules, so it shows what each preset would save.
+    annotateRulePresets(data.variants[0].thirdParties);
+    metricsContainer.style.display = 'block';
+    metricsContainer.innerHTML = `
+        <div class="metrics">
+            <p><strong>Mode:</strong> ${modeLabel(data.parameters)}</p>
+            ${tables}
+            ${renderTestTiming(data.timing, data.warnings)}
+            ${data.variants.map(variant => renderStability(variant.stability, `Run Stability – ${variant.name}`)).join('')}
+            ${renderFilmstrips(data.variants.map(variant => ({ label: variant.name, filmstrip: variant.filmstrip })), 'Filmstrips')}
+            ${data.variants.map(variant => renderRepeatView(variant.averageMetrics, `${variant.name}: First vs. Repeat View`)).join('')}
+            ${data.variants.map(variant => renderBudget(variant.budget, `${variant.name}: `)).join('')}
+            ${renderObservedMetrics(data.variants.flatMap(variant => variant.individualRuns))}
+            ${renderInteractionWarning(data.variants.flatMap(variant => variant.individualRuns), data.parameters.interactions)}
+            ${data.variants.map(variant => renderLcpDiagnostics(variant.lcp, `LCP Element – ${variant.name}`)).join('')}
+            ${data.variants.map(variant => renderLayoutShifts(variant.layoutShifts, `Layout Shifts – ${variant.name}`)).join('')}
+            ${data.variants.map(variant => renderNavigationTiming(variant.navigationTiming, variant.individualRuns, `Navigation Timing – ${variant.name}`)).join('')}
+            ${data.variants.map(variant => renderStepMetrics(variant.stepMetrics, `Flow Steps – ${variant.name}`)).join('')}
+            ${data.variants.map(variant => renderThirdParties(variant.thirdParties, `Third-Party Impact – ${variant.name}`, { actions: true })).join('')}
+            ${data.variants.map(variant => renderArtifacts(variant.individualRuns, `Artifacts – ${variant.name}`)).join('')}
+            ${data.variants.map(variant => renderRuleReportWarning(variant.ruleReport, `${variant.name}: `)).join('')}
+            ${renderHtmlReplaceMatches(data.variants[data.variants.length - 1].ruleReport)}
+            <p><small>Significance from a two-sided Mann-Whitney U test (α = 0.05). With fewer than 4 runs per variant no difference can reach significance.</small></p>
+        </div>
+    `;
+
+    screenshotContainer.innerHTML = renderScreenshot(data.screenshot, { lcp: data.variants[0].lcp, layoutShifts: data.variants[0].layoutShifts, alt: `Screenshot of ${data.parameters.url}` });
+
+    renderWaterfallSection(data.variants.flatMap(variant =>
+        variant.individualRuns.map((run, i) => ({ label: `${variant.name} – Run ${i + 1}`, url: data.parameters.url, run }))
+    ));
+}
+// --- End A/B Variant Results ---
+
+// --- Batch Tests ---
+// The pages of a batch test, or null (after telling the user) if none were given.
+async function collectBatch() {
+    const batch = {
+        urls: batchUrlsInput.value.split('\n').map(s => s.trim()).filter(s => s.length > 0),
+        maxUrls: parseInt(batchMaxUrlsInput.value, 10) || 50,
+        concurrency: parseInt(batchConcurrencySelect.value, 10)
+    };
+    // The server takes a sitemap URL or the XML itself, so an uploaded file is sent as text.
+    if (batchSitemapFile.files.length > 0) {
+        batch.sitemap = await batchSitemapFile.files[0].text();
+    } else if (batchSitemapInput.value.trim()) {
+        batch.sitemap = batchSitemapInput.value.trim();
+    }
+    if (batch.urls.length === 0 && !batch.sitemap) {
+        alert('Enter the URLs to test, a sitemap URL or a sitemap file.');
+        return null;
+    }
+    return batch;
+}
+
+// Path and query of a page, which is what tells the pages of one site apart.
+function pagePath(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.pathname + parsed.search;
+    } catch (e) {
+        return url;
+    }
+}
+
+function pageLink(url) {
+    return `<a href="${escapeHtml(url)}" title="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(pagePath(url))}</a>`;
+}
+
+// Distribution of every metric across the site, with the worst pages.
+function renderBatchDistribution(summary) {
+    const rows = Object.entries(METRIC_LABELS)
+        .filter(([key]) => summary.metrics[key] && summary.metrics[key].count > 0)
+        .map(([key, label]) => {
+            const m = summary.metrics[key];
+            const worst = m.worst.slice(0, 3).map(page => `${pageLink(page.url)} (${formatMetric(key, page.value)})`).join('<br>');
+            return `<tr><td>${label}</td><td>${formatMetric(key, m.median)}</td><td>${formatMetric(key, m.p75)}</td><td>${formatMetric(key, m.p90)}</td><td>${formatMetric(key, m.max)}</td><td>${worst}</td></tr>`;
+        }).join('');
+    const { pass, warn, fail } = summary.budgets;
+    const budgets = pass + warn + fail > 0
+        ? `<p><strong>Budgets:</strong> <span class="budget-pass">${pass} passed</span>, <span class="budget-warn">${warn} warned</span>, <span class="budget-fail">${fail} failed</span></p>`
+        : '';
+    return `
+        <div class="table-container">
+            <table class="variant-table batch-table">
+                <thead><tr><th>Metric</th><th>Median</th><th>p75</th><th>p90</th><th>Max</th><th>Worst pages</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${budgets}
+        ${summary.repeatView ? `<h4>Repeat View</h4>${renderBatchDistribution(summary.repeatView)}` : ''}`;
+}
+
+// Site-wide effect of each A/B variant: median change per page and how many pages changed significantly.
+function renderBatchComparisons(comparisons) {
+    return comparisons.map(comparison => {
+        const rows = Object.entries(METRIC_LABELS).map(([key, label]) => {
+            const m = comparison.metrics[key];
+            if (!m || m.medianDelta == null) return '';
+            const percent = m.medianDeltaPercent != null ? ` (${m.medianDeltaPercent >= 0 ? '+' : ''}${m.medianDeltaPercent.toFixed(1)}%)` : '';
+            const delta = key === 'CLS' ? m.medianDelta.toFixed(3) : formatMetric(key, m.medianDelta);
+            return `<tr><td>${label}</td><td>${m.medianDelta >= 0 ? '+' : ''}${delta}${percent}</td><td>${m.improved}</td><td>${m.regressed}</td></tr>`;
+        }).join('');
+        return `
+            <h3>${escapeHtml(comparison.variant)} vs. ${escapeHtml(comparison.baseline)}</h3>
+            <div class="table-container">
+                <table class="variant-table">
+                    <thead><tr><th>Metric</th><th>Median change per page</th><th>Pages improved</th><th>Pages regressed</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }).join('');
+}
+
+function renderBatchPages(pages) {
+    const metricKeys = Object.keys(METRIC_LABELS);
+    const rows = pages.flatMap(page => {
+        if (page.error) {
+            return [`<tr><td class="url">${pageLink(page.url)}</td><td colspan="${metricKeys.length + 1}" class="error">${escapeHtml(page.error)}</td></tr>`];
+        }
+        const entries = page.variants || [{ name: null, averageMetrics: page.averageMetrics, budget: page.budget }];
+        return entries.map(entry => `
+            <tr>
+                <td class="url">${pageLink(page.url)}${entry.name ? ` <small>(${escapeHtml(entry.name)})</small>` : ''}</td>
+                ${metricKeys.map(key => `<td${budgetClass(entry.budget, key)}>${formatMetric(key, entry.averageMetrics[key])}</td>`).join('')}
+                <td>${entry.budget ? `<span class="budget-${entry.budget.status}">${entry.budget.status.toUpperCase()}</span>` : ''}</td>
+            </tr>`);
+    }).join('');
+    return `
+        <div class="table-container">
+            <table class="step-table batch-table">
+                <thead><tr><th>Page</th>${Object.values(METRIC_LABELS).map(label => `<th>${label}</th>`).join('')}<th>Budget</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+function renderBatchResult(data) {
+    const { summary, parameters } = data;
+    let sections = '';
+    if (summary.variants) {
+        sections = summary.variants.map(variant => `<h3>${escapeHtml(variant.name)}</h3>${renderBatchDistribution(variant)}`).join('')
+            + renderBatchComparisons(summary.comparisons);
+    } else if (summary.metrics) {
+        sections = renderBatchDistribution(summary);
+    }
+
+    statusEl.textContent = `Batch complete: ${summary.pageCount} page(s)${summary.failedPages ? `, ${summary.failedPages} failed` : ''}.`;
+    metricsContainer.style.display = 'block';
+    metricsContainer.innerHTML = `
+        <div class="metrics">
+            <p><strong>Mode:</strong> ${modeLabel(parameters)} · ${parameters.urls.length} page(s), ${parameters.adaptive ? `adaptive runs (up to ${parameters.adaptive.maxRuns})` : `${parameters.runs} run(s)`} each${parameters.skipped ? ` · ${parameters.skipped} more page(s) over the limit were skipped` : ''}</p>
+            ${renderTestTiming(null, data.warnings)}
+            <h3>Site-Wide Summary</h3>
+            ${sections}
+            <h3>Pages</h3>
+            ${renderBatchPages(data.pages)}
+        </div>`;
+}
+// --- End Batch Tests ---
+
 runTestBtn.addEventListener('click', async () => {
     let url = urlSelect.value;
     if (url === 'custom') {
         url = urlInput.value;
     }
 
-    if (!url || !url.startsWith('http')) {
+    let batch = null;
+    if (url === 'batch') {
+        batch = await collectBatch();
+        if (!batch) return;
+    } else if (!url || !url.startsWith('http')) {
         alert('Please enter a valid URL (e.g., https://example.com)');
         return;
     }
 
     const mode = modeSelect.value;
-    const runs = parseInt(runsSelect.value, 10);
+    // Adaptive runs keep going until the LCP median is precise enough (see lib/stability.js).
+    const runs = runsSelect.value === 'adaptive' ? 'adaptive' : parseInt(runsSelect.value, 10);
+    const parallelRuns = parseInt(parallelRunsSelect.value, 10);
+    const view = viewSelect.value;
     const disableCache = disableCacheCheckbox.checked;
+    const artifacts = Array.from(document.querySelectorAll('.artifact-checkbox:checked')).map(cb => cb.value);
+    const abMode = abModeCheckbox.checked;
     const testName = testNameInput.value.trim();
 
     // Collect and parse rules
@@ -282,76 +1153,186 @@ runTestBtn.addEventListener('click', async () => {
         .map(s => s.trim())
         .filter(s => s.length > 0);
 
+    const parseFragments = input => input.value.split(',')
+        .map(s => s.trim())
+        .filter(s => s.length > 0);
+
     const rules = {
         block: blockRules,
-        defer: deferRules
+        defer: deferRules,
+        async: parseFragments(asyncRulesInput),
+        remove_async: parseFragments(removeAsyncRulesInput),
+        lazy_load: parseFragments(lazyLoadRulesInput)
     };
 
-    const htmlFindRule = htmlFindInput.value;
-    if (htmlFindRule) {
-        rules.html_replace = { find: htmlFindRule, replace: htmlReplaceInput.value };
+    const advancedRulesText = advancedRulesInput.value.trim();
+    if (advancedRulesText) {
+        let advancedRules;
+        try {
+            advancedRules = JSON.parse(advancedRulesText);
+        } catch (e) {
+            alert(`The advanced rules are not valid JSON: ${e.message}`);
+            return;
+        }
+        if (!advancedRules || typeof advancedRules !== 'object' || Array.isArray(advancedRules)) {
+            alert('The advanced rules must be a JSON object, e.g. { "hints": [...] }.');
+            return;
+        }
+        Object.assign(rules, advancedRules);
+    }
+
+    let interactions = null;
+    const interactionsText = interactionsInput.value.trim();
+    if (interactionsText) {
+        try {
+            interactions = JSON.parse(interactionsText);
+        } catch (e) {
+            alert(`The interactions are not valid JSON: ${e.message}`);
+            return;
+        }
+        if (!Array.isArray(interactions)) {
+            alert('The interactions must be a JSON array of steps, e.g. [{ "action": "click", "selector": "#menu" }].');
+            return;
+        }
+    }
+
+    let steps = null;
+    const stepsText = stepsInput.value.trim();
+    if (stepsText) {
+        try {
+            steps = JSON.parse(stepsText);
+        } catch (e) {
+            alert(`The flow steps are not valid JSON: ${e.message}`);
+            return;
+        }
+        if (!Array.isArray(steps)) {
+            alert('The flow steps must be a JSON array of steps, e.g. [{ "action": "goto", "url": "/" }].');
+            return;
+        }
+    }
+
+    const htmlReplaceSteps = collectHtmlReplacements();
+    if (htmlReplaceSteps.length > 0) {
+        rules.html_replace = htmlReplaceSteps;
     }
 
     // Reset UI
     runTestBtn.disabled = true;
     runTestBtn.innerHTML = '<span class="spinner"></span>Testing...';
-    statusEl.textContent = `Testing ${url} (${runs}x runs, Cache: ${disableCache ? 'Off' : 'On'})...`;
+    statusEl.textContent = `Testing ${batch ? 'a batch of pages' : url} (${runs === 'adaptive' ? 'adaptive' : `${runs}x`} runs${abMode ? ' per variant, A/B' : ''}${parallelRuns > 1 ? `, ${parallelRuns} in parallel` : ''}, Cache: ${disableCache ? 'Off' : 'On'}${view !== 'first' ? `, ${viewLabel({ view })}` : ''})...`;
     metricsContainer.style.display = 'none';
-    screenshotEl.style.display = 'none';
+    screenshotContainer.innerHTML = '';
     metricsContainer.innerHTML = '';
+    liveRunsEl.innerHTML = '';
+    waterfallContainer.style.display = 'none';
 
     try {
-        const response = await fetch('/test', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                url: url,
-                mode: mode,
-                rules: rules,
-                runs: runs,
-                disableCache: disableCache
-            })
-        });
+        const requestBody = {
+            ...(batch || { url: url }),
+            mode: mode,
+            runs: runs,
+            parallelRuns: parallelRuns,
+            view: view,
+            disableCache: disableCache
+        };
+        if (throttlingSelect.value) {
+            requestBody.throttling = { profile: throttlingSelect.value };
+        }
+        if (throttlingMethodSelect.value) {
+            requestBody.throttlingMethod = throttlingMethodSelect.value;
+        }
+        if (interactions) {
+            requestBody.interactions = interactions;
+        }
+        if (steps) {
+            requestBody.steps = steps;
+        }
+        if (artifacts.length > 0) {
+            requestBody.artifacts = artifacts;
+        }
+        if (abMode) {
+            requestBody.variants = [
+                { name: 'Baseline', rules: {} },
+                { name: testName || 'Variant', rules: rules }
+            ];
+        } else {
+            requestBody.rules = rules;
+        }
 
-        if (!response.ok) {
-            const errData = await response.json();
-            throw new Error(errData.error || `Server responded with status ${response.status}`);
+        if (batch) {
+            renderBatchResult(await runTestJob(requestBody, '/batches'));
+            return;
         }
 
-        const data = await response.json();
+        const data = await runTestJob(requestBody);
+
+        if (data.variants) {
+            renderVariantResult(data, testName);
+            return;
+        }
 
-        // Add result to history
+        // Add result to the shared history
         const resultRecord = {
-            id: `test-${Date.now()}`,
             name: testName,
             parameters: data.parameters,
             averageMetrics: data.averageMetrics,
-            individualRuns: data.individualRuns
+            budget: data.budget,
+            ruleReport: data.ruleReport,
+            stepMetrics: data.stepMetrics,
+            individualRuns: data.individualRuns.map(withoutRequests),
+            screenshot: data.screenshot,
+            filmstrip: data.filmstrip,
+            thirdParties: data.thirdParties,
+            lcp: data.lcp,
+            layoutShifts: data.layoutShifts,
+            navigationTiming: data.navigationTiming,
+            stability: data.stability
         };
-        testHistory.unshift(resultRecord); // Add to the beginning
-        saveHistory();
+        const savedResult = await saveResult(resultRecord);
         renderHistory();
 
         statusEl.textContent = 'Test complete!';
+        annotateRulePresets(data.thirdParties);
         metricsContainer.style.display = 'block';
-        const runsDetails = data.individualRuns.map((run, i) => `Run ${i+1}: FCP ${run.FCP.toFixed(0)} / LCP ${run.LCP.toFixed(0)}`).join(' | ');
+        const runsDetails = data.individualRuns.map((run, i) => `Run ${i+1}: FCP ${run.FCP.toFixed(0)} / LCP ${run.LCP.toFixed(0)}${run.repeatView ? ` (repeat: FCP ${run.repeatView.FCP.toFixed(0)} / LCP ${run.repeatView.LCP.toFixed(0)})` : ''}${run.wallTime != null ? ` (${(run.wallTime / 1000).toFixed(1)} s)` : ''}`).join(' | ');
         metricsContainer.innerHTML = `
             <div class="metrics">
-                <p><strong>Mode:</strong> ${data.parameters.mode}</p>
-                <p><strong>Avg FCP:</strong> ${data.averageMetrics.FCP != null ? data.averageMetrics.FCP.toFixed(2) + ' ms' : 'N/A'}</p>
-                <p><strong>Avg LCP:</strong> ${data.averageMetrics.LCP != null ? data.averageMetrics.LCP.toFixed(2) + ' ms' : 'N/A'}</p>
-                <p><strong>Avg TBT:</strong> ${data.averageMetrics.TBT != null ? data.averageMetrics.TBT.toFixed(2) + ' ms' : 'N/A'}</p>
-                <p><strong>Avg Speed Index:</strong> ${data.averageMetrics.speedIndex != null ? data.averageMetrics.speedIndex.toFixed(2) + ' ms' : 'N/A'}</p>
-                <p><strong>Avg CLS:</strong> ${data.averageMetrics.CLS != null ? data.averageMetrics.CLS.toFixed(3) : 'N/A'}</p>
-                <p><strong>Avg Page Weight:</strong> ${data.averageMetrics.pageWeight != null ? (data.averageMetrics.pageWeight / 1024).toFixed(2) + ' KB' : 'N/A'}</p>
+                ${savedResult.unsaved ? '' : permalinkHtml(`/r/${encodeURIComponent(savedResult.id)}`)}
+                <p><strong>Mode:</strong> ${modeLabel(data.parameters)}</p>
+                <p${budgetClass(data.budget, 'FCP')}><strong>Avg FCP:</strong> ${data.averageMetrics.FCP != null ? data.averageMetrics.FCP.toFixed(2) + ' ms' : 'N/A'}</p>
+                <p${budgetClass(data.budget, 'LCP')}><strong>Avg LCP:</strong> ${data.averageMetrics.LCP != null ? data.averageMetrics.LCP.toFixed(2) + ' ms' : 'N/A'}</p>
+                <p${budgetClass(data.budget, 'TBT')}><strong>Avg TBT:</strong> ${data.averageMetrics.TBT != null ? data.averageMetrics.TBT.toFixed(2) + ' ms' : 'N/A'}</p>
+                <p${budgetClass(data.budget, 'speedIndex')}><strong>Avg Speed Index:</strong> ${data.averageMetrics.speedIndex != null ? data.averageMetrics.speedIndex.toFixed(2) + ' ms' : 'N/A'}</p>
+                <p><strong>Avg Visually Complete:</strong> ${formatMetric('visuallyComplete', data.averageMetrics.visuallyComplete)} · <strong>Last Visual Change:</strong> ${formatMetric('lastVisualChange', data.averageMetrics.lastVisualChange)}</p>
+                <p${budgetClass(data.budget, 'INP')}><strong>Avg INP:</strong> ${data.averageMetrics.INP != null ? data.averageMetrics.INP.toFixed(0) + ' ms' : 'N/A'}</p>
+                <p${budgetClass(data.budget, 'CLS')}><strong>Avg CLS:</strong> ${data.averageMetrics.CLS != null ? data.averageMetrics.CLS.toFixed(3) : 'N/A'}</p>
+                <p${budgetClass(data.budget, 'pageWeight')}><strong>Avg Page Weight:</strong> ${data.averageMetrics.pageWeight != null ? (data.averageMetrics.pageWeight / 1024).toFixed(2) + ' KB' : 'N/A'}</p>
+                <p${budgetClass(data.budget, 'thirdPartyBytes')}><strong>Avg Third-Party:</strong> ${formatMetric('thirdPartyBytes', data.averageMetrics.thirdPartyBytes)}</p>
                 <p><small>${runsDetails}</small></p>
+                ${renderTestTiming(data.timing, data.warnings)}
+                ${renderStability(data.stability)}
+                ${renderFilmstrips([{ label: 'Median run', filmstrip: data.filmstrip }])}
+                ${renderRepeatView(data.averageMetrics)}
+                ${renderBudget(data.budget)}
+                ${renderObservedMetrics(data.individualRuns)}
+                ${renderInteractionWarning(data.individualRuns, data.parameters.interactions)}
+                ${renderLcpDiagnostics(data.lcp)}
+                ${renderLayoutShifts(data.layoutShifts)}
+                ${renderNavigationTiming(data.navigationTiming, data.individualRuns)}
+                ${renderStepMetrics(data.stepMetrics)}
+                ${renderThirdParties(data.thirdParties, 'Third-Party Impact', { actions: true })}
+                ${renderArtifacts(data.individualRuns)}
+                ${renderHtmlReplaceMatches(data.ruleReport)}
+                ${renderRuleReportWarning(data.ruleReport)}
             </div>
         `;
 
-        if (data.screenshot) {
-            screenshotEl.src = `data:image/png;base64,${data.screenshot}`;
-            screenshotEl.style.display = 'block';
-        }
+        screenshotContainer.innerHTML = renderScreenshot(data.screenshot, { lcp: data.lcp, layoutShifts: data.layoutShifts, alt: `Screenshot of ${data.parameters.url}` });
+
+        renderWaterfallSection(data.individualRuns.flatMap((run, i) => [
+            { label: `Run ${i + 1}`, url: data.parameters.url, run },
+            ...(run.repeatView ? [{ label: `Run ${i + 1} (repeat)`, url: data.parameters.url, run: run.repeatView }] : [])
+        ]));
 
     } catch (error) {
         console.error('Test failed:', error);
@@ -359,5 +1340,7 @@ runTestBtn.addEventListener('click', async () => {
     } finally {
         runTestBtn.disabled = false;
         runTestBtn.textContent = 'Run Test';
+        cancelTestBtn.style.display = 'none';
+        currentJobId = null;
     }
 });
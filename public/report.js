@@ -0,0 +1,105 @@
+// Read-only result pages: /r/:id shows one stored result, /compare?ids=a,b,c a set of them.
+
+const reportEl = document.getElementById('report');
+
+async function fetchResult(id) {
+    const response = await fetch(`/results/${encodeURIComponent(id)}`);
+    if (response.status === 404) throw new Error(`Result "${id}" was not found. It may have been deleted.`);
+    if (!response.ok) throw new Error(`Could not load result "${id}" (HTTP ${response.status}).`);
+    return response.json();
+}
+
+function renderJson(title, value) {
+    if (value == null || (Array.isArray(value) && value.length === 0) || (typeof value === 'object' && Object.keys(value).length === 0)) return '';
+    return `<h3>${title}</h3><pre class="report-json">${escapeHtml(JSON.stringify(value, null, 2))}</pre>`;
+}
+
+function renderResultDetails(result) {
+    const params = result.parameters;
+    const runs = result.individualRuns || [];
+    const tags = (result.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+    const metrics = Object.entries(METRIC_LABELS)
+        .map(([key, label]) => `<p${budgetClass(result.budget, key)}><strong>Median ${label}:</strong> ${formatMetric(key, result.averageMetrics[key])}</p>`)
+        .join('');
+
+    return `
+        <section class="report-result">
+            <h2>${escapeHtml(result.name || params.url)} ${tags}</h2>
+            <p><small>URL: <a href="${escapeHtml(params.url)}">${escapeHtml(params.url)}</a> · Tested ${new Date(result.createdAt).toLocaleString()}</small></p>
+            <div class="metrics">
+                <p><strong>Mode:</strong> ${modeLabel(params)} · Cache ${params.disableCache ? 'disabled' : 'enabled'}${viewLabel(params) ? ` · ${viewLabel(params)}` : ''} · ${runs.length} run(s)</p>
+                ${metrics}
+                ${renderFilmstrips([{ label: 'Median run', filmstrip: result.filmstrip }])}
+                ${renderRepeatView(result.averageMetrics)}
+                ${renderBudget(result.budget)}
+                ${renderObservedMetrics(runs)}
+                ${renderInteractionWarning(runs, params.interactions)}
+                ${renderHtmlReplaceMatches(result.ruleReport)}
+                ${renderRuleReportWarning(result.ruleReport)}
+            </div>
+            <h3>Individual Runs</h3>
+            ${renderRunTable(runs, result.stability)}
+            ${renderStability(result.stability)}
+            ${renderLcpDiagnostics(result.lcp)}
+            ${renderLayoutShifts(result.layoutShifts)}
+            ${renderNavigationTiming(result.navigationTiming, runs)}
+            ${renderStepMetrics(result.stepMetrics)}
+            ${renderThirdParties(result.thirdParties)}
+            ${renderArtifacts(runs)}
+            ${renderJson('Rules', params.rules)}
+            ${renderJson('Throttling', params.throttling)}
+            ${renderJson('Flow Steps', params.steps)}
+            ${renderJson('Interactions', params.interactions)}
+            ${result.screenshot ? `<h3>Screenshot</h3>${renderScreenshot(result.screenshot, { lcp: result.lcp, layoutShifts: result.layoutShifts, alt: `Screenshot of ${params.url}` })}` : ''}
+        </section>`;
+}
+
+// Median of every metric side by side, with the change relative to the first result.
+function renderComparisonTable(results) {
+    const [baseline] = results;
+    const rows = Object.entries(METRIC_LABELS).map(([key, label]) => {
+        const cells = results.map((result, i) => {
+            const value = result.averageMetrics[key];
+            const base = baseline.averageMetrics[key];
+            const delta = i > 0 && value != null && base ? ` <small>(${value >= base ? '+' : ''}${((value - base) / base * 100).toFixed(1)}%)</small>` : '';
+            return `<td>${formatMetric(key, value)}${delta}</td>`;
+        }).join('');
+        return `<tr><td>${label}</td>${cells}</tr>`;
+    }).join('');
+    return `
+        <div class="table-container">
+            <table class="variant-table">
+                <thead><tr><th>Median</th>${results.map(result => `<th>${escapeHtml(result.name || result.parameters.url)}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p><small>Changes are relative to the first result.</small></p>`;
+}
+
+async function renderReport() {
+    try {
+        if (location.pathname.startsWith('/r/')) {
+            const result = await fetchResult(decodeURIComponent(location.pathname.slice('/r/'.length)));
+            document.title = `${result.name || result.parameters.url} – Performance Tester`;
+            reportEl.innerHTML = renderResultDetails(result);
+            return;
+        }
+
+        const ids = (new URLSearchParams(location.search).get('ids') || '').split(',').map(id => id.trim()).filter(Boolean);
+        if (ids.length === 0) throw new Error('No results to show. Use /r/<id> or /compare?ids=<id>,<id>.');
+        const results = await Promise.all(ids.map(fetchResult));
+        document.title = `Comparison of ${results.length} results – Performance Tester`;
+        reportEl.innerHTML = `
+            <h1>Comparison</h1>
+            ${renderComparisonTable(results)}
+            ${renderFilmstrips(results.map(result => ({ label: result.name || result.parameters.url, filmstrip: result.filmstrip })), 'Filmstrips')}
+            <div class="comparison-view">
+                ${results.map(result => `<div class="comparison-item">${renderComparisonItem(result)}</div>`).join('')}
+            </div>
+            ${results.map(renderResultDetails).join('')}`;
+    } catch (error) {
+        reportEl.innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', renderReport);
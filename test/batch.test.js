@@ -0,0 +1,93 @@
+// test/batch.test.js
+// Checks how batch requests are validated and expanded, and how the pages are summarized.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { parseBatchRequest, summarizeBatch } = require('../lib/batch');
+
+const urlset = urls => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls.map(url => `<url><loc>${url}</loc></url>`).join('')}</urlset>`;
+
+test('parseBatchRequest validates the batch and every page as a test', async () => {
+    assert.deepEqual(await parseBatchRequest({}), { error: 'A batch needs `urls` or a `sitemap`.' });
+    assert.deepEqual(await parseBatchRequest({ urls: 'https://www.example.com/' }), { error: '`urls` must be an array of URLs.' });
+    assert.deepEqual(await parseBatchRequest({ urls: ['https://www.example.com/'], concurrency: 5 }), { error: '`concurrency` must be an integer from 1 to 4.' });
+    assert.deepEqual(await parseBatchRequest({ urls: ['https://www.example.com/'], url: 'https://www.example.com/' }), { error: 'A batch takes `urls` or a `sitemap` instead of `url`.' });
+    assert.deepEqual(await parseBatchRequest({ urls: ['/relative'] }), { error: 'Not an http(s) URL: "/relative".' });
+    assert.deepEqual(await parseBatchRequest({ urls: [' '] }), { error: 'The batch has no URLs to test.' });
+    assert.match((await parseBatchRequest({ urls: ['https://www.example.com/'], runs: 0 })).error, /runs/);
+});
+
+test('parseBatchRequest removes duplicates and keeps at most maxUrls pages', async () => {
+    const { params } = await parseBatchRequest({
+        urls: ['https://www.example.com/a', 'https://www.example.com/b'],
+        sitemap: urlset(['https://www.example.com/b', 'https://www.example.com/c', 'https://www.example.com/d']),
+        maxUrls: 3,
+        concurrency: 2,
+        mode: 'pagespeed-desktop'
+    });
+    assert.deepEqual(params.pages.map(page => page.url), ['https://www.example.com/a', 'https://www.example.com/b', 'https://www.example.com/c']);
+    assert.equal(params.pages[0].mode, 'pagespeed-desktop');
+    assert.equal(params.concurrency, 2);
+    assert.equal(params.skipped, 1);
+});
+
+test('parseBatchRequest follows a sitemap index one level deep', async t => {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/products.xml') return res.end(urlset(['https://shop.example.com/p/1', 'https://shop.example.com/p/2']));
+        res.statusCode = 404;
+        res.end();
+    }).listen(0);
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const index = `<sitemapindex><sitemap><loc>${base}/products.xml</loc></sitemap></sitemapindex>`;
+    const { params } = await parseBatchRequest({ sitemap: index });
+    assert.deepEqual(params.pages.map(page => page.url), ['https://shop.example.com/p/1', 'https://shop.example.com/p/2']);
+    assert.deepEqual(await parseBatchRequest({ sitemap: `${base}/missing.xml` }), { error: `Could not fetch the sitemap ${base}/missing.xml (HTTP 404).` });
+});
+
+test('summarizeBatch describes each metric across the pages that completed', () => {
+    const pages = [
+        { url: 'https://www.example.com/a', averageMetrics: { LCP: 1000, CLS: 0 }, budget: { status: 'pass' } },
+        { url: 'https://www.example.com/b', averageMetrics: { LCP: 3000, CLS: 0.2 }, budget: { status: 'fail' } },
+        { url: 'https://www.example.com/c', averageMetrics: { LCP: 2000, CLS: null } },
+        { url: 'https://www.example.com/d', error: 'Timed out' }
+    ];
+    const summary = summarizeBatch(pages);
+    assert.equal(summary.pageCount, 4);
+    assert.equal(summary.failedPages, 1);
+    assert.deepEqual(summary.budgets, { pass: 1, warn: 0, fail: 1 });
+    const { LCP, CLS, FCP } = summary.metrics;
+    assert.deepEqual([LCP.count, LCP.min, LCP.p25, LCP.median, LCP.p75, LCP.max], [3, 1000, 1500, 2000, 2500, 3000]);
+    assert.deepEqual(LCP.worst.map(page => page.url), ['https://www.example.com/b', 'https://www.example.com/c', 'https://www.example.com/a']);
+    assert.equal(CLS.count, 2);
+    assert.deepEqual([FCP.count, FCP.median, FCP.worst], [0, null, []]);
+
+    assert.deepEqual(summarizeBatch([{ url: 'https://www.example.com/', error: 'boom' }]), { pageCount: 1, failedPages: 1 });
+});
+
+test('summarizeBatch counts the pages each variant improved or regressed', () => {
+    // Every compared metric is present; only LCP changes here.
+    const unchanged = ['FCP', 'TBT', 'CLS', 'pageWeight', 'thirdPartyBytes', 'speedIndex', 'visuallyComplete', 'lastVisualChange', 'INP']
+        .map(key => [key, { delta: null, deltaPercent: null, verdict: 'insufficient-data' }]);
+    const page = (url, baseline, variant, verdict) => ({
+        url,
+        variants: [{ name: 'Baseline', averageMetrics: { LCP: baseline } }, { name: 'Defer GTM', averageMetrics: { LCP: variant } }],
+        comparisons: [{ baseline: 'Baseline', variant: 'Defer GTM', metrics: {
+            ...Object.fromEntries(unchanged),
+            LCP: { delta: variant - baseline, deltaPercent: (variant - baseline) / baseline * 100, verdict }
+        } }]
+    });
+    const summary = summarizeBatch([
+        page('https://www.example.com/a', 2000, 1800, 'improvement'),
+        page('https://www.example.com/b', 2500, 2000, 'improvement'),
+        page('https://www.example.com/c', 1000, 1100, 'no-significant-difference')
+    ]);
+    assert.deepEqual(summary.variants.map(variant => [variant.name, variant.metrics.LCP.median]), [['Baseline', 2000], ['Defer GTM', 1800]]);
+    const [comparison] = summary.comparisons;
+    assert.deepEqual([comparison.baseline, comparison.variant], ['Baseline', 'Defer GTM']);
+    // Deltas of -200, -500 and +100 ms; -10 %, -20 % and +10 %.
+    assert.deepEqual(comparison.metrics.LCP, { medianDelta: -200, medianDeltaPercent: -10, improved: 2, regressed: 0 });
+    assert.deepEqual(comparison.metrics.TBT, { medianDelta: null, medianDeltaPercent: null, improved: 0, regressed: 0 });
+});
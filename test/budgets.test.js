@@ -0,0 +1,54 @@
+// test/budgets.test.js
+// Checks how budgets are validated, matched against URLs and judged.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The registry is read once, from the file named when the module loads.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-tester-budgets-'));
+process.env.PERF_TESTER_BUDGETS_FILE = path.join(dir, 'budgets.json');
+fs.writeFileSync(process.env.PERF_TESTER_BUDGETS_FILE, JSON.stringify([
+    { match: '*', metrics: { LCP: 2500, TBT: 200 } },
+    { match: 'https://shop.example.com/product/*', metrics: { LCP: { max: 3000, warn: 2000 } } },
+    { match: '/checkout', metrics: { CLS: 0.1 } }
+]));
+const budgets = require('../lib/budgets');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('validateBudgetList checks every entry', () => {
+    assert.equal(budgets.validateBudgetList([{ match: '*', metrics: { LCP: 2500, TBT: { max: 200, warn: 150 } } }]), null);
+    assert.equal(budgets.validateBudgetList({}), 'The budgets must be an array.');
+    assert.equal(budgets.validateBudgetList([{ match: '', metrics: {} }]), 'Budget 1 needs a `match` URL fragment or pattern.');
+    assert.match(budgets.validateBudgetList([{ match: '*', metrics: { FID: 100 } }]), /unknown metric `FID`/);
+    assert.equal(budgets.validateBudget({ TBT: { max: 100, warn: 150 } }), '`budget`: `TBT.warn` cannot be above `max`.');
+});
+
+test('resolveBudget applies matching entries in file order, then the request', () => {
+    assert.deepEqual(budgets.resolveBudget('https://shop.example.com/product/42', { TBT: 100 }), {
+        sources: ['*', 'https://shop.example.com/product/*', 'request'],
+        metrics: {
+            LCP: { max: 3000, warn: 2000 },
+            TBT: { max: 100, warn: 90 }
+        }
+    });
+    // A glob matches the full URL, a fragment any part of it.
+    assert.deepEqual(budgets.resolveBudget('https://shop.example.com/checkout?step=2').sources, ['*', '/checkout']);
+    assert.deepEqual(budgets.resolveBudget('https://shop.example.com/cart').sources, ['*']);
+});
+
+test('evaluateBudget judges each metric and reports the worst status', () => {
+    const budget = budgets.resolveBudget('https://shop.example.com/checkout');
+    const result = budgets.evaluateBudget(budget, { LCP: 2250, TBT: 150, CLS: 0.25 });
+    assert.equal(result.status, 'fail');
+    assert.deepEqual(result.metrics.LCP, { value: 2250, max: 2500, warn: 2250, status: 'warn' });
+    assert.equal(result.metrics.TBT.status, 'pass');
+    assert.equal(result.metrics.CLS.status, 'fail');
+
+    assert.equal(budgets.evaluateBudget(budget, { LCP: 1000, TBT: 0, CLS: null }).status, 'pass');
+    assert.equal(budgets.evaluateBudget(budget, { LCP: 1000, TBT: 0 }).metrics.CLS.status, 'unknown');
+    assert.equal(budgets.evaluateBudget(null, { LCP: 1000 }), null);
+});
@@ -0,0 +1,91 @@
+// test/flows.test.js
+// Checks flow validation, URL resolution, step playback and the per-step medians.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { validateSteps, resolveFlow, playStep, aggregateSteps } = require('../lib/flows');
+
+// A page that records the calls of non-navigating steps.
+function fakePage() {
+    const page = new EventEmitter();
+    page.calls = [];
+    page.url = () => 'https://www.example.com/';
+    page.setCookie = async cookie => page.calls.push(['setCookie', cookie]);
+    page.waitForSelector = async (selector, { timeout }) => {
+        page.calls.push(['waitForSelector', selector, timeout]);
+        if (selector === '#missing') throw new Error('Waiting for selector `#missing` failed');
+    };
+    page.locator = selector => ({
+        setTimeout: timeout => ({ fill: async text => page.calls.push(['fill', selector, text, timeout]) })
+    });
+    return page;
+}
+
+test('validateSteps checks the flow and reuses the interaction checks', () => {
+    assert.equal(validateSteps(undefined), null);
+    assert.equal(validateSteps([
+        { action: 'setCookie', name: 'consent', value: 'yes' },
+        { action: 'goto', url: '/login' },
+        { action: 'fill', selector: '#email', text: 'a@example.com' },
+        { action: 'click', selector: '#accept', optional: true },
+        { action: 'goto', measure: true }
+    ]), null);
+    assert.equal(validateSteps([]), '`steps` must be a non-empty array.');
+    assert.match(validateSteps([{ action: 'hover' }]), /^`steps\[0\]`: `action` must be one of: goto, click, type/);
+    assert.equal(validateSteps([{ action: 'goto' }, { action: 'fill', selector: '#q' }]), '`steps[1]`: `fill` needs a string `text`.');
+    assert.equal(validateSteps([{ action: 'setCookie', name: 'a' }]), '`steps[0]`: `setCookie` needs a `name` and a string `value`.');
+    assert.equal(validateSteps([{ action: 'click', selector: 'a', measure: true }]), '`steps[0]`: only `goto` steps can be measured.');
+    assert.equal(validateSteps([{ action: 'click', selector: 'a' }]), '`steps` must contain at least one `goto`.');
+    assert.equal(validateSteps([{ action: 'goto', measure: true }, { action: 'goto', measure: true }]), 'Only one step can have `measure: true`.');
+});
+
+test('resolveFlow makes URLs absolute and measures the marked or the last goto', () => {
+    const url = 'https://shop.example.com/product/42';
+    assert.deepEqual(resolveFlow(undefined, url), { steps: [{ action: 'goto', url }], measuredIndex: 0 });
+
+    const flow = resolveFlow([
+        { action: 'setLocalStorage', key: 'ab', value: 'b' },
+        { action: 'setCookie', name: 'consent', value: 'yes' },
+        { action: 'goto', url: '/cart' },
+        { action: 'goto' }
+    ], url);
+    assert.equal(flow.steps[0].origin, 'https://shop.example.com');
+    assert.equal(flow.steps[1].url, url);
+    assert.equal(flow.steps[2].url, 'https://shop.example.com/cart');
+    assert.equal(flow.measuredIndex, 3);
+    assert.equal(resolveFlow([{ action: 'goto', measure: true }, { action: 'goto', url: '/cart' }], url).measuredIndex, 0);
+});
+
+test('playStep waits 10 seconds for selectors and skips only optional steps that fail', async () => {
+    const page = fakePage();
+    const cookie = await playStep(page, { action: 'setCookie', name: 'consent', value: 'yes', url: 'https://www.example.com/' }, 0);
+    assert.equal(cookie.url, 'https://www.example.com/');
+    assert.equal(cookie.error, undefined);
+    await playStep(page, { action: 'fill', selector: '#q', text: 'shoes' }, 1);
+    assert.deepEqual(page.calls, [
+        ['setCookie', { name: 'consent', value: 'yes', url: 'https://www.example.com/' }],
+        ['fill', '#q', 'shoes', 10000]
+    ]);
+
+    const skipped = await playStep(page, { action: 'waitForSelector', selector: '#missing', optional: true }, 2);
+    assert.equal(skipped.error, 'Waiting for selector `#missing` failed');
+    await assert.rejects(playStep(page, { action: 'waitForSelector', selector: '#missing' }, 3),
+        { message: 'Step #4 (wait for #missing) failed: Waiting for selector `#missing` failed' });
+    // The step stops listening to the page once it is done.
+    assert.equal(page.listenerCount('request'), 0);
+});
+
+test('aggregateSteps takes the median of each step across runs', () => {
+    const run = (duration, error) => [
+        { index: 0, action: 'goto', url: 'https://www.example.com/', navigation: 'hard', duration: 1000, FCP: 500 },
+        { index: 1, action: 'click', url: 'https://www.example.com/cart', navigation: 'soft', duration, urlChange: 80, ...(error ? { error } : {}) }
+    ];
+    const [goto, click] = aggregateSteps([run(300), run(100), run(200, 'Timed out')]);
+    assert.equal(goto.FCP, 500);
+    assert.equal(goto.LCP, null);
+    assert.equal(click.duration, 200);
+    assert.equal(click.navigation, 'soft');
+    assert.equal(click.failedRuns, 1);
+    assert.deepEqual(aggregateSteps([]), []);
+});
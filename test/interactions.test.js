@@ -0,0 +1,85 @@
+// test/interactions.test.js
+// Checks interaction validation and how the steps drive a (recorded) page.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateInteractions, runInteractions, runStep, describeStep } = require('../lib/interactions');
+
+// Records the Puppeteer calls of the steps; selectors listed in `missing` never appear.
+function fakePage({ missing = [] } = {}) {
+    const calls = [];
+    const page = {
+        calls,
+        async waitForSelector(selector, options) {
+            calls.push(['waitForSelector', selector, options.timeout]);
+            if (missing.includes(selector)) throw new Error(`Waiting for selector \`${selector}\` failed`);
+        },
+        async click(selector) { calls.push(['click', selector]); },
+        async type(selector, text) { calls.push(['type', selector, text]); },
+        locator: selector => ({
+            setTimeout: timeout => ({ fill: async text => calls.push(['fill', selector, text, timeout]) })
+        }),
+        keyboard: { press: async key => calls.push(['press', key]) },
+        mouse: {
+            move: async () => {},
+            wheel: async ({ deltaY }) => calls.push(['wheel', deltaY])
+        },
+        viewport: () => ({ width: 400, height: 800 })
+    };
+    return page;
+}
+
+test('validateInteractions checks the fields each action needs', () => {
+    assert.equal(validateInteractions(undefined), null);
+    assert.equal(validateInteractions([
+        { action: 'click', selector: '#menu' },
+        { action: 'fill', selector: '#q', text: '' },
+        { action: 'scroll' },
+        { action: 'wait', ms: 500 },
+        { action: 'waitForSelector', selector: '.results', timeout: 10000 }
+    ]), null);
+    assert.equal(validateInteractions({}), '`interactions` must be an array.');
+    assert.match(validateInteractions([{ action: 'hover' }]), /^`interactions\[0\]`: `action` must be one of: click, type/);
+    assert.equal(validateInteractions([{ action: 'click' }]), '`interactions[0]`: `click` needs a `selector`.');
+    assert.equal(validateInteractions([{ action: 'type', selector: '#q' }]), '`interactions[0]`: `type` needs a string `text`.');
+    assert.equal(validateInteractions([{ action: 'press' }]), '`interactions[0]`: `press` needs a `key`.');
+    assert.equal(validateInteractions([{ action: 'wait', ms: 60000 }]), '`interactions[0]`: `wait` needs `ms` between 0 and 30000.');
+    assert.equal(validateInteractions([{ action: 'click', selector: 'a', timeout: 0 }]), '`interactions[0]`: `timeout` must be a positive number of milliseconds.');
+});
+
+test('runInteractions skips a failing step, records it and plays the rest', async () => {
+    const page = fakePage({ missing: ['#cookie-banner'] });
+    const errors = await runInteractions(page, [
+        { action: 'click', selector: '#cookie-banner' },
+        { action: 'type', selector: '#q', text: 'secret' },
+        { action: 'press', key: 'Enter' },
+        { action: 'scroll' }
+    ]);
+    assert.deepEqual(errors, [{ index: 0, action: 'click', error: 'Waiting for selector `#cookie-banner` failed' }]);
+    assert.deepEqual(page.calls, [
+        ['waitForSelector', '#cookie-banner', 5000],
+        ['waitForSelector', '#q', 5000],
+        ['type', '#q', 'secret'],
+        ['press', 'Enter'],
+        ['wheel', 800]
+    ]);
+});
+
+test('runStep waits for the step timeout, then the caller default, then 5 seconds', async () => {
+    const page = fakePage();
+    await runStep(page, { action: 'fill', selector: '#q', text: 'shoes', timeout: 2000 });
+    await runStep(page, { action: 'click', selector: '#go' }, { selectorTimeout: 10000 });
+    await runStep(page, { action: 'waitForSelector', selector: '.done' });
+    assert.deepEqual(page.calls, [
+        ['fill', '#q', 'shoes', 2000],
+        ['waitForSelector', '#go', 10000],
+        ['click', '#go'],
+        ['waitForSelector', '.done', 5000]
+    ]);
+});
+
+test('describeStep never includes the typed text', () => {
+    assert.equal(describeStep({ action: 'type', selector: '#password', text: 'hunter2' }), 'type "***" into #password');
+    assert.equal(describeStep({ action: 'scroll', y: 300 }), 'scroll by 300');
+    assert.equal(describeStep({ action: 'wait', ms: 200 }), 'wait 200ms');
+});
@@ -0,0 +1,102 @@
+// test/jobs.test.js
+// Checks the job queue: order, events, cancellation, and the Server-Sent Events stream.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jobs = require('../lib/jobs');
+const app = require('../api/index');
+
+// A task that resolves (or rejects) when the test says so.
+function deferredTask() {
+    const task = {};
+    task.promise = new Promise((resolve, reject) => Object.assign(task, { resolve, reject }));
+    task.run = (job, hooks) => {
+        task.hooks = hooks;
+        return task.promise;
+    };
+    return task;
+}
+
+test('jobs run one at a time, in submission order', async () => {
+    const first = deferredTask();
+    const second = deferredTask();
+    const a = jobs.createJob({ url: 'a' }, first.run);
+    const b = jobs.createJob({ url: 'b' }, second.run);
+    assert.equal(a.status, 'running');
+    assert.equal(b.status, 'queued');
+    assert.equal(jobs.serializeJob(b).position, 1);
+
+    first.hooks.onProgress({ type: 'run', completedRuns: 1 });
+    first.resolve({ ok: 'a' });
+    assert.deepEqual(await jobs.waitForJob(a), { ok: 'a' });
+    assert.deepEqual(jobs.serializeJob(a).progress, [{ type: 'run', completedRuns: 1 }]);
+    assert.equal(b.status, 'running');
+
+    second.reject(new Error('boom'));
+    await assert.rejects(jobs.waitForJob(b), { message: 'boom' });
+    assert.equal(b.status, 'failed');
+});
+
+test('subscribe replays the past events before the live ones', async () => {
+    const task = deferredTask();
+    const job = jobs.createJob({}, task.run);
+    const events = [];
+    const unsubscribe = jobs.subscribe(job.id, (name, data) => events.push([name, data]));
+    task.hooks.onProgress({ step: 1 });
+    task.resolve({ done: true });
+    await jobs.waitForJob(job);
+    unsubscribe();
+    assert.deepEqual(events, [
+        ['status', { status: 'queued', position: 1 }],
+        ['status', { status: 'running' }],
+        ['progress', { step: 1 }],
+        ['result', { done: true }],
+        ['status', { status: 'completed' }]
+    ]);
+});
+
+test('cancelJob drops a queued job and aborts a running one', async () => {
+    const running = deferredTask();
+    const queued = deferredTask();
+    const a = jobs.createJob({}, running.run);
+    const b = jobs.createJob({}, queued.run);
+
+    assert.equal(jobs.cancelJob(b.id), true);
+    assert.equal(b.status, 'cancelled');
+    await assert.rejects(jobs.waitForJob(b), { name: 'AbortError' });
+
+    // A running job ends once its task notices the signal.
+    running.hooks.signal.addEventListener('abort', () => running.reject(new Error('aborted')));
+    assert.equal(jobs.cancelJob(a.id), true);
+    await assert.rejects(jobs.waitForJob(a), { name: 'AbortError' });
+    assert.equal(a.status, 'cancelled');
+    assert.equal(queued.hooks, undefined);
+
+    assert.equal(jobs.cancelJob(a.id), false);
+    assert.equal(jobs.cancelJob('no-such-job'), false);
+});
+
+test('GET /jobs/:id/events streams the events and ends with the job', async t => {
+    const server = app.listen(0);
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const task = deferredTask();
+    const job = jobs.createJob({}, task.run);
+    const response = await fetch(`${base}/jobs/${job.id}/events`);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    task.resolve({ done: true });
+    assert.equal(await response.text(), [
+        'event: status\ndata: {"status":"queued","position":1}\n\n',
+        'event: status\ndata: {"status":"running"}\n\n',
+        'event: result\ndata: {"done":true}\n\n',
+        'event: status\ndata: {"status":"completed"}\n\n'
+    ].join(''));
+
+    assert.equal((await fetch(`${base}/jobs/nope/events`)).status, 404);
+    const cancel = await fetch(`${base}/jobs/${job.id}/cancel`, { method: 'POST' });
+    assert.equal(cancel.status, 409);
+});
@@ -0,0 +1,55 @@
+// test/navigation-timing.test.js
+// Checks Server-Timing parsing and how the document breakdown is built and summarized.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseServerTiming, buildNavigationTiming, summarizeNavigationTiming } = require('../lib/navigation-timing');
+
+test('parseServerTiming reads names, durations and quoted descriptions', () => {
+    assert.deepEqual(parseServerTiming('db;dur=53.2, cache;desc="Cache Read";dur=23.2, miss'), [
+        { name: 'db', duration: 53.2, description: null },
+        { name: 'cache', duration: 23.2, description: 'Cache Read' },
+        { name: 'miss', duration: null, description: null }
+    ]);
+    // Commas and escaped quotes inside a description do not split it; the first `dur` counts.
+    assert.deepEqual(parseServerTiming('app;desc="render, \\"home\\"";DUR=12;dur=99'), [{ name: 'app', duration: 12, description: 'render, "home"' }]);
+    assert.deepEqual(parseServerTiming('edge;dur=fast, , cdn'), [{ name: 'edge', duration: null, description: null }, { name: 'cdn', duration: null, description: null }]);
+    assert.deepEqual(parseServerTiming(null), []);
+});
+
+test('buildNavigationTiming adds the fetch phases to the browser milestones', () => {
+    const documentTiming = { redirect: 0, dns: 5, connect: 10, tls: 15, wait: 120, download: 30, serverTiming: [] };
+    const browserTiming = { fetchStart: 2, responseStart: 190, domInteractive: 400, domContentLoaded: 450, load: 0 };
+    const timing = buildNavigationTiming(documentTiming, browserTiming);
+    // TTFB: the fetch started at 2 ms, plus 150 ms up to the first byte.
+    assert.equal(timing.TTFB, 152);
+    assert.deepEqual([timing.dns, timing.download, timing.domInteractive, timing.load], [5, 30, 400, null]);
+
+    // A mocked document has no phases; the browser's responseStart is the best TTFB left.
+    const mocked = buildNavigationTiming(null, browserTiming);
+    assert.deepEqual([mocked.wait, mocked.TTFB, mocked.serverTiming], [null, 190, []]);
+    assert.equal(buildNavigationTiming(null, null), null);
+});
+
+test('summarizeNavigationTiming takes medians and matches Server-Timing metrics by name', () => {
+    const timing = (wait, TTFB, serverTiming) => ({ redirect: 0, dns: 5, connect: 10, tls: 15, wait, download: 30, TTFB, domInteractive: 400, domContentLoaded: 450, load: 900, serverTiming });
+    const summary = summarizeNavigationTiming([
+        timing(100, 150, [
+            { name: 'db', duration: 50, description: 'Queries' },
+            { name: 'db', duration: 30, description: 'Queries' },
+            { name: 'cache', duration: null, description: 'hit' }
+        ]),
+        timing(200, 250, [{ name: 'db', duration: 100, description: 'Queries' }]),
+        // A run whose document was not measured.
+        null,
+        timing(300, 350, [])
+    ]);
+
+    assert.deepEqual([summary.wait, summary.TTFB, summary.load, summary.runs], [200, 250, 900, 3]);
+    // The repeated `db` metric counts 80 ms in the first run: the median of 80 and 100 is 90.
+    assert.deepEqual(summary.serverTiming, [
+        { name: 'db', description: 'Queries', runs: 2, duration: 90 },
+        { name: 'cache', description: 'hit', runs: 1, duration: null }
+    ]);
+    assert.equal(summarizeNavigationTiming([null]), null);
+});
@@ -0,0 +1,97 @@
+// test/network.test.js
+// Checks the network recorder's HAR timing phases and redirect hops on a scripted CDP session.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { recordNetwork, siteOf, thirdPartyBytes } = require('../lib/network');
+
+// Just enough of a Puppeteer CDPSession to replay events.
+function fakeClient() {
+    const client = new EventEmitter();
+    client.send = async () => {};
+    return client;
+}
+
+function requestWillBeSent(requestId, url, timestamp, extra = {}) {
+    return {
+        requestId,
+        request: { url, method: 'GET', initialPriority: 'VeryHigh' },
+        type: 'Document',
+        initiator: { type: 'other' },
+        timestamp,
+        wallTime: 1700000000 + timestamp,
+        ...extra
+    };
+}
+
+test('recordNetwork splits a request into HAR phases that add up to its duration', async () => {
+    const client = fakeClient();
+    const recorder = await recordNetwork(client);
+    client.emit('Network.requestWillBeSent', requestWillBeSent('1', 'https://www.example.com/', 100));
+    client.emit('Network.responseReceived', {
+        requestId: '1',
+        response: {
+            status: 200,
+            mimeType: 'text/html',
+            protocol: 'h2',
+            encodedDataLength: 500,
+            // Queued for 10 ms, then DNS 0-5, connect 5-25 (TLS 15-25), send 25-26, headers at 76.
+            timing: { requestTime: 100.01, dnsStart: 0, dnsEnd: 5, connectStart: 5, connectEnd: 25, sslStart: 15, sslEnd: 25, sendStart: 25, sendEnd: 26, receiveHeadersEnd: 76 }
+        }
+    });
+    client.emit('Network.loadingFinished', { requestId: '1', timestamp: 100.1, encodedDataLength: 1500 });
+
+    const [entry] = recorder.getRequests();
+    assert.equal(recorder.getTimeOrigin(), 100);
+    assert.equal(entry.startTime, 0);
+    assert.ok(Math.abs(entry.duration - 100) < 1e-6);
+    assert.equal(entry.transferSize, 1500);
+    const phases = Object.fromEntries(Object.entries(entry.timing).map(([key, value]) => [key, Math.round(value * 1000) / 1000]));
+    assert.deepEqual(phases, { blocked: 10, dns: 5, connect: 20, ssl: 10, send: 1, wait: 50, receive: 14 });
+    // HAR counts `ssl` inside `connect`, so the total leaves it out.
+    const { ssl, ...counted } = phases;
+    assert.equal(Object.values(counted).reduce((sum, value) => sum + Math.max(0, value), 0), 100);
+});
+
+test('recordNetwork records one entry per redirect hop and marks blocked requests', async () => {
+    const client = fakeClient();
+    const recorder = await recordNetwork(client, { blockedUrls: new Set(['https://ads.example.net/ad.js']) });
+    client.emit('Network.requestWillBeSent', requestWillBeSent('1', 'http://example.com/', 10));
+    client.emit('Network.requestWillBeSent', requestWillBeSent('1', 'https://www.example.com/', 10.05, {
+        redirectResponse: { status: 301, mimeType: 'text/html', encodedDataLength: 200 }
+    }));
+    client.emit('Network.loadingFinished', { requestId: '1', timestamp: 10.2, encodedDataLength: 900 });
+    client.emit('Network.requestWillBeSent', requestWillBeSent('2', 'https://ads.example.net/ad.js', 10.25, { type: 'Script' }));
+    client.emit('Network.loadingFailed', { requestId: '2', timestamp: 10.25, errorText: 'net::ERR_FAILED' });
+    client.emit('Network.requestWillBeSent', requestWillBeSent('3', 'https://www.example.com/app.js', 10.3, { type: 'Script' }));
+
+    const requests = recorder.getRequests();
+    assert.deepEqual(requests.map(request => [request.url, request.status]), [
+        ['http://example.com/', 301],
+        ['https://www.example.com/', null],
+        ['https://ads.example.net/ad.js', null],
+        ['https://www.example.com/app.js', null]
+    ]);
+    // Without a timing breakdown the whole hop counts as waiting.
+    assert.equal(Math.round(requests[0].timing.wait), 50);
+    assert.equal(requests[0].timing.dns, -1);
+    assert.deepEqual([requests[2].failed, requests[2].blockedByRule, requests[2].resourceType], [true, true, 'script']);
+    assert.equal(requests[3].endTime, null);
+
+    recorder.reset();
+    assert.deepEqual(recorder.getRequests(), []);
+    assert.equal(recorder.getTimeOrigin(), null);
+});
+
+test('siteOf and thirdPartyBytes treat subdomains of the page as first-party', () => {
+    assert.equal(siteOf('cdn.example.com'), 'example.com');
+    assert.equal(siteOf('www.shop.example.co.uk'), 'example.co.uk');
+    assert.equal(siteOf('127.0.0.1'), '127.0.0.1');
+    assert.equal(thirdPartyBytes([
+        { url: 'https://www.example.com/', transferSize: 1000 },
+        { url: 'https://cdn.example.com/app.js', transferSize: 2000 },
+        { url: 'https://www.googletagmanager.com/gtm.js', transferSize: 300 },
+        { url: 'data:image/png;base64,AAAA', transferSize: 50 }
+    ], 'https://www.example.com/'), 300);
+});
@@ -0,0 +1,88 @@
+// test/perf-tester.test.js
+// Checks the command-line runner: option handling, the result table, reports and exit codes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const cli = require('../bin/perf-tester');
+
+const BIN = path.join(__dirname, '../bin/perf-tester.js');
+const run = args => spawnSync(process.execPath, [BIN, ...args], { encoding: 'utf8', timeout: 30000 });
+
+const budget = (status, metrics) => ({ status, metrics });
+const outcome = (name, averageMetrics, budgetResult) => ({ name, duration: 1500, result: { averageMetrics, budget: budgetResult } });
+
+test('collectTests layers config defaults, options and each test', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-tester-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const config = path.join(dir, 'perf.json');
+    fs.writeFileSync(config, JSON.stringify({
+        defaults: { mode: 'pagespeed-mobile', runs: 5 },
+        tests: [{ name: 'Home', url: 'https://www.example.com/', budget: { TBT: 200 } }, { url: 'https://www.example.com/cart', runs: 3 }]
+    }));
+
+    const tests = cli.collectTests({ config, runs: '7', budget: ['LCP=2500'] }, ['https://www.example.com/search']);
+    assert.deepEqual(tests.map(entry => entry.name), ['https://www.example.com/search', 'Home', 'https://www.example.com/cart']);
+    assert.deepEqual(tests[1].request, { mode: 'pagespeed-mobile', runs: 7, budget: { LCP: 2500, TBT: 200 }, url: 'https://www.example.com/' });
+    // A test's own fields win over the options.
+    assert.equal(tests[2].request.runs, 3);
+
+    assert.throws(() => cli.collectTests({}, []), { message: 'Give a URL or --config.' });
+    assert.throws(() => cli.collectTests({ runs: '0' }, ['https://www.example.com/']), { message: '--runs must be a positive integer or "adaptive".' });
+    assert.throws(() => cli.collectTests({ budget: ['LCP<2500'] }, ['https://www.example.com/']), { message: '--budget must look like LCP=2500 (got "LCP<2500").' });
+});
+
+test('outcomeStatus and exitCode turn budgets into 0, 1 or 2', () => {
+    const passed = outcome('a', {}, budget('pass', {}));
+    const warned = outcome('b', {}, budget('warn', {}));
+    const failed = { name: 'c', result: { variants: [{ name: 'A', budget: budget('pass', {}) }, { name: 'B', budget: budget('fail', {}) }] } };
+    assert.deepEqual([passed, warned, failed, outcome('d', {}, null), { error: 'boom' }].map(cli.outcomeStatus), ['pass', 'warn', 'fail', 'none', 'error']);
+
+    assert.equal(cli.exitCode(['pass', 'none'], 'fail'), 0);
+    assert.equal(cli.exitCode(['pass', 'warn'], 'fail'), 0);
+    assert.equal(cli.exitCode(['pass', 'warn'], 'warn'), 1);
+    assert.equal(cli.exitCode(['fail'], 'fail'), 1);
+    assert.equal(cli.exitCode(['fail', 'error'], 'fail'), 2);
+});
+
+test('renderTable marks metrics near or over their budget', () => {
+    const table = cli.renderTable([
+        outcome('Home', { FCP: 1200.4, LCP: 2400, TBT: 90, CLS: 0.1234, pageWeight: 204800 }, budget('warn', { LCP: { status: 'warn' } })),
+        { name: 'Cart', error: 'Timed out' }
+    ], { color: false });
+    assert.equal(table, [
+        'Test      FCP        LCP    TBT    CLS  SI  INP  Weight  3rd Party  Budget',
+        '----  -------  ---------  -----  -----  --  ---  ------  ---------  ------',
+        'Home  1200 ms  2400 ms !  90 ms  0.123   -    -  200 KB          -    WARN',
+        'Cart                                                                 ERROR'
+    ].join('\n'));
+});
+
+test('renderJUnit reports one case per budgeted metric', () => {
+    const outcomes = [outcome('Home', { LCP: 2400, TBT: 90 }, budget('warn', {
+        LCP: { value: 2400, max: 2500, warn: 2250, status: 'warn' },
+        TBT: { value: 90, max: 200, warn: 180, status: 'pass' }
+    }))];
+    assert.match(cli.renderJUnit(outcomes, 'fail'), /<testsuites name="perf-tester" tests="2" failures="0" errors="0">/);
+    const strict = cli.renderJUnit(outcomes, 'warn');
+    assert.match(strict, /tests="2" failures="1" errors="0"/);
+    assert.match(strict, /<testcase classname="Home" name="LCP" time="1.500"><failure type="budget" message="LCP 2400 ms \(budget 2500 ms, warn at 2250 ms\): warn"\/>/);
+});
+
+test('the command exits with 2 on invalid input, before running anything', () => {
+    const help = run(['--help']);
+    assert.equal(help.status, 0);
+    assert.match(help.stdout, /^Usage: perf-tester <url> \[options\]/);
+
+    const badOption = run(['https://www.example.com/', '--fail-on', 'never']);
+    assert.equal(badOption.status, 2);
+    assert.match(badOption.stderr, /^--fail-on must be "fail" or "warn"\./);
+
+    const badTest = run(['https://www.example.com/', '--mode', 'fast']);
+    assert.equal(badTest.status, 2);
+    assert.equal(badTest.stdout, '');
+    assert.match(badTest.stderr, /^https:\/\/www\.example\.com\/: /);
+});
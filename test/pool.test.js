@@ -0,0 +1,65 @@
+// test/pool.test.js
+// Checks how the browser pool leases, reuses, replaces and waits for browsers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer-core');
+
+// The pool reads its size when the module loads.
+process.env.PERF_TESTER_POOL_SIZE = '1';
+const pool = require('../lib/pool');
+
+// Launches stand-in browsers; the executable path skips the search for a local Chrome.
+const LOCAL = { headless: true, executablePath: '/usr/bin/true' };
+test.beforeEach(t => {
+    t.mock.method(puppeteer, 'launch', async options => {
+        if (options.executablePath === '/broken') throw new Error('Failed to launch the browser process!');
+        const browser = { options, connected: true, close: async () => { browser.connected = false; } };
+        return browser;
+    });
+});
+test.afterEach(() => pool.closeAll());
+
+test('a released browser is kept warm and reused by the next lease with the same options', async () => {
+    const first = await pool.acquire(LOCAL);
+    assert.equal(first.reused, false);
+    assert.equal(first.browser.options.headless, true);
+    assert.equal(pool.busyCount(), 1);
+    pool.release(first.browser);
+    assert.equal(pool.busyCount(), 0);
+
+    const second = await pool.acquire(LOCAL);
+    assert.deepEqual([second.reused, second.browser], [true, first.browser]);
+    pool.release(second.browser, { discard: true });
+    assert.equal(first.browser.connected, false);
+    assert.equal((await pool.acquire(LOCAL)).reused, false);
+});
+
+test('an idle browser launched with other options makes room for a new one', async () => {
+    const { browser: headless } = await pool.acquire(LOCAL);
+    pool.release(headless);
+    const { browser: visible, reused } = await pool.acquire({ ...LOCAL, headless: false });
+    assert.equal(reused, false);
+    assert.equal(visible.options.headless, false);
+    assert.equal(headless.connected, false);
+});
+
+test('a full pool makes the next lease wait for a release or its signal', async () => {
+    const { browser } = await pool.acquire(LOCAL);
+    const controller = new AbortController();
+    const cancelled = pool.acquire(LOCAL, { signal: controller.signal });
+    const waiting = pool.acquire(LOCAL);
+    controller.abort();
+    await assert.rejects(cancelled, { message: 'Cancelled while waiting for a browser.' });
+
+    // The cancelled lease left the queue, so the release goes to the other one.
+    pool.release(browser);
+    assert.deepEqual(await waiting, { browser, reused: true });
+    assert.equal(pool.busyCount(), 1);
+});
+
+test('a failed launch frees its slot', async () => {
+    await assert.rejects(pool.acquire({ executablePath: '/broken' }), { message: 'Failed to launch the browser process!' });
+    assert.equal(pool.busyCount(), 0);
+    assert.equal((await pool.acquire(LOCAL)).reused, false);
+});
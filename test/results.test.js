@@ -0,0 +1,87 @@
+// test/results.test.js
+// Checks the result store: validation, summaries, imports and deleting with shared artifacts.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Both stores read their directory when the modules load.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-tester-results-'));
+process.env.PERF_TESTER_RESULTS_DIR = path.join(dir, 'results');
+process.env.PERF_TESTER_ARTIFACTS_DIR = path.join(dir, 'artifacts');
+const results = require('../lib/results');
+const artifacts = require('../lib/artifacts');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const submission = (extra = {}) => ({ parameters: { url: 'https://www.example.com/' }, averageMetrics: { LCP: 2000 }, ...extra });
+
+test('validateResult and validateResultUpdate name the offending field', () => {
+    assert.equal(results.validateResult(submission()), null);
+    assert.equal(results.validateResult([]), 'The result must be an object.');
+    assert.equal(results.validateResult({ averageMetrics: {} }), 'The result needs `parameters` with a `url`.');
+    assert.equal(results.validateResult(submission({ id: '../etc' }), 'Result 2'), 'Result 2: `id` must contain only letters, digits, dashes and underscores.');
+    assert.equal(results.validateResult(submission({ individualRuns: {} })), 'The result: `individualRuns` must be an array.');
+    assert.equal(results.validateResult(submission({ tags: ['ok', ' '] })), 'The result: `tags` must be an array of non-empty strings.');
+    assert.equal(results.validateResultUpdate({ name: 'x', tags: ['a'] }), null);
+    assert.equal(results.validateResultUpdate({ averageMetrics: {} }), 'Only `name` and `tags` can be changed (got `averageMetrics`).');
+});
+
+test('listResults returns summaries, newest first, filtered by tag', async () => {
+    const runs = [{ LCP: 1900, artifacts: [{ id: 'a' }] }, { LCP: 2100, repeatView: { artifacts: [{ id: 'b' }] } }];
+    const first = await results.createResult(submission({ name: 'Baseline', tags: [' list '], individualRuns: runs, screenshot: 'iVBOR', id: 'mine', unknown: 1 }));
+    assert.notEqual(first.id, 'mine');
+    assert.equal(first.unknown, undefined);
+    assert.deepEqual(first.tags, ['list']);
+    // Results are ordered by `createdAt`, in ms.
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await results.createResult(submission({ tags: ['list'] }));
+
+    const listed = await results.listResults({ tag: 'list' });
+    assert.deepEqual(listed.map(result => result.id), [second.id, first.id]);
+    assert.equal(listed[1].screenshot, undefined);
+    assert.equal(listed[1].individualRuns, undefined);
+    assert.equal(listed[1].runCount, 2);
+    assert.deepEqual(listed[1].artifactIds, ['a', 'b']);
+    assert.deepEqual((await results.getResult(first.id)).individualRuns, runs);
+    assert.deepEqual(await results.listResults({ tag: 'no-such-tag' }), []);
+
+    const renamed = await results.updateResult(first.id, { name: 'Renamed', tags: ['list', 'list', 'b '] });
+    assert.deepEqual([renamed.name, renamed.tags], ['Renamed', ['list', 'b']]);
+    assert.equal(await results.updateResult('missing', { name: 'x' }), null);
+});
+
+test('summaries written before the runs were left out are rewritten when listed', async () => {
+    const result = await results.createResult(submission({ tags: ['old-summary'], individualRuns: [{ LCP: 1 }] }));
+    const summaryFile = path.join(process.env.PERF_TESTER_RESULTS_DIR, 'summaries', `${result.id}.json`);
+    fs.writeFileSync(summaryFile, JSON.stringify(result));
+    const [listed] = await results.listResults({ tag: 'old-summary' });
+    assert.equal(listed.runCount, 1);
+    assert.equal(JSON.parse(fs.readFileSync(summaryFile, 'utf8')).individualRuns, undefined);
+});
+
+test('importResults keeps ids, skips existing ones and dates legacy ids', async () => {
+    const history = [
+        submission({ id: 'test-1700000000000', tags: ['imported'] }),
+        submission({ id: 'kept', createdAt: '2024-01-02T00:00:00.000Z', tags: ['imported'] })
+    ];
+    assert.deepEqual(await results.importResults(history), { imported: 2, skipped: 0 });
+    assert.deepEqual(await results.importResults(history), { imported: 0, skipped: 2 });
+    assert.equal((await results.getResult('test-1700000000000')).createdAt, new Date(1700000000000).toISOString());
+    assert.equal((await results.getResult('kept')).createdAt, '2024-01-02T00:00:00.000Z');
+});
+
+test('deleteResult deletes the artifacts no other result references', async () => {
+    const shared = await artifacts.saveArtifacts([{ type: 'coverage', data: [] }]);
+    const own = await artifacts.saveArtifacts([{ type: 'coverage', data: [] }]);
+    const deleted = await results.createResult(submission({ individualRuns: [{ artifacts: shared }, { repeatView: { artifacts: own } }] }));
+    await results.createResult(submission({ individualRuns: [{ artifacts: shared }] }));
+
+    assert.equal(await results.deleteResult(deleted.id), true);
+    assert.equal(await results.getResult(deleted.id), null);
+    assert.ok(fs.existsSync(artifacts.artifactPath(shared[0].id, 'coverage.json')));
+    assert.equal(fs.existsSync(path.join(artifacts.ARTIFACTS_DIR, own[0].id)), false);
+    assert.equal(await results.deleteResult(deleted.id), false);
+});
@@ -0,0 +1,131 @@
+// test/rules.test.js
+// Checks rule validation and the modifications each rule type applies.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../lib/rules');
+
+const PAGE = '<html><head><script src="/app.js"></script><script src="/ads.js"></script></head><body><img src="a.jpg"><img src="b.jpg"></body></html>';
+
+test('validateRules accepts valid rules and names the first invalid field', () => {
+    assert.equal(rules.validateRules({ block: ['ads.js'], hints: [{ rel: 'preconnect', href: 'https://cdn.example.com' }] }), null);
+    assert.equal(rules.validateRules([]), '`rules` must be an object.');
+    assert.equal(rules.validateRules({ defer: 'app.js' }), '`rules.defer` must be an array of URL fragments (strings).');
+    assert.equal(rules.validateRules({ hints: [{ rel: 'preload', href: '/font.woff2' }] }),
+        '`rules.hints[0]`: preload hints require an `as` value (e.g. "font", "image", "script").');
+    assert.equal(rules.validateRules({ headers: [{ match: 'app.js' }] }), '`rules.headers[0]`: at least one of `set` or `remove` is required.');
+    assert.equal(rules.validateRules({ mock: [{ match: 'a', body: 'x', file: 'y' }] }), '`rules.mock[0]`: exactly one of `file` or `body` is required.');
+    assert.equal(rules.validateRules({ mock: [{ match: 'a', file: '../package.json' }] }),
+        `\`rules.mock[0]\`: \`file\` must be a path inside the mocks directory (${rules.MOCKS_DIR}).`);
+});
+
+test('applyHeaderRules removes and sets headers case-insensitively', () => {
+    const headerRules = rules.findHeaderRules('https://example.com/app.js', {
+        headers: [
+            { match: 'app.js', remove: ['Cache-Control'], set: { 'X-Test': '1' } },
+            { match: 'other.js', set: { 'x-other': '1' } }
+        ]
+    });
+    assert.equal(headerRules.length, 1);
+    assert.deepEqual(rules.applyHeaderRules({ 'Content-Type': 'text/javascript', 'cache-control': 'no-store' }, headerRules, 'app.js'),
+        { 'content-type': 'text/javascript', 'x-test': '1' });
+});
+
+test('mock rules match by URL fragment and default to a 200 plain-text body', () => {
+    const mockRules = { mock: [{ match: '/api/user', body: '{}', contentType: 'application/json', headers: { 'x-mock': '1' } }, { match: '/api', body: 'fallback' }] };
+    assert.equal(rules.findMockRule('https://example.com/api/user?id=1', mockRules), mockRules.mock[0]);
+    assert.deepEqual(rules.buildMockResponse(rules.findMockRule('https://example.com/api/cart', mockRules)),
+        { status: 200, headers: { 'content-type': 'text/plain; charset=utf-8' }, body: 'fallback' });
+    assert.deepEqual(rules.buildMockResponse(mockRules.mock[0]),
+        { status: 200, headers: { 'content-type': 'application/json', 'x-mock': '1' }, body: '{}' });
+    assert.equal(rules.findMockRule('https://example.com/', mockRules), undefined);
+});
+
+test('hints are injected at the top of <head> and async and lazy-load rules set their attributes', () => {
+    const { body } = rules.applyHtmlRules(PAGE, {
+        async: ['ads.js'],
+        lazy_load: ['b.jpg'],
+        hints: [{ rel: 'preload', href: '/font.woff2', as: 'font', crossorigin: true }]
+    });
+    assert.ok(body.startsWith('<html><head><link rel="preload" href="/font.woff2" as="font" crossorigin=""><script src="/app.js">'));
+    assert.ok(body.includes('<script src="/ads.js" async=""></script>'));
+    assert.ok(body.includes('<img src="b.jpg" loading="lazy">'));
+});
+
+test('applyHtmlRules blocks and defers scripts and reports every match', () => {
+    const testRules = { block: ['ads.js'], defer: ['app.js'] };
+    const report = rules.createRuleReport(testRules);
+    const { body, modified } = rules.applyHtmlRules(PAGE, testRules, report);
+    assert.equal(modified, true);
+    assert.ok(body.includes('<script src="/app.js" defer=""></script>'));
+    assert.ok(!body.includes('ads.js'));
+    assert.deepEqual(report.entries.map(entry => [entry.type, entry.matches]), [['defer', 1], ['block', 1]]);
+});
+
+test('dom rules apply to every element matching the selector', () => {
+    const testRules = { dom: [{ selector: 'img', action: 'set-attribute', name: 'decoding', value: 'async' }, { selector: 'video', action: 'remove' }] };
+    const report = rules.createRuleReport(testRules);
+    const { body } = rules.applyHtmlRules(PAGE, testRules, report);
+    assert.ok(body.includes('<img src="a.jpg" decoding="async"><img src="b.jpg" decoding="async">'));
+    assert.deepEqual(rules.summarizeRuleReports([report.entries]).map(entry => [entry.target, entry.matches, entry.noop]),
+        [['img', 2, false], ['video', 0, true]]);
+    assert.match(rules.validateRules({ dom: [{ selector: 'img[', action: 'remove' }] }), /is not a valid CSS selector/);
+});
+
+test('a rule is a no-op only if it matched nothing in every run', () => {
+    const entry = { type: 'block', index: 0, target: 'ads.js', action: 'remove' };
+    const summary = rules.summarizeRuleReports([[{ ...entry, matches: 0 }], [{ ...entry, matches: 1 }]]);
+    assert.deepEqual(summary, [{ ...entry, matches: 1, noop: false }]);
+});
+
+test('applyHtmlRules leaves the document byte for byte alone when nothing matches', () => {
+    const page = "<HTML><body class=a><img src='x.jpg'></body></HTML>";
+    assert.deepEqual(rules.applyHtmlRules(page, { block: ['nowhere.js'], html_replace: { find: 'nowhere', replace: '' } }), { body: page, modified: false });
+});
+
+test('resources rules strip imports, force font-display and replace text, in that order', () => {
+    const css = '@import url("theme.css");\n@font-face { font-family: A; src: url(a.woff2); }\n@font-face { font-family: B; font-display: block; }\nbody { color: red; }';
+    const testRules = { resources: [{ match: 'main.css', resourceType: 'stylesheet', strip_imports: true, font_display: 'swap', find: 'red', replace: 'blue' }] };
+    const resourceRules = rules.findResourceRules('https://example.com/main.css', 'stylesheet', testRules);
+    assert.equal(rules.findResourceRules('https://example.com/main.css', 'script', testRules).length, 0);
+    const report = rules.createRuleReport(testRules);
+    assert.equal(rules.applyResourceRules(css, resourceRules, testRules, 'main.css', report),
+        '\n@font-face {font-display: swap; font-family: A; src: url(a.woff2); }\n@font-face { font-family: B; font-display: swap; }\nbody { color: blue; }');
+    assert.equal(report.entries[0].matches, 4);
+});
+
+test('isTextContentType only lets text bodies be rewritten', () => {
+    ['text/css', 'application/javascript; charset=utf-8', 'text/javascript', 'application/json', 'application/ld+json',
+        'image/svg+xml', 'text/html', 'application/xml', 'application/atom+xml'].forEach(type => assert.equal(rules.isTextContentType(type), true, type));
+    ['font/woff2', 'image/png', 'application/wasm', 'application/octet-stream', 'application/jsonp-binary', '', null]
+        .forEach(type => assert.equal(rules.isTextContentType(type), false, String(type)));
+});
+
+test('validateRules checks html_replace steps and their flags', () => {
+    assert.equal(rules.validateRules({ html_replace: [{ find: 'a', replace: 'b', flags: 'gi', literal: true, expect: 0 }] }), null);
+    assert.equal(rules.validateRules({ html_replace: [{ find: '', replace: 'b' }] }), '`rules.html_replace[0]`: `find` must not be empty.');
+    assert.match(rules.validateRules({ html_replace: [{ find: '(', replace: '' }] }), /is not a valid regular expression/);
+    assert.match(rules.validateRules({ html_replace: [{ find: 'a', replace: 'b', flags: 'gx' }] }), /may only contain the regex flags/);
+    assert.equal(rules.validateRules({ html_replace: [{ find: 'a', replace: 'b', flags: 'gig' }] }), '`rules.html_replace[0]`: `flags` must not repeat a flag.');
+    assert.equal(rules.validateRules({ html_replace: [{ find: 'a', replace: 'b', expect: -1 }] }), '`rules.html_replace[0]`: `expect` must be a non-negative integer.');
+});
+
+test('html_replace steps count matches and run in order', () => {
+    const testRules = {
+        html_replace: [
+            { find: '<img([^>]*)>', replace: '<img$1 loading="lazy">', expect: 2 },
+            { find: '$1', replace: '$2', literal: true }
+        ]
+    };
+    const report = rules.createRuleReport(testRules);
+    const { body } = rules.applyHtmlRules('<img src="a.jpg"><img src="b.jpg"> $1', testRules, report);
+    assert.equal(body, '<img src="a.jpg" loading="lazy"><img src="b.jpg" loading="lazy"> $2');
+    const summary = rules.summarizeRuleReports([report.entries]);
+    assert.deepEqual(summary.map(entry => [entry.matches, entry.noop]), [[2, false], [1, false]]);
+    assert.equal(summary[0].expectationMet, true);
+});
+
+test('a sticky html_replace step replaces the match it counted', () => {
+    const { body } = rules.applyHtmlRules('<html><body></body></html>', { html_replace: [{ find: '<html>', replace: '<html lang="en">', flags: 'y' }] });
+    assert.equal(body, '<html lang="en"><body></body></html>');
+});
@@ -0,0 +1,37 @@
+// test/runner.test.js
+// Checks the CLS session windows and which run's layout shifts are reported.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findClsWindow, medianLayoutShifts } = require('../lib/runner');
+
+const shift = (startTime, value) => ({ startTime, value, sources: [] });
+
+test('findClsWindow groups shifts less than 1 s apart and keeps the largest window', () => {
+    assert.equal(findClsWindow([]), null);
+
+    const shifts = [shift(100, 0.25), shift(600, 0.25), shift(1500, 0.125), shift(3000, 0.5)];
+    // 1500 ms without a shift closes the first window.
+    assert.deepEqual(findClsWindow(shifts), { startTime: 100, endTime: 1500, value: 0.625, shiftCount: 3 });
+    shifts.push(shift(3500, 0.25));
+    assert.deepEqual(findClsWindow(shifts), { startTime: 3000, endTime: 3500, value: 0.75, shiftCount: 2 });
+});
+
+test('findClsWindow starts a new window after 5 s', () => {
+    // A shift every 900 ms: the one at 5400 ms would make the window longer than 5 s.
+    const shifts = [0, 900, 1800, 2700, 3600, 4500, 5400].map(time => shift(time, 0.125));
+    assert.deepEqual(findClsWindow(shifts), { startTime: 0, endTime: 4500, value: 0.75, shiftCount: 6 });
+});
+
+test('medianLayoutShifts reports the shifts of the run with the median CLS', () => {
+    const run = (CLS, window) => ({ CLS, layoutShifts: { window, shifts: window ? [shift(window.startTime, CLS)] : [], viewport: { width: 412, height: 823 } } });
+    const windowAt = (startTime, value) => ({ startTime, endTime: startTime, value, shiftCount: 1 });
+
+    const typical = medianLayoutShifts([run(0.1, windowAt(100, 0.1)), run(0.3, windowAt(200, 0.3)), run(0.2, windowAt(300, 0.2))]);
+    assert.deepEqual([typical.run, typical.CLS, typical.window.startTime], [3, 0.2, 300]);
+    assert.deepEqual(typical.viewport, { width: 412, height: 823 });
+
+    // A run without shifts has nothing to show, even with the median CLS of 0.
+    assert.equal(medianLayoutShifts([run(0, null), run(0, null), run(0.2, windowAt(100, 0.2))]).run, 3);
+    assert.equal(medianLayoutShifts([run(0, null), { CLS: null }]), null);
+});
@@ -0,0 +1,68 @@
+// test/simulation.test.js
+// Checks the dependency graph and the simulated metrics on a small hand-made page load.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findMainThread, buildGraph, simulateMetrics } = require('../lib/simulation');
+
+const TIME_ORIGIN = 1000; // CDP seconds
+const ts = ms => (TIME_ORIGIN * 1000 + ms) * 1000; // trace µs
+
+// Navigation starts at 0 and the document is requested at 50 ms. It loads app.js, which a
+// 100 ms task at 210 ms runs; an unrelated 200 ms task starts at 400 ms.
+const traceEvents = [
+    { name: 'navigationStart', pid: 1, tid: 1, ts: ts(-500), args: { data: { isLoadingMainFrame: true, documentLoaderURL: '' } } },
+    { name: 'navigationStart', pid: 1, tid: 1, ts: ts(0), args: { data: { isLoadingMainFrame: true, documentLoaderURL: 'https://www.example.com/' } } },
+    { name: 'RunTask', ph: 'X', pid: 1, tid: 1, ts: ts(210), dur: 100000 },
+    { name: 'EvaluateScript', ph: 'X', pid: 1, tid: 1, ts: ts(211), dur: 90000, args: { data: { url: 'https://www.example.com/app.js' } } },
+    { name: 'RunTask', ph: 'X', pid: 1, tid: 1, ts: ts(400), dur: 200000 },
+    { name: 'RunTask', ph: 'X', pid: 2, tid: 1, ts: ts(400), dur: 300000 }
+];
+// Empty responses and a 50 ms server round trip, so the simulated times are round trips and CPU time.
+const request = (url, startTime, endTime, extra) => ({
+    url, startTime, endTime, duration: endTime - startTime, protocol: 'h2', transferSize: 0,
+    initiator: {}, timing: { wait: 50 }, ...extra
+});
+const requests = [
+    request('https://www.example.com/', 50, 150, { priority: 'VeryHigh', resourceType: 'document' }),
+    request('https://www.example.com/app.js', 170, 200, { priority: 'High', resourceType: 'script', initiator: { url: 'https://www.example.com/' } })
+];
+
+test('findMainThread takes the last main-frame navigation to a web page', () => {
+    assert.deepEqual(findMainThread(traceEvents), { pid: 1, tid: 1, navigationStart: ts(0) });
+    assert.equal(findMainThread(traceEvents.slice(0, 1)), null);
+});
+
+test('buildGraph links requests to their initiators and tasks to the scripts they run', () => {
+    const graph = buildGraph({ traceEvents, requests, timeOrigin: TIME_ORIGIN });
+    assert.equal(graph.navigationStart, 0);
+    const [documentNode, scriptNode, scriptTask, otherTask] = graph.nodes;
+    assert.equal(graph.root, documentNode);
+    assert.deepEqual([...scriptNode.deps], [documentNode]);
+    assert.deepEqual([scriptTask.type, scriptTask.startTime, scriptTask.endTime], ['cpu', 210, 310]);
+    assert.deepEqual([...scriptTask.deps], [scriptNode]);
+    assert.deepEqual([...otherTask.deps], [documentNode]);
+    // Tasks of other threads are not part of the page load.
+    assert.equal(graph.nodes.length, 4);
+
+    assert.equal(buildGraph({ traceEvents: [], requests, timeOrigin: TIME_ORIGIN }), null);
+});
+
+test('simulateMetrics replays the graph and counts from navigation start', () => {
+    const observed = { FCP: 350, LCP: 500, speedIndex: 400 };
+    // 100 ms round trips: the document pays DNS (2), TCP, TLS and its response, app.js only
+    // its response on the warm HTTP/2 connection. Their 50 ms wait is the origin's own RTT.
+    const settings = { latency: 100, download: 0, cpu: 1 };
+    const simulated = simulateMetrics({ traceEvents, requests, timeOrigin: TIME_ORIGIN, observed, settings });
+    // Document 0-500, app.js 500-600, its task 600-700, plus the 50 ms before the first request.
+    assert.equal(simulated.FCP, 750);
+    assert.equal(simulated.LCP, 750);
+    assert.equal(simulated.speedIndex, 750);
+    // In the whole graph the 200 ms task takes the main thread at 500 ms, so app.js runs from
+    // 700 ms: the only task after FCP (700 ms without the offset), blocking for 100 - 50 ms.
+    assert.equal(simulated.TBT, 50);
+
+    const slowCpu = simulateMetrics({ traceEvents, requests, timeOrigin: TIME_ORIGIN, observed, settings: { ...settings, cpu: 2 } });
+    assert.equal(slowCpu.FCP, 850);
+    assert.equal(slowCpu.TBT, 150);
+});
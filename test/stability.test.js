@@ -0,0 +1,69 @@
+// test/stability.test.js
+// Checks the run count options, the spread of the runs and when adaptive tests stop.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRuns, resolveAdaptiveRuns, isPreciseEnough, summarizeStability, stabilityWarnings } = require('../lib/stability');
+
+// Six runs: the fewest whose 95% interval of the median is bounded, here by the min and max.
+const RUNS = [
+    { FCP: 1000, LCP: 1900, TBT: 0, INP: null },
+    { FCP: 1000, LCP: 1950, TBT: 0, INP: null },
+    { FCP: 1000, LCP: 2000, TBT: 0, INP: null },
+    { FCP: 1000, LCP: 2100, TBT: 0, INP: null },
+    { FCP: 1000, LCP: 2050, TBT: 0, INP: null },
+    { FCP: 3000, LCP: 2000, TBT: 300, INP: null }
+];
+
+test('validateRuns accepts a run count or adaptive runs with their limits', () => {
+    assert.equal(validateRuns({}), null);
+    assert.equal(validateRuns({ runs: 5 }), null);
+    assert.equal(validateRuns({ runs: 'adaptive', maxRuns: 20, precision: 0.05 }), null);
+    assert.equal(validateRuns({ runs: 0 }), '`runs` must be a positive integer or "adaptive".');
+    assert.equal(validateRuns({ runs: 'auto' }), '`runs` must be a positive integer or "adaptive".');
+    assert.equal(validateRuns({ runs: 5, precision: 0.1 }), '`maxRuns` and `precision` only apply to `runs: "adaptive"`.');
+    assert.equal(validateRuns({ runs: 'adaptive', maxRuns: 5 }), '`maxRuns` must be an integer from 6 to 20.');
+    assert.equal(validateRuns({ runs: 'adaptive', precision: 1 }), '`precision` must be a number between 0 and 1, e.g. 0.1 for ±10%.');
+
+    assert.deepEqual(resolveAdaptiveRuns({ runs: 'adaptive' }), { minRuns: 6, maxRuns: 10, precision: 0.1 });
+    assert.deepEqual(resolveAdaptiveRuns({ runs: 'adaptive', maxRuns: 12, precision: 0.05 }), { minRuns: 6, maxRuns: 12, precision: 0.05 });
+    assert.equal(resolveAdaptiveRuns({ runs: 3 }), null);
+});
+
+test('isPreciseEnough compares the precision of the LCP median with the requested one', () => {
+    // LCP median 2000 ms, known to [1900, 2100]: ±5%.
+    assert.equal(isPreciseEnough(RUNS, 0.1), true);
+    assert.equal(isPreciseEnough(RUNS, 0.04), false);
+    // Five runs cannot bound the interval yet.
+    assert.equal(isPreciseEnough(RUNS.slice(0, 5), 0.5), false);
+    assert.equal(isPreciseEnough([{ LCP: null }, { LCP: null }], 0.1), true);
+});
+
+test('summarizeStability describes every measured metric and flags noisy load timings', () => {
+    const stability = summarizeStability(RUNS, ['FCP', 'LCP', 'TBT', 'INP']);
+    assert.deepEqual([stability.confidence, stability.runs, Object.keys(stability.metrics)], [0.95, 6, ['FCP', 'LCP', 'TBT']]);
+
+    const { FCP, LCP, TBT } = stability.metrics;
+    assert.deepEqual([LCP.median, LCP.ci, LCP.precision, LCP.outliers, LCP.noisy], [2000, [1900, 2100], 0.05, [], false]);
+    // Run 6 lies beyond the fences of five identical FCPs and makes the CV about 0.61.
+    assert.deepEqual(FCP.outliers, [6]);
+    assert.equal(Math.round(FCP.cv * 100), 61);
+    assert.equal(FCP.noisy, true);
+    // TBT scatters as much but is mostly 0, so it does not make the test noisy.
+    assert.equal(TBT.noisy, false);
+    assert.deepEqual(stability.noisy, ['FCP']);
+
+    assert.equal(summarizeStability(RUNS.slice(0, 3), ['LCP']).metrics.LCP.ci, null);
+    assert.equal(summarizeStability([], ['LCP']), null);
+});
+
+test('stabilityWarnings names the noisy metrics and an adaptive test that did not settle', () => {
+    const stability = { ...summarizeStability(RUNS, ['FCP', 'LCP']), adaptive: { precision: 0.04, reached: false } };
+    assert.deepEqual(stabilityWarnings(stability), [
+        'The runs are too noisy to trust the medians: FCP by 61% (coefficient of variation). ' +
+            'Use more runs (or adaptive runs), fewer parallel runs or a quieter machine.',
+        'LCP did not settle within ±4% in 6 runs (±5% at 95% confidence).'
+    ]);
+    assert.deepEqual(stabilityWarnings(summarizeStability(RUNS.slice(0, 5), ['LCP'])), []);
+    assert.deepEqual(stabilityWarnings(null), []);
+});
@@ -0,0 +1,74 @@
+// test/stats.test.js
+// Checks the statistics toolkit against values worked out by hand or from published tables.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const stats = require('../lib/stats');
+
+test('getMedian ignores missing values and averages the middle pair', () => {
+    assert.equal(stats.getMedian([3, 1, 2]), 2);
+    assert.equal(stats.getMedian([4, null, 1, 3, undefined, 2]), 2.5);
+    assert.equal(stats.getMedian([null]), null);
+});
+
+test('getPercentile interpolates between the closest ranks', () => {
+    assert.equal(stats.getPercentile([1, 2, 3, 4], 25), 1.75);
+    assert.equal(stats.getPercentile([4, 1, 3, 2], 100), 4);
+    assert.equal(stats.getPercentile([], 50), null);
+});
+
+test('describeSpread reports the sample standard deviation and Tukey outliers by index', () => {
+    const spread = stats.describeSpread([10, 12, null, 14, 16, 100]);
+    assert.equal(spread.count, 5);
+    assert.equal(spread.mean, 30.4);
+    // Squared deviations sum to 6075.2; divided by n - 1 = 4.
+    assert.ok(Math.abs(spread.stdDev - Math.sqrt(1518.8)) < 1e-9);
+    assert.ok(Math.abs(spread.cv - Math.sqrt(1518.8) / 30.4) < 1e-9);
+    assert.deepEqual([spread.q1, spread.q3, spread.iqr], [12, 16, 4]);
+    assert.deepEqual(spread.outliers, [5]);
+    assert.equal(stats.describeSpread([5]).stdDev, null);
+});
+
+test('medianConfidenceInterval needs 6 values at 95%', () => {
+    // With 6 values, [x(1), x(6)] misses the median with probability 2 / 64 = 0.031.
+    assert.deepEqual(stats.medianConfidenceInterval([6, 2, 4, 1, 3, 5]), [1, 6]);
+    // With 5 values even [x(1), x(5)] misses it with probability 2 / 32 = 0.0625.
+    assert.equal(stats.medianConfidenceInterval([1, 2, 3, 4, 5]), null);
+    assert.deepEqual(stats.medianConfidenceInterval([1, 2, 3, 4, 5], 0.9), [1, 5]);
+});
+
+test('mannWhitneyU uses the exact distribution for small samples without ties', () => {
+    // Completely separated samples of 5: U = 0 and p = 2 / C(10, 5) = 2 / 252.
+    assert.deepEqual(stats.mannWhitneyU([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]), { u: 0, pValue: 2 / 252, method: 'exact' });
+    // Samples of 3: p = 2 / C(6, 3) = 0.1, so three runs can never be significant at 5%.
+    assert.deepEqual(stats.mannWhitneyU([4, 5, 6], [1, 2, 3]), { u: 0, pValue: 0.1, method: 'exact' });
+    assert.equal(stats.mannWhitneyU([1, 2, 2, 3], [2, 4, 5, 6, 7]).method, 'normal');
+    assert.equal(stats.mannWhitneyU([], [1]), null);
+});
+
+test('shiftEstimate takes the Moses interval from the exact U distribution', () => {
+    // The 25 differences run from 6 to 14; P(U <= 2) = 4 / 252, so k = 2 at 95%.
+    assert.deepEqual(stats.shiftEstimate([1, 2, 3, 4, 5], [11, 12, 13, 14, 15]), { estimate: 10, ci: [7, 13] });
+    // No interval of 3 against 3 runs reaches 95% coverage.
+    assert.deepEqual(stats.shiftEstimate([100, 110, 120], [50, 60, 70]).ci, [null, null]);
+});
+
+test('compareSamples gives a verdict that agrees with its p-value and interval', () => {
+    const improvement = stats.compareSamples([11, 12, 13, 14, 15], [1, 2, 3, 4, 5]);
+    assert.equal(improvement.verdict, 'improvement');
+    assert.equal(improvement.delta, -10);
+    assert.deepEqual(improvement.ci, [-13, -7]);
+    assert.equal(improvement.pValue, 2 / 252);
+
+    const tooFew = stats.compareSamples([100, 110, 120], [50, 60, 70]);
+    assert.equal(tooFew.verdict, 'no-significant-difference');
+    assert.deepEqual(tooFew.ci, [null, null]);
+
+    // A shift in the tail only: significant, but the typical difference is 0.
+    const tied = stats.compareSamples([0, 0, 0, 0, 0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0, 5, 5, 5, 5]);
+    assert.ok(tied.pValue < 0.05);
+    assert.equal(tied.shift, 0);
+    assert.equal(tied.verdict, 'no-significant-difference');
+
+    assert.equal(stats.compareSamples([100], [50, 60]).verdict, 'insufficient-data');
+});
@@ -0,0 +1,59 @@
+// test/third-parties.test.js
+// Checks how URLs are attributed to entities and how the attribution of the runs is combined.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The entity list is read from the file named when the module loads.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-tester-entities-'));
+process.env.PERF_TESTER_ENTITIES_FILE = path.join(dir, 'entities.json');
+fs.writeFileSync(process.env.PERF_TESTER_ENTITIES_FILE, JSON.stringify([
+    { name: 'Google Tag Manager', category: 'tag-manager', domains: ['googletagmanager.com'] },
+    { name: 'Google Analytics', category: 'analytics', domains: ['google-analytics.com', 'analytics.google.com'] }
+]));
+const { entityOf, summarizeThirdParties } = require('../lib/third-parties');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('entityOf tells the first party, known vendors and unknown sites apart', () => {
+    const pageSite = 'example.co.uk';
+    assert.deepEqual(entityOf('https://static.example.co.uk/app.js', pageSite), { name: 'example.co.uk', category: 'first-party', firstParty: true, site: 'example.co.uk' });
+    assert.deepEqual(entityOf('https://www.googletagmanager.com/gtm.js?id=GTM-1', pageSite), { name: 'Google Tag Manager', category: 'tag-manager', firstParty: false, site: 'googletagmanager.com' });
+    // A vendor domain matches its subdomains, not other hosts of the same site.
+    assert.equal(entityOf('https://region1.analytics.google.com/g/collect', pageSite).name, 'Google Analytics');
+    assert.deepEqual(entityOf('https://fonts.google.com/css', pageSite), { name: 'google.com', category: 'unknown', firstParty: false, site: 'google.com' });
+    assert.equal(entityOf('https://cdn.notgoogletagmanager.com/x.js', pageSite).category, 'unknown');
+    assert.equal(entityOf('data:image/png;base64,iVBOR', pageSite), null);
+    assert.equal(entityOf('not a url', pageSite), null);
+});
+
+test('summarizeThirdParties takes medians over the attributed runs, counting absences as 0', () => {
+    const entry = (name, firstParty, fields) => ({
+        name, category: firstParty ? 'first-party' : 'tag-manager', firstParty, sites: [firstParty ? 'example.com' : 'googletagmanager.com'],
+        requestCount: 0, transferSize: 0, mainThreadTime: 0, blockingTime: 0, longTasks: 0, lcpCriticalPath: false, ...fields
+    });
+    const summary = summarizeThirdParties([
+        [entry('Google Tag Manager', false, { requestCount: 2, transferSize: 30000, mainThreadTime: 120, blockingTime: 70, longTasks: 1, lcpCriticalPath: true }),
+            entry('example.com', true, { requestCount: 10, mainThreadTime: 300, lcpCriticalPath: true })],
+        [entry('Google Tag Manager', false, { requestCount: 2, transferSize: 30000, mainThreadTime: 80, blockingTime: 30, longTasks: 1 }),
+            entry('example.com', true, { requestCount: 10, mainThreadTime: 400, lcpCriticalPath: true })],
+        // A run without a trace is left out.
+        null,
+        [entry('example.com', true, { requestCount: 12, mainThreadTime: 200 })]
+    ]);
+
+    // Tag manager blocking times 70, 30 and 0: the median is 30, which sorts it first.
+    assert.deepEqual(summary.map(entity => entity.name), ['Google Tag Manager', 'example.com']);
+    const [gtm, site] = summary;
+    assert.deepEqual(
+        [gtm.requestCount, gtm.transferSize, gtm.mainThreadTime, gtm.blockingTime, gtm.longTasks, gtm.lcpCriticalRuns, gtm.runs],
+        [2, 30000, 80, 30, 1, 1, 3]
+    );
+    assert.deepEqual([site.requestCount, site.mainThreadTime, site.lcpCriticalRuns, site.sites], [10, 300, 2, ['example.com']]);
+    assert.equal(site.lcpCriticalPath, undefined);
+
+    assert.equal(summarizeThirdParties([null, null]), null);
+});
@@ -0,0 +1,63 @@
+// test/throttling.test.js
+// Checks how throttling settings are resolved and how the profile registry is kept.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The writable registry does not exist yet, so the shipped profiles are read first.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-tester-profiles-'));
+process.env.PERF_TESTER_PROFILES_FILE = path.join(dir, 'throttling-profiles.json');
+const throttling = require('../lib/throttling');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('resolveThrottling applies the mode, then the profile, then the request', () => {
+    const settings = throttling.resolveThrottling('pagespeed-mobile', { profile: 'slow-3g', latency: 300 });
+    assert.equal(settings.profile, 'slow-3g');
+    assert.equal(settings.name, 'Slow 3G');
+    // From the profile...
+    assert.equal(settings.download, 400);
+    assert.equal(settings.cpu, 4);
+    // ...overridden by the request...
+    assert.equal(settings.latency, 300);
+    // ...and the mode for what neither sets.
+    assert.deepEqual(settings.viewport, { width: 412, height: 823 });
+    assert.match(settings.userAgent, /Android/);
+
+    const unknownMode = throttling.resolveThrottling('no-such-mode');
+    assert.equal(unknownMode.profile, null);
+    assert.equal(unknownMode.download, throttling.MODE_DEFAULTS.custom.download);
+});
+
+test('toEmulation converts Kbps to bytes per second and 0 to no throttling', () => {
+    const emulation = throttling.toEmulation({ ...throttling.MODE_DEFAULTS.custom, download: 1024, upload: 0, touch: true });
+    assert.deepEqual(emulation.network, { offline: false, downloadThroughput: 128 * 1024, uploadThroughput: -1, latency: 40 });
+    assert.deepEqual(emulation.viewport, { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: true, hasTouch: true });
+});
+
+test('validateThrottling and validateProfile name the offending field', () => {
+    assert.equal(throttling.validateThrottling(undefined), null);
+    assert.equal(throttling.validateThrottling({ profile: '4g', cpu: 2 }), null);
+    assert.equal(throttling.validateThrottling({ cpu: 0.5 }), '`throttling`: `cpu` must be a number of at least 1.');
+    assert.equal(throttling.validateThrottling({ profile: 'nope' }), 'Unknown throttling profile: "nope".');
+    assert.equal(throttling.validateProfile({ id: 'Slow', name: 'x' }), 'The profile `id` must contain only lowercase letters, digits and dashes.');
+    assert.equal(throttling.validateProfile({ id: 'a', name: 'A', profile: '4g' }), 'A profile cannot extend another profile.');
+    assert.equal(throttling.validateProfile({ id: 'a', name: 'A', viewport: { width: 10 } }), 'Profile: `viewport` must be an object with positive integer `width` and `height`.');
+});
+
+test('profile changes go to the writable registry, never the shipped file', async () => {
+    const shipped = fs.readFileSync(path.join(__dirname, '../config/throttling-profiles.json'), 'utf8');
+    const saved = await throttling.saveProfile({ id: 'office-wifi', name: 'Office Wi-Fi', download: 20000, extra: true });
+    assert.deepEqual(saved, { id: 'office-wifi', name: 'Office Wi-Fi', download: 20000 });
+    assert.equal(throttling.resolveThrottling('custom', { profile: 'office-wifi' }).download, 20000);
+    assert.equal(await throttling.deleteProfile('slow-3g'), true);
+    assert.equal(await throttling.deleteProfile('slow-3g'), false);
+
+    const written = JSON.parse(fs.readFileSync(process.env.PERF_TESTER_PROFILES_FILE, 'utf8'));
+    assert.ok(written.some(profile => profile.id === 'office-wifi'));
+    assert.ok(!written.some(profile => profile.id === 'slow-3g'));
+    assert.equal(fs.readFileSync(path.join(__dirname, '../config/throttling-profiles.json'), 'utf8'), shipped);
+});